@@ -24,6 +24,8 @@ class Application {
         this.program
             .command('cli', { isDefault: true })
             .description('Run in CLI mode')
+            .option('--trace <file>', 'Record all controller UDP traffic to an NDJSON file')
+            .option('--replay <file>', 'Answer controller requests from a recorded trace')
             .allowUnknownOption()
             .action(async () => {
                 await this.runCLI();
@@ -35,10 +37,31 @@ class Application {
             .description('Run in server mode')
             .option('-p, --port <port>', 'Server port', '3000')
             .option('-h, --host <host>', 'Server host', 'localhost')
+            .option('-r, --receiver-port <port>', 'UDP port for controller upload packets', '9001')
+            .option('--no-receiver', 'Disable the built-in receiving server')
+            .option('--presence-interval <seconds>', 'Seconds between controller presence checks',
+                process.env.PRESENCE_INTERVAL || '30')
+            .option('--presence-probe <probe>', 'Presence check: search (0x94) or status (0x20)', 'search')
+            .option('--no-presence', 'Disable background presence monitoring')
+            .option('--time-sync', 'Sync controller clocks on a schedule (sets drifting clocks)')
+            .option('--time-sync-interval <minutes>', 'Minutes between scheduled controller clock syncs', '60')
+            .option('--time-sync-threshold <seconds>', 'Clock drift that is corrected', '2')
+            .option('--trace <file>', 'Record all controller UDP traffic to an NDJSON file')
+            .option('--replay <file>', 'Answer controller requests from a recorded trace')
             .action(async (options) => {
                 await this.runServer(options);
             });
 
+        // Receiving server only (no REST/WebSocket)
+        this.program
+            .command('receiver')
+            .description('Listen for packets pushed by controllers to the receiving server')
+            .option('-p, --port <port>', 'UDP port to listen on', '9001')
+            .option('-h, --host <host>', 'Address to bind', '0.0.0.0')
+            .action(async (options) => {
+                await this.runReceiver(options);
+            });
+
         // Enhanced discovery command (direct access)
         this.program
             .command('discover')
@@ -50,17 +73,79 @@ class Application {
             .option('--no-interfaces', 'Disable network interface detection')
             .option('-v, --verbose', 'Enable verbose logging')
             .option('--target <ip>', 'Target specific IP address(es) (comma-separated)')
+            .option('--type-bytes <list>', 'Packet type bytes to try (comma-separated, default 0x17,0x19)')
+            .option('--ports <list>', 'Controller UDP ports to try (comma-separated)')
+            .option('--scan <ranges>', 'Scan CIDR or address ranges with unicast discovery (e.g. 10.20.0.0/22,10.30.5.10-80)')
+            .option('--concurrency <count>', 'Addresses probed at once during a scan', '32')
+            .option('--rate <packets>', 'Packets per second during a scan', '200')
+            .option('--probe-timeout <ms>', 'Wait per scanned address in milliseconds', '1000')
+            .option('--trace <file>', 'Record all controller UDP traffic to an NDJSON file')
+            .option('--replay <file>', 'Answer controller requests from a recorded trace')
             .action(async (options) => {
                 await this.runEnhancedDiscovery(options);
             });
 
+        // Controller simulator
+        this.program
+            .command('simulate')
+            .description('Run simulated controllers that answer the UDP protocol')
+            .option('-n, --count <count>', 'Number of simulated controllers', '1')
+            .option('-p, --port <port>', 'UDP port to answer on', '60000')
+            .option('--host <host>', 'Address to bind', '0.0.0.0')
+            .option('--ip <ip>', 'IP address reported in discovery responses', '127.0.0.1')
+            .option('--base-serial <serial>', 'First serial number', '423000001')
+            .option('--serials <list>', 'Serial numbers (comma-separated, overrides --count)')
+            .option('--firmware <version>', 'Firmware version reported in discovery', '6.56')
+            .option('--type-byte <byte>', 'Packet type byte the controllers answer (0x19 for legacy firmware)', '0x17')
+            .option('--doors <count>', 'Number of doors per controller', '4')
+            .option('--latency <ms>', 'Delay before each response in milliseconds', '0')
+            .option('--loss <percent>', 'Percentage of requests dropped', '0')
+            .option('--swipe-interval <seconds>', 'Generate a random card swipe every N seconds', '0')
+            .option('--config <file>', 'JSON file with per-controller settings')
+            .option('-v, --verbose', 'Log every request')
+            .action(async (options) => {
+                await this.runSimulator(options);
+            });
+
+        // Raw packet tools
+        const packet = this.program
+            .command('packet')
+            .description('Decode or build raw 64-byte controller packets');
+
+        packet
+            .command('decode <hex...>')
+            .description('Print a labeled breakdown of a packet hex dump')
+            .option('--request', 'Read the packet as a request')
+            .option('--response', 'Read the packet as a response')
+            .option('--json', 'Print the decoded packet as JSON')
+            .action(async (hex, options) => {
+                await this.runPacketDecode(hex.join(' '), options);
+            });
+
+        packet
+            .command('encode')
+            .description('Build a packet from field values and print its hex')
+            .requiredOption('--fn <id>', 'Function ID (hex, e.g. 0x90) or name (e.g. SET_RECEIVING_SERVER)')
+            .option('-s, --serial <serial>', 'Controller serial number', '0')
+            .option('-f, --field <name=value>', 'Field value (repeatable)', (value, fields) => fields.concat(value), [])
+            .option('--response', 'Build a response packet instead of a request')
+            .option('--seq <id>', 'Sequence ID', '0')
+            .action(async (options) => {
+                await this.runPacketEncode(options);
+            });
+
         // Network diagnostics command (direct access)
         this.program
             .command('diagnose')
             .description('Run network diagnostics for troubleshooting discovery issues')
             .option('-v, --verbose', 'Enable verbose output')
+            .option('--fleet', 'Check saved controllers for IP conflicts and misconfiguration instead')
             .action(async (options) => {
-                await this.runNetworkDiagnostics(options);
+                if (options.fleet) {
+                    await this.runFleetLint(options);
+                } else {
+                    await this.runNetworkDiagnostics(options);
+                }
             });
 
         // Version command
@@ -87,6 +172,9 @@ class Application {
                 console.log('COMMANDS:');
                 console.log('  cli (default)    Run in CLI mode for interactive management');
                 console.log('  server           Run in server mode (REST API + WebSocket)');
+                console.log('  receiver         Listen for controller upload packets only');
+                console.log('  packet           Decode or build raw 64-byte packets');
+                console.log('  simulate         Run simulated controllers for offline development');
                 console.log('  discover         Enhanced controller discovery (direct access)');
                 console.log('  diagnose         Network diagnostics and troubleshooting');
                 console.log('  version          Show version information');
@@ -97,20 +185,42 @@ class Application {
                 console.log('  node app.js discover --verbose        # Verbose discovery with interface info');
                 console.log('  node app.js discover --retries 5      # Discovery with 5 retry attempts');
                 console.log('  node app.js discover --target 192.168.2.66  # Target specific IP');
+                console.log('  node app.js discover --scan 10.20.0.0/22      # Scan a routed subnet');
                 console.log('  node app.js diagnose                  # Network diagnostics');
                 console.log('  node app.js diagnose --verbose        # Detailed network analysis');
+                console.log('  node app.js diagnose --fleet          # IP conflicts and misconfiguration of saved controllers');
+                console.log('  node app.js discover --trace trace.ndjson   # Record UDP traffic');
+                console.log('  node app.js discover --replay trace.ndjson  # Replay recorded traffic');
+                console.log('');
+                console.log('SIMULATOR EXAMPLES:');
+                console.log('  node app.js simulate --count 5        # 5 controllers on UDP 60000');
+                console.log('  node app.js simulate --latency 50 --loss 10  # Slow, lossy controllers');
+                console.log('  node app.js simulate --swipe-interval 5      # Random swipes every 5s');
+                console.log('');
+                console.log('PACKET TOOL EXAMPLES:');
+                console.log('  node app.js packet decode 17940000...  # Labeled breakdown of a hex dump');
+                console.log('  node app.js packet encode --fn 0x90 --serial 223000123 --field serverIp=192.168.1.10 --field port=9001');
                 console.log('');
                 console.log('CLI MODE EXAMPLES:');
                 console.log('  node app.js                           # Start interactive CLI');
                 console.log('  node app.js cli discover              # Discover controllers (CLI mode)');
                 console.log('  node app.js cli list                  # List saved controllers');
+                console.log('  node app.js cli discovery-config --exclude "docker*"  # Skip interfaces in discovery');
                 console.log('  node app.js cli get time -c 12345     # Get time from controller');
+                console.log('  node app.js cli get status -c 12345   # Get real-time door status');
                 console.log('  node app.js cli set time -c 12345     # Set time on controller');
+                console.log('  node app.js cli time sync --all       # Correct clocks drifting more than 2s');
+                console.log('  node app.js cli time drift -c 12345   # Drift history and drift rate');
+                console.log('  node app.js cli get status --all      # Status of every saved controller');
                 console.log('  node app.js cli interactive           # Interactive mode');
                 console.log('');
                 console.log('SERVER MODE EXAMPLES:');
                 console.log('  node app.js server                    # Start server on port 3000');
                 console.log('  node app.js server -p 8080            # Start server on port 8080');
+                console.log('  node app.js server -r 9002            # Receive controller events on UDP 9002');
+                console.log('  node app.js server --presence-interval 10  # Check controller presence every 10s');
+                console.log('  node app.js server --time-sync        # Also sync controller clocks every hour');
+                console.log('  node app.js receiver                  # Print controller events (UDP 9001)');
                 console.log('');
                 console.log('SERVER ENDPOINTS:');
                 console.log('  GET  /                                # Server info');
@@ -118,6 +228,7 @@ class Application {
                 console.log('  GET  /docs                            # API documentation');
                 console.log('  POST /api/discover                    # Discover controllers');
                 console.log('  GET  /api/controllers                 # List controllers');
+                console.log('  GET  /api/controllers/:id/status      # Get controller status');
                 console.log('  GET  /api/controllers/:id/time        # Get controller time');
                 console.log('  POST /api/controllers/:id/time        # Set controller time');
                 console.log('  WebSocket: ws://localhost:3000        # Real-time communication');
@@ -129,19 +240,25 @@ class Application {
     async runCLI() {
         try {
             const cli = new CLI();
+
+            const cliArgs = process.argv.slice(2);
+            // Remove 'cli' from args if present
+            if (cliArgs[0] === 'cli') {
+                cliArgs.shift();
+            }
+
+            this.setupTraffic({
+                trace: this.extractOption(cliArgs, '--trace'),
+                replay: this.extractOption(cliArgs, '--replay')
+            });
             
             // If no additional arguments, run interactive mode
-            if (process.argv.length <= 3) {
+            if (cliArgs.length === 0) {
                 console.log('🎛️  Controller Management System - CLI Mode');
                 console.log('Starting interactive mode...\n');
                 await cli.handleInteractive();
             } else {
                 // Pass remaining arguments to CLI
-                const cliArgs = process.argv.slice(2);
-                // Remove 'cli' from args if present
-                if (cliArgs[0] === 'cli') {
-                    cliArgs.shift();
-                }
                 await cli.run(['node', 'cli', ...cliArgs]);
             }
         } catch (error) {
@@ -150,36 +267,99 @@ class Application {
         }
     }
 
+    /**
+     * Remove "--name value" or "--name=value" from an argument list and return the value
+     */
+    extractOption(args, name) {
+        const index = args.findIndex(arg => arg === name || arg.startsWith(`${name}=`));
+        if (index === -1) {
+            return undefined;
+        }
+
+        if (args[index].includes('=')) {
+            return args.splice(index, 1)[0].split('=').slice(1).join('=');
+        }
+
+        return args.splice(index, 2)[1];
+    }
+
+    /**
+     * Start UDP traffic tracing and/or replay from --trace / --replay options
+     */
+    setupTraffic(options) {
+        const TrafficRecorder = require('./src/core/traffic-recorder');
+        const recorder = TrafficRecorder.getDefault();
+
+        if (options.replay) {
+            const summary = recorder.loadReplay(options.replay);
+            console.log(`⏪ Replaying ${summary.exchanges} request(s) (${summary.answered} answered) from ${options.replay}`);
+        }
+
+        if (options.trace) {
+            recorder.startTrace(options.trace);
+            console.log(`📼 Recording UDP traffic to ${options.trace}`);
+        }
+    }
+
     async runEnhancedDiscovery(options) {
         try {
+            this.setupTraffic(options);
+
             const ControllerAPI = require('./src/core/controller-api');
             const api = new ControllerAPI();
 
             const timeout = parseInt(options.timeout) * 1000;
             const maxRetries = parseInt(options.retries);
             const retryDelay = parseInt(options.delay);
+            let diff = null;
+            const runOptions = {
+                typeBytes: options.typeBytes,
+                ports: options.ports,
+                context: { source: 'cli', actor: CLI.localUser() },
+                onDiff: result => { diff = result; }
+            };
 
             console.log('🔍 Enhanced Controller Discovery');
             console.log('================================');
             console.log(`Timeout: ${timeout/1000}s | Retries: ${maxRetries} | Delay: ${retryDelay}ms`);
             console.log('');
 
-            if (options.target) {
+            if (options.scan) {
+                // Range scan for controllers behind routers
+                console.log(`📡 Scanning: ${options.scan}`);
+
+                const result = await api.scanNetwork(options.scan, {
+                    ...runOptions,
+                    concurrency: options.concurrency,
+                    rate: options.rate,
+                    timeout: options.probeTimeout,
+                    onController: (controller) => {
+                        console.log(`  ✅ Found ${controller.serialNumber} at ${controller.remoteAddress}`);
+                    }
+                });
+
+                if (result.controllers.length === 0) {
+                    console.log(`❌ No controllers found in ${result.scanned} address(es)`);
+                } else {
+                    console.log(`✅ Found ${result.controllers.length} controller(s) in ${result.scanned} address(es):`);
+                    this.displayControllers(result.controllers, options.verbose);
+                }
+
+            } else if (options.target) {
                 // Targeted discovery
                 const targetIPs = options.target.split(',').map(ip => ip.trim());
                 console.log(`🎯 Targeting specific IPs: ${targetIPs.join(', ')}`);
 
-                const controllers = await api.discoverControllersByIP(targetIPs, timeout);
+                const controllers = await api.discoverControllersByIP(targetIPs, timeout, runOptions);
 
                 if (controllers.length === 0) {
                     console.log('❌ No controllers found at target IPs');
                     console.log('💡 Try running "node app.js diagnose" for troubleshooting');
-                    return;
+                } else {
+                    console.log(`✅ Found ${controllers.length} controller(s):`);
+                    this.displayControllers(controllers, options.verbose);
                 }
 
-                console.log(`✅ Found ${controllers.length} controller(s):`);
-                this.displayControllers(controllers, options.verbose);
-
             } else {
                 // Enhanced discovery
                 const discoveryOptions = {
@@ -189,7 +369,8 @@ class Application {
                     maxRetries,
                     retryDelay,
                     exponentialBackoff: true,
-                    logLevel: options.verbose ? 'verbose' : 'info'
+                    logLevel: options.verbose ? 'verbose' : 'info',
+                    ...runOptions
                 };
 
                 if (options.verbose) {
@@ -204,19 +385,33 @@ class Application {
                 if (controllers.length === 0) {
                     console.log('❌ No controllers found');
                     console.log('💡 Try running "node app.js diagnose" for troubleshooting');
-                    return;
+                } else {
+                    console.log(`✅ Found ${controllers.length} controller(s):`);
+                    this.displayControllers(controllers, options.verbose);
                 }
-
-                console.log(`✅ Found ${controllers.length} controller(s):`);
-                this.displayControllers(controllers, options.verbose);
             }
 
+            this.displayDiscoveryDiff(diff);
+
         } catch (error) {
             console.error('❌ Enhanced discovery failed:', error.message);
             process.exit(1);
         }
     }
 
+    displayDiscoveryDiff(diff) {
+        if (!diff) return;
+
+        console.log('');
+        console.log(`Inventory changes: ${diff.new.length} new, ${diff.missing.length} missing, ` +
+            `${diff.changed.length} changed, ${diff.unchanged} unchanged`);
+        diff.new.forEach(c => console.log(`  🆕 New: ${c.serialNumber} at ${c.ip}`));
+        diff.missing.forEach(c => console.log(`  ❓ Missing: ${c.serialNumber} at ${c.ip}`));
+        diff.changed.forEach(c => {
+            c.changes.forEach(({ field, from, to }) => console.log(`  ✏️  Changed: ${c.serialNumber} ${field} ${from} → ${to}`));
+        });
+    }
+
     async runNetworkDiagnostics(options) {
         try {
             const ControllerAPI = require('./src/core/controller-api');
@@ -276,12 +471,50 @@ class Application {
         }
     }
 
+    async runFleetLint(options) {
+        try {
+            const ControllerAPI = require('./src/core/controller-api');
+            const api = new ControllerAPI();
+
+            console.log('🔍 Fleet Check');
+            console.log('==============');
+            console.log('');
+
+            const report = await api.lintFleet();
+            console.log(`Controllers: ${report.controllers} | Interfaces: ` +
+                (report.interfaces.map(i => `${i.name} ${i.address}/${i.netmask}`).join(', ') || 'none'));
+            console.log('');
+
+            report.issues.forEach(issue => {
+                console.log(`  ${issue.severity === 'error' ? '❌' : '⚠️ '} [${issue.check}] ${issue.message}`);
+                if (options.verbose) {
+                    console.log(`     Action: ${issue.action}`);
+                }
+            });
+
+            if (report.clean) {
+                console.log('✅ No problems found');
+            } else {
+                console.log('');
+                console.log(`${report.summary.errors} error(s), ${report.summary.warnings} warning(s)`);
+            }
+
+            if (report.summary.errors > 0) {
+                process.exit(1);
+            }
+        } catch (error) {
+            console.error('❌ Fleet check failed:', error.message);
+            process.exit(1);
+        }
+    }
+
     displayControllers(controllers, verbose = false) {
         controllers.forEach((controller, index) => {
             console.log(`\nController ${index + 1}:`);
             console.log(`  Serial Number: ${controller.serialNumber}`);
             console.log(`  Configured IP: ${controller.ip}`);
             console.log(`  Response from: ${controller.remoteAddress}`);
+            console.log(`  Protocol: type 0x${controller.typeByte.toString(16).toUpperCase()}, port ${controller.port}`);
             console.log(`  MAC Address: ${controller.macAddress}`);
             console.log(`  Driver Version: ${controller.driverVersion}`);
             console.log(`  Release Date: ${controller.driverReleaseDate}`);
@@ -294,10 +527,107 @@ class Application {
         });
     }
 
+    async runPacketDecode(hex, options) {
+        try {
+            const PacketInspector = require('./src/core/packet-inspector');
+            const inspector = new PacketInspector();
+
+            if (options.request && options.response) {
+                throw new Error('Use either --request or --response, not both');
+            }
+
+            const direction = options.request ? 'request' : options.response ? 'response' : 'auto';
+            const decoded = inspector.decode(hex, { direction });
+
+            if (options.json) {
+                console.log(JSON.stringify(decoded, null, 2));
+            } else {
+                this.displayPacket(decoded);
+            }
+        } catch (error) {
+            console.error('❌ Packet Error:', error.message);
+            process.exit(1);
+        }
+    }
+
+    async runPacketEncode(options) {
+        try {
+            const PacketInspector = require('./src/core/packet-inspector');
+            const inspector = new PacketInspector();
+
+            const fields = {};
+            options.field.forEach(assignment => {
+                const separator = assignment.indexOf('=');
+                if (separator <= 0) {
+                    throw new Error(`Invalid field "${assignment}", expected name=value`);
+                }
+                fields[assignment.slice(0, separator).trim()] = assignment.slice(separator + 1);
+            });
+
+            const direction = options.response ? 'response' : 'request';
+            const packet = inspector.encode(options.fn, options.serial, fields, {
+                direction,
+                sequenceId: options.seq
+            });
+
+            this.displayPacket(inspector.decode(packet, { direction }));
+            console.log('');
+            console.log(packet.toString('hex'));
+        } catch (error) {
+            console.error('❌ Packet Error:', error.message);
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Print a decoded packet as a labeled byte breakdown
+     */
+    displayPacket(decoded) {
+        const range = (offset, length) => length > 1 ? `[${offset}-${offset + length - 1}]` : `[${offset}]`;
+        const line = (bytes, label, value) => console.log(`  ${bytes.padEnd(9)} ${label.padEnd(36)} ${value}`);
+        const { header } = decoded;
+
+        console.log(`📦 ${decoded.functionId} ${decoded.functionName} - ${decoded.title}`);
+        console.log(`Direction: ${decoded.direction}${decoded.directionGuessed ? ' (guessed, use --request or --response to override)' : ''}`);
+        console.log('');
+        console.log('Header');
+        line('[0]', 'Type', `${header.type}${header.typeValid ? '' : ' (unexpected)'}`);
+        line('[1]', 'Function ID', header.functionId);
+        line('[2-3]', 'Reserved', String(header.reserved));
+        line('[4-7]', 'Serial number', String(header.serialNumber));
+        line('[40-43]', 'Sequence ID', String(header.sequenceId));
+
+        console.log('');
+        console.log('Fields');
+        if (decoded.fields.length === 0) {
+            console.log('  (no fields)');
+        }
+        decoded.fields.forEach(field => {
+            line(range(field.offset, field.length), field.label, `${field.display}  [${field.bytes}]`);
+        });
+
+        if (decoded.unlabeled.length > 0) {
+            console.log('');
+            console.log('⚠️  Unlabeled non-zero bytes');
+            decoded.unlabeled.forEach(({ offset, value }) => line(`[${offset}]`, '', value));
+        }
+    }
+
     async runServer(options) {
         try {
+            this.setupTraffic(options);
+
             const port = parseInt(options.port) || 3000;
-            const server = new Server(port);
+            const server = new Server(port, {
+                receiver: options.receiver !== false,
+                receiverPort: parseInt(options.receiverPort) || 9001,
+                presence: options.presence !== false,
+                presenceInterval: (parseInt(options.presenceInterval) || 30) * 1000,
+                presenceProbe: options.presenceProbe,
+                timeSync: !!options.timeSync,
+                timeSyncInterval: (parseFloat(options.timeSyncInterval) || 60) * 60000,
+                timeSyncThreshold: (parseFloat(options.timeSyncThreshold) || 2) * 1000
+            });
 
             console.log('🚀 Starting Controller Management Server...');
             console.log(`📡 Mode: Server`);
@@ -319,6 +649,129 @@ class Application {
         }
     }
 
+    async runReceiver(options) {
+        try {
+            const ControllerAPI = require('./src/core/controller-api');
+            const EventReceiver = require('./src/core/event-receiver');
+
+            const receiver = new EventReceiver(new ControllerAPI(), {
+                port: parseInt(options.port) || 9001,
+                host: options.host
+            });
+
+            receiver.on('record', ({ serialNumber, record }) => {
+                const time = record.swipeTime ? record.swipeTime.toLocaleString() : 'unknown time';
+                console.log(`📝 [${serialNumber}] Record #${record.index} ${record.typeName} door ${record.doorNumber} ` +
+                    `card ${record.cardNumber} ${record.valid ? 'granted' : 'denied'} at ${time}`);
+            });
+
+            receiver.on('door_sensor', ({ serialNumber, doorNumber, state }) => {
+                console.log(`🚪 [${serialNumber}] Door ${doorNumber} ${state}`);
+            });
+
+            receiver.on('alarm', ({ serialNumber, reason, doorNumber, errorNumber }) => {
+                const detail = doorNumber ? ` door ${doorNumber}` : errorNumber ? ` error ${errorNumber}` : '';
+                console.log(`🚨 [${serialNumber}] Alarm: ${reason}${detail}`);
+            });
+
+            receiver.on('error', (error) => {
+                console.error('❌ Receiver error:', error.message);
+            });
+
+            await receiver.start();
+
+            console.log(`📥 Listening for controller upload packets on ${receiver.host}:${receiver.port}`);
+            console.log('💡 Point controllers here with "node app.js cli set server"');
+            console.log('Press Ctrl+C to stop\n');
+
+            process.on('SIGINT', async () => {
+                await receiver.stop();
+                const stats = receiver.getStats();
+                console.log(`\n🛑 Receiver stopped (${stats.packetsReceived} packets, ${stats.eventsEmitted} events)`);
+                process.exit(0);
+            });
+
+        } catch (error) {
+            console.error('❌ Receiver Error:', error.message);
+            process.exit(1);
+        }
+    }
+
+    async runSimulator(options) {
+        try {
+            const ControllerSimulator = require('./src/simulator');
+
+            const simulatorOptions = {
+                port: parseInt(options.port) || 60000,
+                host: options.host,
+                swipeInterval: parseFloat(options.swipeInterval) || 0,
+                count: parseInt(options.count) || 1,
+                baseSerial: parseInt(options.baseSerial),
+                serials: options.serials ? options.serials.split(',').map(s => parseInt(s.trim())) : null,
+                ip: options.ip,
+                firmwareVersion: options.firmware,
+                typeByte: Number(options.typeByte),
+                doorCount: parseInt(options.doors) || 4,
+                latency: parseInt(options.latency) || 0,
+                packetLoss: (parseFloat(options.loss) || 0) / 100
+            };
+
+            if (options.config) {
+                // Per-controller settings: [{ serialNumber, firmwareVersion, typeByte, doorCount, latency, packetLoss, ip }]
+                const config = JSON.parse(await require('fs').promises.readFile(options.config, 'utf8'));
+                const controllers = Array.isArray(config) ? config : config.controllers;
+                simulatorOptions.controllers = controllers.map(controller => ({
+                    ip: options.ip,
+                    firmwareVersion: options.firmware,
+                    typeByte: Number(options.typeByte),
+                    ...controller
+                }));
+            }
+
+            const simulator = new ControllerSimulator(simulatorOptions);
+
+            simulator.on('error', (error) => {
+                console.error('❌ Simulator error:', error.message);
+            });
+
+            if (options.verbose) {
+                simulator.on('request', ({ serialNumber, functionId, dropped }) => {
+                    const fn = `0x${functionId.toString(16).toUpperCase().padStart(2, '0')}`;
+                    console.log(`${dropped ? '🕳️ ' : '📨'} [${serialNumber}] ${fn}${dropped ? ' dropped' : ''}`);
+                });
+            }
+
+            simulator.on('record', ({ serialNumber, record }) => {
+                console.log(`📝 [${serialNumber}] Record #${record.index} type ${record.type} door ${record.doorNumber} card ${record.cardNumber}`);
+            });
+
+            await simulator.start();
+
+            console.log('🧪 Controller Simulator');
+            console.log('=======================');
+            console.log(`Listening on ${simulator.host}:${simulator.port}`);
+            simulator.getSummary().forEach(controller => {
+                console.log(`  🎛️  ${controller.serialNumber} @ ${controller.ip} | firmware ${controller.firmwareVersion} | ` +
+                    `type 0x${controller.typeByte.toString(16).toUpperCase()} | ` +
+                    `${controller.doorCount} door(s) | latency ${controller.latency}ms | loss ${Math.round(controller.packetLoss * 100)}%`);
+            });
+            if (simulator.port !== 60000) {
+                console.log(`💡 Set CONTROLLER_PORT=${simulator.port} for the CLI and server to reach the simulator`);
+            }
+            console.log('Press Ctrl+C to stop\n');
+
+            process.on('SIGINT', async () => {
+                await simulator.stop();
+                console.log('\n🛑 Simulator stopped');
+                process.exit(0);
+            });
+
+        } catch (error) {
+            console.error('❌ Simulator Error:', error.message);
+            process.exit(1);
+        }
+    }
+
     async run() {
         try {
             // If no arguments provided, show help
@@ -332,10 +332,16 @@ class ControllerTest {
 async function main() {
     const tester = new ControllerTest();
     await tester.runTests();
+    if (tester.testResults.some(r => r.success === false)) {
+        process.exitCode = 1;
+    }
 }
 
 if (require.main === module) {
-    main().catch(console.error);
+    main().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
 }
 
 module.exports = ControllerTest;
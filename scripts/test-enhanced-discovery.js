@@ -371,10 +371,16 @@ class EnhancedDiscoveryTest {
 if (require.main === module) {
     async function main() {
         const testSuite = new EnhancedDiscoveryTest();
-        await testSuite.runAllTests();
+        const summary = await testSuite.runAllTests();
+        if (summary.failedTests > 0) {
+            process.exitCode = 1;
+        }
     }
     
-    main().catch(console.error);
+    main().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
 }
 
 module.exports = EnhancedDiscoveryTest;
@@ -328,7 +328,10 @@ if (require.main === module) {
         await testSuite.runAllTests();
     }
     
-    main().catch(console.error);
+    main().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
 }
 
 module.exports = EnhancedFeaturesTest;
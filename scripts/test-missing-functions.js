@@ -298,7 +298,10 @@ if (require.main === module) {
         await tester.runTests();
     }
     
-    main().catch(console.error);
+    main().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
 }
 
 module.exports = MissingFunctionsTest;
@@ -133,6 +133,7 @@ async function testNetworkAPI() {
 
     } catch (error) {
         console.error('❌ Test failed:', error.message);
+        process.exitCode = 1;
     }
 }
 
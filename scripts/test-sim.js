@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Simulator Test Runner
+ * Runs the scripts/test-*.js suites without hardware, e.g. in CI:
+ * starts simulated controllers on a free UDP port, runs each suite with CONTROLLER_PORT
+ * set to that port and stops the simulator. Suites run in a temporary directory so
+ * config/controllers.json is left alone.
+ */
+
+const dgram = require('dgram');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const ControllerSimulator = require('../src/simulator');
+
+const SUITES = [
+    'test-controller.js',
+    'test-network-comprehensive.js',
+    'test-network-api.js',
+    'test-enhanced-discovery.js',
+    'test-enhanced-features.js',
+    'test-missing-functions.js'
+];
+
+// Longest a suite may run before it counts as failed
+const SUITE_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Ask the OS for a UDP port nobody is bound to
+ */
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket('udp4');
+        socket.once('error', reject);
+        socket.bind(0, () => {
+            const { port } = socket.address();
+            socket.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Run one suite in its own process; resolves with its exit code
+ */
+function runSuite(suite, env, cwd) {
+    return new Promise(resolve => {
+        const child = spawn(process.execPath, [path.join(__dirname, suite)], {
+            cwd,
+            env,
+            stdio: ['ignore', 'inherit', 'inherit'],
+            timeout: SUITE_TIMEOUT
+        });
+
+        child.on('error', error => {
+            console.error(`❌ ${suite} could not be started: ${error.message}`);
+            resolve(1);
+        });
+        child.on('exit', (code, signal) => resolve(signal ? 1 : code));
+    });
+}
+
+async function main() {
+    const port = await findFreePort();
+    const simulator = new ControllerSimulator({ port, count: 2 });
+    simulator.on('error', error => console.error('❌ Simulator error:', error.message));
+    await simulator.start();
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'controller-sim-'));
+    const env = { ...process.env, CONTROLLER_PORT: String(port) };
+    const results = [];
+
+    console.log(`🧪 Simulated controllers on UDP ${port}`);
+
+    try {
+        for (const suite of SUITES) {
+            console.log(`\n▶️  ${suite}`);
+            const startedAt = Date.now();
+            const code = await runSuite(suite, env, workDir);
+            results.push({
+                'Suite': suite,
+                'Result': code === 0 ? 'passed' : 'failed',
+                'Time (s)': ((Date.now() - startedAt) / 1000).toFixed(1)
+            });
+        }
+    } finally {
+        await simulator.stop();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    console.log('');
+    console.table(results);
+
+    const failed = results.filter(result => result.Result === 'failed').length;
+    console.log(failed > 0 ? `❌ ${failed} suite(s) failed` : '✅ All suites passed');
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Simulator test run failed:', error.message);
+        process.exitCode = 1;
+    });
+}
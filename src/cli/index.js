@@ -1,7 +1,14 @@
 const { Command } = require('commander');
-const inquirer = require('inquirer');
+// inquirer 9 is an ES module; required from CommonJS its API is on default
+const inquirer = require('inquirer').default;
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
 const ControllerAPI = require('../core/controller-api');
 
+// Collect a repeatable option into an array
+const collect = (value, previous) => previous.concat(value);
+
 /**
  * CLI Interface for Controller Management
  * Provides command-line interface for all controller operations
@@ -9,10 +16,23 @@ const ControllerAPI = require('../core/controller-api');
 class CLI {
     constructor() {
         this.api = new ControllerAPI();
+        this.changeContext = { source: 'cli', actor: CLI.localUser() };
         this.program = new Command();
         this.setupCommands();
     }
 
+    /**
+     * Local user recorded as the actor of changes made from the CLI
+     * os.userInfo() throws for a uid without a passwd entry (e.g. in containers)
+     */
+    static localUser() {
+        try {
+            return os.userInfo().username;
+        } catch (error) {
+            return process.env.USER || process.env.USERNAME || null;
+        }
+    }
+
     setupCommands() {
         this.program
             .name('controller-cli')
@@ -30,6 +50,12 @@ class CLI {
             .option('--no-interfaces', 'Disable network interface detection')
             .option('-v, --verbose', 'Enable verbose logging')
             .option('--target <ip>', 'Target specific IP address(es) (comma-separated)')
+            .option('--type-bytes <list>', 'Packet type bytes to try (comma-separated, default 0x17,0x19 or CONTROLLER_TYPE_BYTES)')
+            .option('--ports <list>', 'Controller UDP ports to try (comma-separated, default CONTROLLER_PORTS or CONTROLLER_PORT)')
+            .option('--scan <ranges>', 'Scan CIDR or address ranges with unicast discovery (e.g. 10.20.0.0/22,10.30.5.10-10.30.5.80)')
+            .option('--concurrency <count>', 'Addresses probed at once during a scan', '32')
+            .option('--rate <packets>', 'Packets per second during a scan', '200')
+            .option('--probe-timeout <ms>', 'Wait per scanned address in milliseconds', '1000')
             .action(async (options) => {
                 await this.handleEnhancedDiscover(options);
             });
@@ -39,10 +65,24 @@ class CLI {
             .command('diagnose')
             .description('Run network diagnostics for troubleshooting discovery issues')
             .option('-v, --verbose', 'Enable verbose output')
+            .option('--fleet', 'Check saved controllers for IP conflicts and misconfiguration instead')
             .action(async (options) => {
                 await this.handleDiagnose(options);
             });
 
+        // Discovery interface settings
+        this.program
+            .command('discovery-config')
+            .description('Show or change the network interfaces, broadcast addresses and source IP used for discovery and commands')
+            .option('--include <patterns>', 'Only use interfaces matching these name patterns (comma-separated, * wildcard)')
+            .option('--exclude <patterns>', 'Never use interfaces matching these name patterns (comma-separated, * wildcard)')
+            .option('--broadcast <addresses>', 'Broadcast addresses used instead of the common fallback addresses (comma-separated)')
+            .option('--source-ip <ip>', 'Local address sockets bind to ("any" to clear)')
+            .option('--reset', 'Clear all saved settings')
+            .action(async (options) => {
+                await this.handleDiscoveryConfig(options);
+            });
+
         // List command
         this.program
             .command('list')
@@ -55,19 +95,173 @@ class CLI {
         // Get command
         this.program
             .command('get <setting>')
-            .description('Get a setting from a controller (time|network|server)')
+            .description('Get a setting from a controller (time|network|server|status|door)')
             .option('-c, --controller <serial>', 'Controller serial number')
+            .option('-d, --door <number>', 'Door number (1-4) for door settings')
+            .option('-a, --all', 'Run on all saved controllers (status only)')
+            .option('--filter <expr>', 'Select controllers: serial=1,2 | subnet=192.168.1.0/24 | tag=lobby (repeatable)', collect, [])
+            .option('--concurrency <count>', 'Controllers handled in parallel with --all/--filter', '5')
+            .option('--max-failures <count>', 'Stop after this many failed controllers with --all/--filter')
             .action(async (setting, options) => {
-                await this.handleGet(setting, options.controller);
+                await this.handleGet(setting, options.controller, options);
             });
 
         // Set command
         this.program
             .command('set <setting>')
-            .description('Set a setting on a controller (time|network|server)')
+            .description('Set a setting on a controller (time|timezone|network|server|door)')
             .option('-c, --controller <serial>', 'Controller serial number')
+            .option('-d, --door <number>', 'Door number (1-4) for door settings')
+            .option('-z, --zone <zone>', 'IANA time zone for timezone (empty for the server zone)')
+            .option('--mode <mode>', 'Door control mode: online, normally_open, normally_closed (or 3, 1, 2)')
+            .option('--delay <seconds>', 'Door open delay in seconds (0-255)')
+            .option('-a, --all', 'Run on all saved controllers (time, server and door only)')
+            .option('--filter <expr>', 'Select controllers: serial=1,2 | subnet=192.168.1.0/24 | tag=lobby (repeatable)', collect, [])
+            .option('--concurrency <count>', 'Controllers handled in parallel with --all/--filter', '5')
+            .option('--max-failures <count>', 'Stop after this many failed controllers with --all/--filter')
             .action(async (setting, options) => {
-                await this.handleSet(setting, options.controller);
+                await this.handleSet(setting, options.controller, options);
+            });
+
+        // Tag command
+        this.program
+            .command('tag <serial> [tags...]')
+            .description('Show or replace the tags of a controller (used by --filter tag=...)')
+            .option('--clear', 'Remove all tags')
+            .action(async (serial, tags, options) => {
+                await this.handleTag(serial, tags, options);
+            });
+
+        // Records command
+        this.program
+            .command('records <action>')
+            .description('Download or show swipe/event records (sync|list)')
+            .option('-c, --controller <serial>', 'Controller serial number')
+            .option('-m, --max <count>', 'Maximum records to download per sync', '1000')
+            .option('-l, --limit <count>', 'Number of stored records to show', '20')
+            .action(async (action, options) => {
+                await this.handleRecords(action, options);
+            });
+
+        // Door command
+        this.program
+            .command('door <action> [serial] [door]')
+            .description('Door operations (open)')
+            .action(async (action, serial, door) => {
+                await this.handleDoor(action, serial, door);
+            });
+
+        // Cards command group
+        const cards = this.program
+            .command('cards')
+            .description('Manage card privileges (list|add|upload|delete|clear|count|get|index)');
+
+        cards
+            .command('list')
+            .description('List card privileges stored on a controller')
+            .option('-c, --controller <serial>', 'Controller serial number')
+            .option('-l, --limit <count>', 'Maximum number of cards to list', '1000')
+            .action(async (options) => {
+                await this.handleCards('list', null, options);
+            });
+
+        cards
+            .command('add')
+            .description('Add or modify a card privilege')
+            .option('-c, --controller <serial>', 'Controller serial number')
+            .option('--card <number>', 'Card number')
+            .option('--start <date>', 'Start date (YYYY-MM-DD)')
+            .option('--end <date>', 'End date (YYYY-MM-DD)')
+            .option('--doors <doors>', 'Enabled doors (comma-separated, e.g. 1,2)')
+            .option('--pin <pin>', 'Keypad password (up to 6 digits)')
+            .action(async (options) => {
+                await this.handleCards('add', null, options);
+            });
+
+        cards
+            .command('upload <file>')
+            .description('Bulk upload card privileges from a CSV or JSON file (0x56)')
+            .option('-c, --controller <serial>', 'Controller serial number')
+            .option('--no-resume', 'Start from the first card instead of resuming an interrupted upload')
+            .action(async (file, options) => {
+                await this.handleCards('upload', file, options);
+            });
+
+        cards
+            .command('delete <card>')
+            .description('Delete a card privilege')
+            .option('-c, --controller <serial>', 'Controller serial number')
+            .action(async (card, options) => {
+                await this.handleCards('delete', card, options);
+            });
+
+        cards
+            .command('clear')
+            .description('Clear all card privileges')
+            .option('-c, --controller <serial>', 'Controller serial number')
+            .option('-f, --force', 'Force clear without confirmation')
+            .action(async (options) => {
+                await this.handleCards('clear', null, options);
+            });
+
+        cards
+            .command('count')
+            .description('Read the total number of card privileges')
+            .option('-c, --controller <serial>', 'Controller serial number')
+            .action(async (options) => {
+                await this.handleCards('count', null, options);
+            });
+
+        cards
+            .command('get <card>')
+            .description('Query the privilege of a card')
+            .option('-c, --controller <serial>', 'Controller serial number')
+            .action(async (card, options) => {
+                await this.handleCards('get', card, options);
+            });
+
+        cards
+            .command('index <index>')
+            .description('Read the card privilege at an index (starting at 1)')
+            .option('-c, --controller <serial>', 'Controller serial number')
+            .action(async (index, options) => {
+                await this.handleCards('index', index, options);
+            });
+
+        // Time command group
+        const time = this.program
+            .command('time')
+            .description('Controller clock synchronization (sync|drift)');
+
+        time
+            .command('sync')
+            .description('Measure clock drift and correct clocks beyond the threshold')
+            .option('-c, --controller <serial>', 'Controller serial number')
+            .option('-a, --all', 'Sync all saved controllers')
+            .option('-t, --threshold <seconds>', 'Drift that is corrected', '2')
+            .option('--dry-run', 'Only measure the drift')
+            .option('-f, --force', 'Set the time even when the drift is below the threshold')
+            .action(async (options) => {
+                await this.handleTime('sync', options);
+            });
+
+        time
+            .command('drift')
+            .description('Show the drift history and drift rate of a controller')
+            .option('-c, --controller <serial>', 'Controller serial number')
+            .option('-l, --limit <count>', 'Number of measurements to show', '10')
+            .action(async (options) => {
+                await this.handleTime('drift', options);
+            });
+
+        // History command
+        this.program
+            .command('history <serial>')
+            .description('Show the attribute changes of a controller (discovery and set operations)')
+            .option('-f, --field <field>', 'Only changes of one attribute (ip, gateway, driverVersion, receivingServer, ...)')
+            .option('-l, --limit <count>', 'Number of entries to show', '20')
+            .action(async (serial, options) => {
+                await this.handleHistory(serial, options);
             });
 
         // Remove command
@@ -101,7 +295,7 @@ class CLI {
         try {
             console.log(`🔍 Discovering controllers (timeout: ${timeout/1000}s)...`);
 
-            const controllers = await this.api.discoverControllers(timeout);
+            const controllers = await this.api.discoverControllers(timeout, { context: this.changeContext });
 
             if (controllers.length === 0) {
                 console.log('❌ No controllers found on the network.');
@@ -129,23 +323,34 @@ class CLI {
             const timeout = parseInt(options.timeout) * 1000;
             const maxRetries = parseInt(options.retries);
             const retryDelay = parseInt(options.delay);
+            let diff = null;
+            const runOptions = {
+                typeBytes: options.typeBytes,
+                ports: options.ports,
+                context: this.changeContext,
+                onDiff: result => { diff = result; }
+            };
+
+            if (options.scan) {
+                await this.handleScan(options, runOptions);
+                return this.displayDiscoveryDiff(diff);
+            }
 
             if (options.target) {
                 // Targeted discovery
                 const targetIPs = options.target.split(',').map(ip => ip.trim());
                 console.log(`🎯 Discovering controllers at specific IPs: ${targetIPs.join(', ')}`);
 
-                const controllers = await this.api.discoverControllersByIP(targetIPs, timeout);
+                const controllers = await this.api.discoverControllersByIP(targetIPs, timeout, runOptions);
 
                 if (controllers.length === 0) {
                     console.log('❌ No controllers found at target IPs');
                     console.log('💡 Try running "diagnose" command for troubleshooting');
-                    return;
+                } else {
+                    console.log(`✅ Found ${controllers.length} controller(s) at target IPs:`);
+                    this.displayControllers(controllers, true);
                 }
 
-                console.log(`✅ Found ${controllers.length} controller(s) at target IPs:`);
-                this.displayControllers(controllers, true);
-
             } else {
                 // Enhanced discovery
                 console.log('🔍 Discovering controllers with enhanced cross-platform support...');
@@ -157,7 +362,8 @@ class CLI {
                     maxRetries,
                     retryDelay,
                     exponentialBackoff: true,
-                    logLevel: options.verbose ? 'verbose' : 'info'
+                    logLevel: options.verbose ? 'verbose' : 'info',
+                    ...runOptions
                 };
 
                 if (options.verbose) {
@@ -172,19 +378,76 @@ class CLI {
                 if (controllers.length === 0) {
                     console.log('❌ No controllers found');
                     console.log('💡 Try running "diagnose" command for troubleshooting');
-                    return;
+                } else {
+                    console.log(`✅ Found ${controllers.length} controller(s):`);
+                    this.displayControllers(controllers, options.verbose);
                 }
-
-                console.log(`✅ Found ${controllers.length} controller(s):`);
-                this.displayControllers(controllers, options.verbose);
             }
+
+            this.displayDiscoveryDiff(diff);
         } catch (error) {
             console.error('❌ Enhanced discovery failed:', error.message);
             process.exit(1);
         }
     }
 
+    async handleScan(options, runOptions) {
+        console.log(`📡 Scanning ${options.scan} for controllers...`);
+
+        const result = await this.api.scanNetwork(options.scan, {
+            ...runOptions,
+            concurrency: options.concurrency,
+            rate: options.rate,
+            timeout: options.probeTimeout,
+            onController: (controller) => {
+                process.stdout.write('\r\x1b[K');
+                console.log(`✅ ${controller.serialNumber} at ${controller.ip} (responds from ${controller.remoteAddress}, ` +
+                    `firmware ${controller.driverVersion}, ${this.api.packetHandler.formatProtocol(controller)})`);
+            },
+            onProgress: ({ scanned, total, percent, found }) => {
+                process.stdout.write(`\r   ${percent}% (${scanned}/${total} addresses, ${found} found)`);
+            }
+        });
+
+        process.stdout.write('\n');
+        if (result.controllers.length === 0) {
+            console.log(`❌ No controllers found in ${result.scanned} address(es)`);
+            console.log('💡 Check routing to the ranges and that UDP to the controller port is not filtered');
+            return;
+        }
+
+        console.log(`✅ Found ${result.controllers.length} controller(s) in ${result.scanned} address(es) ` +
+            `(${(result.duration / 1000).toFixed(1)}s):`);
+        this.displayControllers(result.controllers, options.verbose);
+    }
+
+    /**
+     * Print what a discovery run changed in the saved inventory
+     */
+    displayDiscoveryDiff(diff) {
+        if (!diff) return;
+
+        if (diff.new.length === 0 && diff.missing.length === 0 && diff.changed.length === 0) {
+            console.log(`\n🔁 Inventory unchanged (${diff.unchanged} known controller(s) found)`);
+            return;
+        }
+
+        console.log(`\n🔁 Changes since the last discovery: ${diff.new.length} new, ${diff.missing.length} missing, ` +
+            `${diff.changed.length} changed, ${diff.unchanged} unchanged`);
+        diff.new.forEach(c => console.log(`  🆕 ${c.serialNumber} at ${c.ip} (firmware ${c.driverVersion})`));
+        diff.missing.forEach(c => console.log(`  ❓ ${c.serialNumber} at ${c.ip} not found` +
+            (c.lastSeen ? ` (last seen ${new Date(c.lastSeen).toLocaleString()})` : '')));
+        diff.changed.forEach(c => {
+            const changes = c.changes.map(({ field, from, to }) => `${field} ${from} → ${to}`).join(', ');
+            console.log(`  ✏️  ${c.serialNumber}: ${changes}`);
+        });
+    }
+
     async handleDiagnose(options) {
+        if (options.fleet) {
+            return await this.handleFleetLint(options);
+        }
+
         try {
             console.log('🔍 Running network diagnostics...');
 
@@ -198,7 +461,7 @@ class CLI {
 
             console.log(`\n🌐 Network Interfaces (${diagnostics.networkInterfaces.length}):`);
             diagnostics.networkInterfaces.forEach((iface, index) => {
-                console.log(`  ${index + 1}. ${iface.name} (${iface.type})`);
+                console.log(`  ${index + 1}. ${iface.name} (${iface.type})${iface.selected ? '' : ' - excluded from discovery'}`);
                 console.log(`     Address: ${iface.address}/${iface.netmask}`);
                 console.log(`     Network: ${iface.network}`);
                 console.log(`     Broadcast: ${iface.broadcast}`);
@@ -235,11 +498,54 @@ class CLI {
         }
     }
 
+    async handleFleetLint(options) {
+        try {
+            console.log('🔍 Checking saved controllers for IP conflicts and misconfiguration...');
+
+            const report = await this.api.lintFleet();
+            if (report.controllers === 0) {
+                console.log('📝 No controllers saved. Run "discover" first.');
+                return;
+            }
+
+            if (options.verbose) {
+                console.log(`\n🌐 Local interfaces: ${report.interfaces.map(i => `${i.name} ${i.address}/${i.netmask}`).join(', ') || 'none'}`);
+            }
+
+            Object.entries(this.api.fleetLint.checks).forEach(([check, description]) => {
+                const issues = report.issues.filter(issue => issue.check === check);
+                if (issues.length === 0) return;
+
+                console.log(`\n${check} - ${description} (${issues.length}):`);
+                issues.forEach(issue => {
+                    console.log(`  ${issue.severity === 'error' ? '❌' : '⚠️ '} ${issue.message}`);
+                    console.log(`     Action: ${issue.action}`);
+                });
+            });
+
+            console.log('');
+            if (report.clean) {
+                console.log(`✅ No problems found in ${report.controllers} controller(s)`);
+                return;
+            }
+
+            console.log(`${report.summary.errors > 0 ? '❌' : '⚠️ '} ${report.controllers} controller(s) checked: ` +
+                `${report.summary.errors} error(s), ${report.summary.warnings} warning(s)`);
+            if (report.summary.errors > 0) {
+                process.exit(1);
+            }
+        } catch (error) {
+            console.error('❌ Fleet check failed:', error.message);
+            process.exit(1);
+        }
+    }
+
     displayControllers(controllers, verbose = false) {
         console.table(controllers.map(c => ({
             'Serial Number': c.serialNumber,
             'Configured IP': c.ip,
             'Response from': c.remoteAddress,
+            'Protocol': this.api.packetHandler.formatProtocol(c),
             'MAC Address': c.macAddress,
             'Driver Version': c.driverVersion,
             'Release Date': c.driverReleaseDate
@@ -256,6 +562,49 @@ class CLI {
         }
     }
 
+    async handleDiscoveryConfig(options) {
+        try {
+            const changes = {};
+            if (options.include !== undefined) changes.include = options.include;
+            if (options.exclude !== undefined) changes.exclude = options.exclude;
+            if (options.broadcast !== undefined) changes.broadcastAddresses = options.broadcast;
+            if (options.sourceIp !== undefined) changes.sourceIp = options.sourceIp === 'any' ? null : options.sourceIp;
+
+            let config;
+            if (options.reset || Object.keys(changes).length > 0) {
+                config = await this.api.setInterfaceConfig(changes, { replace: !!options.reset });
+                console.log('✅ Discovery settings saved to config/discovery.json');
+            } else {
+                config = await this.api.getInterfaceConfig();
+            }
+
+            const { effective, environment } = config;
+            const describe = list => list.length > 0 ? list.join(', ') : '(all)';
+            console.log('\n⚙️  Discovery Settings:');
+            console.log(`   Include interfaces: ${describe(effective.include)}`);
+            console.log(`   Exclude interfaces: ${effective.exclude.length > 0 ? effective.exclude.join(', ') : '(none)'}`);
+            console.log(`   Broadcast addresses: ${effective.broadcastAddresses.length > 0 ? effective.broadcastAddresses.join(', ') : '(interface and common fallback addresses)'}`);
+            console.log(`   Source IP: ${effective.sourceIp || '(any)'}`);
+
+            if (Object.keys(environment).length > 0) {
+                console.log(`ℹ️  Set by environment variables (these override saved settings): ${Object.keys(environment).join(', ')}`);
+            }
+
+            console.log(`\n🌐 Network Interfaces (${config.interfaces.length}):`);
+            console.table(config.interfaces.map(iface => ({
+                'Interface': iface.name,
+                'Address': iface.address,
+                'Broadcast': iface.broadcast,
+                'Type': iface.type,
+                'Discovery': iface.selected ? '✅' : '❌'
+            })));
+
+        } catch (error) {
+            console.error('❌ Discovery settings failed:', error.message);
+            process.exit(1);
+        }
+    }
+
     async handleList(format) {
         try {
             const controllers = await this.api.getSavedControllers();
@@ -278,13 +627,21 @@ class CLI {
                 case 'table':
                 default:
                     console.log(`📋 Saved Controllers (${controllers.length}):`);
-                    console.table(controllers.map(c => ({
+                    const capabilities = controllers.map(c => this.api.getControllerCapabilities(c));
+                    console.table(controllers.map((c, i) => ({
                         'Serial Number': c.serialNumber,
                         'IP Address': c.ip,
                         'MAC Address': c.macAddress,
-                        'Driver Version': c.driverVersion,
+                        'Protocol': this.api.packetHandler.formatProtocol(c),
+                        'Firmware': c.driverVersion || 'unknown',
+                        'Compatible': !capabilities[i].known ? '❔' : (capabilities[i].compatible ? '✅' : '⚠️'),
+                        'Tags': (c.tags || []).join(', '),
                         'Last Seen': new Date(c.lastSeen).toLocaleString()
                     })));
+
+                    capabilities.filter(report => report.known && !report.compatible).forEach(report => {
+                        report.warnings.forEach(warning => console.log(`⚠️  ${report.serialNumber}: ${warning}`));
+                    });
                     break;
             }
 
@@ -294,8 +651,12 @@ class CLI {
         }
     }
 
-    async handleGet(setting, controllerSerial) {
+    async handleGet(setting, controllerSerial, options = {}) {
         try {
+            if (this.isFleetRequest(options)) {
+                return await this.handleFleet('get', setting, options);
+            }
+
             const controller = await this.selectController(controllerSerial);
             if (!controller) return;
 
@@ -304,7 +665,8 @@ class CLI {
             switch (setting.toLowerCase()) {
                 case 'time':
                     const timeResult = await this.api.getControllerTime(controller);
-                    console.log('✅ Controller Time:', timeResult.time.toLocaleString());
+                    console.log(`✅ Controller Time: ${timeResult.localTime} (${timeResult.timeZone})`);
+                    console.log(`   UTC: ${timeResult.time.toISOString()}`);
                     break;
 
                 case 'server':
@@ -316,6 +678,19 @@ class CLI {
                     console.log(`   Upload Enabled: ${serverResult.uploadEnabled}`);
                     break;
 
+                case 'status':
+                    const status = await this.api.getControllerStatus(controller);
+                    this.displayStatus(status);
+                    break;
+
+                case 'door':
+                    const door = await this.selectDoor(options.door);
+                    const doorParams = await this.api.getDoorParams(controller, door);
+                    console.log(`✅ Door ${doorParams.doorNumber} Parameters:`);
+                    console.log(`   Control Mode: ${doorParams.controlModeName} (${doorParams.controlMode})`);
+                    console.log(`   Open Delay: ${doorParams.openDelay}s`);
+                    break;
+
                 case 'network':
                     console.log('✅ Network Configuration:');
                     console.log(`   IP Address: ${controller.ip}`);
@@ -324,7 +699,7 @@ class CLI {
                     break;
 
                 default:
-                    console.error('❌ Invalid setting. Use: time, network, or server');
+                    console.error('❌ Invalid setting. Use: time, network, server, status, or door');
                     process.exit(1);
             }
 
@@ -334,11 +709,377 @@ class CLI {
         }
     }
 
-    async handleSet(setting, controllerSerial) {
+    displayStatus(status) {
+        console.log('✅ Controller Status:');
+        console.log(`   Controller Time: ${status.controllerTime ? status.controllerTime.toLocaleString() : 'unknown'}`);
+        console.log(`   Error: ${status.hasError ? `error ${status.errorNumber}` : 'none'}`);
+        console.log(`   Forced Lock: ${status.forcedLock} | Fire Alarm: ${status.fireAlarm}`);
+
+        console.table(status.doors.map(door => ({
+            'Door': door.number,
+            'Sensor': door.sensorOpen ? 'open' : 'closed',
+            'Button': door.buttonPressed ? 'pressed' : 'released',
+            'Relay': door.relayUnlocked ? 'unlocked' : 'locked'
+        })));
+
+        if (!status.lastRecord) {
+            console.log('   Last Record: none');
+            return;
+        }
+
+        const record = status.lastRecord;
+        console.log('   Last Record:');
+        console.log(`     Index: ${record.index}`);
+        console.log(`     Type: ${record.typeName} (${record.valid ? 'passed' : 'not passed'})`);
+        console.log(`     Door: ${record.doorNumber} (${record.direction})`);
+        console.log(`     Card Number: ${record.cardNumber}`);
+        console.log(`     Time: ${record.swipeTime ? record.swipeTime.toLocaleString() : 'unknown'}`);
+        console.log(`     Reason Code: ${record.reasonCode}`);
+    }
+
+    async handleRecords(action, options) {
+        try {
+            const controller = await this.selectController(options.controller);
+            if (!controller) return;
+
+            switch (action.toLowerCase()) {
+                case 'sync':
+                    console.log(`📥 Syncing records from controller ${controller.serialNumber}...`);
+                    const syncResult = await this.api.syncRecords(controller, {
+                        maxRecords: parseInt(options.max),
+                        onProgress: ({ fetched, lastIndex }) => {
+                            process.stdout.write(`\r   Fetched ${fetched} record(s), last index ${lastIndex}`);
+                        }
+                    });
+                    if (syncResult.fetched > 0) {
+                        process.stdout.write('\n');
+                    }
+                    console.log(`✅ Synced ${syncResult.fetched} record(s) (${syncResult.stored} new)`);
+                    console.log(`   Read index: ${syncResult.previousIndex} → ${syncResult.lastIndex}`);
+                    if (!syncResult.complete) {
+                        console.log('ℹ️  More records are available. Run "records sync" again to continue.');
+                    }
+                    break;
+
+                case 'list':
+                    const stored = await this.api.getStoredRecords(controller.serialNumber, {
+                        limit: parseInt(options.limit)
+                    });
+                    if (stored.records.length === 0) {
+                        console.log('📝 No records stored. Run "records sync" first.');
+                        return;
+                    }
+                    console.log(`📋 Stored Records (${stored.records.length} of ${stored.totalCount}):`);
+                    console.table(stored.records.map(r => ({
+                        'Index': r.index,
+                        'Type': r.typeName,
+                        'Valid': r.valid,
+                        'Door': r.doorNumber,
+                        'Direction': r.direction,
+                        'Card Number': r.cardNumber,
+                        'Time': r.swipeTime ? new Date(r.swipeTime).toLocaleString() : '',
+                        'Reason': r.reasonCode
+                    })));
+                    break;
+
+                default:
+                    console.error('❌ Invalid action. Use: sync or list');
+                    process.exit(1);
+            }
+
+        } catch (error) {
+            console.error(`❌ Failed to ${action} records:`, error.message);
+            process.exit(1);
+        }
+    }
+
+    async handleTime(action, options) {
+        try {
+            switch (action) {
+                case 'sync':
+                    const threshold = parseFloat(options.threshold);
+                    if (isNaN(threshold) || threshold < 0) {
+                        console.error('❌ Invalid threshold. Use a number of seconds');
+                        process.exit(1);
+                    }
+
+                    const syncOptions = { threshold: threshold * 1000, dryRun: !!options.dryRun, force: !!options.force };
+                    if (!options.all) {
+                        const controller = await this.selectController(options.controller);
+                        if (!controller) return;
+                        syncOptions.controllers = [controller];
+                    }
+
+                    console.log(`⏰ ${options.dryRun ? 'Measuring' : 'Syncing'} controller clocks ` +
+                        `(threshold ${threshold}s)...`);
+                    const report = await this.api.syncFleetTime(syncOptions);
+                    if (report.results.length === 0) {
+                        console.log('📝 No controllers saved. Run "discover" first.');
+                        return;
+                    }
+
+                    console.table(report.results.map(r => ({
+                        'Serial Number': r.serialNumber,
+                        'Drift (s)': r.success ? (r.drift / 1000).toFixed(1) : '',
+                        'RTT (ms)': r.success ? r.roundTrip : '',
+                        'Corrected': r.success ? r.corrected : '',
+                        'After (s)': r.corrected ? (r.driftAfter / 1000).toFixed(1) : '',
+                        'Note': r.success ? (r.reason || '') : r.error
+                    })));
+                    console.log(`${report.failed > 0 ? '⚠️ ' : '✅'} Checked ${report.checked}, ` +
+                        `corrected ${report.corrected}, failed ${report.failed}`);
+                    if (report.failed > 0) {
+                        process.exit(1);
+                    }
+                    break;
+
+                case 'drift':
+                    const driftController = await this.selectController(options.controller);
+                    if (!driftController) return;
+
+                    const drift = await this.api.getTimeDrift(driftController.serialNumber, {
+                        limit: parseInt(options.limit)
+                    });
+                    if (drift.measurements === 0) {
+                        console.log('📝 No drift measurements. Run "time sync" first.');
+                        return;
+                    }
+
+                    console.log(`⏰ Clock drift of controller ${driftController.serialNumber}:`);
+                    const corrected = drift.latest.corrected ? ` (corrected to ${(drift.latest.driftAfter / 1000).toFixed(1)}s)` : '';
+                    console.log(`   Latest: ${(drift.latest.drift / 1000).toFixed(1)}s${corrected} at ` +
+                        new Date(drift.latest.at).toLocaleString());
+                    console.log(`   Drift rate: ${drift.driftRate !== null ? drift.driftRate + ' s/day' : 'not enough data'}`);
+                    console.log(`   Measurements: ${drift.measurements} (${drift.corrections} corrections)`);
+                    drift.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+                    console.table(drift.history.map(h => ({
+                        'Time': new Date(h.at).toLocaleString(),
+                        'Drift (s)': (h.drift / 1000).toFixed(1),
+                        'RTT (ms)': h.roundTrip,
+                        'Corrected': h.corrected
+                    })));
+                    break;
+
+                default:
+                    console.error('❌ Invalid action. Use: sync or drift');
+                    process.exit(1);
+            }
+
+        } catch (error) {
+            console.error(`❌ Failed to ${action} time:`, error.message);
+            process.exit(1);
+        }
+    }
+
+    async handleDoor(action, controllerSerial, doorNumber) {
         try {
             const controller = await this.selectController(controllerSerial);
             if (!controller) return;
 
+            switch (action.toLowerCase()) {
+                case 'open':
+                    doorNumber = await this.selectDoor(doorNumber);
+
+                    console.log(`🚪 Opening door ${doorNumber} on controller ${controller.serialNumber}...`);
+                    await this.api.openDoor(controller, doorNumber);
+                    console.log('✅ Door opened successfully!');
+                    break;
+
+                default:
+                    console.error('❌ Invalid action. Use: open');
+                    process.exit(1);
+            }
+
+        } catch (error) {
+            console.error(`❌ Failed to ${action} door:`, error.message);
+            process.exit(1);
+        }
+    }
+
+    async handleCards(action, arg, options) {
+        try {
+            const controller = await this.selectController(options.controller);
+            if (!controller) return;
+
+            switch (action) {
+                case 'list':
+                    console.log(`📡 Reading card privileges from controller ${controller.serialNumber}...`);
+                    const listResult = await this.api.listPrivileges(controller, { limit: parseInt(options.limit) });
+                    if (listResult.privileges.length === 0) {
+                        console.log('📝 No card privileges stored on this controller.');
+                        return;
+                    }
+                    console.log(`📋 Card Privileges (${listResult.count}):`);
+                    this.displayPrivileges(listResult.privileges);
+                    break;
+
+                case 'add':
+                    const privilege = await this.promptPrivilege(options);
+                    console.log(`💳 Saving privilege for card ${privilege.cardNumber}...`);
+                    await this.api.addPrivilege(controller, privilege);
+                    console.log('✅ Card privilege saved successfully!');
+                    break;
+
+                case 'upload':
+                    await this.uploadCards(controller, arg, options.resume);
+                    break;
+
+                case 'delete':
+                    console.log(`🗑️  Deleting privilege for card ${arg}...`);
+                    await this.api.deletePrivilege(controller, parseInt(arg));
+                    console.log('✅ Card privilege deleted.');
+                    break;
+
+                case 'clear':
+                    if (!options.force) {
+                        const confirm = await inquirer.prompt([
+                            {
+                                type: 'confirm',
+                                name: 'proceed',
+                                message: `Clear ALL card privileges on controller ${controller.serialNumber}?`,
+                                default: false
+                            }
+                        ]);
+
+                        if (!confirm.proceed) {
+                            console.log('❌ Operation cancelled.');
+                            return;
+                        }
+                    }
+                    await this.api.clearPrivileges(controller);
+                    console.log('✅ All card privileges cleared.');
+                    break;
+
+                case 'count':
+                    const countResult = await this.api.getPrivilegeCount(controller);
+                    console.log(`✅ Card privileges: ${countResult.count}`);
+                    break;
+
+                case 'get':
+                    const queryResult = await this.api.queryPrivilege(controller, parseInt(arg));
+                    if (!queryResult.found) {
+                        console.log(`❌ Card ${arg} has no privilege on this controller.`);
+                        return;
+                    }
+                    this.displayPrivileges([queryResult.privilege]);
+                    break;
+
+                case 'index':
+                    const indexResult = await this.api.getPrivilegeByIndex(controller, parseInt(arg));
+                    if (indexResult.state === 'end') {
+                        console.log(`📝 No privilege at index ${arg} (end of list).`);
+                        return;
+                    }
+                    if (indexResult.state === 'deleted') {
+                        console.log(`📝 Privilege at index ${arg} has been deleted.`);
+                        return;
+                    }
+                    this.displayPrivileges([{ index: indexResult.index, ...indexResult.privilege }]);
+                    break;
+            }
+
+        } catch (error) {
+            console.error(`❌ Failed to ${action} card(s):`, error.message);
+            process.exit(1);
+        }
+    }
+
+    async uploadCards(controller, file, resume) {
+        const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+        const content = await fs.readFile(file, 'utf8');
+        const cards = this.api.prepareBulkCards(content, format);
+
+        console.log(`📤 Uploading ${cards.length} card(s) to controller ${controller.serialNumber}...`);
+
+        const result = await this.api.uploadPrivileges(controller, cards, {
+            resume,
+            onProgress: ({ uploaded, total, percent }) => {
+                const width = 30;
+                const filled = Math.round((percent / 100) * width);
+                const bar = '█'.repeat(filled) + '░'.repeat(width - filled);
+                process.stdout.write(`\r   [${bar}] ${percent}% (${uploaded}/${total})`);
+            }
+        });
+
+        process.stdout.write('\n');
+        if (result.resumedFrom) {
+            console.log(`ℹ️  Resumed interrupted upload from card ${result.resumedFrom}`);
+        }
+        console.log(`✅ Uploaded ${result.total} card privilege(s) successfully!`);
+    }
+
+    async promptPrivilege(options) {
+        // Nothing is asked when card, dates and doors are all given, so scripts can add cards;
+        // the keypad password then defaults to none
+        const complete = options.card && options.start && options.end && options.doors;
+        const answers = complete ? {} : await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'cardNumber',
+                message: 'Enter card number:',
+                when: () => !options.card,
+                validate: (input) => /^\d+$/.test(input) || 'Card number must be numeric'
+            },
+            {
+                type: 'input',
+                name: 'startDate',
+                message: 'Enter start date (YYYY-MM-DD):',
+                default: new Date().toISOString().slice(0, 10),
+                when: () => !options.start
+            },
+            {
+                type: 'input',
+                name: 'endDate',
+                message: 'Enter end date (YYYY-MM-DD):',
+                default: '2099-12-31',
+                when: () => !options.end
+            },
+            {
+                type: 'checkbox',
+                name: 'doors',
+                message: 'Select enabled doors:',
+                choices: ['1', '2', '3', '4'],
+                default: ['1', '2', '3', '4'],
+                when: () => !options.doors
+            },
+            {
+                type: 'input',
+                name: 'pin',
+                message: 'Enter keypad password (0 for none):',
+                default: '0',
+                when: () => options.pin === undefined
+            }
+        ]);
+
+        return this.api.normalizePrivilege({
+            cardNumber: options.card || answers.cardNumber,
+            startDate: options.start || answers.startDate,
+            endDate: options.end || answers.endDate,
+            doors: options.doors ? options.doors.split(',').map(d => d.trim()) : answers.doors,
+            pin: options.pin !== undefined ? options.pin : answers.pin
+        });
+    }
+
+    displayPrivileges(privileges) {
+        console.table(privileges.map(p => ({
+            ...(p.index !== undefined ? { 'Index': p.index } : {}),
+            'Card Number': p.cardNumber,
+            'Start Date': p.startDate,
+            'End Date': p.endDate,
+            'Doors': p.doors.join(','),
+            'PIN': p.pin ? '******' : ''
+        })));
+    }
+
+    async handleSet(setting, controllerSerial, options = {}) {
+        try {
+            if (this.isFleetRequest(options)) {
+                return await this.handleFleet('set', setting, options);
+            }
+
+            const controller = await this.selectController(controllerSerial);
+            if (!controller) return;
+
             switch (setting.toLowerCase()) {
                 case 'time':
                     await this.setTime(controller);
@@ -352,8 +1093,16 @@ class CLI {
                     await this.setServer(controller);
                     break;
 
+                case 'door':
+                    await this.setDoor(controller, options.door, options);
+                    break;
+
+                case 'timezone':
+                    await this.setTimeZone(controller, options.zone);
+                    break;
+
                 default:
-                    console.error('❌ Invalid setting. Use: time, network, or server');
+                    console.error('❌ Invalid setting. Use: time, timezone, network, server, or door');
                     process.exit(1);
             }
 
@@ -376,29 +1125,55 @@ class CLI {
             }
         ]);
 
+        const packetHandler = this.api.packetHandler;
+        const timeZone = controller.timeZone || packetHandler.getHostTimeZone();
+        const pattern = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})$/;
+
         let newTime;
         if (answers.timeOption === 'current') {
             newTime = new Date();
         } else {
+            // Custom times are the controller's local time
             const timeAnswers = await inquirer.prompt([
                 {
                     type: 'input',
                     name: 'datetime',
-                    message: 'Enter date and time (YYYY-MM-DD HH:MM:SS):',
-                    validate: (input) => {
-                        const date = new Date(input);
-                        return !isNaN(date.getTime()) || 'Please enter a valid date and time';
-                    }
+                    message: `Enter date and time in ${timeZone} (YYYY-MM-DD HH:MM:SS):`,
+                    validate: (input) => pattern.test(input.trim()) || 'Please enter a valid date and time'
                 }
             ]);
-            newTime = new Date(timeAnswers.datetime);
+            const [year, month, day, hour, minute, second] = timeAnswers.datetime.trim().match(pattern)
+                .slice(1).map(part => parseInt(part, 10));
+            newTime = packetHandler.partsToDate({ year, month, day, hour, minute, second }, timeZone);
         }
 
-        console.log(`⏰ Setting controller time to: ${newTime.toLocaleString()}`);
-        const result = await this.api.setControllerTime(controller, newTime);
+        console.log(`⏰ Setting controller time to: ${packetHandler.formatDateTime(newTime, timeZone)} (${timeZone})`);
+        await this.api.setControllerTime(controller, newTime);
         console.log('✅ Time set successfully!');
     }
 
+    async setTimeZone(controller, zone) {
+        let timeZone = zone;
+        if (timeZone === undefined) {
+            const answers = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'timeZone',
+                    message: 'IANA time zone of the controller (e.g. Europe/Berlin, empty for the server zone):',
+                    default: controller.timeZone || '',
+                    validate: (input) => !input.trim() || this.api.packetHandler.isValidTimeZone(input.trim()) ||
+                        'Please enter a valid IANA time zone'
+                }
+            ]);
+            timeZone = answers.timeZone.trim();
+        }
+
+        const updated = await this.api.setControllerTimeZone(controller.serialNumber, timeZone, this.changeContext);
+        const shown = updated.timeZone || `${this.api.packetHandler.getHostTimeZone()} (server zone)`;
+        console.log(`✅ Time zone of controller ${controller.serialNumber} set to ${shown}`);
+        console.log('💡 Run "set time" or "time sync" to set the clock in the new zone');
+    }
+
     async setNetwork(controller) {
         const answers = await inquirer.prompt([
             {
@@ -437,7 +1212,7 @@ class CLI {
         ]);
 
         if (confirm.proceed) {
-            const result = await this.api.setControllerNetworkConfig(controller, answers);
+            const result = await this.api.setControllerNetworkConfig(controller, answers, this.changeContext);
             console.log('✅ Network configuration sent. Controller is restarting...');
         } else {
             console.log('❌ Operation cancelled.');
@@ -445,7 +1220,15 @@ class CLI {
     }
 
     async setServer(controller) {
-        const answers = await inquirer.prompt([
+        const answers = await this.promptServerConfig();
+
+        console.log('📡 Setting receiving server configuration...');
+        const result = await this.api.setReceivingServer(controller, answers, this.changeContext);
+        console.log('✅ Server configuration set successfully!');
+    }
+
+    async promptServerConfig() {
+        return await inquirer.prompt([
             {
                 type: 'input',
                 name: 'serverIp',
@@ -471,10 +1254,71 @@ class CLI {
                 }
             }
         ]);
+    }
 
-        console.log('📡 Setting receiving server configuration...');
-        const result = await this.api.setReceivingServer(controller, answers);
-        console.log('✅ Server configuration set successfully!');
+    async setDoor(controller, doorNumber, options = {}) {
+        const door = await this.selectDoor(doorNumber);
+        // The current settings are only needed as defaults for the questions
+        const complete = options.mode !== undefined && options.delay !== undefined;
+        const current = complete ? {} : await this.api.getDoorParams(controller, door);
+        const answers = await this.promptDoorParams(door, current, options);
+
+        console.log('🚪 Setting door control parameters...');
+        const result = await this.api.setDoorParams(controller, door, answers, this.changeContext);
+        console.log(`✅ Door ${result.doorNumber} set to ${result.controlModeName} with ${result.openDelay}s open delay`);
+    }
+
+    /**
+     * Control mode and open delay from --mode and --delay; only missing values are asked
+     */
+    async promptDoorParams(door, current = {}, options = {}) {
+        const given = {};
+        if (options.mode !== undefined) {
+            given.controlMode = this.api.resolveDoorControlMode(options.mode);
+        }
+        if (options.delay !== undefined) {
+            given.openDelay = this.api.validateOpenDelay(options.delay);
+        }
+
+        return await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'controlMode',
+                message: `Control mode for door ${door}:`,
+                default: current.controlMode,
+                choices: [
+                    { name: 'Online (controlled by card swipe)', value: 3 },
+                    { name: 'Normally open', value: 1 },
+                    { name: 'Normally closed', value: 2 }
+                ]
+            },
+            {
+                type: 'number',
+                name: 'openDelay',
+                message: 'Enter door open delay in seconds:',
+                default: current.openDelay,
+                validate: (input) => {
+                    return (input >= 0 && input <= 255) || 'Delay must be between 0 and 255';
+                }
+            }
+        ], given);
+    }
+
+    async selectDoor(doorNumber) {
+        if (doorNumber) {
+            return this.api.validateDoorNumber(doorNumber);
+        }
+
+        const answer = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'door',
+                message: 'Select a door:',
+                choices: ['1', '2', '3', '4']
+            }
+        ]);
+
+        return parseInt(answer.door);
     }
 
     validateIP(input) {
@@ -517,6 +1361,182 @@ class CLI {
         return answer.controller;
     }
 
+    isFleetRequest(options) {
+        return !!options.all || (options.filter || []).length > 0;
+    }
+
+    /**
+     * Build a fleet selector from --all and --filter key=value expressions
+     */
+    parseFleetSelector(options) {
+        const selector = { all: !!options.all };
+
+        for (const expression of options.filter || []) {
+            const [key, ...rest] = expression.split('=');
+            const values = rest.join('=').split(',').map(v => v.trim()).filter(Boolean);
+            if (values.length === 0) {
+                throw new Error(`Invalid filter: ${expression}. Use serial=1,2, subnet=192.168.1.0/24 or tag=lobby`);
+            }
+
+            switch (key.trim().toLowerCase()) {
+                case 'serial':
+                case 'serials':
+                    selector.serials = [...(selector.serials || []), ...values];
+                    break;
+                case 'subnet':
+                    selector.subnet = values[0];
+                    break;
+                case 'tag':
+                case 'tags':
+                    selector.tags = [...(selector.tags || []), ...values];
+                    break;
+                default:
+                    throw new Error(`Invalid filter key: ${key}. Use serial, subnet or tag`);
+            }
+        }
+
+        return selector;
+    }
+
+    /**
+     * Run get/set on several controllers with the fleet operations engine
+     * Parameters are asked once and applied to every selected controller
+     */
+    async handleFleet(command, setting, options) {
+        const operations = {
+            'get status': 'getStatus',
+            'set time': 'setTime',
+            'set server': 'setServer',
+            'set door': 'setDoorParams'
+        };
+        const operation = operations[`${command} ${setting.toLowerCase()}`];
+        if (!operation) {
+            console.error('❌ --all/--filter supports: get status, set time, set server, set door');
+            process.exit(1);
+        }
+
+        const selector = this.parseFleetSelector(options);
+        const controllers = await this.api.fleetOperations.selectControllers(selector);
+        if (controllers.length === 0) {
+            console.log('📝 No saved controllers match the selection.');
+            return;
+        }
+
+        let params = {};
+        if (operation === 'setServer') {
+            params = await this.promptServerConfig();
+        } else if (operation === 'setDoorParams') {
+            const door = await this.selectDoor(options.door);
+            params = { doorNumber: door, ...(await this.promptDoorParams(door, {}, options)) };
+        }
+
+        console.log(`📡 Running ${operation} on ${controllers.length} controller(s), ` +
+            `${options.concurrency} at a time...`);
+        const report = await this.api.runFleetOperation(operation, selector, {
+            params,
+            concurrency: options.concurrency,
+            failureThreshold: options.maxFailures,
+            context: this.changeContext,
+            onResult: (result) => {
+                const icon = result.status === 'success' ? '✅' : '❌';
+                console.log(`   ${icon} ${result.serialNumber} (${result.ip})${result.error ? ': ' + result.error : ''}`);
+            }
+        });
+
+        console.table(report.results.map(r => ({
+            'Serial Number': r.serialNumber,
+            'IP Address': r.ip,
+            'Result': r.status,
+            'Time (ms)': r.duration !== undefined ? r.duration : '',
+            'Details': r.status === 'failed' ? `${r.code}: ${r.error}` : this.describeFleetResult(operation, r.result)
+        })));
+
+        if (report.stopped) {
+            console.log(`⚠️  ${report.stopReason}; ${report.skipped} controller(s) skipped`);
+        }
+        console.log(`${report.failed > 0 ? '⚠️ ' : '✅'} Succeeded ${report.succeeded}, ` +
+            `failed ${report.failed}, skipped ${report.skipped}`);
+        if (report.failed > 0) {
+            process.exit(1);
+        }
+    }
+
+    describeFleetResult(operation, result) {
+        if (!result) {
+            return '';
+        }
+
+        switch (operation) {
+            case 'getStatus':
+                const unlocked = result.doors.filter(door => door.relayUnlocked).length;
+                return `${result.hasError ? `error ${result.errorNumber}` : 'no error'}, ${unlocked} relay(s) unlocked`;
+            case 'setTime':
+                return `${result.localTime} (${result.timeZone})`;
+            case 'setServer':
+                return `${result.serverConfig.serverIp}:${result.serverConfig.port}`;
+            case 'setDoorParams':
+                return `door ${result.doorNumber} ${result.controlModeName}, ${result.openDelay}s`;
+            default:
+                return '';
+        }
+    }
+
+    async handleTag(serial, tags, options) {
+        try {
+            const serialNumber = parseInt(serial);
+            const controller = await this.api.getControllerBySerial(serialNumber);
+            if (!controller) {
+                console.error(`❌ Controller with serial number ${serial} not found.`);
+                process.exit(1);
+            }
+
+            if (!options.clear && tags.length === 0) {
+                const current = controller.tags || [];
+                console.log(`🏷️  Tags of controller ${serialNumber}: ${current.length > 0 ? current.join(', ') : 'none'}`);
+                return;
+            }
+
+            const updated = await this.api.setControllerTags(serialNumber, options.clear ? [] : tags, this.changeContext);
+            const result = updated.tags || [];
+            console.log(`✅ Tags of controller ${serialNumber}: ${result.length > 0 ? result.join(', ') : 'none'}`);
+        } catch (error) {
+            console.error('❌ Failed to set tags:', error.message);
+            process.exit(1);
+        }
+    }
+
+    async handleHistory(serial, options) {
+        try {
+            const serialNumber = parseInt(serial);
+            const limit = parseInt(options.limit);
+            if (isNaN(serialNumber) || isNaN(limit) || limit < 1) {
+                console.error('❌ Invalid serial number or limit');
+                process.exit(1);
+            }
+
+            const report = await this.api.getControllerHistory(serialNumber, { field: options.field, limit });
+            if (report.total === 0) {
+                console.log(`📝 No recorded changes for controller ${serialNumber}${options.field ? ` (${options.field})` : ''}.`);
+                return;
+            }
+
+            const formatValue = value => (value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+            console.log(`📜 Change history of controller ${serialNumber} (${report.entries.length} of ${report.total}, newest first):`);
+            console.table(report.entries.flatMap(entry => entry.changes.map(change => ({
+                'Time': new Date(entry.at).toLocaleString(),
+                'Operation': entry.operation,
+                'Source': entry.source,
+                'Actor': entry.actor || '',
+                'Field': change.field,
+                'From': formatValue(change.from),
+                'To': formatValue(change.to)
+            }))));
+        } catch (error) {
+            console.error('❌ Failed to get history:', error.message);
+            process.exit(1);
+        }
+    }
+
     async handleRemove(serial) {
         const serialNumber = parseInt(serial);
         const controller = await this.api.getControllerBySerial(serialNumber);
@@ -605,7 +1625,7 @@ class CLI {
                                 type: 'list',
                                 name: 'setting',
                                 message: 'Which setting to get?',
-                                choices: ['time', 'network', 'server']
+                                choices: ['time', 'network', 'server', 'status', 'door']
                             }
                         ]);
                         await this.handleGet(getSetting.setting);
@@ -616,7 +1636,7 @@ class CLI {
                                 type: 'list',
                                 name: 'setting',
                                 message: 'Which setting to set?',
-                                choices: ['time', 'network', 'server']
+                                choices: ['time', 'network', 'server', 'door']
                             }
                         ]);
                         await this.handleSet(setSetting.setting);
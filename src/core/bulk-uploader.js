@@ -0,0 +1,306 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const {
+    ControllerRejectedError,
+    ProtocolMismatchError,
+    UploadInProgressError,
+    ValidationError,
+    wrapError
+} = require('./errors');
+
+// Serial numbers with an upload running in this process
+const activeUploads = new Set();
+
+/**
+ * Bulk Privilege Uploader
+ * Uploads large card lists with function 0x56 (SDK section 1.21):
+ * cards are sent in ascending order with the total count and a 1-based index.
+ * Progress is checkpointed per controller so an interrupted upload can resume
+ * from the last acknowledged index.
+ */
+class BulkUploader {
+    constructor(api, stateDir = 'data/uploads') {
+        this.api = api;
+        this.packetHandler = api.packetHandler;
+        this.stateDir = stateDir;
+
+        this.uploadConfig = {
+            maxRetries: 3,
+            retryDelay: 500,
+            timeout: 3000
+        };
+
+        // Response byte 8 values for 0x56
+        this.RESULT_SUCCESS = 0x01;
+        this.RESULT_NOT_SORTED = 0xE1;
+    }
+
+    /**
+     * Parse a card list from CSV text or JSON (string, array or { cards: [] })
+     * CSV columns: cardNumber,startDate,endDate,doors,pin (doors separated by ';')
+     */
+    parseCards(input, format = 'json') {
+        if (format === 'csv') {
+            return this.parseCsv(input);
+        }
+
+        const parsed = typeof input === 'string' ? JSON.parse(input) : input;
+        const cards = Array.isArray(parsed) ? parsed : parsed && parsed.cards;
+
+        if (!Array.isArray(cards)) {
+            throw new ValidationError('JSON card list must be an array or an object with a "cards" array');
+        }
+
+        return cards;
+    }
+
+    /**
+     * Parse CSV card list with a header row
+     */
+    parseCsv(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+
+        if (lines.length === 0) {
+            return [];
+        }
+
+        const headers = lines[0].split(',').map(h => h.trim());
+        if (!headers.includes('cardNumber')) {
+            throw new ValidationError('CSV header must include a "cardNumber" column');
+        }
+
+        return lines.slice(1).map(line => {
+            const values = line.split(',').map(v => v.trim());
+            const card = {};
+
+            headers.forEach((header, i) => {
+                if (values[i] !== undefined && values[i] !== '') {
+                    card[header] = values[i];
+                }
+            });
+
+            if (card.doors) {
+                card.doors = card.doors.split(/[;|\s]+/).filter(Boolean);
+            }
+
+            return card;
+        });
+    }
+
+    /**
+     * Validate, de-duplicate and sort cards in ascending card number order
+     */
+    prepareCards(cards) {
+        const errors = [];
+        const byCardNumber = new Map();
+
+        cards.forEach((card, i) => {
+            try {
+                const privilege = this.api.normalizePrivilege(card);
+                byCardNumber.set(privilege.cardNumber, privilege);
+            } catch (error) {
+                errors.push(`Card ${i + 1}: ${error.message}`);
+            }
+        });
+
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 10).join('; ');
+            const more = errors.length > 10 ? ` (and ${errors.length - 10} more)` : '';
+            throw new ValidationError(`Invalid card list: ${shown}${more}`);
+        }
+
+        return Array.from(byCardNumber.values()).sort((a, b) => a.cardNumber - b.cardNumber);
+    }
+
+    /**
+     * Fingerprint of a prepared card list, used to decide whether a checkpoint can be resumed
+     */
+    fingerprint(cards) {
+        return crypto.createHash('sha256').update(JSON.stringify(cards)).digest('hex');
+    }
+
+    getStatePath(serialNumber) {
+        return path.join(this.stateDir, `${serialNumber}.json`);
+    }
+
+    /**
+     * Load upload checkpoint for a controller
+     */
+    async loadState(serialNumber) {
+        try {
+            const data = await fs.readFile(this.getStatePath(serialNumber), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Save upload checkpoint for a controller
+     */
+    async saveState(serialNumber, state) {
+        await fs.mkdir(this.stateDir, { recursive: true });
+
+        state.updatedAt = new Date().toISOString();
+        await fs.writeFile(this.getStatePath(serialNumber), JSON.stringify(state, null, 2), 'utf8');
+    }
+
+    /**
+     * Check whether the process that owns a checkpoint is still alive
+     */
+    isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    /**
+     * Check whether an upload to the controller is running in another process
+     */
+    async isUploadRunningElsewhere(serialNumber) {
+        const state = await this.loadState(serialNumber);
+        return Boolean(state && state.status === 'running' && state.pid !== process.pid &&
+            this.isProcessAlive(state.pid));
+    }
+
+    /**
+     * Encode one 0x56 data block; first card and multi-card settings are left off
+     */
+    encodeBatchEntry(privilege, index, total) {
+        return this.api.codec.encode(this.api.FUNCTION_IDS.ADD_PRIVILEGE_BATCH, {
+            ...this.api.privilegeManager.toPrivilegeFields(privilege),
+            total,
+            index
+        });
+    }
+
+    /**
+     * Send a single batch entry; the command queue retries timeouts with backoff
+     */
+    async sendEntry(controllerInfo, privilege, index, total) {
+        const response = await this.api.sendCommand(
+            controllerInfo,
+            this.api.FUNCTION_IDS.ADD_PRIVILEGE_BATCH,
+            this.encodeBatchEntry(privilege, index, total),
+            this.uploadConfig
+        );
+
+        if (response.functionId !== this.api.FUNCTION_IDS.ADD_PRIVILEGE_BATCH) {
+            throw new ProtocolMismatchError('Invalid response for batch privilege command',
+                this.api.getErrorContext(controllerInfo));
+        }
+
+        return this.api.codec.decode(this.api.FUNCTION_IDS.ADD_PRIVILEGE_BATCH, response).result;
+    }
+
+    /**
+     * Upload a card list to a controller
+     * Resumes from the last acknowledged index when the same card list was interrupted before
+     */
+    async upload(controllerInfo, cards, options = {}) {
+        const { onProgress, resume = true } = options;
+        const serialNumber = controllerInfo.serialNumber;
+
+        if (activeUploads.has(serialNumber)) {
+            throw new UploadInProgressError(serialNumber, this.api.getErrorContext(controllerInfo));
+        }
+
+        // Reserved before the first await, so an upload started in the meantime is refused
+        activeUploads.add(serialNumber);
+
+        try {
+            if (await this.isUploadRunningElsewhere(serialNumber)) {
+                throw new UploadInProgressError(serialNumber, this.api.getErrorContext(controllerInfo));
+            }
+
+            const privileges = this.prepareCards(cards);
+            const total = privileges.length;
+
+            if (total === 0) {
+                throw new ValidationError('Card list is empty');
+            }
+
+            const uploadId = this.fingerprint(privileges);
+            const previous = await this.loadState(serialNumber);
+            const canResume = resume && previous && previous.uploadId === uploadId && previous.status !== 'complete';
+            const startIndex = canResume ? previous.lastAckIndex + 1 : 1;
+
+            const state = {
+                uploadId,
+                serialNumber,
+                total,
+                lastAckIndex: startIndex - 1,
+                status: 'running',
+                pid: process.pid,
+                startedAt: canResume ? previous.startedAt : new Date().toISOString(),
+                error: null
+            };
+            await this.saveState(serialNumber, state);
+
+            for (let index = startIndex; index <= total; index++) {
+                const privilege = privileges[index - 1];
+                let result;
+
+                try {
+                    result = await this.sendEntry(controllerInfo, privilege, index, total);
+                } catch (error) {
+                    state.status = 'interrupted';
+                    state.error = error.message;
+                    await this.saveState(serialNumber, state);
+                    const interrupted = wrapError(error, `Bulk upload interrupted at card ${index}/${total}`);
+                    interrupted.message += '. Run the upload again to resume';
+                    throw interrupted;
+                }
+
+                if (result !== this.RESULT_SUCCESS) {
+                    state.status = 'failed';
+                    state.error = result === this.RESULT_NOT_SORTED
+                        ? 'Controller reported cards not in ascending order'
+                        : `Controller rejected card ${privilege.cardNumber}`;
+                    await this.saveState(serialNumber, state);
+                    throw new ControllerRejectedError(`Bulk upload failed at card ${index}/${total}: ${state.error}`, {
+                        ...this.api.getErrorContext(controllerInfo),
+                        cardNumber: privilege.cardNumber,
+                        result
+                    });
+                }
+
+                state.lastAckIndex = index;
+                await this.saveState(serialNumber, state);
+
+                if (onProgress) {
+                    onProgress({
+                        serialNumber,
+                        uploaded: index,
+                        total,
+                        percent: Math.floor((index / total) * 100),
+                        cardNumber: privilege.cardNumber
+                    });
+                }
+            }
+
+            state.status = 'complete';
+            await this.saveState(serialNumber, state);
+            await this.api.configManager.updateLastSeen(serialNumber);
+
+            return {
+                success: true,
+                serialNumber,
+                total,
+                uploaded: total - startIndex + 1,
+                resumedFrom: canResume ? startIndex : null
+            };
+        } finally {
+            activeUploads.delete(serialNumber);
+        }
+    }
+}
+
+module.exports = BulkUploader;
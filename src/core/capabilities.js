@@ -0,0 +1,211 @@
+const { PACKET_LAYOUTS, FUNCTION_IDS } = require('./protocol-schema');
+const { UnsupportedByFirmwareError } = require('./errors');
+
+// First byte of the extended data added by the 64-byte packet format
+const EXTENDED_DATA_OFFSET = 44;
+
+/**
+ * Firmware requirements from the version notes of the SDK (main_sdk.txt), oldest first.
+ * Each entry lists the function IDs, response fields and packet type bytes a controller
+ * supports from that driver version on.
+ */
+const FIRMWARE_CAPABILITIES = [
+    {
+        firmware: '5.38',
+        sdk: 'V2 2013-05-04',
+        description: '64-byte packets with 20 bytes of extended data',
+        functions: [
+            FUNCTION_IDS.DISCOVER, FUNCTION_IDS.SET_IP, FUNCTION_IDS.QUERY_STATUS, FUNCTION_IDS.GET_TIME,
+            FUNCTION_IDS.SET_TIME, FUNCTION_IDS.GET_RECORD, FUNCTION_IDS.REMOTE_OPEN_DOOR,
+            FUNCTION_IDS.ADD_PRIVILEGE, FUNCTION_IDS.DELETE_PRIVILEGE, FUNCTION_IDS.CLEAR_PRIVILEGES,
+            FUNCTION_IDS.ADD_PRIVILEGE_BATCH, FUNCTION_IDS.GET_PRIVILEGE_COUNT, FUNCTION_IDS.QUERY_PRIVILEGE,
+            FUNCTION_IDS.GET_PRIVILEGE_BY_INDEX, FUNCTION_IDS.SET_DOOR_PARAMS, FUNCTION_IDS.GET_DOOR_PARAMS
+        ],
+        // Every response field stored in the extended data (bytes 44-63)
+        fields: Object.keys(PACKET_LAYOUTS).reduce((fields, functionId) => {
+            const extended = (PACKET_LAYOUTS[functionId].response || [])
+                .filter(field => field.offset >= EXTENDED_DATA_OFFSET)
+                .map(field => field.name);
+            if (extended.length > 0) {
+                fields[functionId] = extended;
+            }
+            return fields;
+        }, {}),
+        typeBytes: []
+    },
+    {
+        firmware: '5.38',
+        sdk: 'V2 2013-05-28',
+        description: 'Set and get the index of the last read record',
+        functions: [FUNCTION_IDS.SET_RECORD_INDEX, FUNCTION_IDS.GET_RECORD_INDEX],
+        fields: {},
+        typeBytes: []
+    },
+    {
+        firmware: '5.38',
+        sdk: 'V2 2013-05-29',
+        description: 'Receiving server address and port with result values',
+        functions: [FUNCTION_IDS.SET_RECEIVING_SERVER, FUNCTION_IDS.GET_RECEIVING_SERVER],
+        fields: {},
+        typeBytes: []
+    },
+    {
+        firmware: '6.56',
+        sdk: 'V3 2015-05-06',
+        description: 'Packet type byte 0x17 for brand products',
+        functions: [],
+        fields: {},
+        typeBytes: [0x17]
+    }
+];
+
+const toHex = value => `0x${value.toString(16).toUpperCase().padStart(2, '0')}`;
+
+/**
+ * Capability Registry
+ * Tells which function IDs and fields a controller supports from the driver version it
+ * reported in its discovery response (bytes 26-27, BCD). Commands that the firmware cannot
+ * handle are refused before any packet is sent, so they fail with UNSUPPORTED_BY_FIRMWARE
+ * instead of timing out. Controllers without a known version are not restricted.
+ */
+class CapabilityRegistry {
+    constructor(packetHandler) {
+        this.packetHandler = packetHandler;
+        this.levels = FIRMWARE_CAPABILITIES;
+    }
+
+    /**
+     * Comparable number of a driver version ('6.56' -> 656), or null if it is not a version
+     * The minor part is two BCD digits, so '6.5' and '6.05' are the same version
+     */
+    parseVersion(version) {
+        const match = String(version || '').trim().match(/^(\d{1,2})\.(\d{1,2})$/);
+        return match ? parseInt(match[1], 10) * 100 + parseInt(match[2], 10) : null;
+    }
+
+    /**
+     * Lowest firmware that supports a function sent with a packet type byte,
+     * with the registry entries that require it
+     */
+    getRequirement(functionId, typeByte = this.packetHandler.TYPE_BYTE) {
+        const entries = this.levels.filter(level =>
+            level.functions.includes(functionId) || level.typeBytes.includes(typeByte));
+
+        return entries.reduce((requirement, level) => {
+            return this.parseVersion(level.firmware) > this.parseVersion(requirement.firmware)
+                ? { firmware: level.firmware, reason: `SDK ${level.sdk}: ${level.description}` }
+                : requirement;
+        }, { firmware: null, reason: null });
+    }
+
+    /**
+     * Check a function against a controller's firmware
+     * Returns { supported, firmware, requiredFirmware, reason }
+     */
+    checkFunction(controllerInfo, functionId, typeByte = this.packetHandler.TYPE_BYTE) {
+        const version = this.parseVersion(controllerInfo.driverVersion);
+        const requirement = this.getRequirement(functionId, typeByte);
+
+        return {
+            supported: version === null || requirement.firmware === null ||
+                version >= this.parseVersion(requirement.firmware),
+            firmware: controllerInfo.driverVersion || null,
+            requiredFirmware: requirement.firmware,
+            reason: requirement.reason
+        };
+    }
+
+    /**
+     * Throw UnsupportedByFirmwareError when the controller's firmware cannot handle the function
+     */
+    assertSupported(controllerInfo, functionId, typeByte = this.packetHandler.TYPE_BYTE) {
+        const check = this.checkFunction(controllerInfo, functionId, typeByte);
+        if (check.supported) {
+            return;
+        }
+
+        const layout = PACKET_LAYOUTS[functionId];
+        const name = layout ? `${layout.title} (${toHex(functionId)})` : `Function ${toHex(functionId)}`;
+        throw new UnsupportedByFirmwareError(
+            `${name} requires firmware ${check.requiredFirmware} or later; controller ${controllerInfo.serialNumber} ` +
+            `runs ${check.firmware} (${check.reason})`,
+            {
+                serialNumber: controllerInfo.serialNumber,
+                ip: controllerInfo.ip || controllerInfo.remoteAddress,
+                functionId: toHex(functionId),
+                firmware: check.firmware,
+                requiredFirmware: check.requiredFirmware
+            }
+        );
+    }
+
+    /**
+     * Full capability report of a controller: supported functions and fields, and warnings
+     */
+    getCapabilities(controllerInfo, typeByte = controllerInfo.typeByte || this.packetHandler.TYPE_BYTE) {
+        const version = this.parseVersion(controllerInfo.driverVersion);
+        const typeRequirement = this.levels
+            .filter(level => level.typeBytes.includes(typeByte))
+            .map(level => level.firmware)[0] || null;
+
+        const functions = Object.keys(PACKET_LAYOUTS).map(id => {
+            const functionId = parseInt(id);
+            const check = this.checkFunction(controllerInfo, functionId, typeByte);
+            return {
+                functionId: toHex(functionId),
+                name: PACKET_LAYOUTS[functionId].name,
+                title: PACKET_LAYOUTS[functionId].title,
+                supported: check.supported,
+                requiredFirmware: check.requiredFirmware
+            };
+        });
+
+        const unsupportedFields = [];
+        this.levels.forEach(level => {
+            if (version === null || version >= this.parseVersion(level.firmware)) {
+                return;
+            }
+            Object.keys(level.fields).forEach(functionId => {
+                unsupportedFields.push({
+                    functionId: toHex(parseInt(functionId)),
+                    fields: level.fields[functionId],
+                    requiredFirmware: level.firmware
+                });
+            });
+        });
+
+        const warnings = this.getWarnings(controllerInfo, typeByte);
+
+        return {
+            serialNumber: controllerInfo.serialNumber,
+            firmware: controllerInfo.driverVersion || null,
+            releaseDate: controllerInfo.driverReleaseDate || null,
+            known: version !== null,
+            typeByte: toHex(typeByte),
+            requiredFirmware: typeRequirement,
+            compatible: version === null || functions.every(f => f.supported),
+            functions,
+            unsupportedFields,
+            warnings
+        };
+    }
+
+    /**
+     * Compatibility warnings for a controller; empty when it supports everything
+     */
+    getWarnings(controllerInfo, typeByte = controllerInfo.typeByte || this.packetHandler.TYPE_BYTE) {
+        const version = this.parseVersion(controllerInfo.driverVersion);
+        if (version === null) {
+            return ['Firmware version unknown; run discover to read it'];
+        }
+
+        // Type bytes the controller is not addressed with do not matter
+        const missing = this.levels.filter(level => version < this.parseVersion(level.firmware) &&
+            (level.typeBytes.length === 0 || level.typeBytes.includes(typeByte)));
+        return missing.map(level => `Firmware ${controllerInfo.driverVersion} is older than ${level.firmware}: ` +
+            `${level.description} (SDK ${level.sdk}) is not supported` +
+            (level.typeBytes.includes(typeByte) ? `, so commands sent with type ${toHex(typeByte)} go unanswered` : ''));
+    }
+}
+
+module.exports = CapabilityRegistry;
@@ -0,0 +1,105 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { withFileLock, writeFileAtomic } = require('./file-store');
+
+/**
+ * Change History for Controller Attributes
+ * Keeps an append-only list of attribute changes per controller (IP, gateway, firmware,
+ * receiving server, ...) with one JSON file per controller. Each entry records the operation
+ * that made the change and who asked for it: the source (cli, rest, websocket) and the actor.
+ */
+class ChangeHistory {
+    constructor(storeDir = 'data/history') {
+        this.storeDir = storeDir;
+    }
+
+    /**
+     * Get the file path for a controller's history
+     */
+    getHistoryPath(serialNumber) {
+        return path.join(this.storeDir, `${serialNumber}.json`);
+    }
+
+    /**
+     * Load the history file for a controller
+     */
+    async loadHistory(serialNumber) {
+        try {
+            const data = await fs.readFile(this.getHistoryPath(serialNumber), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { serialNumber, history: [] };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Compare attributes before and after an operation
+     * Returns [{ field, from, to }] for every field whose value differs; values are
+     * compared as JSON so object attributes such as receivingServer work too.
+     * options.skipUnknown ignores fields that had no value before (not yet learned)
+     */
+    getChanges(before, after, fields, options = {}) {
+        const valueOf = (attributes, field) => (attributes[field] === undefined ? null : attributes[field]);
+
+        return fields
+            .filter(field => !(options.skipUnknown && valueOf(before, field) === null))
+            .filter(field => JSON.stringify(valueOf(before, field)) !== JSON.stringify(valueOf(after, field)))
+            .map(field => ({ field, from: valueOf(before, field), to: valueOf(after, field) }));
+    }
+
+    /**
+     * Append an entry for changes made by an operation
+     * context: { source: 'cli' | 'rest' | 'websocket', actor }
+     * Returns the entry, or null when nothing changed
+     */
+    async addEntry(serialNumber, operation, changes, context = {}) {
+        if (changes.length === 0) {
+            return null;
+        }
+
+        const entry = {
+            at: new Date().toISOString(),
+            operation,
+            source: context.source || 'api',
+            actor: context.actor || null,
+            changes
+        };
+
+        // Entries for one controller are written one at a time so concurrent changes are not lost
+        const historyPath = this.getHistoryPath(serialNumber);
+        await withFileLock(historyPath, async () => {
+            const store = await this.loadHistory(serialNumber);
+            store.history.push(entry);
+            store.lastUpdated = entry.at;
+
+            await writeFileAtomic(historyPath, JSON.stringify(store, null, 2));
+        });
+        return entry;
+    }
+
+    /**
+     * Get the history of a controller, newest entry first
+     * options.field (only changes of one attribute), options.limit
+     */
+    async getHistory(serialNumber, options = {}) {
+        const { history } = await this.loadHistory(serialNumber);
+
+        let entries = history.slice().reverse();
+        if (options.field) {
+            entries = entries
+                .map(entry => ({ ...entry, changes: entry.changes.filter(change => change.field === options.field) }))
+                .filter(entry => entry.changes.length > 0);
+        }
+
+        return {
+            serialNumber,
+            total: entries.length,
+            entries: options.limit ? entries.slice(0, options.limit) : entries
+        };
+    }
+}
+
+module.exports = ChangeHistory;
@@ -0,0 +1,148 @@
+const { ControllerError } = require('./errors');
+
+// Shared instance so every ControllerAPI in the process queues on the same controllers
+let defaultQueue = null;
+
+/**
+ * Per-Controller Command Queue
+ * Runs one unicast command at a time per controller serial number, with a timeout per
+ * function ID. Reads are retried with backoff; writes are only retried when sending them
+ * twice has the same effect as sending them once
+ */
+class CommandQueue {
+    constructor() {
+        this.commandConfig = {
+            maxRetries: 3,
+            retryDelay: 200,
+            exponentialBackoff: true,
+            defaultTimeout: 2000
+        };
+
+        // Function ID -> { timeout, retry }
+        // retry: false for writes that must not be repeated (door open, time, IP change)
+        // and for deletes whose repeat would report the card as missing
+        this.functionPolicies = {
+            0x20: { timeout: 2000, retry: true },   // Query status
+            0x30: { timeout: 2000, retry: false },  // Set time (a retry would set a stale time)
+            0x32: { timeout: 2000, retry: true },   // Get time
+            0x40: { timeout: 2000, retry: false },  // Remote open door
+            0x50: { timeout: 2000, retry: true },   // Add/modify privilege
+            0x52: { timeout: 2000, retry: false },  // Delete privilege
+            0x54: { timeout: 5000, retry: true },   // Clear privileges (flash erase)
+            0x56: { timeout: 3000, retry: true },   // Bulk privilege entry (index is idempotent)
+            0x58: { timeout: 2000, retry: true },   // Privilege count
+            0x5A: { timeout: 2000, retry: true },   // Query privilege
+            0x5C: { timeout: 2000, retry: true },   // Privilege by index
+            0x80: { timeout: 2000, retry: true },   // Set door parameters
+            0x82: { timeout: 2000, retry: true },   // Get door parameters
+            0x90: { timeout: 2000, retry: true },   // Set receiving server
+            0x92: { timeout: 2000, retry: true },   // Get receiving server
+            0x94: { timeout: 2000, retry: true },   // Discover
+            0x96: { timeout: 1000, retry: false },  // Set IP (controller restarts, no reply)
+            0xB0: { timeout: 2000, retry: true },   // Get record
+            0xB2: { timeout: 2000, retry: true },   // Set read record index
+            0xB4: { timeout: 2000, retry: true }    // Get read record index
+        };
+
+        // serialNumber -> { tail: Promise, depth: number }
+        this.queues = new Map();
+
+        this.stats = {
+            executed: 0,
+            retried: 0,
+            failed: 0
+        };
+    }
+
+    static getDefault() {
+        if (!defaultQueue) {
+            defaultQueue = new CommandQueue();
+        }
+        return defaultQueue;
+    }
+
+    getPolicy(functionId) {
+        return {
+            timeout: this.commandConfig.defaultTimeout,
+            retry: false,
+            ...this.functionPolicies[functionId]
+        };
+    }
+
+    /**
+     * Run a task after every command already queued for the controller
+     */
+    enqueue(serialNumber, task) {
+        const queue = this.queues.get(serialNumber) || { tail: Promise.resolve(), depth: 0 };
+        queue.depth++;
+
+        const run = queue.tail.then(task);
+
+        // Keep the chain alive after failures and drop empty queues
+        queue.tail = run.catch(() => {}).then(() => {
+            queue.depth--;
+            if (queue.depth === 0 && this.queues.get(serialNumber) === queue) {
+                this.queues.delete(serialNumber);
+            }
+        });
+        this.queues.set(serialNumber, queue);
+
+        return run;
+    }
+
+    /**
+     * Queue a packet for a controller and send it with the function's timeout and retry policy
+     * The packet goes to the port the controller answered discovery on (controllerInfo.port)
+     * options.timeout / options.maxRetries / options.retryDelay override the defaults
+     */
+    async execute(packetHandler, controllerInfo, packet, options = {}) {
+        const functionId = packet[1];
+        const policy = this.getPolicy(functionId);
+        const timeout = options.timeout || policy.timeout;
+        const maxRetries = policy.retry ? (options.maxRetries || this.commandConfig.maxRetries) : 1;
+        const retryDelay = options.retryDelay || this.commandConfig.retryDelay;
+        const targetIp = controllerInfo.ip || controllerInfo.remoteAddress;
+
+        return this.enqueue(controllerInfo.serialNumber, async () => {
+            let lastError;
+
+            for (let attempt = 1; attempt <= maxRetries; attempt++) {
+                try {
+                    const result = await packetHandler.sendPacket(packet, targetIp, timeout, controllerInfo.port);
+                    this.stats.executed++;
+                    return result;
+                } catch (error) {
+                    lastError = error;
+
+                    if (attempt < maxRetries) {
+                        this.stats.retried++;
+                        const delay = this.commandConfig.exponentialBackoff
+                            ? retryDelay * Math.pow(2, attempt - 1)
+                            : retryDelay;
+                        await packetHandler.sleep(delay);
+                    }
+                }
+            }
+
+            this.stats.failed++;
+            if (lastError instanceof ControllerError) {
+                lastError.context = { ...lastError.context, attempts: maxRetries };
+            }
+            throw lastError;
+        });
+    }
+
+    getStats() {
+        const queued = {};
+        this.queues.forEach((queue, serialNumber) => {
+            queued[serialNumber] = queue.depth;
+        });
+
+        return {
+            ...this.stats,
+            queued
+        };
+    }
+}
+
+module.exports = CommandQueue;
@@ -1,14 +1,19 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { withFileLock, writeFileAtomic } = require('./file-store');
 
 /**
  * Configuration Manager for Controller Data Persistence
- * Handles saving and loading discovered controllers to/from JSON file
+ * Handles saving and loading discovered controllers to/from JSON file.
+ * Changes are load-modify-save cycles run one at a time per file, and files are replaced
+ * through a temporary file, so parallel discovery, fleet and time sync updates are not lost
+ * and readers never see a partly written file.
  */
 class ConfigManager {
     constructor(configPath = 'config/controllers.json') {
         this.configPath = configPath;
         this.configDir = path.dirname(configPath);
+        this.discoveryConfigPath = path.join(this.configDir, 'discovery.json');
     }
 
     /**
@@ -44,67 +49,78 @@ class ConfigManager {
         }
     }
 
-    /**
-     * Save controllers to JSON file
-     */
-    async saveControllers(controllers) {
-        await this.ensureConfigDir();
-        
+    async writeControllers(controllers) {
         const config = {
             lastUpdated: new Date().toISOString(),
             controllers: controllers
         };
-        
-        const data = JSON.stringify(config, null, 2);
-        await fs.writeFile(this.configPath, data, 'utf8');
+
+        await writeFileAtomic(this.configPath, JSON.stringify(config, null, 2));
+    }
+
+    /**
+     * Load the controllers, let update change them and save them, with no other change in between
+     * Returns what update returns
+     */
+    async updateControllers(update) {
+        return await withFileLock(this.configPath, async () => {
+            const controllers = await this.loadControllers();
+            const result = await update(controllers);
+            await this.writeControllers(controllers);
+            return result;
+        });
+    }
+
+    /**
+     * Save controllers to JSON file
+     */
+    async saveControllers(controllers) {
+        await withFileLock(this.configPath, () => this.writeControllers(controllers));
     }
 
     /**
      * Add or update a controller
      */
     async addController(controller) {
-        const controllers = await this.loadControllers();
-        
-        // Check if controller already exists (by serial number)
-        const existingIndex = controllers.findIndex(
-            c => c.serialNumber === controller.serialNumber
-        );
-        
-        if (existingIndex >= 0) {
-            // Update existing controller
-            controllers[existingIndex] = {
-                ...controllers[existingIndex],
-                ...controller,
-                lastSeen: new Date().toISOString()
-            };
-        } else {
-            // Add new controller
-            controllers.push({
-                ...controller,
-                discoveredAt: new Date().toISOString(),
-                lastSeen: new Date().toISOString()
-            });
-        }
-        
-        await this.saveControllers(controllers);
-        return controllers;
+        return await this.updateControllers(controllers => {
+            // Check if controller already exists (by serial number)
+            const existingIndex = controllers.findIndex(
+                c => c.serialNumber === controller.serialNumber
+            );
+
+            if (existingIndex >= 0) {
+                // Update existing controller
+                controllers[existingIndex] = {
+                    ...controllers[existingIndex],
+                    ...controller,
+                    lastSeen: new Date().toISOString()
+                };
+            } else {
+                // Add new controller
+                controllers.push({
+                    ...controller,
+                    discoveredAt: new Date().toISOString(),
+                    lastSeen: new Date().toISOString()
+                });
+            }
+
+            return controllers;
+        });
     }
 
     /**
      * Remove a controller by serial number
      */
     async removeController(serialNumber) {
-        const controllers = await this.loadControllers();
-        const filteredControllers = controllers.filter(
-            c => c.serialNumber !== serialNumber
-        );
-        
-        if (filteredControllers.length !== controllers.length) {
-            await this.saveControllers(filteredControllers);
+        return await this.updateControllers(controllers => {
+            const index = controllers.findIndex(c => c.serialNumber === serialNumber);
+            if (index < 0) {
+                return false; // Controller not found
+            }
+
+            controllers.splice(index, 1);
             return true;
-        }
-        
-        return false; // Controller not found
+        });
     }
 
     /**
@@ -119,16 +135,74 @@ class ConfigManager {
      * Update controller's last seen timestamp
      */
     async updateLastSeen(serialNumber) {
-        const controllers = await this.loadControllers();
-        const controller = controllers.find(c => c.serialNumber === serialNumber);
-        
-        if (controller) {
+        return await this.updateControllers(controllers => {
+            const controller = controllers.find(c => c.serialNumber === serialNumber);
+            if (!controller) {
+                return false;
+            }
+
             controller.lastSeen = new Date().toISOString();
-            await this.saveControllers(controllers);
             return true;
-        }
-        
-        return false;
+        });
+    }
+
+    /**
+     * Set the IANA time zone of a controller's clock, or remove it (null) to use the host time zone
+     * Returns the updated controller, or null when it is not saved
+     */
+    async setTimeZone(serialNumber, timeZone) {
+        return await this.updateControllers(controllers => {
+            const controller = controllers.find(c => c.serialNumber === serialNumber);
+            if (!controller) {
+                return null;
+            }
+
+            if (timeZone) {
+                controller.timeZone = timeZone;
+            } else {
+                delete controller.timeZone;
+            }
+            return controller;
+        });
+    }
+
+    /**
+     * Replace the tags of a controller; an empty list removes them
+     * Returns the updated controller, or null when it is not saved
+     */
+    async setTags(serialNumber, tags) {
+        return await this.updateControllers(controllers => {
+            const controller = controllers.find(c => c.serialNumber === serialNumber);
+            if (!controller) {
+                return null;
+            }
+
+            if (tags.length > 0) {
+                controller.tags = tags;
+            } else {
+                delete controller.tags;
+            }
+            return controller;
+        });
+    }
+
+    /**
+     * Update attributes of a controller, such as settings written to it, and its last seen timestamp
+     * attributes may be a function of the saved controller, to merge with what is saved at that moment
+     * Returns { previous, controller } (before and after), or null when it is not saved
+     */
+    async updateController(serialNumber, attributes) {
+        return await this.updateControllers(controllers => {
+            const controller = controllers.find(c => c.serialNumber === serialNumber);
+            if (!controller) {
+                return null;
+            }
+
+            const previous = { ...controller };
+            const changes = typeof attributes === 'function' ? attributes(previous) : attributes;
+            Object.assign(controller, changes, { lastSeen: new Date().toISOString() });
+            return { previous, controller, fields: Object.keys(changes) };
+        });
     }
 
     /**
@@ -236,31 +310,29 @@ class ConfigManager {
         }
         
         if (merge) {
-            const existingControllers = await this.loadControllers();
-            const mergedControllers = [...existingControllers];
-            
-            importedControllers.forEach(importedController => {
-                const existingIndex = mergedControllers.findIndex(
-                    c => c.serialNumber === importedController.serialNumber
-                );
-                
-                if (existingIndex >= 0) {
-                    mergedControllers[existingIndex] = {
-                        ...mergedControllers[existingIndex],
-                        ...importedController,
-                        lastSeen: new Date().toISOString()
-                    };
-                } else {
-                    mergedControllers.push({
-                        ...importedController,
-                        discoveredAt: new Date().toISOString(),
-                        lastSeen: new Date().toISOString()
-                    });
-                }
+            return await this.updateControllers(mergedControllers => {
+                importedControllers.forEach(importedController => {
+                    const existingIndex = mergedControllers.findIndex(
+                        c => c.serialNumber === importedController.serialNumber
+                    );
+
+                    if (existingIndex >= 0) {
+                        mergedControllers[existingIndex] = {
+                            ...mergedControllers[existingIndex],
+                            ...importedController,
+                            lastSeen: new Date().toISOString()
+                        };
+                    } else {
+                        mergedControllers.push({
+                            ...importedController,
+                            discoveredAt: new Date().toISOString(),
+                            lastSeen: new Date().toISOString()
+                        });
+                    }
+                });
+
+                return mergedControllers;
             });
-            
-            await this.saveControllers(mergedControllers);
-            return mergedControllers;
         } else {
             // Replace all controllers
             const controllersWithTimestamps = importedControllers.map(controller => ({
@@ -273,6 +345,34 @@ class ConfigManager {
             return controllersWithTimestamps;
         }
     }
+
+    /**
+     * Load the saved discovery interface settings (config/discovery.json)
+     */
+    async loadDiscoveryConfig() {
+        try {
+            const data = await fs.readFile(this.discoveryConfigPath, 'utf8');
+            return JSON.parse(data).interfaces || {};
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Save the discovery interface settings
+     */
+    async saveDiscoveryConfig(interfaces) {
+        const config = {
+            lastUpdated: new Date().toISOString(),
+            interfaces
+        };
+
+        await withFileLock(this.discoveryConfigPath,
+            () => writeFileAtomic(this.discoveryConfigPath, JSON.stringify(config, null, 2)));
+    }
 }
 
 module.exports = ConfigManager;
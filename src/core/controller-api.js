@@ -1,5 +1,29 @@
 const PacketHandler = require('./packet-handler');
 const ConfigManager = require('./config-manager');
+const RecordStore = require('./record-store');
+const RecordSync = require('./record-sync');
+const PrivilegeManager = require('./privilege-manager');
+const BulkUploader = require('./bulk-uploader');
+const TimeSync = require('./time-sync');
+const FleetOperations = require('./fleet-operations');
+const NetworkScanner = require('./network-scanner');
+const FleetLint = require('./fleet-lint');
+const ChangeHistory = require('./change-history');
+const CapabilityRegistry = require('./capabilities');
+const CommandQueue = require('./command-queue');
+const ProtocolCodec = require('./protocol-codec');
+const { FUNCTION_IDS, RECORD_TYPES, DOOR_CONTROL_MODES, IDENTIFICATION } = require('./protocol-schema');
+const {
+    ControllerRejectedError,
+    ControllerTimeoutError,
+    ProtocolMismatchError,
+    ControllerNotFoundError,
+    ValidationError,
+    wrapError
+} = require('./errors');
+
+// Saved controller fields compared after each discovery run and kept in the change history
+const DISCOVERY_DIFF_FIELDS = ['ip', 'subnetMask', 'gateway', 'macAddress', 'driverVersion', 'typeByte', 'port'];
 
 /**
  * Controller API - Main interface for controller operations
@@ -9,35 +33,40 @@ class ControllerAPI {
     constructor() {
         this.packetHandler = new PacketHandler();
         this.configManager = new ConfigManager();
+        this.commandQueue = CommandQueue.getDefault();
         
-        // Function IDs from SDK
-        this.FUNCTION_IDS = {
-            DISCOVER: 0x94,
-            SET_IP: 0x96,
-            QUERY_STATUS: 0x20,
-            GET_TIME: 0x32,
-            SET_TIME: 0x30,
-            GET_RECORD: 0xB0,
-            SET_RECORD_INDEX: 0xB2,
-            GET_RECORD_INDEX: 0xB4,
-            REMOTE_OPEN_DOOR: 0x40,
-            ADD_PRIVILEGE: 0x50,
-            DELETE_PRIVILEGE: 0x52,
-            CLEAR_PRIVILEGES: 0x54,
-            GET_PRIVILEGE_COUNT: 0x58,
-            QUERY_PRIVILEGE: 0x5A,
-            GET_PRIVILEGE_BY_INDEX: 0x5C,
-            SET_DOOR_PARAMS: 0x80,
-            GET_DOOR_PARAMS: 0x82,
-            SET_RECEIVING_SERVER: 0x90,
-            GET_RECEIVING_SERVER: 0x92,
-            ADD_PRIVILEGE_BATCH: 0x56
-        };
+        this.codec = new ProtocolCodec(this.packetHandler);
+        this.capabilities = new CapabilityRegistry(this.packetHandler);
+
+        // Saved interface settings, applied before the first discovery or command
+        this.interfaceConfigReady = null;
+
+        // Function IDs, record types and door control modes come from the protocol schema
+        this.FUNCTION_IDS = FUNCTION_IDS;
+        this.RECORD_TYPES = RECORD_TYPES;
+        this.DOOR_CONTROL_MODES = DOOR_CONTROL_MODES;
+
+        // Identification bytes required by destructive commands (0x96, 0xB2, 0x54)
+        this.IDENTIFICATION = IDENTIFICATION;
+
+        this.recordStore = new RecordStore();
+        this.recordSync = new RecordSync(this, this.recordStore);
+        this.privilegeManager = new PrivilegeManager(this);
+        this.bulkUploader = new BulkUploader(this);
+        this.timeSync = new TimeSync(this);
+        this.fleetOperations = new FleetOperations(this);
+        this.networkScanner = new NetworkScanner(this);
+        this.fleetLint = new FleetLint(this);
+        this.changeHistory = new ChangeHistory();
     }
 
     /**
      * Enhanced controller discovery with cross-platform network interface support
      * Function ID: 0x94
+     * Every configured type byte and port is tried at once (options.typeBytes, options.ports
+     * override them); each controller is saved with the variant it answered on.
+     * options.onDiff(diff) receives the changes against the saved inventory (see buildDiscoveryDiff);
+     * options.context ({ source, actor }) is recorded with the changes in the controllers' history
      */
     async discoverControllers(timeout = 5000, options = {}) {
         try {
@@ -64,16 +93,20 @@ class ControllerAPI {
                 });
             }
 
+            await this.loadInterfaceConfig();
+
             if (discoveryOptions.logLevel === 'verbose') {
                 console.log('Network interface information:', this.packetHandler.getNetworkInfo());
             }
 
+            const variants = this.packetHandler.getProtocolVariants(discoveryOptions);
+            const previous = await this.getSavedControllers();
             const packet = this.packetHandler.createPacket(this.FUNCTION_IDS.DISCOVER);
-            const responses = await this.packetHandler.broadcastPacket(packet, timeout);
+            const responses = await this.packetHandler.broadcastPacket(packet, timeout, variants);
 
             const controllers = [];
 
-            for (const { response, remoteInfo } of responses) {
+            for (const { response, remoteInfo } of this.selectPreferredResponses(responses, variants)) {
                 if (response.functionId === this.FUNCTION_IDS.DISCOVER) {
                     const controller = this.parseDiscoveryResponse(response, remoteInfo);
 
@@ -82,7 +115,7 @@ class ControllerAPI {
                         controllers.push(controller);
 
                         // Save to config
-                        await this.configManager.addController(controller);
+                        await this.saveDiscoveredController(controller, options.context);
 
                         if (discoveryOptions.logLevel === 'verbose') {
                             console.log(`Validated controller: ${controller.serialNumber} at ${controller.ip}`);
@@ -91,19 +124,32 @@ class ControllerAPI {
                 }
             }
 
+            if (options.onDiff) {
+                // A broadcast is expected to reach every saved controller
+                options.onDiff(this.buildDiscoveryDiff(previous, controllers, 'broadcast'));
+            }
+
             return controllers;
         } catch (error) {
-            throw new Error(`Discovery failed: ${error.message}`);
+            throw wrapError(error, 'Discovery failed');
         }
     }
 
     /**
      * Discover controllers by targeting specific IP addresses
      * Useful when controller IP is known but serial number is not
+     * Each address is asked with every type byte and port at once, as in discoverControllers.
+     * options.onDiff(diff) and options.context as for discoverControllers; only saved controllers at
+     * the targets can be missing
      */
-    async discoverControllersByIP(targetIPs, timeout = 5000) {
+    async discoverControllersByIP(targetIPs, timeout = 5000, options = {}) {
         try {
-            const packet = this.packetHandler.createPacket(this.FUNCTION_IDS.DISCOVER);
+            await this.loadInterfaceConfig();
+
+            const variants = this.packetHandler.getProtocolVariants(options);
+            const requests = this.packetHandler.buildVariantRequests(
+                this.packetHandler.createPacket(this.FUNCTION_IDS.DISCOVER), variants);
+            const previous = await this.getSavedControllers();
             const controllers = [];
 
             // Ensure targetIPs is an array
@@ -113,28 +159,172 @@ class ControllerAPI {
 
             // Try each target IP
             for (const targetIP of targets) {
-                try {
-                    console.log(`Discovering controller at ${targetIP}`);
-                    const { response, remoteInfo } = await this.packetHandler.sendPacket(packet, targetIP, timeout);
+                console.log(`Discovering controller at ${targetIP}`);
+                const { found, error } = await this.probeAddress(targetIP, requests, variants, timeout);
 
-                    if (response.functionId === this.FUNCTION_IDS.DISCOVER) {
-                        const controller = this.parseDiscoveryResponse(response, remoteInfo);
-
-                        if (this.validateDiscoveryResponse(controller, remoteInfo)) {
-                            controllers.push(controller);
-                            await this.configManager.addController(controller);
-                            console.log(`Found controller: ${controller.serialNumber} at ${targetIP}`);
-                        }
-                    }
-                } catch (error) {
+                if (found.length === 0 && error) {
                     console.debug(`No controller found at ${targetIP}: ${error.message}`);
                 }
+
+                for (const controller of found) {
+                    controllers.push(controller);
+                    await this.saveDiscoveredController(controller, options.context);
+                    console.log(`Found controller: ${controller.serialNumber} at ${targetIP} ` +
+                        `(${this.packetHandler.formatProtocol(controller)})`);
+                }
+            }
+
+            if (options.onDiff) {
+                options.onDiff(this.buildDiscoveryDiff(previous, controllers, 'targets',
+                    controller => targets.includes(controller.ip) || targets.includes(controller.remoteAddress)));
             }
 
             return controllers;
         } catch (error) {
-            throw new Error(`Targeted discovery failed: ${error.message}`);
+            throw wrapError(error, 'Targeted discovery failed');
+        }
+    }
+
+    /**
+     * Scan CIDR or address ranges with unicast discovery, for controllers behind routers
+     * See NetworkScanner.scan for the options
+     */
+    async scanNetwork(targets, options = {}) {
+        try {
+            return await this.networkScanner.scan(targets, options);
+        } catch (error) {
+            throw wrapError(error, 'Network scan failed');
+        }
+    }
+
+    /**
+     * Ask one address for controllers with every discovery request variant at once
+     * Returns { found: [validated controllers], error } without saving them; error is set
+     * when no variant was answered
+     */
+    async probeAddress(targetIP, requests, variants, timeout) {
+        const results = await Promise.allSettled(requests.map(({ packet, port }) =>
+            this.packetHandler.sendPacket(packet, targetIP, timeout, port)));
+
+        const answers = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+        if (answers.length === 0) {
+            return { found: [], error: results[0].reason };
+        }
+
+        const found = this.selectPreferredResponses(answers, variants)
+            .filter(({ response }) => response.functionId === this.FUNCTION_IDS.DISCOVER)
+            .map(({ response, remoteInfo }) => ({ controller: this.parseDiscoveryResponse(response, remoteInfo), remoteInfo }))
+            .filter(({ controller, remoteInfo }) => this.validateDiscoveryResponse(controller, remoteInfo))
+            .map(({ controller }) => controller);
+
+        return { found, error: null };
+    }
+
+    /**
+     * Save a discovered controller and append the attributes that changed to its history
+     * A controller seen for the first time gets an 'added' entry with its discovered attributes
+     */
+    async saveDiscoveredController(controller, context = {}) {
+        const saved = await this.configManager.getController(controller.serialNumber);
+        await this.configManager.addController(controller);
+
+        // Fields the saved record does not have yet (older discovery) are not a change
+        const changes = this.changeHistory.getChanges(saved || {}, controller, DISCOVERY_DIFF_FIELDS, { skipUnknown: !!saved });
+        await this.changeHistory.addEntry(controller.serialNumber, saved ? 'discovery' : 'added', changes, context);
+    }
+
+    /**
+     * Save attributes written to a controller and append the changes to its history
+     * attributes may be a function of the saved controller (see ConfigManager.updateController)
+     * Returns the updated controller, or null when it is not saved
+     */
+    async updateControllerAttributes(serialNumber, attributes, operation, context = {}) {
+        const update = await this.configManager.updateController(serialNumber, attributes);
+        if (!update) {
+            return null;
+        }
+
+        const changes = this.changeHistory.getChanges(update.previous, update.controller, update.fields);
+        await this.changeHistory.addEntry(serialNumber, operation, changes, context);
+        return update.controller;
+    }
+
+    /**
+     * Get the change history of a controller, newest entry first
+     * options.field (one attribute), options.limit
+     * History of a removed controller is kept and can still be read
+     */
+    async getControllerHistory(serialNumber, options = {}) {
+        const report = await this.changeHistory.getHistory(serialNumber, options);
+        if (report.total === 0 && !options.field && !(await this.configManager.getController(serialNumber))) {
+            throw new ControllerNotFoundError(serialNumber);
         }
+        return report;
+    }
+
+    /**
+     * Compare the controllers found by a discovery run with the inventory saved before it
+     * scope names the kind of run; inScope(savedController) tells whether the run could have
+     * reached a saved controller, so only those are reported missing.
+     * Returns { scope, new, missing, changed: [{ serialNumber, ip, changes: [{ field, from, to }] }], unchanged }
+     */
+    buildDiscoveryDiff(previous, found, scope, inScope = () => true) {
+        const known = new Map(previous.map(controller => [controller.serialNumber, controller]));
+        const foundSerials = new Set(found.map(controller => controller.serialNumber));
+
+        const diff = { scope, new: [], missing: [], changed: [], unchanged: 0 };
+
+        found.forEach(controller => {
+            const saved = known.get(controller.serialNumber);
+            if (!saved) {
+                diff.new.push(controller);
+                return;
+            }
+
+            // Fields the saved record does not have yet (older discovery) are not a change
+            const changes = DISCOVERY_DIFF_FIELDS
+                .filter(field => saved[field] !== undefined && saved[field] !== controller[field])
+                .map(field => ({ field, from: saved[field], to: controller[field] }));
+
+            if (changes.length > 0) {
+                diff.changed.push({ serialNumber: controller.serialNumber, ip: controller.ip, changes });
+            } else {
+                diff.unchanged++;
+            }
+        });
+
+        diff.missing = previous
+            .filter(controller => !foundSerials.has(controller.serialNumber) && inScope(controller))
+            .map(controller => ({
+                serialNumber: controller.serialNumber,
+                ip: controller.ip,
+                lastSeen: controller.lastSeen || null,
+                tags: controller.tags || []
+            }));
+
+        return diff;
+    }
+
+    /**
+     * Keep one discovery response per controller: the one that answered the most preferred
+     * variant, when a controller answers several type bytes or ports
+     */
+    selectPreferredResponses(responses, variants) {
+        const rank = ({ response, remoteInfo }) => {
+            const index = variants.findIndex(v => v.typeByte === response.type && v.port === remoteInfo.port);
+            return index === -1 ? variants.length : index;
+        };
+
+        const preferred = new Map();
+        responses.forEach(entry => {
+            const serialNumber = entry.response.deviceSerialNumber;
+            const current = preferred.get(serialNumber);
+            if (!current || rank(entry) < rank(current)) {
+                preferred.set(serialNumber, entry);
+            }
+        });
+
+        return Array.from(preferred.values());
     }
 
     /**
@@ -201,8 +391,10 @@ class ControllerAPI {
         };
 
         try {
-            // Get network interface information
-            diagnostics.networkInterfaces = this.packetHandler.getNetworkInterfaces();
+            await this.loadInterfaceConfig();
+
+            // Get network interface information, including interfaces left out of discovery
+            diagnostics.networkInterfaces = this.packetHandler.getNetworkInterfaces({ all: true });
             diagnostics.discoveryConfig = this.packetHandler.getDiscoveryConfig();
 
             console.log('Running network diagnostics...');
@@ -240,6 +432,7 @@ class ControllerAPI {
         };
 
         try {
+            await this.loadInterfaceConfig();
             const startTime = Date.now();
 
             // Try to send a discovery packet to the specific IP
@@ -271,6 +464,15 @@ class ControllerAPI {
             });
         }
 
+        // Check the interface include/exclude patterns
+        if (diagnostics.networkInterfaces.length > 0 && !diagnostics.networkInterfaces.some(iface => iface.selected)) {
+            recommendations.push({
+                type: 'error',
+                message: 'The interface include/exclude patterns leave no interface for discovery',
+                action: 'Check the patterns with "cli discovery-config" or GET /api/discovery/config'
+            });
+        }
+
         // Check for ethernet interfaces
         const ethernetInterfaces = diagnostics.networkInterfaces.filter(iface => iface.type === 'ethernet');
         if (ethernetInterfaces.length === 0) {
@@ -341,123 +543,628 @@ class ControllerAPI {
         this.packetHandler.setDiscoveryConfig(config);
     }
 
+    /**
+     * Apply the saved interface settings (config/discovery.json) once
+     */
+    loadInterfaceConfig() {
+        if (!this.interfaceConfigReady) {
+            this.interfaceConfigReady = this.configManager.loadDiscoveryConfig()
+                .then(config => this.packetHandler.setInterfaceConfig(config))
+                .catch(error => {
+                    this.interfaceConfigReady = null;
+                    throw error;
+                });
+        }
+        return this.interfaceConfigReady;
+    }
+
+    /**
+     * Interface settings: saved values, environment overrides, the effective settings
+     * and every interface with whether discovery uses it
+     */
+    async getInterfaceConfig() {
+        const saved = await this.configManager.loadDiscoveryConfig();
+        await this.loadInterfaceConfig();
+
+        return {
+            effective: this.packetHandler.getInterfaceConfig(),
+            saved: this.packetHandler.validateInterfaceConfig(saved),
+            environment: { ...this.packetHandler.interfaceEnv },
+            interfaces: this.packetHandler.getNetworkInterfaces({ all: true }).map(iface => ({
+                name: iface.name,
+                address: iface.address,
+                broadcast: iface.broadcast,
+                type: iface.type,
+                selected: iface.selected
+            }))
+        };
+    }
+
+    /**
+     * Change and save the interface settings
+     * changes: { include, exclude, broadcastAddresses, sourceIp }; fields left out keep their saved
+     * value unless options.replace is set
+     */
+    async setInterfaceConfig(changes = {}, options = {}) {
+        const fields = ['include', 'exclude', 'broadcastAddresses', 'sourceIp'];
+        const unknown = Object.keys(changes).filter(key => !fields.includes(key));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown discovery setting(s): ${unknown.join(', ')}. Use ${fields.join(', ')}`);
+        }
+
+        const saved = options.replace ? {} : await this.configManager.loadDiscoveryConfig();
+        const config = this.packetHandler.validateInterfaceConfig({ ...saved, ...changes });
+
+        this.packetHandler.setInterfaceConfig(config);
+        await this.configManager.saveDiscoveryConfig(config);
+        this.interfaceConfigReady = Promise.resolve(this.packetHandler.getInterfaceConfig());
+
+        return this.getInterfaceConfig();
+    }
+
     /**
      * Parse discovery response packet
-     * Based on SDK specification lines 180-207
+     * Function ID: 0x94
      */
     parseDiscoveryResponse(response, remoteInfo) {
-        const data = response.data;
+        const fields = this.codec.decode(this.FUNCTION_IDS.DISCOVER, response);
 
-        // Extract IP address (bytes 0-3 of data) - SDK bytes 8-11
-        const ip = this.packetHandler.bytesToIp([data[0], data[1], data[2], data[3]]);
+        return {
+            serialNumber: response.deviceSerialNumber,
+            ip: fields.ip,
+            subnetMask: fields.subnetMask,
+            gateway: fields.gateway,
+            macAddress: fields.macAddress,
+            driverVersion: fields.driverVersion,
+            driverReleaseDate: fields.driverReleaseDate,
+            remoteAddress: remoteInfo.address,
+            remotePort: remoteInfo.port,
+            // Protocol variant the controller answered on, used for every later command
+            typeByte: response.type,
+            port: remoteInfo.port
+        };
+    }
 
-        // Extract subnet mask (bytes 4-7 of data) - SDK bytes 12-15
-        const subnetMask = this.packetHandler.bytesToIp([data[4], data[5], data[6], data[7]]);
+    /**
+     * Build a record from decoded record fields (SDK bytes 8-27)
+     * Shared layout of the 0x20 status response and the 0xB0 record response
+     */
+    parseRecord(fields) {
+        return {
+            index: fields.recordIndex,
+            type: fields.recordType,
+            typeName: this.RECORD_TYPES[fields.recordType] || 'unknown',
+            valid: fields.valid === 1,
+            doorNumber: fields.doorNumber,
+            direction: fields.direction === 1 ? 'in' : fields.direction === 2 ? 'out' : 'unknown',
+            cardNumber: fields.cardNumber,
+            swipeTime: fields.swipeTime,
+            reasonCode: fields.reasonCode
+        };
+    }
 
-        // Extract gateway (bytes 8-11 of data) - SDK bytes 16-19
-        const gateway = this.packetHandler.bytesToIp([data[8], data[9], data[10], data[11]]);
+    /**
+     * Parse query status response packet
+     * Function ID: 0x20
+     * Times are read in the controller's time zone when controllerInfo has one
+     */
+    parseStatusResponse(response, controllerInfo = {}) {
+        const timeOptions = this.getTimeOptions(controllerInfo);
+        const fields = this.codec.decode(this.FUNCTION_IDS.QUERY_STATUS, response, 'response', timeOptions);
 
-        // Extract MAC address (bytes 12-17 of data) - SDK bytes 20-25
-        const macAddress = data.slice(12, 18).map(b => b.toString(16).padStart(2, '0')).join(':');
+        // Last record, index 0 means the controller has no records yet
+        const lastRecord = this.parseRecord(fields);
 
-        // Extract driver version (bytes 18-19 of data, BCD format) - SDK bytes 26-27
-        // For version 6.26: stored as 0x06 0x26 (major.minor in BCD)
-        const driverVersionMajor = this.packetHandler.bcdToDecimal(data[18]);  // Major version
-        const driverVersionMinor = this.packetHandler.bcdToDecimal(data[19]); // Minor version
-        const driverVersion = `${driverVersionMajor}.${driverVersionMinor}`;
+        // Relay status: bit 0-3 = relay 1-4, 1 means unlocked
+        // Fire / forced lock: bit 0 = forced lock, bit 1 = fire
+        const { relayStatus, alarmFlags } = fields;
 
-        // Extract driver release date (bytes 20-23 of data, BCD format) - SDK bytes 28-31
-        // Format: YYYYMMDD in BCD, e.g., 0x20 0x21 0x09 0x15 = 2021-09-15
-        const yearHigh = this.packetHandler.bcdToDecimal(data[20]); // Year high (20)
-        const yearLow = this.packetHandler.bcdToDecimal(data[21]);  // Year low (21)
-        const month = this.packetHandler.bcdToDecimal(data[22]);    // Month (09)
-        const day = this.packetHandler.bcdToDecimal(data[23]);      // Day (15)
-        const year = yearHigh * 100 + yearLow;
-        const driverReleaseDate = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+        // The date is only present on firmware with the 64-byte packet extension
+        const controllerTime = fields.controllerDate === null
+            ? null
+            : this.codec.combineDateTime(fields.controllerDate, fields.controllerTime, timeOptions);
 
         return {
             serialNumber: response.deviceSerialNumber,
-            ip,
-            subnetMask,
-            gateway,
-            macAddress,
-            driverVersion,
-            driverReleaseDate,
-            remoteAddress: remoteInfo.address,
-            remotePort: remoteInfo.port
+            lastRecord: lastRecord.index === 0 ? null : lastRecord,
+            doors: [1, 2, 3, 4].map(number => ({
+                number,
+                sensorOpen: fields[`door${number}Sensor`] === 1,
+                buttonPressed: fields[`door${number}Button`] === 1,
+                relayUnlocked: (relayStatus & (1 << (number - 1))) !== 0
+            })),
+            errorNumber: fields.errorNumber,
+            hasError: fields.errorNumber !== 0,
+            controllerTime,
+            specialInfo: fields.specialInfo,
+            relayStatus,
+            forcedLock: (alarmFlags & 0x01) !== 0,
+            fireAlarm: (alarmFlags & 0x02) !== 0
+        };
+    }
+
+    /**
+     * Send a unicast command through the controller's command queue
+     * Commands to one controller run one at a time with the function's timeout and retry policy
+     */
+    async sendCommand(controllerInfo, functionId, data = null, options = {}) {
+        const { response } = await this.sendTimedCommand(controllerInfo, functionId, data, options);
+        return response;
+    }
+
+    /**
+     * Like sendCommand, but also resolves with the host times (ms) the answered attempt
+     * was sent and received, which exclude the time spent waiting in the queue
+     */
+    async sendTimedCommand(controllerInfo, functionId, data = null, options = {}) {
+        const typeByte = controllerInfo.typeByte || this.packetHandler.TYPE_BYTE;
+        this.capabilities.assertSupported(controllerInfo, functionId, typeByte);
+        await this.loadInterfaceConfig();
+
+        const packet = this.packetHandler.createPacket(functionId, controllerInfo.serialNumber, data, 0, typeByte);
+        const { response, sentAt, receivedAt } = await this.commandQueue.execute(
+            this.packetHandler, controllerInfo, packet, options);
+        return { response, sentAt, receivedAt };
+    }
+
+    /**
+     * Codec options for the controller's clock: its IANA time zone, or the host zone when not set
+     */
+    getTimeOptions(controllerInfo) {
+        return { timeZone: controllerInfo.timeZone || null };
+    }
+
+    /**
+     * Functions and fields the controller's firmware supports, with compatibility warnings
+     */
+    getControllerCapabilities(controllerInfo) {
+        return this.capabilities.getCapabilities(controllerInfo);
+    }
+
+    /**
+     * Controller context attached to typed errors
+     */
+    getErrorContext(controllerInfo) {
+        return {
+            serialNumber: controllerInfo.serialNumber,
+            ip: controllerInfo.ip || controllerInfo.remoteAddress
+        };
+    }
+
+    /**
+     * Check that a saved controller answers at its address
+     * Function ID: 0x94 (unicast, addressed to the controller's serial number)
+     */
+    async pingController(controllerInfo, options = {}) {
+        try {
+            const startTime = Date.now();
+            const response = await this.sendCommand(controllerInfo, this.FUNCTION_IDS.DISCOVER, null, options);
+
+            if (response.functionId === this.FUNCTION_IDS.DISCOVER) {
+                return {
+                    success: true,
+                    serialNumber: response.deviceSerialNumber,
+                    responseTime: Date.now() - startTime
+                };
+            }
+
+            throw new ProtocolMismatchError('Invalid response for discover command',
+                this.getErrorContext(controllerInfo));
+        } catch (error) {
+            throw wrapError(error, 'Failed to reach controller');
+        }
+    }
+
+    /**
+     * Query controller status (real-time monitoring)
+     * Function ID: 0x20
+     */
+    async getControllerStatus(controllerInfo, options = {}) {
+        try {
+            const response = await this.sendCommand(
+                controllerInfo,
+                this.FUNCTION_IDS.QUERY_STATUS,
+                null,
+                options
+            );
+
+            if (response.functionId === this.FUNCTION_IDS.QUERY_STATUS) {
+                const status = this.parseStatusResponse(response, controllerInfo);
+                await this.configManager.updateLastSeen(controllerInfo.serialNumber);
+
+                return {
+                    success: true,
+                    ...status
+                };
+            }
+
+            throw new ProtocolMismatchError('Invalid response for query status command',
+                this.getErrorContext(controllerInfo));
+        } catch (error) {
+            throw wrapError(error, 'Failed to query controller status');
+        }
+    }
+
+    /**
+     * Get the record with the specified index
+     * Function ID: 0xB0
+     * Index 0 returns the oldest record, 0xFFFFFFFF returns the latest record
+     */
+    async getRecord(controllerInfo, recordIndex) {
+        try {
+            const response = await this.sendCommand(
+                controllerInfo,
+                this.FUNCTION_IDS.GET_RECORD,
+                this.codec.encode(this.FUNCTION_IDS.GET_RECORD, { recordIndex })
+            );
+
+            if (response.functionId === this.FUNCTION_IDS.GET_RECORD) {
+                return this.parseRecord(this.codec.decode(this.FUNCTION_IDS.GET_RECORD, response, 'response',
+                    this.getTimeOptions(controllerInfo)));
+            }
+
+            throw new ProtocolMismatchError('Invalid response for get record command',
+                this.getErrorContext(controllerInfo));
+        } catch (error) {
+            throw wrapError(error, `Failed to get record ${recordIndex}`);
+        }
+    }
+
+    /**
+     * Get the index of the last record that has been read
+     * Function ID: 0xB4
+     */
+    async getReadRecordIndex(controllerInfo) {
+        try {
+            const response = await this.sendCommand(
+                controllerInfo,
+                this.FUNCTION_IDS.GET_RECORD_INDEX
+            );
+
+            if (response.functionId === this.FUNCTION_IDS.GET_RECORD_INDEX) {
+                return this.codec.decode(this.FUNCTION_IDS.GET_RECORD_INDEX, response).recordIndex;
+            }
+
+            throw new ProtocolMismatchError('Invalid response for get record index command',
+                this.getErrorContext(controllerInfo));
+        } catch (error) {
+            throw wrapError(error, 'Failed to get read record index');
+        }
+    }
+
+    /**
+     * Set the index of the last record that has been read
+     * Function ID: 0xB2
+     */
+    async setReadRecordIndex(controllerInfo, recordIndex) {
+        try {
+            const response = await this.sendCommand(
+                controllerInfo,
+                this.FUNCTION_IDS.SET_RECORD_INDEX,
+                this.codec.encode(this.FUNCTION_IDS.SET_RECORD_INDEX, { recordIndex })
+            );
+
+            if (response.functionId === this.FUNCTION_IDS.SET_RECORD_INDEX &&
+                this.codec.decode(this.FUNCTION_IDS.SET_RECORD_INDEX, response).result === 1) {
+                return {
+                    success: true,
+                    recordIndex
+                };
+            }
+
+            // Controller rejects indexes beyond its latest record
+            throw new ControllerRejectedError('Controller rejected record index', this.getErrorContext(controllerInfo));
+        } catch (error) {
+            throw wrapError(error, 'Failed to set read record index');
+        }
+    }
+
+    /**
+     * Download new records from the controller and store them locally
+     */
+    async syncRecords(controllerInfo, options = {}) {
+        const result = await this.recordSync.syncController(controllerInfo, options);
+        await this.configManager.updateLastSeen(controllerInfo.serialNumber);
+        return result;
+    }
+
+    /**
+     * Get locally stored records for a controller
+     */
+    async getStoredRecords(serialNumber, options = {}) {
+        return await this.recordStore.getRecords(serialNumber, options);
+    }
+
+    /**
+     * Remote open door
+     * Function ID: 0x40
+     */
+    async openDoor(controllerInfo, doorNumber) {
+        const door = this.validateDoorNumber(doorNumber);
+
+        try {
+            const response = await this.sendCommand(
+                controllerInfo,
+                this.FUNCTION_IDS.REMOTE_OPEN_DOOR,
+                this.codec.encode(this.FUNCTION_IDS.REMOTE_OPEN_DOOR, { doorNumber: door })
+            );
+
+            if (response.functionId === this.FUNCTION_IDS.REMOTE_OPEN_DOOR &&
+                this.codec.decode(this.FUNCTION_IDS.REMOTE_OPEN_DOOR, response).result === 1) {
+                await this.configManager.updateLastSeen(controllerInfo.serialNumber);
+
+                return {
+                    success: true,
+                    doorNumber: door,
+                    openedAt: new Date()
+                };
+            }
+
+            throw new ControllerRejectedError('Controller failed to open door', this.getErrorContext(controllerInfo));
+        } catch (error) {
+            throw wrapError(error, `Failed to open door ${door}`);
+        }
+    }
+
+    /**
+     * Validate door number (1-4)
+     */
+    validateDoorNumber(doorNumber) {
+        const door = parseInt(doorNumber);
+        if (!Number.isInteger(door) || door < 1 || door > 4) {
+            throw new ValidationError(`Invalid door number: ${doorNumber}. Must be between 1 and 4`);
+        }
+        return door;
+    }
+
+    /**
+     * Validate a door open delay (0-255 seconds)
+     */
+    validateOpenDelay(openDelay) {
+        const delay = parseInt(openDelay);
+        if (!Number.isInteger(delay) || delay < 0 || delay > 255) {
+            throw new ValidationError(`Invalid open delay: ${openDelay}. Must be between 0 and 255 seconds`);
+        }
+        return delay;
+    }
+
+    /**
+     * Resolve a door control mode given as number (1-3) or name
+     */
+    resolveDoorControlMode(controlMode) {
+        const byName = Object.keys(this.DOOR_CONTROL_MODES)
+            .find(key => this.DOOR_CONTROL_MODES[key] === controlMode);
+        const mode = byName ? parseInt(byName) : parseInt(controlMode);
+
+        if (!this.DOOR_CONTROL_MODES[mode]) {
+            throw new ValidationError(`Invalid control mode: ${controlMode}. Use 1 (normally_open), 2 (normally_closed) or 3 (online)`);
+        }
+        return mode;
+    }
+
+    /**
+     * Parse door parameters response
+     * Shared layout of the 0x80 and 0x82 responses
+     */
+    parseDoorParams(response) {
+        const { doorNumber, controlMode, openDelay } = this.codec.decode(response.functionId, response);
+
+        return {
+            doorNumber,
+            controlMode,
+            controlModeName: this.DOOR_CONTROL_MODES[controlMode] || 'unknown',
+            openDelay
         };
     }
 
+    /**
+     * Get door control parameters
+     * Function ID: 0x82
+     */
+    async getDoorParams(controllerInfo, doorNumber) {
+        const door = this.validateDoorNumber(doorNumber);
+
+        try {
+            const response = await this.sendCommand(
+                controllerInfo,
+                this.FUNCTION_IDS.GET_DOOR_PARAMS,
+                this.codec.encode(this.FUNCTION_IDS.GET_DOOR_PARAMS, { doorNumber: door })
+            );
+
+            if (response.functionId === this.FUNCTION_IDS.GET_DOOR_PARAMS) {
+                await this.configManager.updateLastSeen(controllerInfo.serialNumber);
+
+                return {
+                    success: true,
+                    ...this.parseDoorParams(response)
+                };
+            }
+
+            throw new ProtocolMismatchError('Invalid response for get door parameters command',
+                this.getErrorContext(controllerInfo));
+        } catch (error) {
+            throw wrapError(error, `Failed to get door ${door} parameters`);
+        }
+    }
+
+    /**
+     * Set door control parameters (control mode and open delay)
+     * Function ID: 0x80
+     * The settings are saved with the controller (doors) and recorded in its history with context
+     */
+    async setDoorParams(controllerInfo, doorNumber, doorParams, context = {}) {
+        const door = this.validateDoorNumber(doorNumber);
+        const controlMode = this.resolveDoorControlMode(doorParams.controlMode);
+        const openDelay = this.validateOpenDelay(doorParams.openDelay);
+
+        try {
+            const response = await this.sendCommand(
+                controllerInfo,
+                this.FUNCTION_IDS.SET_DOOR_PARAMS,
+                this.codec.encode(this.FUNCTION_IDS.SET_DOOR_PARAMS, { doorNumber: door, controlMode, openDelay })
+            );
+
+            // Door number 0 in the response means the setting failed
+            if (response.functionId === this.FUNCTION_IDS.SET_DOOR_PARAMS &&
+                this.codec.decode(this.FUNCTION_IDS.SET_DOOR_PARAMS, response).doorNumber !== 0) {
+                // Merged with the doors saved at that moment, so parallel door settings are all kept
+                await this.updateControllerAttributes(controllerInfo.serialNumber,
+                    saved => ({ doors: { ...(saved.doors || {}), [door]: { controlMode, openDelay } } }),
+                    'setDoorParams', context);
+
+                return {
+                    success: true,
+                    ...this.parseDoorParams(response)
+                };
+            }
+
+            throw new ControllerRejectedError('Controller rejected door parameters',
+                this.getErrorContext(controllerInfo));
+        } catch (error) {
+            throw wrapError(error, `Failed to set door ${door} parameters`);
+        }
+    }
+
+    /**
+     * Validate and normalize a card privilege definition
+     */
+    normalizePrivilege(privilege) {
+        return this.privilegeManager.normalizePrivilege(privilege);
+    }
+
+    /**
+     * Add or modify a card privilege
+     * Function ID: 0x50
+     */
+    async addPrivilege(controllerInfo, privilege) {
+        return await this.privilegeManager.addPrivilege(controllerInfo, privilege);
+    }
+
+    /**
+     * Delete a single card privilege
+     * Function ID: 0x52
+     */
+    async deletePrivilege(controllerInfo, cardNumber) {
+        return await this.privilegeManager.deletePrivilege(controllerInfo, cardNumber);
+    }
+
+    /**
+     * Clear all card privileges
+     * Function ID: 0x54
+     */
+    async clearPrivileges(controllerInfo) {
+        return await this.privilegeManager.clearPrivileges(controllerInfo);
+    }
+
+    /**
+     * Read the total number of card privileges
+     * Function ID: 0x58
+     */
+    async getPrivilegeCount(controllerInfo) {
+        return await this.privilegeManager.getPrivilegeCount(controllerInfo);
+    }
+
+    /**
+     * Query the privilege of a single card
+     * Function ID: 0x5A
+     */
+    async queryPrivilege(controllerInfo, cardNumber) {
+        return await this.privilegeManager.queryPrivilege(controllerInfo, cardNumber);
+    }
+
+    /**
+     * Read the privilege at the specified index
+     * Function ID: 0x5C
+     */
+    async getPrivilegeByIndex(controllerInfo, index) {
+        return await this.privilegeManager.getPrivilegeByIndex(controllerInfo, index);
+    }
+
+    /**
+     * List all card privileges stored on the controller
+     */
+    async listPrivileges(controllerInfo, options = {}) {
+        return await this.privilegeManager.listPrivileges(controllerInfo, options);
+    }
+
+    /**
+     * Parse and validate a card list for bulk upload (format: 'csv' or 'json')
+     * Returns the cards sorted in ascending card number order
+     */
+    prepareBulkCards(input, format = 'json') {
+        const cards = this.bulkUploader.parseCards(input, format);
+        return this.bulkUploader.prepareCards(cards);
+    }
+
+    /**
+     * Upload card privileges in bulk with progress reporting and resume
+     * Function ID: 0x56
+     */
+    async uploadPrivileges(controllerInfo, cards, options = {}) {
+        return await this.bulkUploader.upload(controllerInfo, cards, options);
+    }
+
+    /**
+     * Get the checkpoint of the last bulk upload to a controller
+     */
+    async getUploadState(serialNumber) {
+        return await this.bulkUploader.loadState(serialNumber);
+    }
+
     /**
      * Get controller time
      * Function ID: 0x32
+     * sentAt/receivedAt are the host times (ms) the answered request was sent and received
      */
-    async getControllerTime(controllerInfo) {
+    async getControllerTime(controllerInfo, options = {}) {
         try {
-            const packet = this.packetHandler.createPacket(
+            const { response, sentAt, receivedAt } = await this.sendTimedCommand(
+                controllerInfo,
                 this.FUNCTION_IDS.GET_TIME,
-                controllerInfo.serialNumber
-            );
-            
-            const { response } = await this.packetHandler.sendPacket(
-                packet,
-                controllerInfo.ip || controllerInfo.remoteAddress
+                null,
+                options
             );
             
             if (response.functionId === this.FUNCTION_IDS.GET_TIME) {
-                const data = response.data;
-                const bcdData = {
-                    yearHigh: data[0],
-                    yearLow: data[1],
-                    month: data[2],
-                    day: data[3],
-                    hour: data[4],
-                    minute: data[5],
-                    second: data[6]
-                };
-                
-                const date = this.packetHandler.bcdToDate(bcdData);
+                const timeZone = controllerInfo.timeZone || null;
+                const date = this.codec.decode(this.FUNCTION_IDS.GET_TIME, response, 'response', { timeZone }).time;
+                if (!date) {
+                    throw new ProtocolMismatchError('Controller returned an empty time',
+                        this.getErrorContext(controllerInfo));
+                }
+
                 await this.configManager.updateLastSeen(controllerInfo.serialNumber);
                 
                 return {
                     success: true,
                     time: date,
-                    timestamp: date.getTime()
+                    timestamp: date.getTime(),
+                    localTime: this.packetHandler.formatDateTime(date, timeZone),
+                    timeZone: timeZone || this.packetHandler.getHostTimeZone(),
+                    sentAt,
+                    receivedAt
                 };
             }
             
-            throw new Error('Invalid response for get time command');
+            throw new ProtocolMismatchError('Invalid response for get time command',
+                this.getErrorContext(controllerInfo));
         } catch (error) {
-            throw new Error(`Failed to get controller time: ${error.message}`);
+            throw wrapError(error, 'Failed to get controller time');
         }
     }
 
     /**
      * Set controller time
      * Function ID: 0x30
+     * The clock is set to the wall-clock time of newTime in the controller's time zone
      */
     async setControllerTime(controllerInfo, newTime) {
         try {
-            const bcdData = this.packetHandler.dateToBCD(newTime);
-            const data = [
-                bcdData.yearHigh,
-                bcdData.yearLow,
-                bcdData.month,
-                bcdData.day,
-                bcdData.hour,
-                bcdData.minute,
-                bcdData.second
-            ];
-            
-            const packet = this.packetHandler.createPacket(
+            const timeZone = controllerInfo.timeZone || null;
+            const response = await this.sendCommand(
+                controllerInfo,
                 this.FUNCTION_IDS.SET_TIME,
-                controllerInfo.serialNumber,
-                data
-            );
-            
-            const { response } = await this.packetHandler.sendPacket(
-                packet,
-                controllerInfo.ip || controllerInfo.remoteAddress
+                this.codec.encode(this.FUNCTION_IDS.SET_TIME, { time: newTime }, 'request', { timeZone })
             );
             
             if (response.functionId === this.FUNCTION_IDS.SET_TIME) {
@@ -466,54 +1173,129 @@ class ControllerAPI {
                 return {
                     success: true,
                     setTime: newTime,
-                    timestamp: newTime.getTime()
+                    timestamp: newTime.getTime(),
+                    localTime: this.packetHandler.formatDateTime(newTime, timeZone),
+                    timeZone: timeZone || this.packetHandler.getHostTimeZone()
                 };
             }
             
-            throw new Error('Invalid response for set time command');
+            throw new ProtocolMismatchError('Invalid response for set time command',
+                this.getErrorContext(controllerInfo));
         } catch (error) {
-            throw new Error(`Failed to set controller time: ${error.message}`);
+            throw wrapError(error, 'Failed to set controller time');
+        }
+    }
+
+    /**
+     * Set the IANA time zone of a saved controller's clock (null or empty for the host time zone)
+     * Takes effect on the next time, status or record command; set the time again afterwards
+     */
+    async setControllerTimeZone(serialNumber, timeZone, context = {}) {
+        if (timeZone && !this.packetHandler.isValidTimeZone(timeZone)) {
+            throw new ValidationError(`Invalid time zone: ${timeZone}. Use an IANA name such as Europe/Berlin`);
+        }
+
+        const saved = await this.configManager.getController(serialNumber);
+        const controller = await this.configManager.setTimeZone(serialNumber, timeZone || null);
+        if (!controller) {
+            throw new ControllerNotFoundError(serialNumber);
+        }
+
+        await this.changeHistory.addEntry(serialNumber, 'setTimeZone',
+            this.changeHistory.getChanges(saved, controller, ['timeZone']), context);
+        return controller;
+    }
+
+    /**
+     * Measure the controller's clock drift and correct it beyond the threshold
+     * options.threshold (ms), options.dryRun, options.force
+     */
+    async syncControllerTime(controllerInfo, options = {}) {
+        return await this.timeSync.syncController(controllerInfo, options);
+    }
+
+    /**
+     * Sync the clocks of all saved controllers (or options.controllers)
+     */
+    async syncFleetTime(options = {}) {
+        return await this.timeSync.syncAll(options);
+    }
+
+    /**
+     * Get the stored drift history and drift rate of a controller
+     */
+    async getTimeDrift(serialNumber, options = {}) {
+        return await this.timeSync.getDriftReport(serialNumber, options);
+    }
+
+    /**
+     * Run a fleet operation (getStatus, setTime, setServer, setDoorParams) against selected controllers
+     * selector: { serials, subnet, tags, all }; options: { params, concurrency, failureThreshold, onResult, context }
+     */
+    async runFleetOperation(operation, selector, options = {}) {
+        return await this.fleetOperations.run(operation, selector, options);
+    }
+
+    /**
+     * Check the saved controllers (or options.controllers) for IP conflicts and misconfiguration
+     * See FleetLint.lint for the report
+     */
+    async lintFleet(options = {}) {
+        return await this.fleetLint.lint(options);
+    }
+
+    /**
+     * Replace the tags of a saved controller (used to select controllers for fleet operations)
+     */
+    async setControllerTags(serialNumber, tags, context = {}) {
+        if (!Array.isArray(tags)) {
+            throw new ValidationError('tags must be an array of strings');
+        }
+
+        const normalized = [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+        const invalid = normalized.filter(tag => !/^[\w.-]+$/.test(tag));
+        if (invalid.length > 0) {
+            throw new ValidationError(`Invalid tag(s): ${invalid.join(', ')}. Use letters, digits, '_', '-' and '.'`);
+        }
+
+        const saved = await this.configManager.getController(serialNumber);
+        const controller = await this.configManager.setTags(serialNumber, normalized);
+        if (!controller) {
+            throw new ControllerNotFoundError(serialNumber);
         }
+
+        await this.changeHistory.addEntry(serialNumber, 'setTags',
+            this.changeHistory.getChanges(saved, controller, ['tags']), context);
+        return controller;
     }
 
     /**
      * Set controller network configuration
      * Function ID: 0x96
+     * The new settings are saved and recorded in the controller's history with context ({ source, actor })
      */
-    async setControllerNetworkConfig(controllerInfo, networkConfig) {
+    async setControllerNetworkConfig(controllerInfo, networkConfig, context = {}) {
         try {
             const { ip, subnetMask, gateway } = networkConfig;
             
-            const data = [
-                ...this.packetHandler.ipToBytes(ip),        // bytes 0-3
-                ...this.packetHandler.ipToBytes(subnetMask), // bytes 4-7
-                ...this.packetHandler.ipToBytes(gateway),    // bytes 8-11
-                0x55, 0xAA, 0xAA, 0x55                      // bytes 12-15: identification
-            ];
-            
-            const packet = this.packetHandler.createPacket(
+            const data = this.codec.encode(this.FUNCTION_IDS.SET_IP, { ip, subnetMask, gateway });
+
+            // Note: Controller will restart after this command and won't return a response
+            await this.sendCommand(
+                controllerInfo,
                 this.FUNCTION_IDS.SET_IP,
-                controllerInfo.serialNumber,
                 data
-            );
-            
-            // Note: Controller will restart after this command and won't return a response
-            await this.packetHandler.sendPacket(
-                packet,
-                controllerInfo.ip || controllerInfo.remoteAddress,
-                1000 // Shorter timeout since no response expected
-            ).catch(() => {
-                // Expected to timeout since controller restarts
+            ).catch(error => {
+                // A timeout is expected since the controller restarts; anything else (a refusal
+                // by the firmware, a socket error) means the settings were not applied
+                if (!(error instanceof ControllerTimeoutError)) {
+                    throw error;
+                }
             });
             
             // Update config with new network settings
-            const updatedController = {
-                ...controllerInfo,
-                ip,
-                subnetMask,
-                gateway
-            };
-            await this.configManager.addController(updatedController);
+            await this.updateControllerAttributes(controllerInfo.serialNumber,
+                { ip, subnetMask, gateway }, 'setNetwork', context);
             
             return {
                 success: true,
@@ -521,7 +1303,7 @@ class ControllerAPI {
                 newConfig: { ip, subnetMask, gateway }
             };
         } catch (error) {
-            throw new Error(`Failed to set network configuration: ${error.message}`);
+            throw wrapError(error, 'Failed to set network configuration');
         }
     }
 
@@ -531,23 +1313,15 @@ class ControllerAPI {
      */
     async getReceivingServer(controllerInfo) {
         try {
-            const packet = this.packetHandler.createPacket(
-                this.FUNCTION_IDS.GET_RECEIVING_SERVER,
-                controllerInfo.serialNumber
-            );
-            
-            const { response } = await this.packetHandler.sendPacket(
-                packet,
-                controllerInfo.ip || controllerInfo.remoteAddress
+            const response = await this.sendCommand(
+                controllerInfo,
+                this.FUNCTION_IDS.GET_RECEIVING_SERVER
             );
             
             if (response.functionId === this.FUNCTION_IDS.GET_RECEIVING_SERVER) {
-                const data = response.data;
-                
-                const serverIp = this.packetHandler.bytesToIp([data[0], data[1], data[2], data[3]]);
-                const port = (data[5] << 8) | data[4]; // Little-endian
-                const uploadInterval = data[6];
-                
+                const { serverIp, port, uploadInterval } =
+                    this.codec.decode(this.FUNCTION_IDS.GET_RECEIVING_SERVER, response);
+
                 await this.configManager.updateLastSeen(controllerInfo.serialNumber);
                 
                 return {
@@ -559,40 +1333,32 @@ class ControllerAPI {
                 };
             }
             
-            throw new Error('Invalid response for get receiving server command');
+            throw new ProtocolMismatchError('Invalid response for get receiving server command',
+                this.getErrorContext(controllerInfo));
         } catch (error) {
-            throw new Error(`Failed to get receiving server configuration: ${error.message}`);
+            throw wrapError(error, 'Failed to get receiving server configuration');
         }
     }
 
     /**
      * Set receiving server configuration
      * Function ID: 0x90
+     * The configuration is saved with the controller (receivingServer) and recorded in its history
      */
-    async setReceivingServer(controllerInfo, serverConfig) {
+    async setReceivingServer(controllerInfo, serverConfig, context = {}) {
         try {
             const { serverIp, port, uploadInterval = 0 } = serverConfig;
             
-            const data = [
-                ...this.packetHandler.ipToBytes(serverIp),  // bytes 0-3
-                port & 0xFF,                               // byte 4: port low
-                (port >> 8) & 0xFF,                        // byte 5: port high
-                uploadInterval                             // byte 6: upload interval
-            ];
-            
-            const packet = this.packetHandler.createPacket(
+            const response = await this.sendCommand(
+                controllerInfo,
                 this.FUNCTION_IDS.SET_RECEIVING_SERVER,
-                controllerInfo.serialNumber,
-                data
-            );
-            
-            const { response } = await this.packetHandler.sendPacket(
-                packet,
-                controllerInfo.ip || controllerInfo.remoteAddress
+                this.codec.encode(this.FUNCTION_IDS.SET_RECEIVING_SERVER, { serverIp, port, uploadInterval })
             );
-            
-            if (response.functionId === this.FUNCTION_IDS.SET_RECEIVING_SERVER && response.data[0] === 1) {
-                await this.configManager.updateLastSeen(controllerInfo.serialNumber);
+
+            if (response.functionId === this.FUNCTION_IDS.SET_RECEIVING_SERVER &&
+                this.codec.decode(this.FUNCTION_IDS.SET_RECEIVING_SERVER, response).result === 1) {
+                const receivingServer = { serverIp, port: parseInt(port), uploadInterval: parseInt(uploadInterval) };
+                await this.updateControllerAttributes(controllerInfo.serialNumber, { receivingServer }, 'setServer', context);
                 
                 return {
                     success: true,
@@ -600,9 +1366,10 @@ class ControllerAPI {
                 };
             }
             
-            throw new Error('Controller rejected receiving server configuration');
+            throw new ControllerRejectedError('Controller rejected receiving server configuration',
+                this.getErrorContext(controllerInfo));
         } catch (error) {
-            throw new Error(`Failed to set receiving server configuration: ${error.message}`);
+            throw wrapError(error, 'Failed to set receiving server configuration');
         }
     }
 
@@ -0,0 +1,157 @@
+/**
+ * Typed Controller Errors
+ * Every error carries a stable code for integrations, the HTTP status and WebSocket error
+ * code it is reported with, and the controller context it happened in
+ * (serial number, IP address, function ID)
+ */
+class ControllerError extends Error {
+    constructor(message, context = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = 'CONTROLLER_ERROR';
+        this.httpStatus = 500;
+        this.context = context;
+    }
+
+    // WebSocket error codes use the application range: 4000 + HTTP status
+    get wsCode() {
+        return 4000 + this.httpStatus;
+    }
+}
+
+/**
+ * The controller did not answer within the function's timeout (after retries)
+ */
+class ControllerTimeoutError extends ControllerError {
+    constructor(message = 'Timeout waiting for response', context = {}) {
+        super(message, context);
+        this.code = 'CONTROLLER_TIMEOUT';
+        this.httpStatus = 504;
+    }
+}
+
+/**
+ * The controller answered but refused the command (result byte 8 = 0)
+ */
+class ControllerRejectedError extends ControllerError {
+    constructor(message = 'Controller rejected the command', context = {}) {
+        super(message, context);
+        this.code = 'CONTROLLER_REJECTED';
+        this.httpStatus = 422;
+    }
+}
+
+/**
+ * The reply does not match the request (function ID, serial number or layout)
+ */
+class ProtocolMismatchError extends ControllerError {
+    constructor(message = 'Unexpected response from controller', context = {}) {
+        super(message, context);
+        this.code = 'PROTOCOL_MISMATCH';
+        this.httpStatus = 502;
+    }
+}
+
+/**
+ * No saved controller with the requested serial number
+ */
+class ControllerNotFoundError extends ControllerError {
+    constructor(serialNumber, context = {}) {
+        super(`Controller ${serialNumber} not found`, { serialNumber, ...context });
+        this.code = 'CONTROLLER_NOT_FOUND';
+        this.httpStatus = 404;
+    }
+}
+
+/**
+ * Invalid input, rejected before anything is sent to a controller
+ */
+class ValidationError extends ControllerError {
+    constructor(message, context = {}) {
+        super(message, context);
+        this.code = 'VALIDATION_ERROR';
+        this.httpStatus = 400;
+    }
+}
+
+/**
+ * The controller's firmware does not support the function, refused before anything is sent
+ */
+class UnsupportedByFirmwareError extends ControllerError {
+    constructor(message, context = {}) {
+        super(message, context);
+        this.code = 'UNSUPPORTED_BY_FIRMWARE';
+        this.httpStatus = 501;
+    }
+}
+
+/**
+ * A bulk upload to the controller is already running, in this or another process
+ */
+class UploadInProgressError extends ControllerError {
+    constructor(serialNumber, context = {}) {
+        super(`A bulk upload to controller ${serialNumber} is already running`, { serialNumber, ...context });
+        this.code = 'UPLOAD_IN_PROGRESS';
+        this.httpStatus = 409;
+    }
+}
+
+/**
+ * A service the request needs is not available in this process
+ */
+class ServiceUnavailableError extends ControllerError {
+    constructor(message, context = {}) {
+        super(message, context);
+        this.code = 'SERVICE_UNAVAILABLE';
+        this.httpStatus = 503;
+    }
+}
+
+/**
+ * Prefix an error message with what was being done, keeping the error's type, code and context
+ */
+function wrapError(error, message) {
+    if (!(error instanceof ControllerError)) {
+        return new Error(`${message}: ${error.message}`);
+    }
+
+    error.message = `${message}: ${error.message}`;
+    return error;
+}
+
+/**
+ * Code, statuses and context of any error; untyped errors are internal errors
+ */
+function describeError(error) {
+    if (error instanceof ControllerError) {
+        return {
+            code: error.code,
+            message: error.message,
+            httpStatus: error.httpStatus,
+            wsCode: error.wsCode,
+            context: error.context
+        };
+    }
+
+    return {
+        code: 'INTERNAL_ERROR',
+        message: error.message,
+        httpStatus: 500,
+        wsCode: 4500,
+        context: {}
+    };
+}
+
+module.exports = {
+    ControllerError,
+    ControllerTimeoutError,
+    ControllerRejectedError,
+    ProtocolMismatchError,
+    ControllerNotFoundError,
+    ValidationError,
+    UnsupportedByFirmwareError,
+    UploadInProgressError,
+    ServiceUnavailableError,
+    wrapError,
+    describeError
+};
@@ -0,0 +1,198 @@
+const dgram = require('dgram');
+const EventEmitter = require('events');
+
+/**
+ * Event Receiver for Controller Upload Packets
+ * Listens on the receiving server port configured with 0x90. Controllers push
+ * packets with the 0x20 status layout whenever a record is generated; each packet
+ * is decoded into typed events:
+ *   record      - new swipe/event record (de-duplicated by record index)
+ *   door_sensor - door sensor changed state
+ *   alarm       - alarm record, fire/forced lock flag or error number raised
+ */
+class EventReceiver extends EventEmitter {
+    constructor(api, options = {}) {
+        super();
+        this.api = api;
+        this.packetHandler = api.packetHandler;
+        this.recordStore = api.recordStore;
+
+        this.port = options.port || 9001;
+        this.host = options.host || '0.0.0.0';
+        this.socket = null;
+
+        // Last known state per controller serial number
+        this.controllerState = new Map();
+
+        // Packets are processed one at a time, in the order they arrive
+        this.queue = Promise.resolve();
+
+        this.stats = {
+            packetsReceived: 0,
+            invalidPackets: 0,
+            duplicateRecords: 0,
+            eventsEmitted: 0,
+            startedAt: null
+        };
+    }
+
+    /**
+     * Start listening for upload packets
+     */
+    async start() {
+        if (this.socket) {
+            return;
+        }
+
+        await new Promise((resolve, reject) => {
+            const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+            socket.once('error', reject);
+
+            socket.on('message', (msg, rinfo) => {
+                this.queue = this.queue
+                    .then(() => this.handlePacket(msg, rinfo))
+                    .catch(error => this.emit('error', error));
+            });
+
+            socket.bind(this.port, this.host, () => {
+                socket.removeListener('error', reject);
+                socket.on('error', error => this.emit('error', error));
+
+                this.socket = socket;
+                this.stats.startedAt = new Date().toISOString();
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     */
+    async stop() {
+        if (!this.socket) {
+            return;
+        }
+
+        await new Promise(resolve => this.socket.close(resolve));
+        this.socket = null;
+        await this.queue;
+    }
+
+    isRunning() {
+        return this.socket !== null;
+    }
+
+    /**
+     * Decode a pushed packet and emit events for anything new
+     */
+    async handlePacket(msg, rinfo) {
+        this.stats.packetsReceived++;
+
+        let response;
+        try {
+            response = this.packetHandler.parsePacket(msg);
+        } catch (error) {
+            this.stats.invalidPackets++;
+            return;
+        }
+
+        if (!this.packetHandler.TYPE_BYTES.includes(response.type) ||
+            response.functionId !== this.api.FUNCTION_IDS.QUERY_STATUS) {
+            this.stats.invalidPackets++;
+            return;
+        }
+
+        // Saved controllers may keep their clock in another time zone
+        const controller = await this.api.getControllerBySerial(response.deviceSerialNumber);
+        const status = this.api.parseStatusResponse(response, controller || {});
+        const serialNumber = status.serialNumber;
+        const source = { serialNumber, remoteAddress: rinfo.address };
+        const previous = this.controllerState.get(serialNumber);
+
+        this.controllerState.set(serialNumber, {
+            doors: status.doors,
+            fireAlarm: status.fireAlarm,
+            forcedLock: status.forcedLock,
+            errorNumber: status.errorNumber,
+            lastPacketAt: new Date().toISOString()
+        });
+
+        if (status.lastRecord) {
+            await this.handleRecord(source, status.lastRecord);
+        }
+
+        // The first packet of a controller only establishes the baseline state
+        if (previous) {
+            this.detectDoorChanges(source, previous, status);
+            this.detectAlarmChanges(source, previous, status);
+        }
+    }
+
+    /**
+     * Persist a pushed record and emit it unless it was already stored
+     */
+    async handleRecord(source, record) {
+        const added = await this.recordStore.addRecords(source.serialNumber, [record]);
+
+        if (added.length === 0) {
+            this.stats.duplicateRecords++;
+            return;
+        }
+
+        this.emitEvent('record', { ...source, record });
+
+        if (record.typeName === 'alarm') {
+            this.emitEvent('alarm', {
+                ...source,
+                reason: 'record',
+                doorNumber: record.doorNumber,
+                reasonCode: record.reasonCode,
+                record
+            });
+        }
+    }
+
+    detectDoorChanges(source, previous, status) {
+        status.doors.forEach((door, i) => {
+            if (door.sensorOpen !== previous.doors[i].sensorOpen) {
+                this.emitEvent('door_sensor', {
+                    ...source,
+                    doorNumber: door.number,
+                    state: door.sensorOpen ? 'open' : 'closed'
+                });
+            }
+        });
+    }
+
+    detectAlarmChanges(source, previous, status) {
+        if (status.fireAlarm && !previous.fireAlarm) {
+            this.emitEvent('alarm', { ...source, reason: 'fire' });
+        }
+
+        if (status.forcedLock && !previous.forcedLock) {
+            this.emitEvent('alarm', { ...source, reason: 'forced_lock' });
+        }
+
+        if (status.errorNumber !== 0 && status.errorNumber !== previous.errorNumber) {
+            this.emitEvent('alarm', { ...source, reason: 'error', errorNumber: status.errorNumber });
+        }
+    }
+
+    emitEvent(type, data) {
+        this.stats.eventsEmitted++;
+        this.emit(type, data);
+    }
+
+    getStats() {
+        return {
+            running: this.isRunning(),
+            host: this.host,
+            port: this.port,
+            controllers: this.controllerState.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = EventReceiver;
@@ -0,0 +1,51 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * File Store Helpers
+ * Per-file write lock and atomic replacement for the JSON files under config/ and data/.
+ * Load-modify-save cycles on one file run one at a time, whichever module or instance
+ * starts them, and a file is replaced through a temporary file so readers never see
+ * a partly written one.
+ */
+
+// Pending writes per resolved file path, shared by the whole process
+const writeQueues = new Map();
+let tempFileCounter = 0;
+
+/**
+ * Run fn after every write already queued for the same file
+ * Resolves with what fn resolves; a failing fn does not block later writes
+ */
+function withFileLock(filePath, fn) {
+    const key = path.resolve(filePath);
+    const run = (writeQueues.get(key) || Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+
+    writeQueues.set(key, tail);
+    tail.then(() => {
+        if (writeQueues.get(key) === tail) {
+            writeQueues.delete(key);
+        }
+    });
+    return run;
+}
+
+/**
+ * Replace a file with new contents: written to a temporary file first, then renamed over it
+ * Creates the directory when needed
+ */
+async function writeFileAtomic(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.${process.pid}.${++tempFileCounter}.tmp`;
+    try {
+        await fs.writeFile(tempPath, data, 'utf8');
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+module.exports = { withFileLock, writeFileAtomic };
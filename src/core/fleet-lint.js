@@ -0,0 +1,149 @@
+// Addresses of controllers that were never configured: unset, the factory address and the
+// example address of the SDK documentation (main_sdk.txt)
+const FACTORY_DEFAULT_ADDRESSES = ['0.0.0.0', '192.168.0.0', '192.168.168.101'];
+
+/**
+ * Fleet Lint
+ * Checks the network settings saved from discovery (ip, subnetMask, gateway, remoteAddress)
+ * for IP conflicts and misconfiguration across the fleet: duplicate IPs, a configured IP that
+ * differs from the address the controller answers from, a gateway outside the controller's
+ * subnet, a controller outside the subnet of every local interface and factory-default
+ * addresses. Nothing is sent to the controllers.
+ */
+class FleetLint {
+    constructor(api) {
+        this.api = api;
+        this.packetHandler = api.packetHandler;
+
+        // Check names with what each one looks for, in report order
+        this.checks = {
+            'duplicate-ip': 'Controllers (or this host) using the same IP address',
+            'address-mismatch': 'Configured IP differs from the address the controller answers from (NAT or misconfiguration)',
+            'invalid-subnet-mask': 'Subnet mask that is not a valid mask',
+            'gateway-outside-subnet': 'Gateway not within the controller\'s subnet',
+            'foreign-subnet': 'Controller on a subnet that no local interface is on',
+            'factory-default': 'Controller still on a factory-default address'
+        };
+    }
+
+    /**
+     * Lint the saved controllers, or options.controllers (such as the result of a discovery run)
+     * Returns { checkedAt, controllers, interfaces, issues, summary: { errors, warnings, byCheck }, clean }
+     * where each issue is { check, severity, serialNumbers, ip, message, action }
+     */
+    async lint(options = {}) {
+        const controllers = options.controllers || await this.api.getSavedControllers();
+        await this.api.loadInterfaceConfig();
+
+        // Every IPv4 interface counts, including ones left out of discovery
+        const interfaces = this.packetHandler.getNetworkInterfaces({ all: true });
+
+        const issues = [
+            ...this.checkDuplicateIPs(controllers, interfaces),
+            ...controllers.flatMap(controller => this.checkController(controller, interfaces))
+        ].sort((a, b) => Object.keys(this.checks).indexOf(a.check) - Object.keys(this.checks).indexOf(b.check));
+
+        const byCheck = Object.keys(this.checks).reduce((counts, check) => {
+            counts[check] = issues.filter(issue => issue.check === check).length;
+            return counts;
+        }, {});
+
+        return {
+            checkedAt: new Date().toISOString(),
+            controllers: controllers.length,
+            interfaces: interfaces.map(({ name, address, netmask }) => ({ name, address, netmask })),
+            issues,
+            summary: {
+                errors: issues.filter(issue => issue.severity === 'error').length,
+                warnings: issues.filter(issue => issue.severity === 'warning').length,
+                byCheck
+            },
+            clean: issues.length === 0
+        };
+    }
+
+    /**
+     * One issue per IP address shared by several controllers or by a controller and this host
+     */
+    checkDuplicateIPs(controllers, interfaces) {
+        const byIP = new Map();
+        controllers.filter(controller => controller.ip).forEach(controller => {
+            byIP.set(controller.ip, [...(byIP.get(controller.ip) || []), controller.serialNumber]);
+        });
+
+        const issues = [];
+        byIP.forEach((serialNumbers, ip) => {
+            const host = interfaces.find(iface => iface.address === ip);
+            if (serialNumbers.length < 2 && !host) {
+                return;
+            }
+
+            const users = `${serialNumbers.length > 1 ? 'controllers' : 'controller'} ${serialNumbers.join(', ')}` +
+                (host ? ` and this host (${host.name})` : '');
+            issues.push(this.issue('duplicate-ip', 'error', serialNumbers, ip, `IP address ${ip} is used by ${users}`,
+                'Give each controller its own address with "set network"; only one of them answers commands'));
+        });
+        return issues;
+    }
+
+    /**
+     * Checks of one controller's own settings
+     */
+    checkController(controller, interfaces) {
+        const { serialNumber, ip, subnetMask, gateway, remoteAddress } = controller;
+        const issues = [];
+        if (!ip) {
+            return issues;
+        }
+
+        if (remoteAddress && remoteAddress !== ip) {
+            issues.push(this.issue('address-mismatch', 'warning', [serialNumber], ip,
+                `Controller ${serialNumber} is configured as ${ip} but answers from ${remoteAddress}`,
+                'Expected behind NAT; otherwise check for an IP conflict or correct the address with "set network"'));
+        }
+
+        // A 0.0.0.0 mask would put every address on the controller's subnet
+        const prefix = subnetMask ? this.packetHandler.maskToPrefix(subnetMask) : null;
+        const subnet = prefix ? this.packetHandler.parseSubnet(`${ip}/${prefix}`) : null;
+        if (subnetMask && !subnet) {
+            issues.push(this.issue('invalid-subnet-mask', 'error', [serialNumber], ip,
+                `Controller ${serialNumber} has an invalid subnet mask ${subnetMask}`,
+                'Set a valid mask such as 255.255.255.0 with "set network"'));
+        }
+
+        // Gateway 0.0.0.0 means none is set
+        if (subnet && gateway && gateway !== '0.0.0.0' &&
+            (!this.packetHandler.isInSubnet(gateway, subnet) || gateway === ip)) {
+            issues.push(this.issue('gateway-outside-subnet', 'error', [serialNumber], ip,
+                gateway === ip
+                    ? `Controller ${serialNumber} uses its own address ${ip} as gateway`
+                    : `Gateway ${gateway} of controller ${serialNumber} is outside its subnet ${subnet.cidr}`,
+                'Set a gateway on the controller\'s subnet with "set network", or 0.0.0.0 for none'));
+        }
+
+        const onLocalSubnet = interfaces.some(iface => {
+            const localPrefix = this.packetHandler.maskToPrefix(iface.netmask);
+            return localPrefix !== null &&
+                this.packetHandler.isInSubnet(ip, this.packetHandler.parseSubnet(`${iface.address}/${localPrefix}`));
+        });
+        if (interfaces.length > 0 && !onLocalSubnet) {
+            issues.push(this.issue('foreign-subnet', 'warning', [serialNumber], ip,
+                `Controller ${serialNumber} at ${ip} is not on the subnet of any local interface`,
+                'Broadcast discovery does not reach it; find it through a router with "discover --scan" or move it to a local subnet'));
+        }
+
+        if (FACTORY_DEFAULT_ADDRESSES.includes(ip)) {
+            issues.push(this.issue('factory-default', 'warning', [serialNumber], ip,
+                `Controller ${serialNumber} still has the factory-default address ${ip}`,
+                'Assign an address from your plan with "set network" before adding more controllers'));
+        }
+
+        return issues;
+    }
+
+    issue(check, severity, serialNumbers, ip, message, action) {
+        return { check, severity, serialNumbers, ip, message, action };
+    }
+}
+
+module.exports = FleetLint;
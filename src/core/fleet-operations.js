@@ -0,0 +1,258 @@
+const { ControllerNotFoundError, ValidationError, describeError } = require('./errors');
+
+/**
+ * Fleet Operations
+ * Runs one operation against a set of saved controllers selected by serial list,
+ * subnet, tag or all. Controllers are handled by a limited number of parallel workers;
+ * once failureThreshold controllers have failed no new controller is started and the
+ * remaining ones are reported as skipped.
+ */
+class FleetOperations {
+    constructor(api) {
+        this.api = api;
+        this.packetHandler = api.packetHandler;
+
+        this.fleetConfig = {
+            concurrency: 5,
+            maxConcurrency: 50
+        };
+
+        // Operation names match the WebSocket commands.
+        // validate() checks and normalizes the params once before any controller is contacted
+        this.operations = {
+            getStatus: {
+                description: 'Read controller status (0x20)',
+                validate: () => ({}),
+                run: (controller) => this.api.getControllerStatus(controller)
+            },
+            setTime: {
+                description: 'Set controller clock (0x30) to params.time, or the host time when it is sent',
+                validate: (params) => this.validateTime(params),
+                run: (controller, params) => this.api.setControllerTime(controller, params.time ? new Date(params.time) : new Date())
+            },
+            setServer: {
+                description: 'Set receiving server (0x90): params.serverIp, params.port, params.uploadInterval',
+                validate: (params) => this.validateServer(params),
+                run: (controller, params, context) => this.api.setReceivingServer(controller, params, context)
+            },
+            setDoorParams: {
+                description: 'Set door control parameters (0x80): params.doorNumber, params.controlMode, params.openDelay',
+                validate: (params) => this.validateDoorParams(params),
+                run: (controller, params, context) => this.api.setDoorParams(controller, params.doorNumber, params, context)
+            }
+        };
+    }
+
+    /**
+     * Names and descriptions of the supported operations
+     */
+    listOperations() {
+        return Object.entries(this.operations).map(([name, operation]) => ({
+            name,
+            description: operation.description
+        }));
+    }
+
+    /**
+     * Select saved controllers
+     * selector: { serials: [], subnet: 'a.b.c.d/n', tags: [], all: true }
+     * Criteria are combined: a controller must match every one given.
+     * Listed serial numbers that are not saved are an error, not a silent miss
+     */
+    async selectControllers(selector = {}) {
+        const { serials, subnet, tags, all } = selector;
+        const hasSerials = Array.isArray(serials) && serials.length > 0;
+        const hasTags = Array.isArray(tags) && tags.length > 0;
+
+        if (!all && !hasSerials && !subnet && !hasTags) {
+            throw new ValidationError('Select controllers with serials, subnet, tags or all');
+        }
+
+        let controllers = await this.api.getSavedControllers();
+
+        if (hasSerials) {
+            const serialNumbers = serials.map(serial => parseInt(serial));
+            const invalid = serials.filter((serial, i) => !Number.isInteger(serialNumbers[i]) || serialNumbers[i] <= 0);
+            if (invalid.length > 0) {
+                throw new ValidationError(`Invalid serial number(s): ${invalid.join(', ')}`);
+            }
+
+            const missing = serialNumbers.find(serial => !controllers.some(c => c.serialNumber === serial));
+            if (missing !== undefined) {
+                throw new ControllerNotFoundError(missing);
+            }
+
+            controllers = controllers.filter(c => serialNumbers.includes(c.serialNumber));
+        }
+
+        if (subnet) {
+            const range = this.packetHandler.parseSubnet(subnet);
+            if (!range) {
+                throw new ValidationError(`Invalid subnet: ${subnet}. Use CIDR notation such as 192.168.1.0/24`);
+            }
+            controllers = controllers.filter(c => this.packetHandler.isInSubnet(c.ip, range));
+        }
+
+        if (hasTags) {
+            controllers = controllers.filter(c => tags.every(tag => (c.tags || []).includes(tag)));
+        }
+
+        return controllers;
+    }
+
+    /**
+     * Run an operation against the selected controllers
+     * options.params (operation parameters), options.concurrency (parallel controllers),
+     * options.failureThreshold (failures after which the run stops), options.onResult(result),
+     * options.context ({ source, actor }) recorded in the history of changed controllers
+     */
+    async run(operationName, selector, options = {}) {
+        const operation = this.operations[operationName];
+        if (!operation) {
+            throw new ValidationError(`Unknown fleet operation: ${operationName}. ` +
+                `Use ${Object.keys(this.operations).join(', ')}`);
+        }
+
+        const params = operation.validate(options.params || {});
+        const concurrency = this.validateLimit(options.concurrency, 'concurrency', this.fleetConfig.concurrency);
+        const failureThreshold = options.failureThreshold === undefined || options.failureThreshold === null
+            ? null
+            : this.validateLimit(options.failureThreshold, 'failureThreshold');
+        const controllers = await this.selectControllers(selector);
+
+        const report = {
+            operation: operationName,
+            params,
+            concurrency,
+            failureThreshold,
+            total: controllers.length,
+            succeeded: 0,
+            failed: 0,
+            skipped: 0,
+            stopped: false,
+            stopReason: null,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            results: new Array(controllers.length)
+        };
+
+        let next = 0;
+        const worker = async () => {
+            while (next < controllers.length && !report.stopped) {
+                const index = next++;
+                const result = await this.runOne(operation, controllers[index], params, options.context);
+                report.results[index] = result;
+
+                if (result.status === 'success') {
+                    report.succeeded++;
+                } else {
+                    report.failed++;
+                    if (failureThreshold !== null && !report.stopped && report.failed >= failureThreshold && next < controllers.length) {
+                        report.stopped = true;
+                        report.stopReason = `Failure threshold reached (${report.failed} of ${controllers.length} failed)`;
+                    }
+                }
+
+                if (options.onResult) {
+                    options.onResult(result);
+                }
+            }
+        };
+
+        const workers = Math.min(concurrency, controllers.length);
+        await Promise.all(Array.from({ length: workers }, () => worker()));
+
+        // Controllers not started before the run stopped
+        controllers.forEach((controller, i) => {
+            if (!report.results[i]) {
+                report.results[i] = {
+                    serialNumber: controller.serialNumber,
+                    ip: controller.ip,
+                    status: 'skipped'
+                };
+                report.skipped++;
+            }
+        });
+
+        report.finishedAt = new Date().toISOString();
+        return report;
+    }
+
+    /**
+     * Run an operation against one controller; failures are reported, not thrown
+     */
+    async runOne(operation, controller, params, context = {}) {
+        const startTime = Date.now();
+
+        try {
+            const result = await operation.run(controller, params, context);
+            return {
+                serialNumber: controller.serialNumber,
+                ip: controller.ip,
+                status: 'success',
+                result,
+                duration: Date.now() - startTime
+            };
+        } catch (error) {
+            const { code, message } = describeError(error);
+            return {
+                serialNumber: controller.serialNumber,
+                ip: controller.ip,
+                status: 'failed',
+                error: message,
+                code,
+                duration: Date.now() - startTime
+            };
+        }
+    }
+
+    validateLimit(value, name, defaultValue) {
+        if (value === undefined || value === null) {
+            return defaultValue;
+        }
+
+        const limit = parseInt(value);
+        if (!Number.isInteger(limit) || limit < 1 || (name === 'concurrency' && limit > this.fleetConfig.maxConcurrency)) {
+            const range = name === 'concurrency' ? `between 1 and ${this.fleetConfig.maxConcurrency}` : '1 or greater';
+            throw new ValidationError(`Invalid ${name}: ${value}. Must be ${range}`);
+        }
+        return limit;
+    }
+
+    validateTime(params) {
+        if (params.time === undefined || params.time === null || params.time === '') {
+            return {};
+        }
+
+        const time = new Date(params.time);
+        if (isNaN(time.getTime())) {
+            throw new ValidationError(`Invalid time: ${params.time}`);
+        }
+        return { time: time.toISOString() };
+    }
+
+    validateServer(params) {
+        const { serverIp, port, uploadInterval = 0 } = params;
+        if (!serverIp || !port) {
+            throw new ValidationError('Missing required server parameters: serverIp, port');
+        }
+
+        const serverConfig = { serverIp, port: parseInt(port), uploadInterval: parseInt(uploadInterval) };
+        if (!(serverConfig.port >= 1 && serverConfig.port <= 65535)) {
+            throw new ValidationError(`Invalid port: ${port}. Must be between 1 and 65535`);
+        }
+
+        // The codec rejects an invalid IP address or upload interval
+        this.api.codec.encode(this.api.FUNCTION_IDS.SET_RECEIVING_SERVER, serverConfig);
+        return serverConfig;
+    }
+
+    validateDoorParams(params) {
+        const doorNumber = this.api.validateDoorNumber(params.doorNumber);
+        const controlMode = this.api.resolveDoorControlMode(params.controlMode);
+        const openDelay = this.api.validateOpenDelay(params.openDelay);
+        return { doorNumber, controlMode, openDelay };
+    }
+}
+
+module.exports = FleetOperations;
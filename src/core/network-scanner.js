@@ -0,0 +1,195 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Network Scanner
+ * Finds controllers on routed subnets that broadcast discovery (0x94) never reaches by
+ * sending unicast discovery to every address of CIDR ranges (10.20.0.0/22) or address
+ * ranges (10.30.5.10-10.30.5.80). Addresses are probed by a limited number of parallel
+ * workers and packets are paced to a rate limit; controllers are reported as they answer.
+ */
+class NetworkScanner {
+    constructor(api) {
+        this.api = api;
+        this.packetHandler = api.packetHandler;
+
+        this.scanConfig = {
+            timeout: 1000,          // Wait per address (ms)
+            concurrency: 32,        // Addresses probed at once
+            maxConcurrency: 256,
+            rate: 200,              // Packets per second
+            maxAddresses: 65536     // Largest scan, a /16
+        };
+
+        // Time the next packet may be sent, for the rate limit
+        this.nextSendAt = 0;
+    }
+
+    /**
+     * Parse scan targets into address ranges
+     * targets: comma-separated string or array of CIDR ranges, address ranges (first-last, where
+     * last may be only the final octet: 10.30.5.10-80) and single addresses.
+     * Network and broadcast addresses of CIDR ranges wider than /31 are skipped.
+     * Returns [{ spec, first, last, count }] with first/last as numbers
+     */
+    parseTargets(targets) {
+        const specs = (Array.isArray(targets) ? targets : String(targets || '').split(','))
+            .map(spec => String(spec).trim())
+            .filter(spec => spec !== '');
+
+        if (specs.length === 0) {
+            throw new ValidationError('No scan targets given. Use CIDR ranges (10.20.0.0/22) or address ranges (10.30.5.10-10.30.5.80)');
+        }
+
+        const ranges = specs.map(spec => this.parseRange(spec));
+        const total = ranges.reduce((sum, range) => sum + range.count, 0);
+        if (total > this.scanConfig.maxAddresses) {
+            throw new ValidationError(`Scan of ${total} addresses exceeds the limit of ${this.scanConfig.maxAddresses}; split it into smaller ranges`);
+        }
+
+        return ranges;
+    }
+
+    parseRange(spec) {
+        if (spec.includes('-')) {
+            const [start, end] = spec.split('-').map(part => part.trim());
+            const first = this.packetHandler.ipToNumber(start);
+            // A bare number ends the range within the same /24: 10.30.5.10-80
+            const endAddress = /^\d{1,3}$/.test(end) ? `${start.split('.').slice(0, 3).join('.')}.${end}` : end;
+            const last = this.packetHandler.ipToNumber(endAddress);
+
+            if (first === null || last === null || last < first) {
+                throw new ValidationError(`Invalid address range: ${spec}. Use first-last, such as 10.30.5.10-10.30.5.80`);
+            }
+            return { spec, first, last, count: last - first + 1 };
+        }
+
+        const subnet = this.packetHandler.parseSubnet(spec);
+        if (!subnet) {
+            throw new ValidationError(`Invalid scan target: ${spec}. Use CIDR notation (10.20.0.0/22), a range or an address`);
+        }
+
+        // Hosts only: the network and broadcast addresses do not belong to a controller
+        const hostsOnly = subnet.prefix < 31;
+        const first = hostsOnly ? subnet.first + 1 : subnet.first;
+        const last = hostsOnly ? subnet.last - 1 : subnet.last;
+        return { spec: subnet.prefix === 32 ? subnet.network : subnet.cidr, first, last, count: last - first + 1 };
+    }
+
+    /**
+     * Scan address ranges for controllers
+     * options.timeout (ms per address), options.concurrency, options.rate (packets per second),
+     * options.typeBytes / options.ports (protocol variants, as for discovery),
+     * options.onController(controller) for each controller as it answers,
+     * options.onProgress({ scanned, total, percent, found, controller }),
+     * options.onDiff(diff) with the changes against the saved controllers within the ranges,
+     * options.context ({ source, actor }) for the change history
+     * Controllers found are saved like discovered controllers
+     */
+    async scan(targets, options = {}) {
+        const ranges = this.parseTargets(targets);
+        const timeout = this.validateLimit(options.timeout, 'timeout', this.scanConfig.timeout, 60000);
+        const concurrency = this.validateLimit(options.concurrency, 'concurrency', this.scanConfig.concurrency, this.scanConfig.maxConcurrency);
+        const rate = this.validateLimit(options.rate, 'rate', this.scanConfig.rate, 10000);
+
+        await this.api.loadInterfaceConfig();
+        const variants = this.packetHandler.getProtocolVariants(options);
+        const requests = this.packetHandler.buildVariantRequests(
+            this.packetHandler.createPacket(this.api.FUNCTION_IDS.DISCOVER), variants);
+
+        const total = ranges.reduce((sum, range) => sum + range.count, 0);
+        const previous = await this.api.getSavedControllers();
+        const startTime = Date.now();
+        const found = new Map();
+        let scanned = 0;
+
+        const addresses = this.addresses(ranges);
+        const worker = async () => {
+            for (let next = addresses.next(); !next.done; next = addresses.next()) {
+                await this.throttle(requests.length, rate);
+                const { found: controllers } = await this.api.probeAddress(next.value, requests, variants, timeout);
+                scanned++;
+
+                // A controller behind NAT may answer on several addresses; report it once
+                const fresh = controllers.filter(controller => !found.has(controller.serialNumber));
+                fresh.forEach(controller => found.set(controller.serialNumber, controller));
+                for (const controller of fresh) {
+                    await this.api.saveDiscoveredController(controller, options.context);
+                    if (options.onController) {
+                        options.onController(controller);
+                    }
+                }
+
+                if (options.onProgress) {
+                    options.onProgress({
+                        scanned,
+                        total,
+                        percent: Math.floor((scanned / total) * 100),
+                        found: found.size,
+                        controller: fresh[0] || null
+                    });
+                }
+            }
+        };
+
+        // Workers share one address iterator, so every address is probed once
+        await Promise.all(Array.from({ length: Math.min(concurrency, total) }, () => worker()));
+
+        if (options.onDiff) {
+            const inRanges = ip => {
+                const value = this.packetHandler.ipToNumber(ip);
+                return value !== null && ranges.some(range => value >= range.first && value <= range.last);
+            };
+            options.onDiff(this.api.buildDiscoveryDiff(previous, Array.from(found.values()), 'scan',
+                controller => inRanges(controller.ip) || inRanges(controller.remoteAddress)));
+        }
+
+        return {
+            ranges: ranges.map(({ spec, count }) => ({ spec, addresses: count })),
+            total,
+            scanned,
+            timeout,
+            concurrency,
+            rate,
+            controllers: Array.from(found.values()),
+            duration: Date.now() - startTime
+        };
+    }
+
+    /**
+     * Iterate the addresses of the ranges in order
+     */
+    *addresses(ranges) {
+        for (const range of ranges) {
+            for (let value = range.first; value <= range.last; value++) {
+                yield this.packetHandler.numberToIp(value);
+            }
+        }
+    }
+
+    /**
+     * Wait until packets may be sent without exceeding rate packets per second
+     */
+    async throttle(packets, rate) {
+        const now = Date.now();
+        const sendAt = Math.max(now, this.nextSendAt);
+        this.nextSendAt = sendAt + (packets * 1000) / rate;
+
+        if (sendAt > now) {
+            await this.packetHandler.sleep(sendAt - now);
+        }
+    }
+
+    validateLimit(value, name, defaultValue, max) {
+        if (value === undefined || value === null || value === '') {
+            return defaultValue;
+        }
+
+        const limit = parseInt(value);
+        if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+            throw new ValidationError(`Invalid ${name}: ${value}. Must be between 1 and ${max}`);
+        }
+        return limit;
+    }
+}
+
+module.exports = NetworkScanner;
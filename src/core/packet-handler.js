@@ -1,5 +1,8 @@
 const dgram = require('dgram');
 const os = require('os');
+const SocketManager = require('./socket-manager');
+const TrafficRecorder = require('./traffic-recorder');
+const { ControllerTimeoutError, ValidationError } = require('./errors');
 
 /**
  * Enhanced Packet Handler for Controller Communication
@@ -8,9 +11,29 @@ const os = require('os');
 class PacketHandler {
     constructor() {
         this.PACKET_SIZE = 64;
-        this.CONTROLLER_PORT = 60000;
+        this.CONTROLLER_PORT = parseInt(process.env.CONTROLLER_PORT) || 60000;
         this.TYPE_BYTE = 0x17;
 
+        // Protocol variants tried by discovery, in order of preference; older firmware
+        // answers another type byte and forwarded sites use other ports
+        this.TYPE_BYTES = this.parseTypeBytes(process.env.CONTROLLER_TYPE_BYTES, [this.TYPE_BYTE, 0x19]);
+        this.CONTROLLER_PORTS = this.parsePorts(process.env.CONTROLLER_PORTS, [this.CONTROLLER_PORT]);
+
+        // Interfaces used for discovery and the local address sockets bind to.
+        // Saved settings are applied with setInterfaceConfig; environment variables override them
+        this.interfaceEnv = this.readInterfaceEnv();
+        this.interfaceConfig = this.validateInterfaceConfig(this.interfaceEnv);
+
+        // Date formatters per IANA time zone, for controllers outside the host zone
+        this.zoneFormatters = new Map();
+
+        // Shared request socket with sequence ID correlation
+        this.socketManager = SocketManager.getDefault();
+
+        // Packet trace and replay, shared by every handler in the process
+        this.trafficRecorder = TrafficRecorder.getDefault();
+        this.socketManager.setRecorder(this.trafficRecorder);
+
         // Discovery configuration
         this.discoveryConfig = {
             maxRetries: 3,
@@ -25,6 +48,168 @@ class PacketHandler {
         this.discoveryCache = new Map();
     }
 
+    /**
+     * Parse a comma-separated list of numbers (decimal or 0x hex), or return the defaults
+     * Every number must be within min and max; name describes one value in errors
+     */
+    parseNumberList(value, defaults, { min, max, name }) {
+        if (value === undefined || value === null || value === '') {
+            return defaults;
+        }
+
+        const items = (Array.isArray(value) ? value : String(value).split(','))
+            .map(item => String(item).trim())
+            .filter(item => item !== '');
+        if (items.length === 0) {
+            throw new ValidationError(`Invalid ${name} list: ${value}`);
+        }
+
+        const numbers = items.map(item => {
+            const number = Number(item);
+            if (!Number.isInteger(number) || number < min || number > max) {
+                throw new ValidationError(`Invalid ${name}: ${item}. Must be between ${min} and ${max}`);
+            }
+            return number;
+        });
+        return [...new Set(numbers)];
+    }
+
+    /**
+     * Parse a list of packet type bytes (0-255)
+     */
+    parseTypeBytes(value, defaults) {
+        return this.parseNumberList(value, defaults, { min: 0, max: 0xFF, name: 'type byte' });
+    }
+
+    /**
+     * Parse a list of UDP ports (1-65535)
+     */
+    parsePorts(value, defaults) {
+        return this.parseNumberList(value, defaults, { min: 1, max: 65535, name: 'port' });
+    }
+
+    /**
+     * Interface settings given in the environment; unset variables are left out
+     */
+    readInterfaceEnv() {
+        const variables = {
+            include: 'CONTROLLER_INTERFACES',
+            exclude: 'CONTROLLER_EXCLUDE_INTERFACES',
+            broadcastAddresses: 'CONTROLLER_BROADCAST_ADDRESSES',
+            sourceIp: 'CONTROLLER_SOURCE_IP'
+        };
+
+        return Object.keys(variables).reduce((env, key) => {
+            const value = process.env[variables[key]];
+            if (value !== undefined && value !== '') {
+                env[key] = value;
+            }
+            return env;
+        }, {});
+    }
+
+    /**
+     * Check and normalize interface settings
+     * include/exclude: interface name patterns (* matches any characters), broadcastAddresses: IPv4 list,
+     * sourceIp: local IPv4 address to bind sockets to, or null for any address
+     */
+    validateInterfaceConfig(config = {}) {
+        const toList = value => (Array.isArray(value) ? value : String(value || '').split(','))
+            .map(item => String(item).trim())
+            .filter(item => item !== '');
+
+        const include = toList(config.include);
+        const exclude = toList(config.exclude);
+        const invalidPattern = [...include, ...exclude].find(pattern => !/^[\w.*:-]+$/.test(pattern));
+        if (invalidPattern) {
+            throw new ValidationError(`Invalid interface pattern: ${invalidPattern}. Use letters, digits, . - : _ and *`);
+        }
+
+        const broadcastAddresses = toList(config.broadcastAddresses);
+        const invalidAddress = broadcastAddresses.find(address => this.ipToNumber(address) === null);
+        if (invalidAddress) {
+            throw new ValidationError(`Invalid broadcast address: ${invalidAddress}`);
+        }
+
+        const sourceIp = config.sourceIp ? String(config.sourceIp).trim() : null;
+        if (sourceIp && this.ipToNumber(sourceIp) === null) {
+            throw new ValidationError(`Invalid source IP: ${sourceIp}`);
+        }
+        if (sourceIp && !this.getLocalAddresses().includes(sourceIp)) {
+            throw new ValidationError(`Source IP ${sourceIp} is not assigned to any local interface`);
+        }
+
+        return { include, exclude, broadcastAddresses, sourceIp };
+    }
+
+    /**
+     * Apply saved interface settings; environment variables take precedence field by field.
+     * The shared request socket is rebound to the source IP
+     */
+    setInterfaceConfig(config = {}) {
+        this.interfaceConfig = this.validateInterfaceConfig({ ...config, ...this.interfaceEnv });
+        this.socketManager.setSourceAddress(this.interfaceConfig.sourceIp);
+        return this.getInterfaceConfig();
+    }
+
+    getInterfaceConfig() {
+        return {
+            ...this.interfaceConfig,
+            include: [...this.interfaceConfig.include],
+            exclude: [...this.interfaceConfig.exclude],
+            broadcastAddresses: [...this.interfaceConfig.broadcastAddresses]
+        };
+    }
+
+    /**
+     * IPv4 addresses assigned to this host
+     */
+    getLocalAddresses() {
+        const interfaces = os.networkInterfaces();
+        return Object.keys(interfaces).reduce((addresses, name) => addresses.concat(
+            interfaces[name].filter(addr => addr.family === 'IPv4').map(addr => addr.address)), []);
+    }
+
+    /**
+     * Match an interface name against a pattern where * stands for any characters (case-insensitive)
+     */
+    matchesInterfacePattern(interfaceName, pattern) {
+        const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${source}$`, 'i').test(interfaceName);
+    }
+
+    /**
+     * Whether discovery uses an interface: it matches an include pattern (or none are set)
+     * and no exclude pattern
+     */
+    isInterfaceSelected(interfaceName) {
+        const { include, exclude } = this.interfaceConfig;
+        return (include.length === 0 || include.some(pattern => this.matchesInterfacePattern(interfaceName, pattern))) &&
+            !exclude.some(pattern => this.matchesInterfacePattern(interfaceName, pattern));
+    }
+
+    /**
+     * Type byte and port combinations for discovery, in order of preference
+     * options.typeBytes and options.ports override the configured candidates
+     */
+    getProtocolVariants(options = {}) {
+        const typeBytes = this.parseTypeBytes(options.typeBytes, this.TYPE_BYTES);
+        const ports = this.parsePorts(options.ports, this.CONTROLLER_PORTS);
+
+        const variants = [];
+        typeBytes.forEach(typeByte => ports.forEach(port => variants.push({ typeByte, port })));
+        return variants;
+    }
+
+    /**
+     * Short label of a controller's protocol variant, such as 0x17/60000
+     */
+    formatProtocol(controllerInfo) {
+        const typeByte = controllerInfo.typeByte || this.TYPE_BYTE;
+        const port = controllerInfo.port || this.CONTROLLER_PORT;
+        return `0x${typeByte.toString(16).toUpperCase().padStart(2, '0')}/${port}`;
+    }
+
     /**
      * Convert decimal to BCD (Binary-Coded Decimal)
      * Formula: BCD = decimal + (decimal / 10) * 6
@@ -43,14 +228,10 @@ class PacketHandler {
 
     /**
      * Convert date to BCD format for controller
+     * The controller clock is wall-clock time in its time zone (IANA name, host zone when not set)
      */
-    dateToBCD(date) {
-        const year = date.getFullYear();
-        const month = date.getMonth() + 1;
-        const day = date.getDate();
-        const hour = date.getHours();
-        const minute = date.getMinutes();
-        const second = date.getSeconds();
+    dateToBCD(date, timeZone = null) {
+        const { year, month, day, hour, minute, second } = this.getDateParts(date, timeZone);
 
         return {
             yearHigh: this.decimalToBCD(Math.floor(year / 100)),
@@ -65,16 +246,191 @@ class PacketHandler {
 
     /**
      * Convert BCD format to JavaScript Date
+     * The BCD time is read as wall-clock time in the given IANA time zone (host zone when not set)
+     */
+    bcdToDate(bcdData, timeZone = null) {
+        return this.partsToDate({
+            year: this.bcdToDecimal(bcdData.yearHigh) * 100 + this.bcdToDecimal(bcdData.yearLow),
+            month: this.bcdToDecimal(bcdData.month),
+            day: this.bcdToDecimal(bcdData.day),
+            hour: this.bcdToDecimal(bcdData.hour),
+            minute: this.bcdToDecimal(bcdData.minute),
+            second: this.bcdToDecimal(bcdData.second)
+        }, timeZone);
+    }
+
+    /**
+     * Check an IANA time zone name such as Europe/Berlin
      */
-    bcdToDate(bcdData) {
-        const year = this.bcdToDecimal(bcdData.yearHigh) * 100 + this.bcdToDecimal(bcdData.yearLow);
-        const month = this.bcdToDecimal(bcdData.month) - 1; // JS months are 0-based
-        const day = this.bcdToDecimal(bcdData.day);
-        const hour = this.bcdToDecimal(bcdData.hour);
-        const minute = this.bcdToDecimal(bcdData.minute);
-        const second = this.bcdToDecimal(bcdData.second);
+    isValidTimeZone(timeZone) {
+        try {
+            this.getZoneFormatter(timeZone);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
 
-        return new Date(year, month, day, hour, minute, second);
+    getHostTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    getZoneFormatter(timeZone) {
+        if (!this.zoneFormatters.has(timeZone)) {
+            this.zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }));
+        }
+        return this.zoneFormatters.get(timeZone);
+    }
+
+    /**
+     * Wall-clock year, month (1-12), day, hour, minute and second of a date in a time zone
+     */
+    getDateParts(date, timeZone = null) {
+        if (!timeZone) {
+            return {
+                year: date.getFullYear(),
+                month: date.getMonth() + 1,
+                day: date.getDate(),
+                hour: date.getHours(),
+                minute: date.getMinutes(),
+                second: date.getSeconds()
+            };
+        }
+
+        const parts = {};
+        this.getZoneFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+            if (type !== 'literal') {
+                parts[type] = parseInt(value, 10);
+            }
+        });
+
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            hour: parts.hour,
+            minute: parts.minute,
+            second: parts.second
+        };
+    }
+
+    /**
+     * Wall-clock time of a date in a time zone as YYYY-MM-DD HH:MM:SS
+     */
+    formatDateTime(date, timeZone = null) {
+        const { year, month, day, hour, minute, second } = this.getDateParts(date, timeZone);
+        const pad = value => value.toString().padStart(2, '0');
+
+        return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+    }
+
+    /**
+     * Date of a wall-clock time in a time zone
+     * A time skipped by a DST change moves forward by the shift; a repeated time uses the first occurrence
+     */
+    partsToDate(parts, timeZone = null) {
+        const { year, month, day, hour, minute, second } = parts;
+
+        if (!timeZone) {
+            return new Date(year, month - 1, day, hour, minute, second);
+        }
+
+        // Offsets change at most once within a day of any time: try the offsets in effect a day
+        // before and a day after, and keep the candidates that show the requested wall-clock time
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+        const oneDay = 24 * 60 * 60 * 1000;
+        const before = wallClock - this.getTimeZoneOffset(new Date(wallClock - oneDay), timeZone);
+        const after = wallClock - this.getTimeZoneOffset(new Date(wallClock + oneDay), timeZone);
+        const matches = [before, after].filter(time => this.getTimeZoneOffset(new Date(time), timeZone) === wallClock - time);
+
+        // No match: the time was skipped, the offset from before the change moves it forward
+        return new Date(matches.length > 0 ? Math.min(...matches) : before);
+    }
+
+    /**
+     * Offset of a time zone from UTC at a date, in milliseconds (positive east of UTC)
+     */
+    getTimeZoneOffset(date, timeZone) {
+        const { year, month, day, hour, minute, second } = this.getDateParts(date, timeZone);
+        const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+
+        return Date.UTC(year, month - 1, day, hour, minute, second) - wholeSeconds;
+    }
+
+    /**
+     * Convert YYYY-MM-DD date string to 4 BCD bytes (year high, year low, month, day)
+     */
+    dateStringToBCDBytes(dateString) {
+        const [year, month, day] = dateString.split('-').map(part => parseInt(part, 10));
+
+        return [
+            this.decimalToBCD(Math.floor(year / 100)),
+            this.decimalToBCD(year % 100),
+            this.decimalToBCD(month),
+            this.decimalToBCD(day)
+        ];
+    }
+
+    /**
+     * Convert 4 BCD bytes (year high, year low, month, day) to YYYY-MM-DD date string
+     * Returns null when the bytes are all zero
+     */
+    bcdBytesToDateString(bytes) {
+        if (bytes.every(b => b === 0)) {
+            return null;
+        }
+
+        const year = this.bcdToDecimal(bytes[0]) * 100 + this.bcdToDecimal(bytes[1]);
+        const month = this.bcdToDecimal(bytes[2]);
+        const day = this.bcdToDecimal(bytes[3]);
+
+        return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Convert 7 consecutive BCD bytes (year high, year low, month, day, hour, minute, second) to Date
+     * Returns null when the bytes are all zero (no time recorded)
+     */
+    bcdBytesToDate(bytes, timeZone = null) {
+        if (bytes.every(b => b === 0)) {
+            return null;
+        }
+
+        return this.bcdToDate({
+            yearHigh: bytes[0],
+            yearLow: bytes[1],
+            month: bytes[2],
+            day: bytes[3],
+            hour: bytes[4],
+            minute: bytes[5],
+            second: bytes[6]
+        }, timeZone);
+    }
+
+    /**
+     * Convert little-endian bytes to unsigned 32-bit integer
+     * Used for record indexes, card numbers and other numeric fields
+     */
+    bytesToUInt32(bytes) {
+        return Buffer.from(bytes).readUInt32LE(0);
+    }
+
+    /**
+     * Convert unsigned 32-bit integer to little-endian bytes
+     */
+    uInt32ToBytes(value) {
+        const buffer = Buffer.allocUnsafe(4);
+        buffer.writeUInt32LE(value >>> 0, 0);
+        return Array.from(buffer);
     }
 
     /**
@@ -109,10 +465,11 @@ class PacketHandler {
     }
 
     /**
-     * Get all network interfaces with their broadcast addresses
+     * Get the network interfaces selected for discovery with their broadcast addresses
      * Cross-platform implementation for Windows, macOS, and Linux
+     * options.all also returns interfaces left out by the include/exclude patterns, flagged selected: false
      */
-    getNetworkInterfaces() {
+    getNetworkInterfaces(options = {}) {
         const interfaces = os.networkInterfaces();
         const networkInfo = [];
 
@@ -135,8 +492,11 @@ class PacketHandler {
                     // Add platform-specific interface type detection
                     networkInfo_item.type = this.detectInterfaceType(interfaceName);
                     networkInfo_item.priority = this.getInterfacePriority(interfaceName, networkInfo_item.type);
+                    networkInfo_item.selected = this.isInterfaceSelected(interfaceName);
 
-                    networkInfo.push(networkInfo_item);
+                    if (networkInfo_item.selected || options.all) {
+                        networkInfo.push(networkInfo_item);
+                    }
                 }
             });
         });
@@ -173,6 +533,73 @@ class PacketHandler {
         return networkParts.join('.');
     }
 
+    /**
+     * Convert an IPv4 address string to an unsigned 32-bit number, or null if it is invalid
+     */
+    ipToNumber(ip) {
+        const octets = String(ip).trim().split('.');
+        if (octets.length !== 4 || octets.some(octet => !/^\d{1,3}$/.test(octet) || parseInt(octet, 10) > 255)) {
+            return null;
+        }
+        return octets.reduce((value, octet) => value * 256 + parseInt(octet, 10), 0);
+    }
+
+    /**
+     * Convert an unsigned 32-bit number to an IPv4 address string
+     */
+    numberToIp(value) {
+        return [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+    }
+
+    /**
+     * Parse a subnet in CIDR notation (192.168.1.0/24); a plain address is a /32
+     * Returns { cidr, network, broadcast, prefix, first, last } with first/last as numbers, or null if invalid
+     */
+    parseSubnet(subnet) {
+        const [address, bits, extra] = String(subnet).trim().split('/');
+        const prefix = bits === undefined ? 32 : (/^\d{1,2}$/.test(bits) ? parseInt(bits, 10) : NaN);
+        const ip = this.ipToNumber(address);
+
+        if (extra !== undefined || ip === null || !(prefix >= 0 && prefix <= 32)) {
+            return null;
+        }
+
+        const mask = prefix === 0 ? 0 : (0xFFFFFFFF << (32 - prefix)) >>> 0;
+        const first = (ip & mask) >>> 0;
+        const last = (first | (~mask >>> 0)) >>> 0;
+
+        return {
+            cidr: `${this.numberToIp(first)}/${prefix}`,
+            network: this.numberToIp(first),
+            broadcast: this.numberToIp(last),
+            prefix,
+            first,
+            last
+        };
+    }
+
+    /**
+     * Check whether an IPv4 address lies within a subnet parsed by parseSubnet
+     */
+    isInSubnet(ip, subnet) {
+        const value = this.ipToNumber(ip);
+        return value !== null && value >= subnet.first && value <= subnet.last;
+    }
+
+    /**
+     * Prefix length of a subnet mask (255.255.255.0 -> 24), or null if it is not a valid mask
+     */
+    maskToPrefix(netmask) {
+        const value = this.ipToNumber(netmask);
+        if (value === null) {
+            return null;
+        }
+
+        const prefix = value.toString(2).replace(/0+$/, '').length;
+        // The ones must be contiguous: 255.0.255.0 is not a mask
+        return value === 0 || value.toString(2) === '1'.repeat(prefix) + '0'.repeat(32 - prefix) ? prefix : null;
+    }
+
     /**
      * Detect interface type based on name (cross-platform)
      */
@@ -235,11 +662,11 @@ class PacketHandler {
     /**
      * Create a basic packet structure
      */
-    createPacket(functionId, deviceSerialNumber = 0, data = null, sequenceId = 0) {
+    createPacket(functionId, deviceSerialNumber = 0, data = null, sequenceId = 0, typeByte = this.TYPE_BYTE) {
         const packet = Buffer.alloc(this.PACKET_SIZE, 0);
         
         // Basic header
-        packet[0] = this.TYPE_BYTE;           // type (0x17)
+        packet[0] = typeByte;                 // type (0x17, or the controller's legacy type byte)
         packet[1] = functionId;               // function ID
         packet[2] = 0x00;                     // reserved
         packet[3] = 0x00;                     // reserved
@@ -294,59 +721,75 @@ class PacketHandler {
     }
 
     /**
-     * Send UDP packet and wait for response
+     * Send UDP packet and wait for the matching response
+     * The packet is sent through the shared socket manager, which stamps a unique
+     * sequence ID and only accepts a reply with the same sequence, function ID and serial
+     * sentAt/receivedAt are the host times (ms) of this attempt's send and reply
      */
-    async sendPacket(packet, targetIp, timeout = 5000) {
-        return new Promise((resolve, reject) => {
-            const client = dgram.createSocket('udp4');
-            let responseReceived = false;
+    async sendPacket(packet, targetIp, timeout = 5000, port = this.CONTROLLER_PORT) {
+        if (this.trafficRecorder.isReplaying()) {
+            return this.replayPacket(packet, targetIp, timeout, port);
+        }
 
-            const timeoutId = setTimeout(() => {
-                if (!responseReceived) {
-                    client.close();
-                    reject(new Error('Timeout waiting for response'));
-                }
-            }, timeout);
+        const { message, remoteInfo, sentAt, receivedAt } = await this.socketManager.request(
+            packet,
+            targetIp,
+            port,
+            timeout
+        );
 
-            client.on('message', (msg, rinfo) => {
-                if (!responseReceived) {
-                    responseReceived = true;
-                    clearTimeout(timeoutId);
-                    client.close();
-                    
-                    try {
-                        const response = this.parsePacket(msg);
-                        resolve({ response, remoteInfo: rinfo });
-                    } catch (error) {
-                        reject(error);
-                    }
-                }
-            });
+        return { response: this.parsePacket(message), remoteInfo, sentAt, receivedAt };
+    }
 
-            client.on('error', (err) => {
-                if (!responseReceived) {
-                    responseReceived = true;
-                    clearTimeout(timeoutId);
-                    client.close();
-                    reject(err);
-                }
+    /**
+     * Answer a request from the loaded trace instead of the network
+     * Requests without a recorded response time out (after at most 100ms)
+     */
+    async replayPacket(packet, targetIp, timeout = 5000, port = this.CONTROLLER_PORT) {
+        this.trafficRecorder.record('sent', packet, { address: targetIp, port });
+
+        const [reply] = this.trafficRecorder.replayRequest(packet);
+        if (!reply) {
+            await this.sleep(Math.min(timeout, 100));
+            throw new ControllerTimeoutError('Timeout waiting for response (no reply in replayed trace)', {
+                serialNumber: packet.readUInt32LE(4),
+                ip: targetIp,
+                functionId: `0x${packet[1].toString(16).toUpperCase().padStart(2, '0')}`
             });
+        }
 
-            client.send(packet, this.CONTROLLER_PORT, targetIp, (err) => {
-                if (err && !responseReceived) {
-                    responseReceived = true;
-                    clearTimeout(timeoutId);
-                    client.close();
-                    reject(err);
-                }
-            });
+        this.trafficRecorder.record('received', reply.message, reply.remoteInfo);
+        const now = Date.now();
+        return { response: this.parsePacket(reply.message), remoteInfo: reply.remoteInfo, sentAt: now, receivedAt: now };
+    }
+
+    /**
+     * One copy of a packet per protocol variant (type byte and port)
+     * Without variants the packet is sent as is to the default port
+     */
+    buildVariantRequests(packet, variants = null) {
+        if (!variants || variants.length === 0) {
+            return [{ packet, port: this.CONTROLLER_PORT, typeByte: packet[0] }];
+        }
+
+        return variants.map(({ typeByte, port }) => {
+            const copy = Buffer.from(packet);
+            copy[0] = typeByte;
+            return { packet: copy, port, typeByte };
         });
     }
 
     /**
      * Enhanced broadcast packet for discovery with cross-platform network interface support
+     * With variants the packet is broadcast once per type byte to every port, all at the same time
      */
-    async broadcastPacket(packet, timeout = 5000) {
+    async broadcastPacket(packet, timeout = 5000, variants = null) {
+        const requests = this.buildVariantRequests(packet, variants);
+
+        if (this.trafficRecorder.isReplaying()) {
+            return this.replayBroadcast(requests);
+        }
+
         const responses = [];
         const startTime = Date.now();
 
@@ -355,14 +798,14 @@ class PacketHandler {
 
         try {
             // Try enhanced discovery first
-            const enhancedResponses = await this.enhancedDiscovery(packet, timeout);
+            const enhancedResponses = await this.enhancedDiscovery(requests, timeout);
             responses.push(...enhancedResponses);
 
             // If no responses and unicast fallback is enabled, try known IP ranges
             if (responses.length === 0 && this.discoveryConfig.enableUnicastFallback) {
                 const remainingTime = timeout - (Date.now() - startTime);
                 if (remainingTime > 1000) {
-                    const unicastResponses = await this.unicastDiscovery(packet, remainingTime);
+                    const unicastResponses = await this.unicastDiscovery(requests, remainingTime);
                     responses.push(...unicastResponses);
                 }
             }
@@ -372,14 +815,36 @@ class PacketHandler {
         } catch (error) {
             // Fallback to legacy discovery if enhanced discovery fails
             console.warn('Enhanced discovery failed, falling back to legacy method:', error.message);
-            return await this.legacyBroadcastPacket(packet, timeout);
+            return await this.legacyBroadcastPacket(requests, timeout);
         }
     }
 
+    /**
+     * Answer a discovery broadcast with every response recorded in the loaded trace
+     */
+    replayBroadcast(requests) {
+        const responses = [];
+
+        requests.forEach(({ packet, port }) => {
+            this.trafficRecorder.record('sent', packet, { address: '255.255.255.255', port });
+
+            this.trafficRecorder.replayRequest(packet).forEach(({ message, remoteInfo }) => {
+                this.trafficRecorder.record('received', message, remoteInfo);
+                try {
+                    responses.push({ response: this.parsePacket(message), remoteInfo });
+                } catch (error) {
+                    console.warn('Failed to parse response packet:', error.message);
+                }
+            });
+        });
+
+        return this.deduplicateResponses(responses);
+    }
+
     /**
      * Enhanced discovery using network interface detection
      */
-    async enhancedDiscovery(packet, timeout) {
+    async enhancedDiscovery(requests, timeout) {
         const responses = [];
         const networkInterfaces = this.getNetworkInterfaces();
 
@@ -393,7 +858,7 @@ class PacketHandler {
         for (let attempt = 1; attempt <= this.discoveryConfig.maxRetries; attempt++) {
             console.log(`Discovery attempt ${attempt}/${this.discoveryConfig.maxRetries}`);
 
-            const attemptResponses = await this.performDiscoveryAttempt(packet, networkInterfaces, timeout);
+            const attemptResponses = await this.performDiscoveryAttempt(requests, networkInterfaces, timeout);
             responses.push(...attemptResponses);
 
             // If we found controllers, we can stop retrying
@@ -419,13 +884,13 @@ class PacketHandler {
     /**
      * Perform a single discovery attempt across all network interfaces
      */
-    async performDiscoveryAttempt(packet, networkInterfaces, timeout) {
+    async performDiscoveryAttempt(requests, networkInterfaces, timeout) {
         return new Promise((resolve, reject) => {
             const client = dgram.createSocket('udp4');
             const responses = [];
             let timeoutId;
 
-            client.bind(() => {
+            client.bind(0, this.interfaceConfig.sourceIp || undefined, () => {
                 client.setBroadcast(true);
 
                 timeoutId = setTimeout(() => {
@@ -434,6 +899,8 @@ class PacketHandler {
                 }, timeout);
 
                 client.on('message', (msg, rinfo) => {
+                    this.trafficRecorder.record('received', msg, rinfo);
+
                     try {
                         const response = this.parsePacket(msg);
                         const responseKey = this.generateResponseKey(response, rinfo);
@@ -460,19 +927,28 @@ class PacketHandler {
 
                 console.log(`Broadcasting to ${broadcastAddresses.length} address(es): ${broadcastAddresses.join(', ')}`);
 
-                broadcastAddresses.forEach(addr => {
-                    client.send(packet, this.CONTROLLER_PORT, addr, (err) => {
-                        if (err) {
-                            console.warn(`Failed to broadcast to ${addr}:`, err.message);
-                        }
-                    });
-                });
+                broadcastAddresses.forEach(addr => this.sendVariants(client, requests, addr));
+            });
+        });
+    }
+
+    /**
+     * Send every variant of a discovery packet to an address
+     */
+    sendVariants(client, requests, address) {
+        requests.forEach(({ packet, port }) => {
+            this.trafficRecorder.record('sent', packet, { address, port });
+            client.send(packet, port, address, (err) => {
+                if (err) {
+                    console.warn(`Failed to broadcast to ${address}:${port}:`, err.message);
+                }
             });
         });
     }
 
     /**
      * Generate broadcast addresses from network interfaces
+     * Configured broadcast addresses replace the common fallback addresses
      */
     generateBroadcastAddresses(networkInterfaces) {
         const addresses = new Set();
@@ -484,6 +960,11 @@ class PacketHandler {
             }
         });
 
+        if (this.interfaceConfig.broadcastAddresses.length > 0) {
+            this.interfaceConfig.broadcastAddresses.forEach(addr => addresses.add(addr));
+            return Array.from(addresses);
+        }
+
         // Add common broadcast addresses as fallback
         const commonAddresses = [
             '255.255.255.255',
@@ -502,7 +983,7 @@ class PacketHandler {
     /**
      * Unicast discovery to specific IP addresses when broadcast fails
      */
-    async unicastDiscovery(packet, timeout) {
+    async unicastDiscovery(requests, timeout) {
         const responses = [];
         const networkInterfaces = this.getNetworkInterfaces();
         const targetIPs = this.generateUnicastTargets(networkInterfaces);
@@ -513,23 +994,28 @@ class PacketHandler {
         const perTargetTimeout = Math.min(timeout / targetIPs.length, 2000);
 
         for (const targetIP of targetIPs) {
-            try {
-                console.log(`Trying unicast discovery to ${targetIP}`);
-                const response = await this.sendPacket(packet, targetIP, perTargetTimeout);
+            console.log(`Trying unicast discovery to ${targetIP}`);
+            const results = await Promise.allSettled(requests.map(({ packet, port }) =>
+                this.sendPacket(packet, targetIP, perTargetTimeout, port)));
+
+            results.forEach(result => {
+                if (result.status === 'rejected') {
+                    // Ignore individual unicast failures
+                    console.debug(`Unicast to ${targetIP} failed: ${result.reason.message}`);
+                    return;
+                }
 
-                if (response && response.response.functionId === 0x94) {
+                const response = result.value;
+                if (response.response.functionId === 0x94) {
                     const responseKey = this.generateResponseKey(response.response, response.remoteInfo);
 
                     if (!this.discoveryCache.has(responseKey)) {
                         this.discoveryCache.set(responseKey, Date.now());
                         responses.push(response);
-                        console.log(`Unicast discovery successful: ${targetIP}`);
+                        console.log(`Unicast discovery successful: ${targetIP}:${response.remoteInfo.port}`);
                     }
                 }
-            } catch (error) {
-                // Ignore individual unicast failures
-                console.debug(`Unicast to ${targetIP} failed: ${error.message}`);
-            }
+            });
         }
 
         return responses;
@@ -566,13 +1052,13 @@ class PacketHandler {
     /**
      * Legacy broadcast method for fallback compatibility
      */
-    async legacyBroadcastPacket(packet, timeout = 5000) {
+    async legacyBroadcastPacket(requests, timeout = 5000) {
         return new Promise((resolve, reject) => {
             const client = dgram.createSocket('udp4');
             const responses = [];
             let timeoutId;
 
-            client.bind(() => {
+            client.bind(0, this.interfaceConfig.sourceIp || undefined, () => {
                 client.setBroadcast(true);
 
                 timeoutId = setTimeout(() => {
@@ -581,6 +1067,8 @@ class PacketHandler {
                 }, timeout);
 
                 client.on('message', (msg, rinfo) => {
+                    this.trafficRecorder.record('received', msg, rinfo);
+
                     try {
                         const response = this.parsePacket(msg);
                         responses.push({ response, remoteInfo: rinfo });
@@ -595,22 +1083,18 @@ class PacketHandler {
                     reject(err);
                 });
 
-                // Broadcast to common network ranges
-                const broadcastAddresses = [
-                    '255.255.255.255',
-                    '192.168.2.255',
-                    '192.168.1.255',
-                    '192.168.0.255',
-                    '10.0.0.255'
-                ];
-
-                broadcastAddresses.forEach(addr => {
-                    client.send(packet, this.CONTROLLER_PORT, addr, (err) => {
-                        if (err) {
-                            console.warn(`Failed to broadcast to ${addr}:`, err.message);
-                        }
-                    });
-                });
+                // Broadcast to the configured addresses, or common network ranges
+                const broadcastAddresses = this.interfaceConfig.broadcastAddresses.length > 0
+                    ? this.interfaceConfig.broadcastAddresses
+                    : [
+                        '255.255.255.255',
+                        '192.168.2.255',
+                        '192.168.1.255',
+                        '192.168.0.255',
+                        '10.0.0.255'
+                    ];
+
+                broadcastAddresses.forEach(addr => this.sendVariants(client, requests, addr));
             });
         });
     }
@@ -619,7 +1103,7 @@ class PacketHandler {
      * Generate unique key for response deduplication
      */
     generateResponseKey(response, remoteInfo) {
-        return `${response.deviceSerialNumber}-${remoteInfo.address}-${remoteInfo.port}`;
+        return `${response.deviceSerialNumber}-${response.type}-${remoteInfo.address}-${remoteInfo.port}`;
     }
 
     /**
@@ -677,10 +1161,11 @@ class PacketHandler {
      */
     getNetworkInfo() {
         return {
-            interfaces: this.getNetworkInterfaces(),
+            interfaces: this.getNetworkInterfaces({ all: true }),
             platform: os.platform(),
             hostname: os.hostname(),
-            discoveryConfig: this.discoveryConfig
+            discoveryConfig: this.discoveryConfig,
+            interfaceConfig: this.getInterfaceConfig()
         };
     }
 }
@@ -0,0 +1,208 @@
+const PacketHandler = require('./packet-handler');
+const ProtocolCodec = require('./protocol-codec');
+const { PACKET_LAYOUTS, getFieldLength } = require('./protocol-schema');
+const { ValidationError } = require('./errors');
+
+/**
+ * Packet Inspector
+ * Decodes raw 64-byte packets into labeled fields using the protocol schema,
+ * and builds packets from field values, so hex dumps can be read against the SDK
+ * without counting bytes by hand
+ */
+class PacketInspector {
+    constructor(packetHandler = new PacketHandler()) {
+        this.packetHandler = packetHandler;
+        this.codec = new ProtocolCodec(packetHandler);
+        this.layouts = PACKET_LAYOUTS;
+    }
+
+    /**
+     * Parse a hex dump into a buffer
+     * Accepts plain hex or bytes separated by spaces, colons, dashes or commas, with optional 0x prefixes
+     */
+    parseHex(hex) {
+        const cleaned = String(hex).replace(/0x/gi, '').replace(/[\s,:-]/g, '');
+
+        if (!cleaned || !/^[0-9a-f]+$/i.test(cleaned) || cleaned.length % 2 !== 0) {
+            throw new ValidationError('Invalid hex string');
+        }
+
+        return Buffer.from(cleaned, 'hex');
+    }
+
+    /**
+     * Parse a function ID given as a number, "0x90", "90h" or a function name
+     */
+    parseFunctionId(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+
+        const text = String(value).trim();
+        const byName = Object.keys(this.layouts).find(id => this.layouts[id].name === text.toUpperCase());
+        if (byName) {
+            return parseInt(byName);
+        }
+
+        const functionId = /^0x/i.test(text) || /h$/i.test(text)
+            ? parseInt(text.replace(/^0x|h$/gi, ''), 16)
+            : parseInt(text, 16);
+
+        if (isNaN(functionId)) {
+            throw new ValidationError(`Invalid function ID: ${value}`);
+        }
+        return functionId;
+    }
+
+    getLayout(functionId) {
+        return this.layouts[functionId] || null;
+    }
+
+    toHex(value) {
+        return `0x${value.toString(16).toUpperCase().padStart(2, '0')}`;
+    }
+
+    /**
+     * Decode a packet (buffer or hex string)
+     * options.direction: 'request', 'response' or 'auto' (default)
+     */
+    decode(input, options = {}) {
+        const buffer = Buffer.isBuffer(input) ? input : this.parseHex(input);
+        const packet = this.packetHandler.parsePacket(buffer);
+        const layout = this.getLayout(packet.functionId);
+
+        const requested = options.direction || 'auto';
+        if (!['auto', 'request', 'response'].includes(requested)) {
+            throw new ValidationError(`Invalid direction: ${requested}. Use request, response or auto`);
+        }
+
+        const direction = requested === 'auto' ? this.guessDirection(buffer, layout) : requested;
+        const fields = layout && layout[direction] ? layout[direction] : [];
+
+        return {
+            functionId: this.toHex(packet.functionId),
+            functionName: layout ? layout.name : 'UNKNOWN',
+            title: layout ? layout.title : 'Unknown function',
+            direction,
+            directionGuessed: requested === 'auto',
+            header: {
+                type: this.toHex(packet.type),
+                typeValid: this.packetHandler.TYPE_BYTES.includes(packet.type),
+                functionId: this.toHex(packet.functionId),
+                reserved: packet.reserved,
+                serialNumber: packet.deviceSerialNumber,
+                sequenceId: packet.sequenceId
+            },
+            fields: fields.map(field => this.decodeField(buffer, field)),
+            unlabeled: this.findUnlabeledBytes(buffer, fields),
+            hex: buffer.toString('hex')
+        };
+    }
+
+    /**
+     * Pick the direction whose layout leaves fewer non-zero bytes unexplained
+     * Functions without a reply are always requests; ties are read as requests
+     */
+    guessDirection(buffer, layout) {
+        if (!layout || !layout.response) {
+            return 'request';
+        }
+
+        const requestUnlabeled = this.findUnlabeledBytes(buffer, layout.request).length;
+        const responseUnlabeled = this.findUnlabeledBytes(buffer, layout.response).length;
+
+        return responseUnlabeled < requestUnlabeled ? 'response' : 'request';
+    }
+
+    /**
+     * Non-zero bytes in the data and extended sections that no field covers
+     */
+    findUnlabeledBytes(buffer, fields) {
+        const covered = new Set();
+        fields.forEach(field => {
+            for (let i = 0; i < getFieldLength(field); i++) {
+                covered.add(field.offset + i);
+            }
+        });
+
+        const unlabeled = [];
+        for (let offset = 8; offset < buffer.length; offset++) {
+            // Bytes 40-43 are the sequence ID
+            if (offset >= 40 && offset < 44) {
+                continue;
+            }
+            if (buffer[offset] !== 0 && !covered.has(offset)) {
+                unlabeled.push({ offset, value: this.toHex(buffer[offset]) });
+            }
+        }
+        return unlabeled;
+    }
+
+    decodeField(buffer, field) {
+        const bytes = this.codec.readBytes(buffer, field);
+        const value = this.formatValue(field, bytes, this.codec.readField(buffer, field));
+
+        return {
+            name: field.name,
+            label: field.label,
+            offset: field.offset,
+            length: getFieldLength(field),
+            type: field.type,
+            bytes: Buffer.from(bytes).toString('hex'),
+            value,
+            display: this.describeValue(field, bytes, value)
+        };
+    }
+
+    /**
+     * Date-times are shown as the controller's local wall-clock time, digit for digit
+     */
+    formatValue(field, bytes, value) {
+        if (field.type !== 'bcdDateTime' || value === null) {
+            return value;
+        }
+
+        const digits = bytes.map(b => this.packetHandler.bcdToDecimal(b).toString().padStart(2, '0'));
+        return `${digits[0]}${digits[1]}-${digits[2]}-${digits[3]} ${digits[4]}:${digits[5]}:${digits[6]}`;
+    }
+
+    /**
+     * Human-readable value: enum labels, set bits, fixed-value checks and invalid BCD
+     */
+    describeValue(field, bytes, value) {
+        if (field.type.startsWith('bcd') && bytes.some(b => (b & 0x0F) > 9 || (b >> 4) > 9)) {
+            return `${value} (invalid BCD)`;
+        }
+
+        if (value === null) {
+            return 'not set';
+        }
+
+        if (field.fixed) {
+            const matches = field.fixed.every((b, i) => bytes[i] === b);
+            return `${value} (${matches ? 'valid' : 'expected ' + Buffer.from(field.fixed).toString('hex')})`;
+        }
+
+        if (field.values) {
+            return field.values[value] !== undefined ? `${value} (${field.values[value]})` : `${value} (unknown)`;
+        }
+
+        if (field.bits) {
+            const set = field.bits.filter((_, bit) => value & (1 << bit));
+            return `${this.toHex(value)} (${set.length > 0 ? set.join(', ') : 'none'})`;
+        }
+
+        return String(value);
+    }
+
+    /**
+     * Build a packet from field values
+     * fields: { name: value } using the schema's field names
+     * options.direction: 'request' (default) or 'response'; options.sequenceId
+     */
+    encode(functionId, serialNumber, fields = {}, options = {}) {
+        return this.codec.encodePacket(this.parseFunctionId(functionId), serialNumber, fields, options);
+    }
+}
+
+module.exports = PacketInspector;
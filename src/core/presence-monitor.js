@@ -0,0 +1,369 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { withFileLock, writeFileAtomic } = require('./file-store');
+
+// Availability is reported over these windows (milliseconds)
+const AVAILABILITY_WINDOWS = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Presence Monitor
+ * Checks every saved controller on an interval with a unicast 0x94 (or 0x20) request
+ * and keeps an online/degraded/offline state per controller:
+ *   online   -> degraded  on the first missed check
+ *   degraded -> offline   after failureThreshold consecutive missed checks
+ *   offline  -> degraded  on the first answered check
+ *   degraded -> online    after recoveryThreshold consecutive answered checks
+ * State transitions are kept in data/presence/<serial>.json for the availability report.
+ * Emits controller_online and controller_offline.
+ */
+class PresenceMonitor extends EventEmitter {
+    constructor(api, options = {}) {
+        super();
+        this.api = api;
+
+        this.interval = options.interval || 30000;
+        this.timeout = options.timeout || 2000;
+        this.probe = options.probe || 'search';                 // 'search' (0x94) or 'status' (0x20)
+        this.failureThreshold = options.failureThreshold || 3;
+        this.recoveryThreshold = options.recoveryThreshold || 2;
+        this.storeDir = options.storeDir || 'data/presence';
+        this.historyLimit = options.historyLimit || 1000;
+
+        if (!['search', 'status'].includes(this.probe)) {
+            throw new Error(`Invalid presence probe: ${this.probe}. Use search or status`);
+        }
+
+        // serialNumber -> current state and transition history
+        this.controllers = new Map();
+
+        this.timer = null;
+        this.round = null;
+
+        this.stats = {
+            rounds: 0,
+            checks: 0,
+            failedChecks: 0,
+            transitions: 0,
+            lastRoundAt: null,
+            startedAt: null
+        };
+    }
+
+    /**
+     * Start checking saved controllers; the first round runs immediately
+     */
+    async start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.stats.startedAt = new Date().toISOString();
+        this.timer = setInterval(() => this.runRound(), this.interval);
+        this.runRound();
+    }
+
+    /**
+     * Stop checking; time until the next start is not counted in availability
+     */
+    async stop() {
+        if (!this.timer) {
+            return;
+        }
+
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.round) {
+            await this.round;
+        }
+
+        const monitored = Array.from(this.controllers.values()).filter(entry => entry.state !== 'unknown');
+        for (const entry of monitored) {
+            await this.transition(entry, 'unknown', 'monitor stopped');
+        }
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Check all saved controllers, skipping the round if the previous one is still running
+     */
+    runRound() {
+        if (this.round) {
+            return this.round;
+        }
+
+        this.round = this.checkAll()
+            .catch(error => this.emit('error', error))
+            .then(() => {
+                this.round = null;
+            });
+
+        return this.round;
+    }
+
+    async checkAll() {
+        const controllers = await this.api.getSavedControllers();
+
+        await Promise.all(controllers.map(controller => this.checkController(controller)));
+
+        this.stats.rounds++;
+        this.stats.lastRoundAt = new Date().toISOString();
+    }
+
+    /**
+     * Send one probe to a controller and update its state
+     */
+    async checkController(controller) {
+        const entry = await this.getEntry(controller.serialNumber);
+        const startTime = Date.now();
+
+        entry.ip = controller.ip;
+        entry.lastCheckAt = new Date().toISOString();
+        this.stats.checks++;
+
+        try {
+            // The monitor's hysteresis replaces the command queue's retries
+            const options = { timeout: this.timeout, maxRetries: 1 };
+            if (this.probe === 'status') {
+                await this.api.getControllerStatus(controller, options);
+            } else {
+                await this.api.pingController(controller, options);
+            }
+
+            entry.responseTime = Date.now() - startTime;
+            entry.lastSuccessAt = entry.lastCheckAt;
+            entry.lastError = null;
+            await this.recordSuccess(entry);
+        } catch (error) {
+            this.stats.failedChecks++;
+            entry.responseTime = null;
+            entry.lastError = error.message;
+            await this.recordFailure(entry);
+        }
+
+        return this.getState(controller.serialNumber);
+    }
+
+    async recordSuccess(entry) {
+        entry.consecutiveFailures = 0;
+        entry.consecutiveSuccesses++;
+
+        if (entry.state === 'unknown' || entry.consecutiveSuccesses >= this.recoveryThreshold) {
+            await this.transition(entry, 'online', 'answered');
+        } else if (entry.state === 'offline') {
+            await this.transition(entry, 'degraded', 'answered');
+        }
+    }
+
+    async recordFailure(entry) {
+        entry.consecutiveSuccesses = 0;
+        entry.consecutiveFailures++;
+
+        if (entry.consecutiveFailures >= this.failureThreshold) {
+            await this.transition(entry, 'offline', `${entry.consecutiveFailures} missed checks`);
+        } else if (entry.state === 'online') {
+            await this.transition(entry, 'degraded', entry.lastError);
+        }
+    }
+
+    /**
+     * Move a controller to a new state, persist the transition and emit the event
+     * Coming online is announced only when the last known state was offline or degraded,
+     * which after a stop or restart is the last state before the monitor lost track
+     */
+    async transition(entry, state, reason) {
+        if (entry.state === state) {
+            return;
+        }
+
+        const change = {
+            from: entry.state,
+            to: state,
+            at: new Date().toISOString(),
+            reason
+        };
+        const previousKnownState = entry.lastKnownState;
+
+        entry.state = state;
+        if (state !== 'unknown') {
+            entry.lastKnownState = state;
+        }
+        entry.since = change.at;
+        entry.transitions.push(change);
+        entry.transitions = entry.transitions.slice(-this.historyLimit);
+        this.stats.transitions++;
+
+        await this.saveHistory(entry);
+
+        const event = {
+            serialNumber: entry.serialNumber,
+            ip: entry.ip,
+            from: change.from,
+            reason,
+            lastSuccessAt: entry.lastSuccessAt
+        };
+
+        if (state === 'offline') {
+            this.emit('controller_offline', event);
+        } else if (state === 'online' && ['offline', 'degraded'].includes(previousKnownState)) {
+            this.emit('controller_online', event);
+        }
+    }
+
+    /**
+     * In-memory entry for a controller, created from its saved transition history
+     */
+    async getEntry(serialNumber) {
+        if (this.controllers.has(serialNumber)) {
+            return this.controllers.get(serialNumber);
+        }
+
+        const history = await this.loadHistory(serialNumber);
+        const entry = {
+            serialNumber,
+            ip: null,
+            state: 'unknown',
+            since: null,
+            consecutiveFailures: 0,
+            consecutiveSuccesses: 0,
+            lastCheckAt: null,
+            lastSuccessAt: null,
+            lastError: null,
+            responseTime: null,
+            transitions: history.transitions,
+            lastKnownState: null
+        };
+
+        const known = entry.transitions.filter(change => change.to !== 'unknown');
+        if (known.length > 0) {
+            entry.lastKnownState = known[known.length - 1].to;
+        }
+
+        this.controllers.set(serialNumber, entry);
+
+        // A server that was not stopped cleanly left the last state open
+        const last = entry.transitions[entry.transitions.length - 1];
+        if (last && last.to !== 'unknown') {
+            entry.transitions.push({ from: last.to, to: 'unknown', at: new Date().toISOString(), reason: 'monitor restarted' });
+            await this.saveHistory(entry);
+        }
+
+        return entry;
+    }
+
+    getHistoryPath(serialNumber) {
+        return path.join(this.storeDir, `${serialNumber}.json`);
+    }
+
+    async loadHistory(serialNumber) {
+        try {
+            const data = await fs.readFile(this.getHistoryPath(serialNumber), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { serialNumber, transitions: [] };
+            }
+            throw error;
+        }
+    }
+
+    async saveHistory(entry) {
+        const historyPath = this.getHistoryPath(entry.serialNumber);
+
+        // The data is taken inside the lock so a queued save writes the latest transitions
+        await withFileLock(historyPath, () => writeFileAtomic(historyPath, JSON.stringify({
+            serialNumber: entry.serialNumber,
+            lastUpdated: new Date().toISOString(),
+            transitions: entry.transitions
+        }, null, 2)));
+    }
+
+    /**
+     * Current state of a controller (without its history)
+     */
+    getState(serialNumber) {
+        const entry = this.controllers.get(serialNumber);
+        if (!entry) {
+            return { serialNumber, state: 'unknown', since: null };
+        }
+
+        const { transitions, ...state } = entry;
+        return state;
+    }
+
+    /**
+     * Current state, time-weighted state percentages per window and recent transitions
+     * Time while the monitor was not running is left out of the percentages
+     */
+    async getAvailability(serialNumber, options = {}) {
+        const entry = this.controllers.get(serialNumber);
+        const transitions = entry ? entry.transitions : (await this.loadHistory(serialNumber)).transitions;
+        const limit = options.limit || 20;
+        const now = Date.now();
+
+        const availability = {};
+        Object.entries(AVAILABILITY_WINDOWS).forEach(([name, length]) => {
+            availability[name] = this.summarize(transitions, now - length, now);
+        });
+
+        return {
+            ...this.getState(serialNumber),
+            availability,
+            transitions: transitions.slice(-limit).reverse()
+        };
+    }
+
+    /**
+     * Time spent in each state between two timestamps
+     * uptime counts online and degraded (the controller still answered recently)
+     */
+    summarize(transitions, from, to) {
+        const time = { online: 0, degraded: 0, offline: 0 };
+
+        transitions.forEach((change, i) => {
+            const next = transitions[i + 1];
+            const start = Math.max(new Date(change.at).getTime(), from);
+            const end = Math.min(next ? new Date(next.at).getTime() : to, to);
+
+            if (end > start && time[change.to] !== undefined) {
+                time[change.to] += end - start;
+            }
+        });
+
+        const monitored = time.online + time.degraded + time.offline;
+        const percent = value => monitored > 0 ? Math.round(value / monitored * 10000) / 100 : null;
+
+        return {
+            monitoredSeconds: Math.round(monitored / 1000),
+            uptime: percent(time.online + time.degraded),
+            online: percent(time.online),
+            degraded: percent(time.degraded),
+            offline: percent(time.offline)
+        };
+    }
+
+    getStats() {
+        const states = { online: 0, degraded: 0, offline: 0, unknown: 0 };
+        this.controllers.forEach(entry => states[entry.state]++);
+
+        return {
+            running: this.isRunning(),
+            interval: this.interval,
+            probe: this.probe,
+            failureThreshold: this.failureThreshold,
+            recoveryThreshold: this.recoveryThreshold,
+            controllers: states,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = PresenceMonitor;
@@ -0,0 +1,332 @@
+const { ControllerRejectedError, ProtocolMismatchError, ValidationError, wrapError } = require('./errors');
+
+/**
+ * Privilege Manager for Card Administration
+ * Implements the card privilege functions (0x50, 0x52, 0x54, 0x58, 0x5A, 0x5C)
+ * on top of ControllerAPI.sendCommand
+ */
+class PrivilegeManager {
+    constructor(api) {
+        this.api = api;
+        this.packetHandler = api.packetHandler;
+        this.codec = api.codec;
+
+        // Card numbers reserved by the SDK
+        this.INVALID_CARD_NUMBERS = [0, 0xFFFFFFFF, 0x00FFFFFF];
+        this.DELETED_CARD_NUMBER = 0xFFFFFFFF;
+        this.MAX_PIN = 999999;
+
+        this.defaults = {
+            endDate: '2099-12-31',
+            doors: [1, 2, 3, 4],
+            pin: 0
+        };
+    }
+
+    /**
+     * Validate and normalize a privilege definition
+     * Throws an error describing the first invalid field
+     */
+    normalizePrivilege(privilege) {
+        const cardNumber = parseInt(privilege.cardNumber);
+        if (!Number.isInteger(cardNumber) || cardNumber < 0 || cardNumber > 0xFFFFFFFF ||
+            this.INVALID_CARD_NUMBERS.includes(cardNumber)) {
+            throw new ValidationError(`Invalid card number: ${privilege.cardNumber}`);
+        }
+
+        const startDate = this.normalizeDate(privilege.startDate || new Date().toISOString().slice(0, 10), 'startDate');
+        const endDate = this.normalizeDate(privilege.endDate || this.defaults.endDate, 'endDate');
+
+        if (startDate < '2000-01-01') {
+            throw new ValidationError('Invalid startDate: must be after 2000-01-01');
+        }
+
+        if (endDate < startDate) {
+            throw new ValidationError('Invalid endDate: must not be before startDate');
+        }
+
+        const doors = (privilege.doors || this.defaults.doors).map(door => parseInt(door));
+        if (doors.some(door => !Number.isInteger(door) || door < 1 || door > 4)) {
+            throw new ValidationError(`Invalid doors: ${privilege.doors}. Door numbers must be between 1 and 4`);
+        }
+
+        const pin = privilege.pin === undefined || privilege.pin === '' ? this.defaults.pin : parseInt(privilege.pin);
+        if (!Number.isInteger(pin) || pin < 0 || pin > this.MAX_PIN) {
+            throw new ValidationError(`Invalid pin: must be a number up to ${this.MAX_PIN} digits`);
+        }
+
+        return {
+            cardNumber,
+            startDate,
+            endDate,
+            doors: [...new Set(doors)].sort(),
+            pin
+        };
+    }
+
+    /**
+     * Normalize YYYY-MM-DD or YYYYMMDD date strings
+     */
+    normalizeDate(value, field) {
+        const match = String(value).match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+        if (!match) {
+            throw new ValidationError(`Invalid ${field}: ${value}. Use YYYY-MM-DD`);
+        }
+
+        const [, year, month, day] = match;
+        const date = new Date(`${year}-${month}-${day}T00:00:00Z`);
+        if (isNaN(date.getTime()) || date.getUTCDate() !== parseInt(day, 10)) {
+            throw new ValidationError(`Invalid ${field}: ${value}. Use YYYY-MM-DD`);
+        }
+
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Map a normalized privilege to the schema's privilege fields
+     * Shared by 0x50 and 0x56 requests
+     */
+    toPrivilegeFields(privilege) {
+        return {
+            cardNumber: privilege.cardNumber,
+            startDate: privilege.startDate,
+            endDate: privilege.endDate,
+            door1: privilege.doors.includes(1) ? 1 : 0,
+            door2: privilege.doors.includes(2) ? 1 : 0,
+            door3: privilege.doors.includes(3) ? 1 : 0,
+            door4: privilege.doors.includes(4) ? 1 : 0,
+            pin: privilege.pin
+        };
+    }
+
+    /**
+     * Encode a normalized privilege as 0x50 request data
+     */
+    encodePrivilege(privilege) {
+        return this.codec.encode(this.api.FUNCTION_IDS.ADD_PRIVILEGE, this.toPrivilegeFields(privilege));
+    }
+
+    /**
+     * Decode the privilege in a 0x5A or 0x5C response
+     */
+    decodePrivilege(response) {
+        const fields = this.codec.decode(response.functionId, response);
+
+        return {
+            cardNumber: fields.cardNumber,
+            startDate: fields.startDate,
+            endDate: fields.endDate,
+            doors: [1, 2, 3, 4].filter(door => fields[`door${door}`] === 1),
+            pin: fields.pin
+        };
+    }
+
+    /**
+     * Result byte of a 0x50, 0x52 or 0x54 response (1 = success)
+     */
+    getResult(response) {
+        return this.codec.decode(response.functionId, response).result;
+    }
+
+    /**
+     * Send a privilege command through the command queue and validate the response function ID
+     */
+    async sendCommand(controllerInfo, functionId, data = null) {
+        const response = await this.api.sendCommand(controllerInfo, functionId, data);
+
+        if (response.functionId !== functionId) {
+            throw new ProtocolMismatchError(`Invalid response for function 0x${functionId.toString(16).toUpperCase()}`,
+                this.api.getErrorContext(controllerInfo));
+        }
+
+        await this.api.configManager.updateLastSeen(controllerInfo.serialNumber);
+        return response;
+    }
+
+    /**
+     * Add or modify a card privilege
+     * Function ID: 0x50
+     */
+    async addPrivilege(controllerInfo, privilege) {
+        const normalized = this.normalizePrivilege(privilege);
+
+        try {
+            const response = await this.sendCommand(
+                controllerInfo,
+                this.api.FUNCTION_IDS.ADD_PRIVILEGE,
+                this.encodePrivilege(normalized)
+            );
+
+            if (this.getResult(response) !== 1) {
+                throw new ControllerRejectedError('Controller rejected privilege',
+                    this.api.getErrorContext(controllerInfo));
+            }
+
+            return {
+                success: true,
+                privilege: normalized
+            };
+        } catch (error) {
+            throw wrapError(error, `Failed to add privilege for card ${normalized.cardNumber}`);
+        }
+    }
+
+    /**
+     * Delete a single card privilege
+     * Function ID: 0x52
+     */
+    async deletePrivilege(controllerInfo, cardNumber) {
+        try {
+            const response = await this.sendCommand(
+                controllerInfo,
+                this.api.FUNCTION_IDS.DELETE_PRIVILEGE,
+                this.codec.encode(this.api.FUNCTION_IDS.DELETE_PRIVILEGE, { cardNumber: parseInt(cardNumber) })
+            );
+
+            if (this.getResult(response) !== 1) {
+                throw new ControllerRejectedError('Controller rejected deletion',
+                    this.api.getErrorContext(controllerInfo));
+            }
+
+            return {
+                success: true,
+                cardNumber: parseInt(cardNumber)
+            };
+        } catch (error) {
+            throw wrapError(error, `Failed to delete privilege for card ${cardNumber}`);
+        }
+    }
+
+    /**
+     * Clear all card privileges
+     * Function ID: 0x54
+     */
+    async clearPrivileges(controllerInfo) {
+        try {
+            const response = await this.sendCommand(
+                controllerInfo,
+                this.api.FUNCTION_IDS.CLEAR_PRIVILEGES,
+                this.codec.encode(this.api.FUNCTION_IDS.CLEAR_PRIVILEGES)
+            );
+
+            if (this.getResult(response) !== 1) {
+                throw new ControllerRejectedError('Controller rejected clear command',
+                    this.api.getErrorContext(controllerInfo));
+            }
+
+            return { success: true };
+        } catch (error) {
+            throw wrapError(error, 'Failed to clear privileges');
+        }
+    }
+
+    /**
+     * Read the total number of card privileges
+     * Function ID: 0x58
+     */
+    async getPrivilegeCount(controllerInfo) {
+        try {
+            const response = await this.sendCommand(
+                controllerInfo,
+                this.api.FUNCTION_IDS.GET_PRIVILEGE_COUNT
+            );
+
+            return {
+                success: true,
+                count: this.codec.decode(this.api.FUNCTION_IDS.GET_PRIVILEGE_COUNT, response).count
+            };
+        } catch (error) {
+            throw wrapError(error, 'Failed to get privilege count');
+        }
+    }
+
+    /**
+     * Query the privilege of a single card
+     * Function ID: 0x5A
+     * Returns found: false when the card has no privilege
+     */
+    async queryPrivilege(controllerInfo, cardNumber) {
+        try {
+            const response = await this.sendCommand(
+                controllerInfo,
+                this.api.FUNCTION_IDS.QUERY_PRIVILEGE,
+                this.codec.encode(this.api.FUNCTION_IDS.QUERY_PRIVILEGE, { cardNumber: parseInt(cardNumber) })
+            );
+
+            const privilege = this.decodePrivilege(response);
+
+            return {
+                success: true,
+                found: privilege.cardNumber !== 0,
+                privilege: privilege.cardNumber !== 0 ? privilege : null
+            };
+        } catch (error) {
+            throw wrapError(error, `Failed to query privilege for card ${cardNumber}`);
+        }
+    }
+
+    /**
+     * Read the privilege at the specified index (starting at 1)
+     * Function ID: 0x5C
+     */
+    async getPrivilegeByIndex(controllerInfo, index) {
+        try {
+            const response = await this.sendCommand(
+                controllerInfo,
+                this.api.FUNCTION_IDS.GET_PRIVILEGE_BY_INDEX,
+                this.codec.encode(this.api.FUNCTION_IDS.GET_PRIVILEGE_BY_INDEX, { index: parseInt(index) })
+            );
+
+            const privilege = this.decodePrivilege(response);
+
+            // Card 0 = no privilege at this index (end of list), 0xFFFFFFFF = deleted
+            let state = 'active';
+            if (privilege.cardNumber === 0) {
+                state = 'end';
+            } else if (privilege.cardNumber === this.DELETED_CARD_NUMBER) {
+                state = 'deleted';
+            }
+
+            return {
+                success: true,
+                index: parseInt(index),
+                state,
+                privilege: state === 'active' ? privilege : null
+            };
+        } catch (error) {
+            throw wrapError(error, `Failed to get privilege at index ${index}`);
+        }
+    }
+
+    /**
+     * List card privileges by walking the index until the end of the list
+     */
+    async listPrivileges(controllerInfo, options = {}) {
+        const { limit = 1000, startIndex = 1 } = options;
+        const privileges = [];
+        let index = startIndex;
+
+        while (privileges.length < limit) {
+            const result = await this.getPrivilegeByIndex(controllerInfo, index);
+
+            if (result.state === 'end') {
+                break;
+            }
+
+            if (result.state === 'active') {
+                privileges.push({ index, ...result.privilege });
+            }
+
+            index++;
+        }
+
+        return {
+            success: true,
+            count: privileges.length,
+            nextIndex: index,
+            privileges
+        };
+    }
+}
+
+module.exports = PrivilegeManager;
@@ -0,0 +1,275 @@
+const PacketHandler = require('./packet-handler');
+const { PACKET_LAYOUTS, getFieldLength } = require('./protocol-schema');
+const { ValidationError } = require('./errors');
+
+/**
+ * Protocol Codec
+ * Encodes request data and decodes responses for any function ID from the protocol schema,
+ * so callers work with named fields instead of byte offsets
+ */
+class ProtocolCodec {
+    constructor(packetHandler = new PacketHandler()) {
+        this.packetHandler = packetHandler;
+        this.layouts = PACKET_LAYOUTS;
+    }
+
+    getLayout(functionId) {
+        const layout = this.layouts[functionId];
+        if (!layout) {
+            throw new ValidationError(`Unknown function ID: 0x${functionId.toString(16).toUpperCase().padStart(2, '0')}`);
+        }
+        return layout;
+    }
+
+    /**
+     * Fields of a function's request or response; throws when the function has no such packet
+     */
+    getFields(functionId, direction = 'request') {
+        if (!['request', 'response'].includes(direction)) {
+            throw new ValidationError(`Invalid direction: ${direction}. Use request or response`);
+        }
+
+        const layout = this.getLayout(functionId);
+        if (!layout[direction]) {
+            throw new ValidationError(`${layout.name} has no ${direction} packet`);
+        }
+        return layout[direction];
+    }
+
+    /**
+     * Build a complete packet from named field values
+     * Fields that are not given are left zero, except constants such as the identification bytes
+     * options.direction: 'request' (default) or 'response'; options.sequenceId;
+     * options.timeZone: IANA time zone of the controller clock for Date values (host zone when not set)
+     */
+    encodePacket(functionId, serialNumber, values = {}, options = {}) {
+        const fields = this.getFields(functionId, options.direction || 'request');
+
+        const serial = parseInt(serialNumber);
+        if (isNaN(serial) || serial < 0 || serial > 0xFFFFFFFF) {
+            throw new ValidationError(`Invalid serial number: ${serialNumber}`);
+        }
+
+        const unknown = Object.keys(values).filter(name => !fields.some(field => field.name === name));
+        if (unknown.length > 0) {
+            const known = fields.filter(field => !field.fixed).map(field => field.name);
+            throw new ValidationError(`Unknown field(s) for ${this.getLayout(functionId).name}: ${unknown.join(', ')}. ` +
+                `Available: ${known.length > 0 ? known.join(', ') : 'none'}`);
+        }
+
+        const packet = this.packetHandler.createPacket(functionId, serial, null, parseInt(options.sequenceId) || 0);
+
+        fields.forEach(field => {
+            if (values[field.name] !== undefined && values[field.name] !== null) {
+                this.writeField(packet, field, values[field.name], options);
+            } else if (field.fixed) {
+                Buffer.from(field.fixed).copy(packet, field.offset);
+            }
+        });
+
+        return packet;
+    }
+
+    /**
+     * Encode the data section (bytes 8-39) of a request, as passed to ControllerAPI.sendCommand
+     * options.timeZone: see encodePacket
+     */
+    encode(functionId, values = {}, direction = 'request', options = {}) {
+        const packet = this.encodePacket(functionId, 0, values, { direction, timeZone: options.timeZone });
+        return Array.from(packet.slice(8, 40));
+    }
+
+    /**
+     * Decode a packet into named field values
+     * packet: a 64-byte buffer or a packet parsed by PacketHandler.parsePacket
+     * options.timeZone: IANA time zone of the controller clock, date-times are returned as Dates in UTC
+     */
+    decode(functionId, packet, direction = 'response', options = {}) {
+        const buffer = this.toBuffer(packet);
+
+        return this.getFields(functionId, direction).reduce((values, field) => {
+            values[field.name] = this.readField(buffer, field, options);
+            return values;
+        }, {});
+    }
+
+    /**
+     * Rebuild the raw bytes of a parsed packet so fields can be read at their SDK offsets
+     */
+    toBuffer(packet) {
+        if (Buffer.isBuffer(packet)) {
+            return packet;
+        }
+
+        const buffer = this.packetHandler.createPacket(packet.functionId, packet.deviceSerialNumber,
+            packet.data, packet.sequenceId);
+        Buffer.from(packet.extendedData || []).copy(buffer, 44);
+        return buffer;
+    }
+
+    readBytes(buffer, field) {
+        return Array.from(buffer.slice(field.offset, field.offset + getFieldLength(field)));
+    }
+
+    /**
+     * Read one field
+     * Integers are numbers; addresses, raw bytes, versions, dates and times are strings,
+     * except bcdDateTime which is a Date. All-zero dates are null.
+     */
+    readField(buffer, field, options = {}) {
+        const bytes = this.readBytes(buffer, field);
+        const bcd = bytes.map(b => this.packetHandler.bcdToDecimal(b));
+        const pad = value => value.toString().padStart(2, '0');
+
+        switch (field.type) {
+            case 'uint8':
+                return bytes[0];
+            case 'uint16le':
+                return Buffer.from(bytes).readUInt16LE(0);
+            case 'uint16be':
+                return Buffer.from(bytes).readUInt16BE(0);
+            case 'uint24le':
+                return bytes[0] | (bytes[1] << 8) | (bytes[2] << 16);
+            case 'uint32le':
+                return Buffer.from(bytes).readUInt32LE(0);
+            case 'uint32be':
+                return Buffer.from(bytes).readUInt32BE(0);
+            case 'ip':
+                return this.packetHandler.bytesToIp(bytes);
+            case 'mac':
+                return bytes.map(b => b.toString(16).padStart(2, '0')).join(':');
+            case 'hex':
+                return Buffer.from(bytes).toString('hex');
+            case 'bcdVersion':
+                return `${bcd[0]}.${pad(bcd[1])}`;
+            case 'bcdDate':
+                return this.packetHandler.bcdBytesToDateString(bytes);
+            case 'bcdDateTime':
+                return this.packetHandler.bcdBytesToDate(bytes, options.timeZone);
+            case 'bcdShortDate':
+                return bytes.every(b => b === 0) ? null : `20${pad(bcd[0])}-${pad(bcd[1])}-${pad(bcd[2])}`;
+            case 'bcdTime':
+                return `${pad(bcd[0])}:${pad(bcd[1])}:${pad(bcd[2])}`;
+            default:
+                throw new Error(`Unknown field type: ${field.type}`);
+        }
+    }
+
+    /**
+     * Combine a decoded date (YYYY-MM-DD) and time (HH:MM:SS) into a Date
+     * For responses that split one timestamp across two fields (0x20 status)
+     */
+    combineDateTime(date, time, options = {}) {
+        const bytes = this.encodeValue({ name: 'dateTime', type: 'bcdDateTime' }, `${date} ${time}`);
+        return this.packetHandler.bcdBytesToDate(bytes, options.timeZone);
+    }
+
+    writeField(buffer, field, value, options = {}) {
+        Buffer.from(this.encodeValue(field, value, options)).copy(buffer, field.offset);
+    }
+
+    /**
+     * Encode one field value into its bytes
+     * Accepts the values readField returns as well as their text forms (numbers as strings,
+     * enum labels, "now" for bcdDateTime), so the same call serves the API and the packet tools.
+     * Dates are written as wall-clock time in options.timeZone; text date-times are written as given
+     */
+    encodeValue(field, input, options = {}) {
+        const length = getFieldLength(field);
+        const text = input instanceof Date ? '' : String(input).trim();
+        const invalid = (format) => new ValidationError(`Invalid value for ${field.name}: "${input}" (expected ${format})`);
+        const bcdDigits = (values, format) => {
+            if (values.some(v => isNaN(v) || v < 0 || v > 99)) {
+                throw invalid(format);
+            }
+            return values.map(v => this.packetHandler.decimalToBCD(v));
+        };
+
+        switch (field.type) {
+            case 'uint8':
+            case 'uint16le':
+            case 'uint16be':
+            case 'uint24le':
+            case 'uint32le':
+            case 'uint32be': {
+                const label = field.values && Object.keys(field.values).find(key => field.values[key] === text);
+                const value = label !== undefined ? parseInt(label) : Number(text);
+                const max = Math.pow(2, length * 8) - 1;
+
+                if (text === '' || !Number.isInteger(value) || value < 0 || value > max) {
+                    throw invalid(`integer 0-${max}${field.values ? ' or ' + Object.values(field.values).join('/') : ''}`);
+                }
+
+                const bytes = Buffer.alloc(4);
+                if (field.type.endsWith('be')) {
+                    bytes.writeUInt32BE(value, 0);
+                    return Array.from(bytes.slice(4 - length));
+                }
+                bytes.writeUInt32LE(value, 0);
+                return Array.from(bytes.slice(0, length));
+            }
+            case 'ip': {
+                const octets = text.split('.').map(octet => /^\d{1,3}$/.test(octet) ? parseInt(octet, 10) : NaN);
+                if (octets.length !== 4 || octets.some(octet => isNaN(octet) || octet > 255)) {
+                    throw invalid('IPv4 address');
+                }
+                return octets;
+            }
+            case 'mac':
+            case 'hex': {
+                const bytes = Array.isArray(input)
+                    ? input
+                    : Array.from(Buffer.from(text.replace(/0x/gi, '').replace(/[\s,:-]/g, ''), 'hex'));
+                if (bytes.length !== length || bytes.some(b => !Number.isInteger(b) || b < 0 || b > 255)) {
+                    throw invalid(`${length} hex bytes`);
+                }
+                return bytes;
+            }
+            case 'bcdVersion': {
+                const match = text.match(/^(\d{1,2})\.(\d{1,2})$/);
+                if (!match) {
+                    throw invalid('version such as 6.56');
+                }
+                return bcdDigits([parseInt(match[1]), parseInt(match[2])], 'version such as 6.56');
+            }
+            case 'bcdDate':
+            case 'bcdShortDate': {
+                const match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+                if (!match) {
+                    throw invalid('YYYY-MM-DD');
+                }
+                const [year, month, day] = match.slice(1).map(part => parseInt(part, 10));
+                return field.type === 'bcdDate'
+                    ? bcdDigits([Math.floor(year / 100), year % 100, month, day], 'YYYY-MM-DD')
+                    : bcdDigits([year % 100, month, day], 'YYYY-MM-DD');
+            }
+            case 'bcdDateTime': {
+                if (input instanceof Date || text.toLowerCase() === 'now') {
+                    const date = input instanceof Date ? input : new Date();
+                    if (isNaN(date.getTime())) {
+                        throw invalid('valid date');
+                    }
+                    const bcd = this.packetHandler.dateToBCD(date, options.timeZone);
+                    return [bcd.yearHigh, bcd.yearLow, bcd.month, bcd.day, bcd.hour, bcd.minute, bcd.second];
+                }
+                const match = text.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})$/);
+                if (!match) {
+                    throw invalid('YYYY-MM-DD HH:MM:SS or now');
+                }
+                const [year, ...rest] = match.slice(1).map(part => parseInt(part, 10));
+                return bcdDigits([Math.floor(year / 100), year % 100, ...rest], 'YYYY-MM-DD HH:MM:SS');
+            }
+            case 'bcdTime': {
+                const match = text.match(/^(\d{2}):(\d{2}):(\d{2})$/);
+                if (!match) {
+                    throw invalid('HH:MM:SS');
+                }
+                return bcdDigits(match.slice(1).map(part => parseInt(part, 10)), 'HH:MM:SS');
+            }
+            default:
+                throw new Error(`Unknown field type: ${field.type}`);
+        }
+    }
+}
+
+module.exports = ProtocolCodec;
@@ -0,0 +1,352 @@
+/**
+ * Protocol Schema
+ * Request and response fields of every function ID of the short packet protocol (main_sdk.txt section 1).
+ * ProtocolCodec encodes and decodes packets from these definitions, the packet tools print them
+ * and /docs lists them, so a function's layout is only ever written down here.
+ * Offsets are absolute packet byte positions, as listed in the SDK tables.
+ *
+ * Field types:
+ *   uint8                          - single byte
+ *   uint16le, uint24le, uint32le   - little-endian unsigned integers (uint16be, uint32be also supported)
+ *   ip (4), mac (6), hex (length)  - addresses and raw bytes
+ *   bcdDate (4)                    - year high, year low, month, day
+ *   bcdDateTime (7)                - bcdDate + hour, minute, second
+ *   bcdShortDate (3)               - 2-digit year, month, day
+ *   bcdTime (3)                    - hour, minute, second
+ *   bcdVersion (2)                 - major, minor
+ * Optional keys: values (labels of enum values), bits (labels of bit 0..n), fixed (constant bytes,
+ * filled in automatically when encoding)
+ */
+
+// Identification bytes required by destructive commands (0x96, 0xB2, 0x54)
+const IDENTIFICATION = [0x55, 0xAA, 0xAA, 0x55];
+
+const RESULT_VALUES = { 0: 'failed', 1: 'success' };
+
+// Record types reported by status and record responses
+const RECORD_TYPES = {
+    0x00: 'none',
+    0x01: 'swipe',
+    0x02: 'door_event',
+    0x03: 'alarm',
+    0xFF: 'overwritten'
+};
+
+// Door control modes (0x80/0x82)
+const DOOR_CONTROL_MODES = {
+    1: 'normally_open',
+    2: 'normally_closed',
+    3: 'online'
+};
+
+const RECORD_FIELDS = [
+    { name: 'recordIndex', offset: 8, type: 'uint32le', label: 'Record index' },
+    { name: 'recordType', offset: 12, type: 'uint8', label: 'Record type',
+        values: RECORD_TYPES },
+    { name: 'valid', offset: 13, type: 'uint8', label: 'Validity', values: { 0: 'denied', 1: 'granted' } },
+    { name: 'doorNumber', offset: 14, type: 'uint8', label: 'Door number' },
+    { name: 'direction', offset: 15, type: 'uint8', label: 'Direction', values: { 1: 'in', 2: 'out' } },
+    { name: 'cardNumber', offset: 16, type: 'uint32le', label: 'Card number' },
+    { name: 'swipeTime', offset: 20, type: 'bcdDateTime', label: 'Record time' },
+    { name: 'reasonCode', offset: 27, type: 'uint8', label: 'Reason code' }
+];
+
+const PRIVILEGE_FIELDS = [
+    { name: 'cardNumber', offset: 8, type: 'uint32le', label: 'Card number' },
+    { name: 'startDate', offset: 12, type: 'bcdDate', label: 'Start date' },
+    { name: 'endDate', offset: 16, type: 'bcdDate', label: 'End date' },
+    { name: 'door1', offset: 20, type: 'uint8', label: 'Door 1 access', values: { 0: 'no', 1: 'yes' } },
+    { name: 'door2', offset: 21, type: 'uint8', label: 'Door 2 access', values: { 0: 'no', 1: 'yes' } },
+    { name: 'door3', offset: 22, type: 'uint8', label: 'Door 3 access', values: { 0: 'no', 1: 'yes' } },
+    { name: 'door4', offset: 23, type: 'uint8', label: 'Door 4 access', values: { 0: 'no', 1: 'yes' } },
+    { name: 'pin', offset: 24, type: 'uint24le', label: 'Password (PIN)' }
+];
+
+const DOOR_PARAM_FIELDS = [
+    { name: 'doorNumber', offset: 8, type: 'uint8', label: 'Door number' },
+    { name: 'controlMode', offset: 9, type: 'uint8', label: 'Control mode',
+        values: DOOR_CONTROL_MODES },
+    { name: 'openDelay', offset: 10, type: 'uint8', label: 'Open delay (seconds)' }
+];
+
+const SERVER_FIELDS = [
+    { name: 'serverIp', offset: 8, type: 'ip', label: 'Receiving server IP' },
+    { name: 'port', offset: 12, type: 'uint16le', label: 'Receiving server port' },
+    { name: 'uploadInterval', offset: 14, type: 'uint8', label: 'Upload interval (seconds, 0 = off)' }
+];
+
+const NETWORK_FIELDS = [
+    { name: 'ip', offset: 8, type: 'ip', label: 'IP address' },
+    { name: 'subnetMask', offset: 12, type: 'ip', label: 'Subnet mask' },
+    { name: 'gateway', offset: 16, type: 'ip', label: 'Gateway' }
+];
+
+const PACKET_LAYOUTS = {
+    0x94: {
+        name: 'DISCOVER',
+        title: 'Search controller',
+        request: [],
+        response: [
+            ...NETWORK_FIELDS,
+            { name: 'macAddress', offset: 20, type: 'mac', label: 'MAC address' },
+            { name: 'driverVersion', offset: 26, type: 'bcdVersion', label: 'Driver version' },
+            { name: 'driverReleaseDate', offset: 28, type: 'bcdDate', label: 'Driver release date' }
+        ]
+    },
+    0x96: {
+        name: 'SET_IP',
+        title: 'Set controller IP address',
+        request: [
+            ...NETWORK_FIELDS,
+            { name: 'identification', offset: 20, type: 'hex', length: 4, label: 'Identification', fixed: IDENTIFICATION }
+        ],
+        response: null
+    },
+    0x20: {
+        name: 'QUERY_STATUS',
+        title: 'Query controller status',
+        request: [],
+        response: [
+            ...RECORD_FIELDS,
+            ...[1, 2, 3, 4].map(door => ({
+                name: `door${door}Sensor`, offset: 27 + door, type: 'uint8', label: `Door ${door} sensor`,
+                values: { 0: 'closed', 1: 'open' }
+            })),
+            ...[1, 2, 3, 4].map(door => ({
+                name: `door${door}Button`, offset: 31 + door, type: 'uint8', label: `Door ${door} button`,
+                values: { 0: 'released', 1: 'pressed' }
+            })),
+            { name: 'errorNumber', offset: 36, type: 'uint8', label: 'Error number (0 = no error)' },
+            { name: 'controllerTime', offset: 37, type: 'bcdTime', label: 'Controller time' },
+            { name: 'specialInfo', offset: 48, type: 'uint8', label: 'Special information' },
+            { name: 'relayStatus', offset: 49, type: 'uint8', label: 'Relay status',
+                bits: ['relay 1', 'relay 2', 'relay 3', 'relay 4'] },
+            { name: 'alarmFlags', offset: 50, type: 'uint8', label: 'Fire / forced lock',
+                bits: ['forced lock', 'fire'] },
+            { name: 'controllerDate', offset: 51, type: 'bcdShortDate', label: 'Controller date' }
+        ]
+    },
+    0x32: {
+        name: 'GET_TIME',
+        title: 'Read date and time',
+        request: [],
+        response: [
+            { name: 'time', offset: 8, type: 'bcdDateTime', label: 'Controller time' }
+        ]
+    },
+    0x30: {
+        name: 'SET_TIME',
+        title: 'Set date and time',
+        request: [
+            { name: 'time', offset: 8, type: 'bcdDateTime', label: 'New time' }
+        ],
+        response: [
+            { name: 'time', offset: 8, type: 'bcdDateTime', label: 'Controller time' }
+        ]
+    },
+    0xB0: {
+        name: 'GET_RECORD',
+        title: 'Get record by index',
+        request: [
+            { name: 'recordIndex', offset: 8, type: 'uint32le', label: 'Record index (0 = oldest, 0xFFFFFFFF = latest)' }
+        ],
+        response: RECORD_FIELDS
+    },
+    0xB2: {
+        name: 'SET_RECORD_INDEX',
+        title: 'Set read record index',
+        request: [
+            { name: 'recordIndex', offset: 8, type: 'uint32le', label: 'Record index' },
+            { name: 'identification', offset: 12, type: 'hex', length: 4, label: 'Identification', fixed: IDENTIFICATION }
+        ],
+        response: [
+            { name: 'result', offset: 8, type: 'uint8', label: 'Result', values: RESULT_VALUES }
+        ]
+    },
+    0xB4: {
+        name: 'GET_RECORD_INDEX',
+        title: 'Get read record index',
+        request: [],
+        response: [
+            { name: 'recordIndex', offset: 8, type: 'uint32le', label: 'Record index' }
+        ]
+    },
+    0x40: {
+        name: 'REMOTE_OPEN_DOOR',
+        title: 'Remote open door',
+        request: [
+            { name: 'doorNumber', offset: 8, type: 'uint8', label: 'Door number' }
+        ],
+        response: [
+            { name: 'result', offset: 8, type: 'uint8', label: 'Result', values: RESULT_VALUES }
+        ]
+    },
+    0x50: {
+        name: 'ADD_PRIVILEGE',
+        title: 'Add or modify privilege',
+        request: PRIVILEGE_FIELDS,
+        response: [
+            { name: 'result', offset: 8, type: 'uint8', label: 'Result', values: RESULT_VALUES }
+        ]
+    },
+    0x52: {
+        name: 'DELETE_PRIVILEGE',
+        title: 'Delete privilege',
+        request: [
+            { name: 'cardNumber', offset: 8, type: 'uint32le', label: 'Card number' }
+        ],
+        response: [
+            { name: 'result', offset: 8, type: 'uint8', label: 'Result', values: RESULT_VALUES }
+        ]
+    },
+    0x54: {
+        name: 'CLEAR_PRIVILEGES',
+        title: 'Clear all privileges',
+        request: [
+            { name: 'identification', offset: 8, type: 'hex', length: 4, label: 'Identification', fixed: IDENTIFICATION }
+        ],
+        response: [
+            { name: 'result', offset: 8, type: 'uint8', label: 'Result', values: RESULT_VALUES }
+        ]
+    },
+    0x56: {
+        name: 'ADD_PRIVILEGE_BATCH',
+        title: 'Add privileges in ascending order',
+        request: [
+            ...PRIVILEGE_FIELDS,
+            { name: 'firstCardDoors', offset: 27, type: 'uint8', label: 'First card doors',
+                bits: ['door 1', 'door 2', 'door 3', 'door 4'] },
+            { name: 'multiCardGroups', offset: 28, type: 'hex', length: 4, label: 'Multi-card groups' },
+            { name: 'total', offset: 32, type: 'uint24le', label: 'Total privileges' },
+            { name: 'index', offset: 35, type: 'uint24le', label: 'Current index (from 1)' }
+        ],
+        response: [
+            { name: 'result', offset: 8, type: 'uint8', label: 'Result',
+                values: { 0: 'failed', 1: 'success', 0xE1: 'not_sorted' } }
+        ]
+    },
+    0x58: {
+        name: 'GET_PRIVILEGE_COUNT',
+        title: 'Read total number of privileges',
+        request: [],
+        response: [
+            { name: 'count', offset: 8, type: 'uint32le', label: 'Privilege count' }
+        ]
+    },
+    0x5A: {
+        name: 'QUERY_PRIVILEGE',
+        title: 'Query privilege',
+        request: [
+            { name: 'cardNumber', offset: 8, type: 'uint32le', label: 'Card number' }
+        ],
+        response: PRIVILEGE_FIELDS
+    },
+    0x5C: {
+        name: 'GET_PRIVILEGE_BY_INDEX',
+        title: 'Read privilege by index',
+        request: [
+            { name: 'index', offset: 8, type: 'uint32le', label: 'Privilege index (from 1)' }
+        ],
+        response: PRIVILEGE_FIELDS
+    },
+    0x80: {
+        name: 'SET_DOOR_PARAMS',
+        title: 'Set door control parameters',
+        request: DOOR_PARAM_FIELDS,
+        response: DOOR_PARAM_FIELDS
+    },
+    0x82: {
+        name: 'GET_DOOR_PARAMS',
+        title: 'Read door control parameters',
+        request: [
+            { name: 'doorNumber', offset: 8, type: 'uint8', label: 'Door number' }
+        ],
+        response: DOOR_PARAM_FIELDS
+    },
+    0x90: {
+        name: 'SET_RECEIVING_SERVER',
+        title: 'Set receiving server IP and port',
+        request: SERVER_FIELDS,
+        response: [
+            { name: 'result', offset: 8, type: 'uint8', label: 'Result', values: RESULT_VALUES }
+        ]
+    },
+    0x92: {
+        name: 'GET_RECEIVING_SERVER',
+        title: 'Read receiving server IP and port',
+        request: [],
+        response: SERVER_FIELDS
+    }
+};
+
+// Byte length of each fixed-size field type
+const TYPE_LENGTHS = {
+    uint8: 1,
+    uint16le: 2,
+    uint16be: 2,
+    uint24le: 3,
+    uint32le: 4,
+    uint32be: 4,
+    ip: 4,
+    mac: 6,
+    bcdDate: 4,
+    bcdDateTime: 7,
+    bcdShortDate: 3,
+    bcdTime: 3,
+    bcdVersion: 2
+};
+
+// Function name -> function ID, e.g. { DISCOVER: 0x94, ... }
+const FUNCTION_IDS = Object.keys(PACKET_LAYOUTS).reduce((ids, functionId) => {
+    ids[PACKET_LAYOUTS[functionId].name] = parseInt(functionId);
+    return ids;
+}, {});
+
+function getFieldLength(field) {
+    return field.length || TYPE_LENGTHS[field.type];
+}
+
+/**
+ * Describe every function for the /docs endpoint
+ * Fields are listed as "[first-last] name": "type - label"
+ */
+function describeProtocol() {
+    const describeFields = fields => {
+        if (!fields) {
+            return 'no response';
+        }
+
+        return fields.reduce((described, field) => {
+            const length = getFieldLength(field);
+            const range = length > 1 ? `${field.offset}-${field.offset + length - 1}` : `${field.offset}`;
+            const values = field.values
+                ? ` (${Object.keys(field.values).map(value => `${value} = ${field.values[value]}`).join(', ')})`
+                : '';
+            described[`[${range}] ${field.name}`] = `${field.type} - ${field.label}${values}`;
+            return described;
+        }, {});
+    };
+
+    return Object.keys(PACKET_LAYOUTS).reduce((protocol, functionId) => {
+        const layout = PACKET_LAYOUTS[functionId];
+        const id = `0x${parseInt(functionId).toString(16).toUpperCase().padStart(2, '0')}`;
+
+        protocol[`${id} ${layout.name}`] = {
+            title: layout.title,
+            request: describeFields(layout.request),
+            response: describeFields(layout.response)
+        };
+        return protocol;
+    }, {});
+}
+
+module.exports = {
+    PACKET_LAYOUTS,
+    TYPE_LENGTHS,
+    FUNCTION_IDS,
+    IDENTIFICATION,
+    RECORD_TYPES,
+    DOOR_CONTROL_MODES,
+    getFieldLength,
+    describeProtocol
+};
@@ -0,0 +1,127 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { withFileLock, writeFileAtomic } = require('./file-store');
+
+/**
+ * Record Store for Downloaded Swipe/Event Records
+ * Keeps one JSON file per controller, de-duplicated by record index.
+ * Changes to a controller's file run one at a time, so records from a sync (0xB0)
+ * and live uploads arriving meanwhile are all kept.
+ */
+class RecordStore {
+    constructor(storeDir = 'data/records') {
+        this.storeDir = storeDir;
+    }
+
+    /**
+     * Get the file path for a controller's records
+     */
+    getRecordsPath(serialNumber) {
+        return path.join(this.storeDir, `${serialNumber}.json`);
+    }
+
+    /**
+     * Load the record file for a controller
+     */
+    async loadStore(serialNumber) {
+        try {
+            const data = await fs.readFile(this.getRecordsPath(serialNumber), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {
+                    serialNumber,
+                    lastIndex: 0,
+                    lastUpdated: null,
+                    records: []
+                };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Save the record file for a controller
+     */
+    async saveStore(serialNumber, store) {
+        store.lastUpdated = new Date().toISOString();
+        const data = JSON.stringify(store, null, 2);
+        await writeFileAtomic(this.getRecordsPath(serialNumber), data);
+    }
+
+    /**
+     * Add records for a controller, skipping indexes that are already stored
+     * Returns the records that were actually added
+     */
+    async addRecords(serialNumber, records) {
+        return await withFileLock(this.getRecordsPath(serialNumber), async () => {
+            const store = await this.loadStore(serialNumber);
+            const knownIndexes = new Set(store.records.map(r => r.index));
+            const added = [];
+
+            records.forEach(record => {
+                if (!knownIndexes.has(record.index)) {
+                    knownIndexes.add(record.index);
+                    added.push({
+                        ...record,
+                        storedAt: new Date().toISOString()
+                    });
+                }
+            });
+
+            if (added.length > 0) {
+                store.records.push(...added);
+                store.records.sort((a, b) => a.index - b.index);
+                store.lastIndex = Math.max(store.lastIndex, ...added.map(r => r.index));
+                await this.saveStore(serialNumber, store);
+            }
+
+            return added;
+        });
+    }
+
+    /**
+     * Check whether a record index is already stored
+     */
+    async hasRecord(serialNumber, recordIndex) {
+        const store = await this.loadStore(serialNumber);
+        return store.records.some(r => r.index === recordIndex);
+    }
+
+    /**
+     * Get stored records for a controller
+     * Supports filtering by minimum index and limiting to the most recent entries
+     */
+    async getRecords(serialNumber, options = {}) {
+        const { sinceIndex = 0, limit = 100 } = options;
+        const store = await this.loadStore(serialNumber);
+
+        const records = store.records.filter(r => r.index > sinceIndex);
+
+        return {
+            serialNumber,
+            lastIndex: store.lastIndex,
+            totalCount: store.records.length,
+            records: limit ? records.slice(-limit) : records
+        };
+    }
+
+    /**
+     * Remove all stored records for a controller
+     */
+    async clearRecords(serialNumber) {
+        return await withFileLock(this.getRecordsPath(serialNumber), async () => {
+            try {
+                await fs.unlink(this.getRecordsPath(serialNumber));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return false;
+                }
+                throw error;
+            }
+        });
+    }
+}
+
+module.exports = RecordStore;
@@ -0,0 +1,89 @@
+/**
+ * Record Synchronization
+ * Downloads new swipe/event records from a controller using the SDK read pointer:
+ * read the "already read" index (0xB4), fetch each newer record (0xB0),
+ * store it locally, then advance the controller's pointer (0xB2)
+ */
+class RecordSync {
+    constructor(api, recordStore) {
+        this.api = api;
+        this.recordStore = recordStore;
+
+        this.syncConfig = {
+            maxRecords: 1000,   // Upper bound of records fetched per sync run
+            batchSize: 50       // Records stored before the controller pointer is advanced
+        };
+    }
+
+    /**
+     * Sync all new records from a controller
+     */
+    async syncController(controllerInfo, options = {}) {
+        const { maxRecords, batchSize } = { ...this.syncConfig, ...options };
+        const { onProgress } = options;
+        const serialNumber = controllerInfo.serialNumber;
+
+        const previousIndex = await this.api.getReadRecordIndex(controllerInfo);
+        let nextIndex = previousIndex + 1;
+        let lastIndex = previousIndex;
+        let fetched = 0;
+        let stored = 0;
+        let batch = [];
+
+        const flush = async () => {
+            if (batch.length === 0) return;
+
+            // Store before advancing the pointer so a crash never loses records
+            const added = await this.recordStore.addRecords(serialNumber, batch);
+            stored += added.length;
+            batch = [];
+
+            await this.api.setReadRecordIndex(controllerInfo, lastIndex);
+        };
+
+        while (fetched < maxRecords) {
+            const record = await this.api.getRecord(controllerInfo, nextIndex);
+
+            if (record.typeName === 'overwritten') {
+                // Old records were overwritten, continue from the oldest record still kept
+                const oldest = await this.api.getRecord(controllerInfo, 0);
+                if (oldest.index <= nextIndex || oldest.typeName === 'none') {
+                    break;
+                }
+                nextIndex = oldest.index;
+                continue;
+            }
+
+            if (record.typeName === 'none' || record.index === 0) {
+                break;
+            }
+
+            batch.push(record);
+            lastIndex = record.index;
+            nextIndex = record.index + 1;
+            fetched++;
+
+            if (batch.length >= batchSize) {
+                await flush();
+            }
+
+            if (onProgress) {
+                onProgress({ serialNumber, fetched, lastIndex });
+            }
+        }
+
+        await flush();
+
+        return {
+            success: true,
+            serialNumber,
+            previousIndex,
+            lastIndex,
+            fetched,
+            stored,
+            complete: fetched < maxRecords
+        };
+    }
+}
+
+module.exports = RecordSync;
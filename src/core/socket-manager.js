@@ -0,0 +1,241 @@
+const dgram = require('dgram');
+const { ControllerTimeoutError } = require('./errors');
+
+// Shared instance used by every PacketHandler in the process
+let defaultManager = null;
+
+/**
+ * UDP Socket Manager
+ * Sends all controller requests through one long-lived socket. Each request is
+ * stamped with a unique sequence ID (bytes 40-43) and only a reply carrying the
+ * same sequence ID, function ID and serial number resolves it, so any number of
+ * requests can be in flight at once and stray or late replies are discarded
+ */
+class SocketManager {
+    constructor() {
+        this.PACKET_SIZE = 64;
+        this.socket = null;
+        this.socketReady = null;
+
+        // sequenceId -> { serialNumber, functionId, resolve, reject, timeoutId }
+        this.pending = new Map();
+        this.recorder = null;
+
+        // Local address the socket binds to (null = any); a change rebinds once no request is in flight
+        this.sourceAddress = null;
+        this.rebindWhenIdle = false;
+        this.nextSequenceId = Math.floor(Math.random() * 0xFFFF) + 1;
+
+        this.stats = {
+            sent: 0,
+            matched: 0,
+            mismatched: 0,
+            unmatched: 0,
+            timeouts: 0
+        };
+    }
+
+    static getDefault() {
+        if (!defaultManager) {
+            defaultManager = new SocketManager();
+        }
+        return defaultManager;
+    }
+
+    /**
+     * Record every datagram sent and received on the socket
+     */
+    setRecorder(recorder) {
+        this.recorder = recorder;
+    }
+
+    /**
+     * Bind requests to a local address, or to any address with null
+     */
+    setSourceAddress(address) {
+        if ((address || null) === this.sourceAddress) {
+            return;
+        }
+
+        this.sourceAddress = address || null;
+        if (this.pending.size === 0) {
+            this.close();
+        } else {
+            this.rebindWhenIdle = true;
+        }
+    }
+
+    /**
+     * Create and bind the socket on first use
+     * The socket is unref'd so it never keeps the process alive on its own
+     */
+    getSocket() {
+        if (!this.socketReady) {
+            this.socketReady = new Promise((resolve, reject) => {
+                const socket = dgram.createSocket('udp4');
+
+                socket.once('error', (error) => {
+                    this.socketReady = null;
+                    reject(error);
+                });
+
+                socket.on('message', (msg, rinfo) => this.handleMessage(msg, rinfo));
+
+                socket.bind(0, this.sourceAddress || undefined, () => {
+                    socket.removeAllListeners('error');
+                    socket.on('error', error => this.handleSocketError(error));
+                    socket.setBroadcast(true);
+                    socket.unref();
+
+                    this.socket = socket;
+                    resolve(socket);
+                });
+            });
+        }
+
+        return this.socketReady;
+    }
+
+    /**
+     * Allocate the next sequence ID, skipping 0 and IDs still in flight
+     */
+    allocateSequenceId() {
+        do {
+            this.nextSequenceId = this.nextSequenceId >= 0xFFFFFFFF ? 1 : this.nextSequenceId + 1;
+        } while (this.pending.has(this.nextSequenceId));
+
+        return this.nextSequenceId;
+    }
+
+    /**
+     * Send a packet and wait for its reply
+     * Requests to serial number 0 (discovery) accept a reply from any serial number
+     * Resolves with the reply and the host times (ms) it was sent and received
+     */
+    async request(packet, targetIp, port, timeout = 5000) {
+        const socket = await this.getSocket();
+
+        // Copy so callers can safely resend the same packet
+        const buffer = Buffer.from(packet);
+        const sequenceId = this.allocateSequenceId();
+        buffer.writeUInt32LE(sequenceId, 40);
+
+        return new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                this.pending.delete(sequenceId);
+                this.stats.timeouts++;
+                reject(new ControllerTimeoutError('Timeout waiting for response', {
+                    serialNumber: buffer.readUInt32LE(4),
+                    ip: targetIp,
+                    functionId: `0x${buffer[1].toString(16).toUpperCase().padStart(2, '0')}`,
+                    timeout
+                }));
+            }, timeout);
+
+            const request = {
+                serialNumber: buffer.readUInt32LE(4),
+                functionId: buffer[1],
+                resolve,
+                reject,
+                timeoutId,
+                sentAt: null
+            };
+            this.pending.set(sequenceId, request);
+
+            if (this.recorder) {
+                this.recorder.record('sent', buffer, { address: targetIp, port });
+            }
+
+            request.sentAt = Date.now();
+            socket.send(buffer, port, targetIp, (error) => {
+                if (error) {
+                    this.settle(sequenceId, error);
+                } else {
+                    this.stats.sent++;
+                }
+            });
+        });
+    }
+
+    handleMessage(msg, rinfo) {
+        if (this.recorder) {
+            this.recorder.record('received', msg, rinfo);
+        }
+
+        if (msg.length !== this.PACKET_SIZE) {
+            this.stats.unmatched++;
+            return;
+        }
+
+        const sequenceId = msg.readUInt32LE(40);
+        const request = this.pending.get(sequenceId);
+
+        if (!request) {
+            // Late reply to a timed out request, or not ours at all
+            this.stats.unmatched++;
+            return;
+        }
+
+        const serialNumber = msg.readUInt32LE(4);
+        if (msg[1] !== request.functionId ||
+            (request.serialNumber !== 0 && serialNumber !== request.serialNumber)) {
+            this.stats.mismatched++;
+            return;
+        }
+
+        this.stats.matched++;
+        this.settle(sequenceId, null, {
+            message: msg,
+            remoteInfo: rinfo,
+            sentAt: request.sentAt,
+            receivedAt: Date.now()
+        });
+    }
+
+    settle(sequenceId, error, result) {
+        const request = this.pending.get(sequenceId);
+        if (!request) {
+            return;
+        }
+
+        clearTimeout(request.timeoutId);
+        this.pending.delete(sequenceId);
+
+        if (this.rebindWhenIdle && this.pending.size === 0) {
+            this.close();
+        }
+
+        if (error) {
+            request.reject(error);
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    /**
+     * Fail every in-flight request and recreate the socket on next use
+     */
+    handleSocketError(error) {
+        Array.from(this.pending.keys()).forEach(sequenceId => this.settle(sequenceId, error));
+        this.close();
+    }
+
+    close() {
+        this.rebindWhenIdle = false;
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+        this.socketReady = null;
+    }
+
+    getStats() {
+        return {
+            inFlight: this.pending.size,
+            sourceAddress: this.sourceAddress,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = SocketManager;
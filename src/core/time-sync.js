@@ -0,0 +1,386 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { withFileLock, writeFileAtomic } = require('./file-store');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Longest delay setTimeout accepts (about 24.8 days)
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Time Synchronization
+ * Measures each controller's clock drift against the host clock (0x32) and corrects
+ * the clocks that drift beyond a threshold (0x30). The controller time, which it truncates to
+ * whole seconds, is compared with the host time halfway through the request round trip.
+ * Every measurement is kept in data/time-sync/<serial>.json; the drift rate between
+ * corrections shows clocks that run fast or slow, and large jumps show an RTC that lost power.
+ * Controller clocks have no DST rules, so the scheduler also syncs the controllers of each time zone
+ * right after the zone's next DST transition.
+ */
+class TimeSync extends EventEmitter {
+    constructor(api, options = {}) {
+        super();
+        this.api = api;
+        this.storeDir = options.storeDir || 'data/time-sync';
+        this.historyLimit = options.historyLimit || 1000;
+
+        this.syncConfig = {
+            threshold: 2000,        // Drift (ms) beyond which a clock is corrected
+            interval: 60 * 60000,   // Scheduled sync interval (ms)
+            concurrency: 5,         // Controllers synced at once
+            maxRoundTrip: 1000,     // Round trip (ms) above which a measurement is too uncertain to correct from
+            rateWarning: 2          // Drift rate (seconds/day) that points at a failing RTC
+        };
+
+        this.timer = null;
+        this.dstTimer = null;
+        this.round = null;
+        this.lastReport = null;
+
+        // Upcoming DST transitions: [{ timeZone, at }], earliest first
+        this.dstTransitions = [];
+    }
+
+    /**
+     * Start syncing all saved controllers on an interval; the first sync runs immediately
+     * options.interval (ms), options.threshold (ms)
+     */
+    async start(options = {}) {
+        if (this.timer) {
+            return;
+        }
+
+        this.syncConfig = { ...this.syncConfig, ...options };
+        this.timer = setInterval(() => this.runScheduled(), this.syncConfig.interval);
+        this.runScheduled();
+    }
+
+    async stop() {
+        if (!this.timer) {
+            return;
+        }
+
+        clearInterval(this.timer);
+        clearTimeout(this.dstTimer);
+        this.timer = null;
+        this.dstTimer = null;
+
+        if (this.round) {
+            await this.round;
+        }
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Run a sync in the background and emit its report
+     * Interval runs are skipped while another run is busy; DST runs wait for it.
+     * Every run re-plans the DST timer, so new controllers and changed time zones are picked up
+     */
+    runScheduled(options = {}, trigger = 'scheduled') {
+        if (this.round && trigger === 'scheduled') {
+            return this.round;
+        }
+
+        const round = (this.round || Promise.resolve())
+            .then(() => this.syncAll(options))
+            .then(report => this.emit('sync', { ...report, trigger }))
+            .then(() => this.scheduleDstSync())
+            .catch(error => this.emit('error', error))
+            .then(() => {
+                if (this.round === round) {
+                    this.round = null;
+                }
+            });
+
+        this.round = round;
+        return round;
+    }
+
+    /**
+     * Plan a sync right after the next DST transition of any saved controller's time zone
+     */
+    async scheduleDstSync() {
+        if (!this.timer) {
+            return;
+        }
+
+        const hostTimeZone = this.api.packetHandler.getHostTimeZone();
+        const controllers = await this.api.getSavedControllers();
+        const zones = new Set(controllers.map(controller => controller.timeZone || hostTimeZone));
+
+        this.dstTransitions = Array.from(zones)
+            .map(timeZone => ({ timeZone, at: this.findNextTransition(timeZone) }))
+            .filter(transition => transition.at !== null)
+            .sort((a, b) => a.at - b.at);
+
+        clearTimeout(this.dstTimer);
+        this.dstTimer = null;
+
+        if (this.dstTransitions.length === 0) {
+            return;
+        }
+
+        // A few seconds of margin so the controllers are set with the new offset
+        const delay = Math.min(this.dstTransitions[0].at.getTime() - Date.now() + 5000, MAX_TIMEOUT);
+        this.dstTimer = setTimeout(() => this.runDstSync(), delay);
+    }
+
+    /**
+     * Sync the controllers of every time zone whose DST transition has passed
+     */
+    async runDstSync() {
+        const now = Date.now();
+        const hostTimeZone = this.api.packetHandler.getHostTimeZone();
+        const zones = this.dstTransitions.filter(transition => transition.at.getTime() <= now)
+            .map(transition => transition.timeZone);
+
+        // Transitions beyond the longest timer delay: the timer only woke up to wait again
+        if (zones.length === 0) {
+            return this.scheduleDstSync();
+        }
+
+        const controllers = (await this.api.getSavedControllers())
+            .filter(controller => zones.includes(controller.timeZone || hostTimeZone));
+
+        return this.runScheduled({ controllers }, 'dst');
+    }
+
+    /**
+     * Time of the next UTC offset change of a time zone within a year, or null
+     */
+    findNextTransition(timeZone, from = Date.now()) {
+        const offsetAt = time => this.api.packetHandler.getTimeZoneOffset(new Date(time), timeZone);
+        const current = offsetAt(from);
+
+        // Daily steps find the day of the change, bisection narrows it to the minute
+        for (let day = 1; day <= 366; day++) {
+            let high = from + day * DAY;
+            if (offsetAt(high) === current) {
+                continue;
+            }
+
+            let low = high - DAY;
+            while (high - low > 60000) {
+                const middle = Math.floor((low + high) / 2);
+                if (offsetAt(middle) === current) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            // Zones change offset on a whole minute, the first minute past low
+            return new Date(Math.floor(high / 60000) * 60000);
+        }
+
+        return null;
+    }
+
+    /**
+     * Read the controller clock and compare it with the host clock
+     * drift is positive when the controller is ahead. The round trip is timed around the
+     * socket send and reply, so time waiting in the command queue does not count, and a
+     * lost request is not retried since a retry would measure a different instant.
+     */
+    async measureDrift(controllerInfo) {
+        const { time, sentAt, receivedAt } = await this.api.getControllerTime(controllerInfo, { maxRetries: 1 });
+        const roundTrip = receivedAt - sentAt;
+        const hostTime = sentAt + roundTrip / 2;
+
+        // The controller truncates its clock to whole seconds, so on average it is half a
+        // second past the time it reports; without this the drift reads up to a second slow
+        const controllerTime = time.getTime() + 500;
+
+        return {
+            controllerTime: time.toISOString(),
+            hostTime: new Date(hostTime).toISOString(),
+            drift: Math.round(controllerTime - hostTime),
+            roundTrip,
+            // Half the round trip plus half a second either side of the truncated controller time
+            uncertainty: Math.round(roundTrip / 2) + 500
+        };
+    }
+
+    /**
+     * Measure a controller's drift and correct its clock when the drift exceeds the threshold
+     * options.threshold (ms), options.dryRun (measure only), options.force (correct regardless)
+     */
+    async syncController(controllerInfo, options = {}) {
+        const threshold = options.threshold !== undefined ? options.threshold : this.syncConfig.threshold;
+        const measurement = await this.measureDrift(controllerInfo);
+
+        const result = {
+            serialNumber: controllerInfo.serialNumber,
+            ...measurement,
+            threshold,
+            corrected: false,
+            driftAfter: null,
+            reason: null
+        };
+
+        const needsCorrection = options.force || Math.abs(measurement.drift) > threshold;
+        if (needsCorrection && measurement.roundTrip > this.syncConfig.maxRoundTrip) {
+            // A slow reply leaves too wide a window for the moment the controller read its clock
+            result.reason = `Round trip ${measurement.roundTrip}ms exceeds ${this.syncConfig.maxRoundTrip}ms, not corrected`;
+        } else if (needsCorrection && !options.dryRun) {
+            // The set request reaches the controller half a round trip after it is sent;
+            // the controller keeps whole seconds, so round to the nearest one
+            const newTime = new Date(Math.round((Date.now() + measurement.roundTrip / 2) / 1000) * 1000);
+            await this.api.setControllerTime(controllerInfo, newTime);
+
+            const after = await this.measureDrift(controllerInfo);
+            result.corrected = true;
+            result.driftAfter = after.drift;
+        }
+
+        await this.addHistory(controllerInfo.serialNumber, {
+            at: measurement.hostTime,
+            drift: result.drift,
+            roundTrip: result.roundTrip,
+            corrected: result.corrected,
+            driftAfter: result.driftAfter
+        });
+
+        return result;
+    }
+
+    /**
+     * Sync several controllers (all saved controllers by default); failures do not stop the others
+     * options.concurrency controllers are synced at once (syncConfig.concurrency by default)
+     */
+    async syncAll(options = {}) {
+        const startedAt = new Date().toISOString();
+        const controllers = options.controllers || await this.api.getSavedControllers();
+        const concurrency = Math.max(1, parseInt(options.concurrency) || this.syncConfig.concurrency);
+        const results = new Array(controllers.length);
+
+        let next = 0;
+        const worker = async () => {
+            while (next < controllers.length) {
+                const index = next++;
+                const controller = controllers[index];
+                results[index] = await this.syncController(controller, options)
+                    .then(result => ({ success: true, ...result }))
+                    .catch(error => ({
+                        success: false,
+                        serialNumber: controller.serialNumber,
+                        error: error.message,
+                        code: error.code || 'INTERNAL_ERROR'
+                    }));
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, controllers.length) }, () => worker()));
+
+        this.lastReport = {
+            startedAt,
+            threshold: options.threshold !== undefined ? options.threshold : this.syncConfig.threshold,
+            dryRun: !!options.dryRun,
+            checked: results.filter(result => result.success).length,
+            corrected: results.filter(result => result.corrected).length,
+            failed: results.filter(result => !result.success).length,
+            results
+        };
+
+        return this.lastReport;
+    }
+
+    /**
+     * Drift history of a controller with its drift rate since the last correction
+     */
+    async getDriftReport(serialNumber, options = {}) {
+        const { history } = await this.loadHistory(serialNumber);
+        const limit = options.limit || 50;
+        const latest = history[history.length - 1] || null;
+        const driftRate = this.getDriftRate(history);
+
+        const warnings = [];
+        if (latest && Math.abs(latest.drift) > DAY) {
+            warnings.push('Clock is more than a day off; the RTC may have lost power (check the backup battery)');
+        }
+        if (driftRate !== null && Math.abs(driftRate) > this.syncConfig.rateWarning) {
+            warnings.push(`Clock drifts ${driftRate} s/day; the RTC or its backup battery may be failing`);
+        }
+
+        return {
+            serialNumber,
+            latest,
+            driftRate,
+            measurements: history.length,
+            corrections: history.filter(entry => entry.corrected).length,
+            warnings,
+            history: history.slice(-limit).reverse()
+        };
+    }
+
+    /**
+     * Drift rate in seconds per day since the last correction
+     * null until the clock has run uncorrected for at least an hour
+     */
+    getDriftRate(history) {
+        const lastCorrection = history.map(entry => entry.corrected).lastIndexOf(true);
+        const points = history.slice(Math.max(lastCorrection, 0)).map((entry, i) => ({
+            time: new Date(entry.at).getTime(),
+            drift: i === 0 && entry.corrected ? entry.driftAfter : entry.drift
+        }));
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (!first || last.time - first.time < 60 * 60000) {
+            return null;
+        }
+
+        const rate = (last.drift - first.drift) / 1000 / ((last.time - first.time) / DAY);
+        return Math.round(rate * 100) / 100;
+    }
+
+    getHistoryPath(serialNumber) {
+        return path.join(this.storeDir, `${serialNumber}.json`);
+    }
+
+    async loadHistory(serialNumber) {
+        try {
+            const data = await fs.readFile(this.getHistoryPath(serialNumber), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { serialNumber, history: [] };
+            }
+            throw error;
+        }
+    }
+
+    async addHistory(serialNumber, entry) {
+        const historyPath = this.getHistoryPath(serialNumber);
+        await withFileLock(historyPath, async () => {
+            const store = await this.loadHistory(serialNumber);
+            store.history = [...store.history, entry].slice(-this.historyLimit);
+            store.lastUpdated = new Date().toISOString();
+
+            await writeFileAtomic(historyPath, JSON.stringify(store, null, 2));
+        });
+    }
+
+    getStats() {
+        return {
+            running: this.isRunning(),
+            interval: this.syncConfig.interval,
+            threshold: this.syncConfig.threshold,
+            nextDstSync: this.dstTransitions.length > 0 ? {
+                timeZone: this.dstTransitions[0].timeZone,
+                at: this.dstTransitions[0].at.toISOString()
+            } : null,
+            lastRun: this.lastReport ? {
+                startedAt: this.lastReport.startedAt,
+                checked: this.lastReport.checked,
+                corrected: this.lastReport.corrected,
+                failed: this.lastReport.failed
+            } : null
+        };
+    }
+}
+
+module.exports = TimeSync;
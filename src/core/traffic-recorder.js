@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+// Shared instance so every PacketHandler in the process records to the same trace
+let defaultRecorder = null;
+
+/**
+ * Traffic Recorder for Controller UDP Packets
+ * Records every sent and received datagram with a decoded header and hex payload.
+ * Recent packets are kept in memory for live tailing; with a trace file each packet is
+ * also appended as one NDJSON line. A captured trace can be loaded for replay, in which
+ * case requests are answered from the recorded responses instead of the network
+ */
+class TrafficRecorder extends EventEmitter {
+    constructor() {
+        super();
+        this.maxRecent = 500;
+        this.recent = [];
+        this.nextId = 1;
+
+        this.traceFile = null;
+        this.traceFd = null;
+
+        this.replayFile = null;
+        this.exchanges = null;
+    }
+
+    static getDefault() {
+        if (!defaultRecorder) {
+            defaultRecorder = new TrafficRecorder();
+        }
+        return defaultRecorder;
+    }
+
+    /**
+     * Append all traffic to an NDJSON trace file
+     * Lines are written synchronously so nothing is lost when the process exits
+     */
+    startTrace(file) {
+        this.stopTrace();
+
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        this.traceFd = fs.openSync(file, 'a');
+        this.traceFile = file;
+    }
+
+    stopTrace() {
+        if (this.traceFd !== null) {
+            fs.closeSync(this.traceFd);
+        }
+        this.traceFd = null;
+        this.traceFile = null;
+    }
+
+    /**
+     * Decode the fixed packet header; null when the datagram is too short to have one
+     */
+    decodeHeader(buffer) {
+        if (buffer.length < 44) {
+            return null;
+        }
+
+        return {
+            type: `0x${buffer[0].toString(16).padStart(2, '0')}`,
+            functionId: `0x${buffer[1].toString(16).padStart(2, '0')}`,
+            serialNumber: buffer.readUInt32LE(4),
+            sequenceId: buffer.readUInt32LE(40)
+        };
+    }
+
+    /**
+     * Record one datagram
+     * direction: 'sent' or 'received'; peer: { address, port }
+     */
+    record(direction, buffer, peer) {
+        const entry = {
+            id: this.nextId++,
+            timestamp: new Date().toISOString(),
+            direction,
+            peer: { address: peer.address, port: peer.port },
+            length: buffer.length,
+            header: this.decodeHeader(buffer),
+            hex: Buffer.from(buffer).toString('hex')
+        };
+
+        this.recent.push(entry);
+        if (this.recent.length > this.maxRecent) {
+            this.recent.shift();
+        }
+
+        if (this.traceFd !== null) {
+            fs.writeSync(this.traceFd, JSON.stringify(entry) + '\n');
+        }
+
+        this.emit('packet', entry);
+        return entry;
+    }
+
+    /**
+     * Get recent packets, optionally only those after an entry ID
+     */
+    getRecent(options = {}) {
+        const { since = 0, limit = 100 } = options;
+        const entries = this.recent.filter(entry => entry.id > since);
+        return limit ? entries.slice(-limit) : entries;
+    }
+
+    /**
+     * Load a trace file for replay
+     * Each sent packet becomes an exchange; received packets are attached to the latest
+     * sent packet with the same function ID and sequence ID
+     */
+    loadReplay(file) {
+        const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+        const exchanges = [];
+
+        lines.forEach((line, i) => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid trace line ${i + 1} in ${file}: ${error.message}`);
+            }
+
+            if (entry.direction === 'sent' && entry.header) {
+                exchanges.push({
+                    functionId: entry.header.functionId,
+                    serialNumber: entry.header.serialNumber,
+                    sequenceId: entry.header.sequenceId,
+                    data: entry.hex.slice(16, 80),
+                    responses: [],
+                    used: false
+                });
+                return;
+            }
+
+            if (entry.direction === 'received') {
+                // Short datagrams have no header; attach them to the latest request
+                const exchange = entry.header
+                    ? this.findRequest(exchanges, entry.header)
+                    : exchanges[exchanges.length - 1];
+
+                if (exchange) {
+                    exchange.responses.push({ hex: entry.hex, peer: entry.peer });
+                }
+            }
+        });
+
+        this.exchanges = exchanges;
+        this.replayFile = file;
+
+        return {
+            file,
+            exchanges: exchanges.length,
+            answered: exchanges.filter(exchange => exchange.responses.length > 0).length
+        };
+    }
+
+    findRequest(exchanges, header) {
+        for (let i = exchanges.length - 1; i >= 0; i--) {
+            const exchange = exchanges[i];
+            if (exchange.functionId === header.functionId && exchange.sequenceId === header.sequenceId &&
+                (exchange.serialNumber === 0 || exchange.serialNumber === header.serialNumber)) {
+                return exchange;
+            }
+        }
+        return null;
+    }
+
+    isReplaying() {
+        return this.exchanges !== null;
+    }
+
+    stopReplay() {
+        this.exchanges = null;
+        this.replayFile = null;
+    }
+
+    /**
+     * Find the recorded responses for a request packet
+     * Prefers the first unused answered exchange with identical data, then any unused exchange
+     * for the same function and serial. Responses get the request's sequence ID so they correlate.
+     * Returns [{ message, remoteInfo }] (empty when the capture has no answer)
+     */
+    replayRequest(packet) {
+        const header = this.decodeHeader(packet);
+        const data = Buffer.from(packet).toString('hex').slice(16, 80);
+        const candidates = this.exchanges.filter(exchange => !exchange.used &&
+            exchange.functionId === header.functionId && exchange.serialNumber === header.serialNumber);
+
+        // A broadcast is recorded once per address but answered on the last one
+        const exchange = candidates.find(candidate => candidate.data === data && candidate.responses.length > 0) ||
+            candidates.find(candidate => candidate.responses.length > 0) ||
+            candidates[0];
+        if (!exchange) {
+            return [];
+        }
+
+        exchange.used = true;
+
+        return exchange.responses.map(({ hex, peer }) => {
+            const message = Buffer.from(hex, 'hex');
+            if (message.length >= 44) {
+                message.writeUInt32LE(header.sequenceId, 40);
+            }
+            return { message, remoteInfo: { address: peer.address, port: peer.port, size: message.length } };
+        });
+    }
+
+    getStatus() {
+        return {
+            tracing: this.traceFd !== null,
+            traceFile: this.traceFile,
+            replaying: this.isReplaying(),
+            replayFile: this.replayFile,
+            recorded: this.nextId - 1
+        };
+    }
+}
+
+module.exports = TrafficRecorder;
@@ -1,17 +1,43 @@
 const express = require('express');
 const ControllerAPI = require('../core/controller-api');
+const PacketInspector = require('../core/packet-inspector');
+const { ControllerNotFoundError, ValidationError, ServiceUnavailableError, describeError } = require('../core/errors');
 
 /**
  * REST API Routes for Controller Management
  * Provides HTTP endpoints for all controller operations
  */
 class APIRoutes {
-    constructor() {
+    constructor(api = new ControllerAPI()) {
         this.router = express.Router();
-        this.api = new ControllerAPI();
+        this.api = api;
+        this.packetInspector = new PacketInspector(api.packetHandler);
+        this.notifier = null;
+        this.presenceMonitor = null;
         this.setupRoutes();
     }
 
+    /**
+     * Set a callback used to push events to WebSocket clients
+     */
+    setNotifier(notifier) {
+        this.notifier = notifier;
+    }
+
+    /**
+     * Use the server's presence monitor for availability reports
+     * Without one the availability endpoint answers 503
+     */
+    setPresenceMonitor(presenceMonitor) {
+        this.presenceMonitor = presenceMonitor;
+    }
+
+    notify(type, data) {
+        if (this.notifier) {
+            this.notifier(type, data);
+        }
+    }
+
     setupRoutes() {
         // Middleware for JSON parsing and error handling
         this.router.use(express.json());
@@ -22,6 +48,8 @@ class APIRoutes {
 
         // Controller discovery
         this.router.post('/discover', this.postDiscover.bind(this));
+        this.router.get('/discovery/config', this.getDiscoveryConfig.bind(this));
+        this.router.put('/discovery/config', this.setDiscoveryConfig.bind(this));
 
         // Controllers list
         this.router.get('/controllers', this.getControllers.bind(this));
@@ -30,10 +58,43 @@ class APIRoutes {
         // Individual controller operations
         this.router.get('/controllers/:id', this.getController.bind(this));
         this.router.delete('/controllers/:id', this.deleteController.bind(this));
+        this.router.put('/controllers/:id/tags', this.setControllerTags.bind(this));
+        this.router.get('/controllers/:id/capabilities', this.getControllerCapabilities.bind(this));
+        this.router.get('/controllers/:id/history', this.getControllerHistory.bind(this));
+
+        // Status monitoring
+        this.router.get('/controllers/:id/status', this.getControllerStatus.bind(this));
+        this.router.get('/controllers/:id/availability', this.getControllerAvailability.bind(this));
+
+        // Record download
+        this.router.get('/controllers/:id/records', this.getControllerRecords.bind(this));
+        this.router.post('/controllers/:id/records/sync', this.syncControllerRecords.bind(this));
+
+        // Door operations
+        this.router.post('/controllers/:id/doors/:door/open', this.openControllerDoor.bind(this));
+        this.router.get('/controllers/:id/doors/:door/params', this.getDoorParams.bind(this));
+        this.router.post('/controllers/:id/doors/:door/params', this.setDoorParams.bind(this));
+
+        // Card privileges
+        this.router.get('/controllers/:id/cards', this.getCards.bind(this));
+        this.router.post('/controllers/:id/cards', this.addCard.bind(this));
+        this.router.delete('/controllers/:id/cards', this.clearCards.bind(this));
+        this.router.post('/controllers/:id/cards/bulk',
+            express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+            this.bulkUploadCards.bind(this));
+        this.router.get('/controllers/:id/cards/bulk', this.getBulkUploadState.bind(this));
+        this.router.get('/controllers/:id/cards/count', this.getCardCount.bind(this));
+        this.router.get('/controllers/:id/cards/index/:index', this.getCardByIndex.bind(this));
+        this.router.get('/controllers/:id/cards/:card', this.getCard.bind(this));
+        this.router.put('/controllers/:id/cards/:card', this.addCard.bind(this));
+        this.router.delete('/controllers/:id/cards/:card', this.deleteCard.bind(this));
 
         // Time operations
         this.router.get('/controllers/:id/time', this.getControllerTime.bind(this));
         this.router.post('/controllers/:id/time', this.setControllerTime.bind(this));
+        this.router.get('/controllers/:id/time/drift', this.getTimeDrift.bind(this));
+        this.router.post('/controllers/:id/time/drift', this.measureTimeDrift.bind(this));
+        this.router.put('/controllers/:id/timezone', this.setControllerTimeZone.bind(this));
 
         // Network configuration
         this.router.get('/controllers/:id/network', this.getControllerNetwork.bind(this));
@@ -43,9 +104,21 @@ class APIRoutes {
         this.router.get('/controllers/:id/server', this.getControllerServer.bind(this));
         this.router.post('/controllers/:id/server', this.setControllerServer.bind(this));
 
+        // Fleet operations
+        this.router.post('/fleet/time/sync', this.syncFleetTime.bind(this));
+        this.router.get('/fleet/operations', this.getFleetOperations.bind(this));
+        this.router.post('/fleet/operations', this.runFleetOperation.bind(this));
+        this.router.get('/fleet/lint', this.getFleetLint.bind(this));
+
         // Export/Import
         this.router.get('/controllers/export/:format', this.exportControllers.bind(this));
         this.router.post('/controllers/import', this.importControllers.bind(this));
+
+        // Debugging
+        this.router.get('/debug/trace', this.getDebugTrace.bind(this));
+
+        // Tools
+        this.router.post('/tools/packet/decode', this.decodePacket.bind(this));
     }
 
     // Health check endpoint
@@ -57,25 +130,98 @@ class APIRoutes {
         });
     }
 
-    // POST /api/discover - Trigger controller discovery
+    // POST /api/discover - Trigger controller discovery, or scan address ranges when scan is given
     async postDiscover(req, res) {
         try {
-            const { timeout = 5000 } = req.body;
+            const { timeout = 5000, typeBytes, ports, scan } = req.body;
+
+            if (scan) {
+                return await this.scanNetwork(req, res);
+            }
             
-            const controllers = await this.api.discoverControllers(timeout);
+            let diff = null;
+            const controllers = await this.api.discoverControllers(timeout, {
+                typeBytes,
+                ports,
+                context: this.getChangeContext(req),
+                onDiff: result => { diff = result; }
+            });
+            this.notify('discovery_diff', { source: 'rest', ...diff });
             
             res.json({
                 success: true,
                 message: `Discovered ${controllers.length} controller(s)`,
                 controllers,
+                diff,
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
+            this.sendError(res, error);
+        }
+    }
+
+    // Scan of CIDR or address ranges; progress and each controller found are pushed to WebSocket clients
+    async scanNetwork(req, res) {
+        const { scan, typeBytes, ports, concurrency, rate, probeTimeout } = req.body;
+
+        let lastPercent = -1;
+        let diff = null;
+        const result = await this.api.scanNetwork(scan, {
+            typeBytes,
+            ports,
+            concurrency,
+            rate,
+            timeout: probeTimeout,
+            context: this.getChangeContext(req),
+            onDiff: (scanDiff) => { diff = scanDiff; },
+            onController: (controller) => this.notify('controller_discovered', { source: 'scan', controller }),
+            onProgress: (progress) => {
+                if (progress.percent !== lastPercent) {
+                    lastPercent = progress.percent;
+                    const { controller, ...counts } = progress;
+                    this.notify('discovery_progress', counts);
+                }
+            }
+        });
+
+        this.notify('discovery_diff', { source: 'rest', ...diff });
+
+        res.json({
+            success: true,
+            message: `Scanned ${result.scanned} address(es), found ${result.controllers.length} controller(s)`,
+            ...result,
+            diff,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // GET /api/discovery/config - Interface settings for discovery and commands
+    async getDiscoveryConfig(req, res) {
+        try {
+            const config = await this.api.getInterfaceConfig();
+
+            res.json({
+                success: true,
+                ...config,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // PUT /api/discovery/config - Change and save interface settings (?replace=true resets fields left out)
+    async setDiscoveryConfig(req, res) {
+        try {
+            const config = await this.api.setInterfaceConfig(req.body || {}, { replace: req.query.replace === 'true' });
+
+            res.json({
+                success: true,
+                ...config,
                 timestamp: new Date().toISOString()
             });
+        } catch (error) {
+            this.sendError(res, error);
         }
     }
 
@@ -102,11 +248,7 @@ class APIRoutes {
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+            this.sendError(res, error);
         }
     }
 
@@ -121,11 +263,7 @@ class APIRoutes {
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+            this.sendError(res, error);
         }
     }
 
@@ -136,11 +274,7 @@ class APIRoutes {
             const controller = await this.api.getControllerBySerial(serialNumber);
             
             if (!controller) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Controller not found',
-                    timestamp: new Date().toISOString()
-                });
+                return this.sendError(res, new ControllerNotFoundError(serialNumber));
             }
             
             res.json({
@@ -149,11 +283,7 @@ class APIRoutes {
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+            this.sendError(res, error);
         }
     }
 
@@ -164,11 +294,7 @@ class APIRoutes {
             const removed = await this.api.removeController(serialNumber);
             
             if (!removed) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Controller not found',
-                    timestamp: new Date().toISOString()
-                });
+                return this.sendError(res, new ControllerNotFoundError(serialNumber));
             }
             
             res.json({
@@ -177,27 +303,496 @@ class APIRoutes {
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
+            this.sendError(res, error);
+        }
+    }
+
+    // PUT /api/controllers/:id/tags - Replace controller tags
+    async setControllerTags(req, res) {
+        try {
+            const serialNumber = parseInt(req.params.id);
+            const { tags } = req.body;
+
+            const controller = await this.api.setControllerTags(serialNumber, tags, this.getChangeContext(req));
+
+            res.json({
+                success: true,
+                serialNumber,
+                tags: controller.tags || [],
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // GET /api/controllers/:id/capabilities - Functions and fields supported by the controller firmware
+    async getControllerCapabilities(req, res) {
+        try {
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            res.json({
+                success: true,
+                ...this.api.getControllerCapabilities(controller),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // GET /api/controllers/:id/history - Attribute changes of the controller, newest first
+    async getControllerHistory(req, res) {
+        try {
+            const serialNumber = parseInt(req.params.id);
+            const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit);
+
+            if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+                return this.sendError(res, new ValidationError('limit must be 1 or greater'));
+            }
+
+            const report = await this.api.getControllerHistory(serialNumber, { field: req.query.field, limit });
+
+            res.json({
+                success: true,
+                ...report,
                 timestamp: new Date().toISOString()
             });
+        } catch (error) {
+            this.sendError(res, error);
         }
     }
 
-    // GET /api/controllers/:id/time - Get controller time
-    async getControllerTime(req, res) {
+    // GET /api/controllers/:id/status - Query controller real-time status
+    async getControllerStatus(req, res) {
         try {
             const serialNumber = parseInt(req.params.id);
             const controller = await this.api.getControllerBySerial(serialNumber);
-            
+
+            if (!controller) {
+                return this.sendError(res, new ControllerNotFoundError(serialNumber));
+            }
+
+            const result = await this.api.getControllerStatus(controller);
+
+            res.json({
+                success: true,
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // GET /api/controllers/:id/availability - Presence state and uptime from the presence monitor
+    async getControllerAvailability(req, res) {
+        try {
+            if (!this.presenceMonitor) {
+                throw new ServiceUnavailableError('Presence monitoring is not available in this process');
+            }
+
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            const limit = parseInt(req.query.limit) || 20;
+            const availability = await this.presenceMonitor.getAvailability(controller.serialNumber, { limit });
+
+            res.json({
+                success: true,
+                monitoring: this.presenceMonitor.isRunning(),
+                ...availability,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // GET /api/controllers/:id/records - Get locally stored records
+    async getControllerRecords(req, res) {
+        try {
+            const serialNumber = parseInt(req.params.id);
+            const { since = 0, limit = 100 } = req.query;
+
+            const controller = await this.api.getControllerBySerial(serialNumber);
+
+            if (!controller) {
+                return this.sendError(res, new ControllerNotFoundError(serialNumber));
+            }
+
+            const result = await this.api.getStoredRecords(serialNumber, {
+                sinceIndex: parseInt(since),
+                limit: parseInt(limit)
+            });
+
+            res.json({
+                success: true,
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // POST /api/controllers/:id/records/sync - Download new records from controller
+    async syncControllerRecords(req, res) {
+        try {
+            const serialNumber = parseInt(req.params.id);
+            const { maxRecords } = req.body;
+
+            const controller = await this.api.getControllerBySerial(serialNumber);
+
             if (!controller) {
+                return this.sendError(res, new ControllerNotFoundError(serialNumber));
+            }
+
+            const options = {};
+            if (maxRecords !== undefined) {
+                options.maxRecords = parseInt(maxRecords);
+            }
+
+            const result = await this.api.syncRecords(controller, options);
+
+            res.json({
+                success: true,
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // POST /api/controllers/:id/doors/:door/open - Remote open door
+    async openControllerDoor(req, res) {
+        try {
+            const serialNumber = parseInt(req.params.id);
+            const doorNumber = parseInt(req.params.door);
+
+            const controller = await this.api.getControllerBySerial(serialNumber);
+
+            if (!controller) {
+                return this.sendError(res, new ControllerNotFoundError(serialNumber));
+            }
+
+            if (isNaN(doorNumber) || doorNumber < 1 || doorNumber > 4) {
+                return this.sendError(res, new ValidationError('Invalid door number. Must be between 1 and 4'));
+            }
+
+            const result = await this.api.openDoor(controller, doorNumber);
+
+            this.notify('door_opened', {
+                controllerId: serialNumber,
+                doorNumber,
+                source: 'rest'
+            });
+
+            res.json({
+                success: true,
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // GET /api/controllers/:id/doors/:door/params - Get door control parameters
+    async getDoorParams(req, res) {
+        try {
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            const doorNumber = parseInt(req.params.door);
+            if (isNaN(doorNumber) || doorNumber < 1 || doorNumber > 4) {
+                return this.sendError(res, new ValidationError('Invalid door number. Must be between 1 and 4'));
+            }
+
+            const result = await this.api.getDoorParams(controller, doorNumber);
+
+            res.json({
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // POST /api/controllers/:id/doors/:door/params - Set door control parameters
+    async setDoorParams(req, res) {
+        try {
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            const doorNumber = parseInt(req.params.door);
+            const { controlMode, openDelay } = req.body;
+
+            if (isNaN(doorNumber) || doorNumber < 1 || doorNumber > 4) {
+                return this.sendError(res, new ValidationError('Invalid door number. Must be between 1 and 4'));
+            }
+
+            if (controlMode === undefined || openDelay === undefined) {
+                return this.sendError(res, new ValidationError('Missing required door parameters: controlMode, openDelay'));
+            }
+
+            try {
+                this.api.resolveDoorControlMode(controlMode);
+            } catch (validationError) {
+                return this.sendError(res, new ValidationError(validationError.message));
+            }
+
+            const result = await this.api.setDoorParams(controller, doorNumber, { controlMode, openDelay },
+                this.getChangeContext(req));
+
+            res.json({
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // Who asked for a change, for the controller history: the X-Actor header or the client address
+    getChangeContext(req) {
+        return { source: 'rest', actor: req.get('X-Actor') || req.ip };
+    }
+
+    // Look up the controller from :id, responding 404 when it is not saved
+    async findController(req, res) {
+        const serialNumber = parseInt(req.params.id);
+        const controller = await this.api.getControllerBySerial(serialNumber);
+
+        if (!controller) {
+            this.sendError(res, new ControllerNotFoundError(serialNumber));
+            return null;
+        }
+
+        return controller;
+    }
+
+    // GET /api/controllers/:id/cards - List card privileges
+    async getCards(req, res) {
+        try {
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            const { limit = 1000, start = 1 } = req.query;
+            const result = await this.api.listPrivileges(controller, {
+                limit: parseInt(limit),
+                startIndex: parseInt(start)
+            });
+
+            res.json({
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // POST /api/controllers/:id/cards, PUT /api/controllers/:id/cards/:card - Add or modify card privilege
+    async addCard(req, res) {
+        try {
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            let privilege;
+            try {
+                privilege = this.api.normalizePrivilege({
+                    ...req.body,
+                    cardNumber: req.params.card || req.body.cardNumber
+                });
+            } catch (validationError) {
+                return this.sendError(res, new ValidationError(validationError.message));
+            }
+
+            const result = await this.api.addPrivilege(controller, privilege);
+
+            res.json({
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // DELETE /api/controllers/:id/cards?confirm=true - Clear all card privileges
+    async clearCards(req, res) {
+        try {
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            if (req.query.confirm !== 'true') {
+                return this.sendError(res, new ValidationError('Clearing all cards requires confirm=true'));
+            }
+
+            const result = await this.api.clearPrivileges(controller);
+
+            res.json({
+                ...result,
+                message: 'All card privileges cleared',
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // POST /api/controllers/:id/cards/bulk - Bulk upload card privileges (CSV or JSON)
+    async bulkUploadCards(req, res) {
+        try {
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            let cards;
+            try {
+                if (typeof req.body === 'string') {
+                    cards = this.api.prepareBulkCards(req.body, 'csv');
+                } else if (req.body && typeof req.body.csv === 'string') {
+                    cards = this.api.prepareBulkCards(req.body.csv, 'csv');
+                } else {
+                    cards = this.api.prepareBulkCards(req.body, 'json');
+                }
+            } catch (validationError) {
+                return this.sendError(res, new ValidationError(validationError.message));
+            }
+
+            let lastPercent = -1;
+            const result = await this.api.uploadPrivileges(controller, cards, {
+                resume: req.query.resume !== 'false',
+                onProgress: (progress) => {
+                    if (progress.percent !== lastPercent) {
+                        lastPercent = progress.percent;
+                        this.notify('bulk_upload_progress', { controllerId: controller.serialNumber, ...progress });
+                    }
+                }
+            });
+
+            res.json({
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // GET /api/controllers/:id/cards/bulk - Get state of the last bulk upload
+    async getBulkUploadState(req, res) {
+        try {
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            const state = await this.api.getUploadState(controller.serialNumber);
+
+            res.json({
+                success: true,
+                upload: state,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // GET /api/controllers/:id/cards/count - Read total number of card privileges
+    async getCardCount(req, res) {
+        try {
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            const result = await this.api.getPrivilegeCount(controller);
+
+            res.json({
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // GET /api/controllers/:id/cards/index/:index - Read card privilege by index
+    async getCardByIndex(req, res) {
+        try {
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            const index = parseInt(req.params.index);
+            if (isNaN(index) || index < 1) {
+                return this.sendError(res, new ValidationError('Invalid index. Privilege indexes start at 1'));
+            }
+
+            const result = await this.api.getPrivilegeByIndex(controller, index);
+
+            res.json({
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // GET /api/controllers/:id/cards/:card - Query card privilege
+    async getCard(req, res) {
+        try {
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            const result = await this.api.queryPrivilege(controller, parseInt(req.params.card));
+
+            if (!result.found) {
                 return res.status(404).json({
                     success: false,
-                    error: 'Controller not found',
+                    error: 'Card not found',
+                    code: 'CARD_NOT_FOUND',
                     timestamp: new Date().toISOString()
                 });
             }
+
+            res.json({
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // DELETE /api/controllers/:id/cards/:card - Delete card privilege
+    async deleteCard(req, res) {
+        try {
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            const result = await this.api.deletePrivilege(controller, parseInt(req.params.card));
+
+            res.json({
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // GET /api/controllers/:id/time - Get controller time
+    async getControllerTime(req, res) {
+        try {
+            const serialNumber = parseInt(req.params.id);
+            const controller = await this.api.getControllerBySerial(serialNumber);
+            
+            if (!controller) {
+                return this.sendError(res, new ControllerNotFoundError(serialNumber));
+            }
             
             const result = await this.api.getControllerTime(controller);
             
@@ -207,11 +802,7 @@ class APIRoutes {
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+            this.sendError(res, error);
         }
     }
 
@@ -224,21 +815,13 @@ class APIRoutes {
             const controller = await this.api.getControllerBySerial(serialNumber);
             
             if (!controller) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Controller not found',
-                    timestamp: new Date().toISOString()
-                });
+                return this.sendError(res, new ControllerNotFoundError(serialNumber));
             }
             
             const newTime = time ? new Date(time) : new Date();
             
             if (isNaN(newTime.getTime())) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid time format',
-                    timestamp: new Date().toISOString()
-                });
+                return this.sendError(res, new ValidationError('Invalid time format'));
             }
             
             const result = await this.api.setControllerTime(controller, newTime);
@@ -249,11 +832,187 @@ class APIRoutes {
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
+            this.sendError(res, error);
+        }
+    }
+
+    // PUT /api/controllers/:id/timezone - Set the IANA time zone of the controller clock
+    async setControllerTimeZone(req, res) {
+        try {
+            const serialNumber = parseInt(req.params.id);
+            const { timeZone = null } = req.body;
+
+            if (timeZone !== null && typeof timeZone !== 'string') {
+                return this.sendError(res, new ValidationError('timeZone must be an IANA time zone name or null'));
+            }
+
+            const controller = await this.api.setControllerTimeZone(serialNumber, timeZone, this.getChangeContext(req));
+            const zone = controller.timeZone || this.api.packetHandler.getHostTimeZone();
+
+            res.json({
+                success: true,
+                serialNumber,
+                timeZone: zone,
+                hostTimeZone: !controller.timeZone,
+                localTime: this.api.packetHandler.formatDateTime(new Date(), zone),
                 timestamp: new Date().toISOString()
             });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // GET /api/controllers/:id/time/drift - Stored drift history, without contacting the controller
+    async getTimeDrift(req, res) {
+        try {
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            const report = await this.api.getTimeDrift(controller.serialNumber, {
+                limit: parseInt(req.query.limit) || 50
+            });
+
+            res.json({
+                success: true,
+                ...report,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // POST /api/controllers/:id/time/drift - Measure clock drift without correcting it and return the drift history
+    async measureTimeDrift(req, res) {
+        try {
+            const controller = await this.findController(req, res);
+            if (!controller) return;
+
+            const measurement = await this.api.syncControllerTime(controller, { dryRun: true });
+            const report = await this.api.getTimeDrift(controller.serialNumber, {
+                limit: parseInt(req.query.limit) || 50
+            });
+
+            res.json({
+                success: true,
+                measurement,
+                ...report,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // POST /api/fleet/time/sync - Measure drift on saved controllers and correct clocks beyond the threshold
+    async syncFleetTime(req, res) {
+        try {
+            const { serials, threshold, dryRun = false, force = false } = req.body;
+            const options = { dryRun: !!dryRun, force: !!force };
+
+            if (threshold !== undefined) {
+                const seconds = parseFloat(threshold);
+                if (isNaN(seconds) || seconds < 0) {
+                    return this.sendError(res, new ValidationError('threshold must be a number of seconds'));
+                }
+                options.threshold = seconds * 1000;
+            }
+
+            if (serials !== undefined) {
+                if (!Array.isArray(serials) || serials.length === 0) {
+                    return this.sendError(res, new ValidationError('serials must be a non-empty array'));
+                }
+
+                const saved = await this.api.getSavedControllers();
+                options.controllers = [];
+                for (const serial of serials) {
+                    const controller = saved.find(c => c.serialNumber === parseInt(serial));
+                    if (!controller) {
+                        return this.sendError(res, new ControllerNotFoundError(serial));
+                    }
+                    options.controllers.push(controller);
+                }
+            }
+
+            const report = await this.api.syncFleetTime(options);
+
+            this.notify('time_synced', {
+                checked: report.checked,
+                corrected: report.corrected,
+                failed: report.failed,
+                source: 'rest'
+            });
+
+            res.json({
+                success: true,
+                ...report,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // GET /api/fleet/operations - List supported fleet operations
+    async getFleetOperations(req, res) {
+        res.json({
+            success: true,
+            operations: this.api.fleetOperations.listOperations(),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // POST /api/fleet/operations - Run an operation against selected controllers
+    async runFleetOperation(req, res) {
+        try {
+            const { operation, selector, params = {}, concurrency, failureThreshold } = req.body;
+
+            if (!operation) {
+                return this.sendError(res, new ValidationError('Missing required parameter: operation'));
+            }
+            if (!selector || typeof selector !== 'object') {
+                return this.sendError(res, new ValidationError('Missing required parameter: selector ({ serials, subnet, tags, all })'));
+            }
+
+            const report = await this.api.runFleetOperation(operation, selector, {
+                params,
+                concurrency,
+                failureThreshold,
+                context: this.getChangeContext(req)
+            });
+
+            this.notify('fleet_operation_completed', {
+                operation: report.operation,
+                total: report.total,
+                succeeded: report.succeeded,
+                failed: report.failed,
+                skipped: report.skipped,
+                stopped: report.stopped,
+                source: 'rest'
+            });
+
+            res.json({
+                success: true,
+                ...report,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // GET /api/fleet/lint - IP conflicts and misconfiguration across the saved controllers
+    async getFleetLint(req, res) {
+        try {
+            const report = await this.api.lintFleet();
+
+            res.json({
+                success: true,
+                ...report,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error);
         }
     }
 
@@ -264,11 +1023,7 @@ class APIRoutes {
             const controller = await this.api.getControllerBySerial(serialNumber);
 
             if (!controller) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Controller not found',
-                    timestamp: new Date().toISOString()
-                });
+                return this.sendError(res, new ControllerNotFoundError(serialNumber));
             }
 
             res.json({
@@ -282,11 +1037,7 @@ class APIRoutes {
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+            this.sendError(res, error);
         }
     }
 
@@ -299,26 +1050,18 @@ class APIRoutes {
             const controller = await this.api.getControllerBySerial(serialNumber);
             
             if (!controller) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Controller not found',
-                    timestamp: new Date().toISOString()
-                });
+                return this.sendError(res, new ControllerNotFoundError(serialNumber));
             }
             
             if (!ip || !subnetMask || !gateway) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Missing required network parameters: ip, subnetMask, gateway',
-                    timestamp: new Date().toISOString()
-                });
+                return this.sendError(res, new ValidationError('Missing required network parameters: ip, subnetMask, gateway'));
             }
             
             const result = await this.api.setControllerNetworkConfig(controller, {
                 ip,
                 subnetMask,
                 gateway
-            });
+            }, this.getChangeContext(req));
             
             res.json({
                 success: true,
@@ -326,11 +1069,7 @@ class APIRoutes {
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+            this.sendError(res, error);
         }
     }
 
@@ -341,11 +1080,7 @@ class APIRoutes {
             const controller = await this.api.getControllerBySerial(serialNumber);
             
             if (!controller) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Controller not found',
-                    timestamp: new Date().toISOString()
-                });
+                return this.sendError(res, new ControllerNotFoundError(serialNumber));
             }
             
             const result = await this.api.getReceivingServer(controller);
@@ -356,11 +1091,7 @@ class APIRoutes {
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+            this.sendError(res, error);
         }
     }
 
@@ -373,26 +1104,18 @@ class APIRoutes {
             const controller = await this.api.getControllerBySerial(serialNumber);
             
             if (!controller) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Controller not found',
-                    timestamp: new Date().toISOString()
-                });
+                return this.sendError(res, new ControllerNotFoundError(serialNumber));
             }
             
             if (!serverIp || !port) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Missing required server parameters: serverIp, port',
-                    timestamp: new Date().toISOString()
-                });
+                return this.sendError(res, new ValidationError('Missing required server parameters: serverIp, port'));
             }
             
             const result = await this.api.setReceivingServer(controller, {
                 serverIp,
                 port,
                 uploadInterval
-            });
+            }, this.getChangeContext(req));
             
             res.json({
                 success: true,
@@ -400,11 +1123,7 @@ class APIRoutes {
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+            this.sendError(res, error);
         }
     }
 
@@ -424,11 +1143,7 @@ class APIRoutes {
             
             res.send(data);
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+            this.sendError(res, error);
         }
     }
 
@@ -438,11 +1153,7 @@ class APIRoutes {
             const { data, merge = false } = req.body;
             
             if (!data) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Missing data parameter',
-                    timestamp: new Date().toISOString()
-                });
+                return this.sendError(res, new ValidationError('Missing data parameter'));
             }
             
             const controllers = await this.api.configManager.importControllers(data, merge);
@@ -454,14 +1165,86 @@ class APIRoutes {
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            res.status(500).json({
-                success: false,
-                error: error.message,
+            this.sendError(res, error);
+        }
+    }
+
+    // GET /api/debug/trace - Recent UDP packets; ?follow=true streams new packets as NDJSON
+    async getDebugTrace(req, res) {
+        try {
+            const recorder = this.api.packetHandler.trafficRecorder;
+            const since = parseInt(req.query.since) || 0;
+            const limit = parseInt(req.query.limit) || 100;
+
+            if (req.query.follow !== 'true') {
+                const packets = recorder.getRecent({ since, limit });
+
+                return res.json({
+                    success: true,
+                    ...recorder.getStatus(),
+                    lastId: packets.length > 0 ? packets[packets.length - 1].id : since,
+                    packets,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.flushHeaders();
+
+            recorder.getRecent({ since, limit }).forEach(entry => res.write(JSON.stringify(entry) + '\n'));
+
+            const onPacket = entry => res.write(JSON.stringify(entry) + '\n');
+            recorder.on('packet', onPacket);
+            req.on('close', () => recorder.removeListener('packet', onPacket));
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    // POST /api/tools/packet/decode - Labeled breakdown of a raw 64-byte packet hex dump
+    async decodePacket(req, res) {
+        try {
+            const { hex, direction = 'auto' } = req.body;
+
+            if (!hex || typeof hex !== 'string') {
+                return this.sendError(res, new ValidationError('Missing required field: hex'));
+            }
+
+            let packet;
+            try {
+                packet = this.packetInspector.decode(hex, { direction });
+            } catch (validationError) {
+                return this.sendError(res, new ValidationError(validationError.message));
+            }
+
+            res.json({
+                success: true,
+                packet,
                 timestamp: new Date().toISOString()
             });
+        } catch (error) {
+            this.sendError(res, error);
         }
     }
 
+    /**
+     * Respond with the error's HTTP status, stable code and controller context
+     * Timeouts are 504, protocol mismatches 502, rejected commands 422, unknown controllers 404,
+     * invalid input 400 and untyped errors 500
+     */
+    sendError(res, error) {
+        const { code, message, httpStatus, context } = describeError(error);
+
+        res.status(httpStatus).json({
+            success: false,
+            error: message,
+            code,
+            context,
+            timestamp: new Date().toISOString()
+        });
+    }
+
     // Error handling middleware
     errorHandler(error, req, res, next) {
         console.error('API Error:', error);
@@ -473,6 +1256,7 @@ class APIRoutes {
         res.status(500).json({
             success: false,
             error: 'Internal server error',
+            code: 'INTERNAL_ERROR',
             timestamp: new Date().toISOString()
         });
     }
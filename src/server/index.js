@@ -7,19 +7,43 @@ const path = require('path');
 
 const APIRoutes = require('./api-routes');
 const WebSocketHandler = require('./websocket-handler');
+const ControllerAPI = require('../core/controller-api');
+const EventReceiver = require('../core/event-receiver');
+const PresenceMonitor = require('../core/presence-monitor');
+const SocketManager = require('../core/socket-manager');
+const CommandQueue = require('../core/command-queue');
+const { describeProtocol } = require('../core/protocol-schema');
 
 /**
  * Express Server for Controller Management Web Service
  * Provides REST API and WebSocket endpoints
  */
 class Server {
-    constructor(port = 3000) {
+    constructor(port = 3000, options = {}) {
         this.port = port;
+        this.options = {
+            receiver: true,
+            receiverPort: 9001,
+            presence: true,
+            presenceInterval: 30000,
+            presenceProbe: 'search',
+            timeSync: false,
+            timeSyncInterval: 60 * 60000,
+            timeSyncThreshold: 2000,
+            ...options
+        };
         this.app = express();
         this.server = http.createServer(this.app);
+
+        // One API instance for REST, WebSocket and the receiver
+        this.api = new ControllerAPI();
+
         this.setupMiddleware();
         this.setupRoutes();
         this.setupWebSocket();
+        this.setupReceiver();
+        this.setupPresence();
+        this.setupTimeSync();
         this.setupErrorHandling();
     }
 
@@ -74,8 +98,8 @@ class Server {
         });
 
         // API routes
-        const apiRoutes = new APIRoutes();
-        this.app.use('/api', apiRoutes.getRouter());
+        this.apiRoutes = new APIRoutes(this.api);
+        this.app.use('/api', this.apiRoutes.getRouter());
 
         // Health check
         this.app.get('/health', (req, res) => {
@@ -86,7 +110,12 @@ class Server {
                 timestamp: new Date().toISOString(),
                 websocket: {
                     connected_clients: this.wsHandler ? this.wsHandler.getClientCount() : 0
-                }
+                },
+                receiver: this.receiver ? this.receiver.getStats() : null,
+                presence: this.presenceMonitor.getStats(),
+                timeSync: this.api.timeSync.getStats(),
+                udp: SocketManager.getDefault().getStats(),
+                commands: CommandQueue.getDefault().getStats()
             });
         });
 
@@ -98,16 +127,49 @@ class Server {
                 description: 'REST API and WebSocket interface for managing network-enabled hardware controllers',
                 endpoints: {
                     discovery: {
-                        'POST /api/discover': 'Discover controllers on the network',
+                        'POST /api/discover': 'Discover controllers on the network (optional typeBytes and ports to try; scan for CIDR/address ranges)',
+                        'GET /api/discovery/config': 'Interface settings (include/exclude patterns, broadcast addresses, source IP) and interfaces in use',
+                        'PUT /api/discovery/config': 'Change and save interface settings ({ include, exclude, broadcastAddresses, sourceIp })',
                     },
                     controllers: {
                         'GET /api/controllers': 'List all saved controllers',
                         'DELETE /api/controllers': 'Clear all controllers',
                         'GET /api/controllers/:id': 'Get specific controller',
                         'DELETE /api/controllers/:id': 'Remove specific controller',
+                        'PUT /api/controllers/:id/tags': 'Replace controller tags ({ tags })',
+                        'GET /api/controllers/:id/capabilities': 'Functions and fields supported by the controller firmware',
+                        'GET /api/controllers/:id/history': 'Attribute changes with operation, source and actor (?field=, ?limit=)',
+                    },
+                    status: {
+                        'GET /api/controllers/:id/status': 'Query controller real-time status',
+                        'GET /api/controllers/:id/availability': 'Presence state, uptime percentages and state transitions',
+                    },
+                    records: {
+                        'GET /api/controllers/:id/records': 'Get locally stored records',
+                        'POST /api/controllers/:id/records/sync': 'Download new records from controller',
+                    },
+                    doors: {
+                        'POST /api/controllers/:id/doors/:door/open': 'Remote open door (1-4)',
+                        'GET /api/controllers/:id/doors/:door/params': 'Get door control mode and open delay',
+                        'POST /api/controllers/:id/doors/:door/params': 'Set door control mode and open delay',
+                    },
+                    cards: {
+                        'GET /api/controllers/:id/cards': 'List card privileges',
+                        'POST /api/controllers/:id/cards': 'Add or modify card privilege',
+                        'DELETE /api/controllers/:id/cards?confirm=true': 'Clear all card privileges',
+                        'POST /api/controllers/:id/cards/bulk': 'Bulk upload card privileges (CSV or JSON, resumable)',
+                        'GET /api/controllers/:id/cards/bulk': 'Get state of the last bulk upload',
+                        'GET /api/controllers/:id/cards/count': 'Read total number of card privileges',
+                        'GET /api/controllers/:id/cards/index/:index': 'Read card privilege by index',
+                        'GET /api/controllers/:id/cards/:card': 'Query card privilege',
+                        'PUT /api/controllers/:id/cards/:card': 'Modify card privilege',
+                        'DELETE /api/controllers/:id/cards/:card': 'Delete card privilege',
                     },
                     time: {
                         'GET /api/controllers/:id/time': 'Get controller time',
+                        'PUT /api/controllers/:id/timezone': 'Set the IANA time zone of the controller clock ({ timeZone })',
+                        'GET /api/controllers/:id/time/drift': 'Clock drift history and drift rate (?limit=<n>)',
+                        'POST /api/controllers/:id/time/drift': 'Measure clock drift without correcting it, and drift history',
                         'POST /api/controllers/:id/time': 'Set controller time',
                     },
                     network: {
@@ -120,6 +182,18 @@ class Server {
                     export_import: {
                         'GET /api/controllers/export/:format': 'Export controllers (json/csv)',
                         'POST /api/controllers/import': 'Import controllers',
+                    },
+                    fleet: {
+                        'POST /api/fleet/time/sync': 'Correct controller clocks beyond a drift threshold ({ threshold, serials, dryRun, force })',
+                        'GET /api/fleet/operations': 'List fleet operations',
+                        'POST /api/fleet/operations': 'Run an operation on selected controllers ({ operation, selector, params, concurrency, failureThreshold })',
+                        'GET /api/fleet/lint': 'Duplicate IPs, NAT/address mismatches, gateways outside the subnet, foreign subnets and factory-default addresses',
+                    },
+                    debug: {
+                        'GET /api/debug/trace': 'Recent UDP packets (?since=id&limit=n, ?follow=true streams NDJSON)',
+                    },
+                    tools: {
+                        'POST /api/tools/packet/decode': 'Decode a packet hex dump ({ hex, direction: auto|request|response })',
                     }
                 },
                 websocket: {
@@ -130,11 +204,37 @@ class Server {
                         subscribe: 'Subscribe to event types',
                         ping: 'Ping server'
                     },
+                    events: {
+                        record: 'New record pushed by a controller to the receiving server',
+                        door_sensor: 'Door sensor opened or closed',
+                        alarm: 'Alarm record, fire/forced lock flag or controller error',
+                        door_opened: 'Door opened remotely',
+                        controller_online: 'Presence monitor: controller answers again',
+                        controller_offline: 'Presence monitor: controller stopped answering',
+                        time_synced: 'Fleet time sync finished (checked, corrected, failed)',
+                        fleet_operation_completed: 'Fleet operation finished (succeeded, failed, skipped)',
+                        discovery_diff: 'Discovery run finished: new, missing and changed controllers',
+                        controller_discovered: 'Range scan found a controller',
+                        discovery_progress: 'Range scan progress (scanned, total, percent, found)'
+                    },
                     commands: [
-                        'getTime', 'setTime', 'getServer', 'setServer', 
+                        'getStatus', 'syncRecords', 'openDoor', 'getDoorParams', 'setDoorParams', 'listCards', 'addCard',
+                        'deleteCard', 'clearCards', 'getCardCount', 'getCard', 'getCardByIndex', 'getTime', 'setTime', 'getServer', 'setServer',
                         'setNetwork', 'getControllers'
                     ]
-                }
+                },
+                // Error codes: REST uses the HTTP status, WebSocket errors carry errorCode
+                errors: {
+                    VALIDATION_ERROR: { http: 400, websocket: 4400, description: 'Invalid input, nothing was sent' },
+                    CONTROLLER_NOT_FOUND: { http: 404, websocket: 4404, description: 'No saved controller with that serial' },
+                    CONTROLLER_REJECTED: { http: 422, websocket: 4422, description: 'Controller answered with result 0' },
+                    UNSUPPORTED_BY_FIRMWARE: { http: 501, websocket: 4501, description: 'Firmware does not support the function, nothing was sent' },
+                    PROTOCOL_MISMATCH: { http: 502, websocket: 4502, description: 'Reply does not match the request' },
+                    CONTROLLER_TIMEOUT: { http: 504, websocket: 4504, description: 'No reply after all retries' },
+                    INTERNAL_ERROR: { http: 500, websocket: 4500, description: 'Any other failure' }
+                },
+                // Generated from the protocol schema: request and response fields per function ID
+                protocol: describeProtocol()
             });
         });
 
@@ -149,7 +249,58 @@ class Server {
     }
 
     setupWebSocket() {
-        this.wsHandler = new WebSocketHandler(this.server);
+        this.wsHandler = new WebSocketHandler(this.server, this.api);
+
+        // Forward REST-triggered events to WebSocket subscribers
+        this.apiRoutes.setNotifier((type, data) => this.wsHandler.notifyClients(type, data));
+    }
+
+    setupReceiver() {
+        if (!this.options.receiver) {
+            return;
+        }
+
+        this.receiver = new EventReceiver(this.api, { port: this.options.receiverPort });
+
+        // Forward pushed controller events to WebSocket subscribers
+        ['record', 'door_sensor', 'alarm'].forEach(type => {
+            this.receiver.on(type, data => this.wsHandler.notifyClients(type, data));
+        });
+
+        this.receiver.on('error', (error) => {
+            console.error('Event receiver error:', error.message);
+        });
+    }
+
+    setupPresence() {
+        this.presenceMonitor = new PresenceMonitor(this.api, {
+            interval: this.options.presenceInterval,
+            probe: this.options.presenceProbe
+        });
+        this.apiRoutes.setPresenceMonitor(this.presenceMonitor);
+
+        // Forward online/offline transitions to WebSocket subscribers
+        ['controller_online', 'controller_offline'].forEach(type => {
+            this.presenceMonitor.on(type, data => this.wsHandler.notifyClients(type, data));
+        });
+
+        this.presenceMonitor.on('error', (error) => {
+            console.error('Presence monitor error:', error.message);
+        });
+    }
+
+    setupTimeSync() {
+        // Scheduled and DST runs are announced like fleet syncs started over REST
+        this.api.timeSync.on('sync', report => this.wsHandler.notifyClients('time_synced', {
+            checked: report.checked,
+            corrected: report.corrected,
+            failed: report.failed,
+            source: report.trigger
+        }));
+
+        this.api.timeSync.on('error', (error) => {
+            console.error('Time sync error:', error.message);
+        });
     }
 
     setupErrorHandling() {
@@ -186,6 +337,27 @@ class Server {
     }
 
     async start() {
+        if (this.receiver) {
+            await this.receiver.start();
+            console.log(`📥 Event receiver listening on UDP port ${this.receiver.port}`);
+        }
+
+        if (this.options.presence) {
+            await this.presenceMonitor.start();
+            console.log(`📶 Presence monitor checking controllers every ${this.presenceMonitor.interval / 1000}s`);
+        }
+
+        if (this.options.timeSync) {
+            await this.api.timeSync.start({
+                interval: this.options.timeSyncInterval,
+                threshold: this.options.timeSyncThreshold
+            });
+            console.log(`⏰ Time sync every ${this.options.timeSyncInterval / 60000} min ` +
+                `(threshold ${this.options.timeSyncThreshold / 1000}s)`);
+        } else {
+            console.log('⏰ Scheduled time sync off (enable with --time-sync)');
+        }
+
         return new Promise((resolve, reject) => {
             this.server.listen(this.port, (error) => {
                 if (error) {
@@ -203,6 +375,13 @@ class Server {
     }
 
     async stop() {
+        if (this.receiver) {
+            await this.receiver.stop();
+        }
+
+        await this.presenceMonitor.stop();
+        await this.api.timeSync.stop();
+
         return new Promise((resolve) => {
             console.log('Stopping server...');
             
@@ -243,6 +422,9 @@ class Server {
             uptime: process.uptime(),
             memory: process.memoryUsage(),
             websocket: this.wsHandler ? this.wsHandler.getStats() : null,
+            receiver: this.receiver ? this.receiver.getStats() : null,
+            presence: this.presenceMonitor.getStats(),
+            timeSync: this.api.timeSync.getStats(),
             timestamp: new Date().toISOString()
         };
     }
@@ -1,13 +1,14 @@
 const WebSocket = require('ws');
 const ControllerAPI = require('../core/controller-api');
+const { ControllerNotFoundError, ValidationError, describeError } = require('../core/errors');
 
 /**
  * WebSocket Handler for Real-time Controller Management
  * Provides WebSocket functionality for live updates and command passthrough
  */
 class WebSocketHandler {
-    constructor(server) {
-        this.api = new ControllerAPI();
+    constructor(server, api = new ControllerAPI()) {
+        this.api = api;
         this.wss = new WebSocket.Server({ server });
         this.clients = new Set();
         this.setupWebSocket();
@@ -17,6 +18,8 @@ class WebSocketHandler {
         this.wss.on('connection', (ws, req) => {
             console.log(`WebSocket client connected from ${req.socket.remoteAddress}`);
             
+            // Actor of changes made over this connection unless a message names one
+            ws.remoteAddress = req.socket.remoteAddress;
             this.clients.add(ws);
             
             // Send welcome message
@@ -83,12 +86,12 @@ class WebSocketHandler {
             }
         } catch (error) {
             console.error('Message handling error:', error);
-            this.sendError(ws, 'Command failed', error.message, requestId);
+            this.sendError(ws, 'Command failed', error, requestId);
         }
     }
 
     async handleDiscover(ws, data, requestId) {
-        const { timeout = 5000 } = data || {};
+        const { timeout = 5000, typeBytes, ports } = data || {};
         
         // Notify all clients that discovery is starting
         this.broadcast({
@@ -98,13 +101,20 @@ class WebSocketHandler {
         });
 
         try {
-            const controllers = await this.api.discoverControllers(timeout);
+            let diff = null;
+            const controllers = await this.api.discoverControllers(timeout, {
+                typeBytes,
+                ports,
+                context: this.getChangeContext(ws, data),
+                onDiff: result => { diff = result; }
+            });
             
             const response = {
                 type: 'discovery_complete',
                 success: true,
                 controllers,
                 count: controllers.length,
+                diff,
                 requestId,
                 timestamp: new Date().toISOString()
             };
@@ -115,11 +125,17 @@ class WebSocketHandler {
             // Broadcast to all other clients
             this.broadcast(response, ws);
 
+            // Inventory changes go to every client, including the requesting one
+            this.notifyClients('discovery_diff', { source: 'websocket', ...diff });
+
         } catch (error) {
+            const { code, wsCode } = describeError(error);
             const errorResponse = {
                 type: 'discovery_error',
                 success: false,
                 error: error.message,
+                code,
+                errorCode: wsCode,
                 requestId,
                 timestamp: new Date().toISOString()
             };
@@ -138,12 +154,98 @@ class WebSocketHandler {
 
         const controller = await this.api.getControllerBySerial(parseInt(controllerId));
         if (!controller) {
-            return this.sendError(ws, 'Controller not found', `Controller ${controllerId} not found`, requestId);
+            return this.sendError(ws, 'Controller not found', new ControllerNotFoundError(controllerId), requestId);
         }
 
         let result;
 
         switch (command) {
+            case 'getStatus':
+                result = await this.api.getControllerStatus(controller);
+                break;
+
+            case 'syncRecords':
+                const { maxRecords } = data;
+                result = await this.api.syncRecords(controller, maxRecords ? { maxRecords: parseInt(maxRecords) } : {});
+                break;
+
+            case 'openDoor':
+                const doorNumber = parseInt(data.doorNumber);
+                if (isNaN(doorNumber) || doorNumber < 1 || doorNumber > 4) {
+                    return this.sendError(ws, 'Invalid door', 'doorNumber must be between 1 and 4', requestId);
+                }
+                result = await this.api.openDoor(controller, doorNumber);
+                this.notifyClients('door_opened', {
+                    controllerId: controller.serialNumber,
+                    doorNumber,
+                    source: 'websocket'
+                });
+                break;
+
+            case 'getDoorParams':
+                const paramsDoor = parseInt(data.doorNumber);
+                if (isNaN(paramsDoor) || paramsDoor < 1 || paramsDoor > 4) {
+                    return this.sendError(ws, 'Invalid door', 'doorNumber must be between 1 and 4', requestId);
+                }
+                result = await this.api.getDoorParams(controller, paramsDoor);
+                break;
+
+            case 'setDoorParams':
+                const { doorNumber: setDoor, controlMode, openDelay } = data;
+                if (!setDoor || controlMode === undefined || openDelay === undefined) {
+                    return this.sendError(ws, 'Missing parameters', 'doorNumber, controlMode and openDelay are required', requestId);
+                }
+                result = await this.api.setDoorParams(controller, setDoor, { controlMode, openDelay },
+                    this.getChangeContext(ws, data));
+                break;
+
+            case 'listCards':
+                result = await this.api.listPrivileges(controller, { limit: parseInt(data.limit) || 1000 });
+                break;
+
+            case 'addCard':
+                let privilege;
+                try {
+                    privilege = this.api.normalizePrivilege(data);
+                } catch (validationError) {
+                    return this.sendError(ws, 'Invalid card', validationError.message, requestId);
+                }
+                result = await this.api.addPrivilege(controller, privilege);
+                break;
+
+            case 'deleteCard':
+                if (!data.cardNumber) {
+                    return this.sendError(ws, 'Missing parameters', 'cardNumber is required', requestId);
+                }
+                result = await this.api.deletePrivilege(controller, parseInt(data.cardNumber));
+                break;
+
+            case 'clearCards':
+                if (data.confirm !== true) {
+                    return this.sendError(ws, 'Confirmation required', 'confirm: true is required to clear all cards', requestId);
+                }
+                result = await this.api.clearPrivileges(controller);
+                break;
+
+            case 'getCardCount':
+                result = await this.api.getPrivilegeCount(controller);
+                break;
+
+            case 'getCard':
+                if (!data.cardNumber) {
+                    return this.sendError(ws, 'Missing parameters', 'cardNumber is required', requestId);
+                }
+                result = await this.api.queryPrivilege(controller, parseInt(data.cardNumber));
+                break;
+
+            case 'getCardByIndex':
+                const cardIndex = parseInt(data.index);
+                if (isNaN(cardIndex) || cardIndex < 1) {
+                    return this.sendError(ws, 'Invalid index', 'index must be 1 or greater', requestId);
+                }
+                result = await this.api.getPrivilegeByIndex(controller, cardIndex);
+                break;
+
             case 'getTime':
                 result = await this.api.getControllerTime(controller);
                 break;
@@ -175,7 +277,8 @@ class WebSocketHandler {
                 if (!serverIp || !port) {
                     return this.sendError(ws, 'Missing parameters', 'serverIp and port are required', requestId);
                 }
-                result = await this.api.setReceivingServer(controller, { serverIp, port, uploadInterval });
+                result = await this.api.setReceivingServer(controller, { serverIp, port, uploadInterval },
+                    this.getChangeContext(ws, data));
                 break;
 
             case 'setNetwork':
@@ -183,7 +286,8 @@ class WebSocketHandler {
                 if (!ip || !subnetMask || !gateway) {
                     return this.sendError(ws, 'Missing parameters', 'ip, subnetMask, and gateway are required', requestId);
                 }
-                result = await this.api.setControllerNetworkConfig(controller, { ip, subnetMask, gateway });
+                result = await this.api.setControllerNetworkConfig(controller, { ip, subnetMask, gateway },
+                    this.getChangeContext(ws, data));
                 break;
 
             case 'getControllers':
@@ -227,17 +331,33 @@ class WebSocketHandler {
         });
     }
 
+    // Who asked for a change, for the controller history: data.actor or the client address
+    getChangeContext(ws, data) {
+        return { source: 'websocket', actor: (data && data.actor) || ws.remoteAddress || null };
+    }
+
     sendToClient(ws, message) {
         if (ws.readyState === WebSocket.OPEN) {
             ws.send(JSON.stringify(message));
         }
     }
 
+    /**
+     * Send an error to a client
+     * details is a message for an invalid request, or the Error that failed the command;
+     * code, errorCode (4000 + HTTP status) and context come from the error type
+     */
     sendError(ws, error, details, requestId) {
+        const cause = details instanceof Error ? details : new ValidationError(details);
+        const { code, message, wsCode, context } = describeError(cause);
+
         this.sendToClient(ws, {
             type: 'error',
             error,
-            details,
+            details: message,
+            code,
+            errorCode: wsCode,
+            context,
             requestId,
             timestamp: new Date().toISOString()
         });
@@ -0,0 +1,219 @@
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const PacketHandler = require('../core/packet-handler');
+const SimulatedController = require('./simulated-controller');
+
+/**
+ * Controller Simulator
+ * Answers the 64-byte UDP protocol for any number of simulated controllers on one socket,
+ * so the CLI, server and test scripts can run without hardware
+ */
+class ControllerSimulator extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.packetHandler = new PacketHandler();
+
+        this.port = options.port || this.packetHandler.CONTROLLER_PORT;
+        this.host = options.host || '0.0.0.0';
+        this.swipeInterval = options.swipeInterval || 0;   // Seconds between random swipes, 0 = off
+
+        this.controllers = new Map();
+        this.socket = null;
+        this.timers = [];
+
+        const definitions = options.controllers || this.buildDefinitions(options);
+        definitions.forEach(definition => this.addController(definition));
+    }
+
+    /**
+     * Build controller definitions from count/serial options, sharing the common settings
+     */
+    buildDefinitions(options) {
+        const { count = 1, baseSerial = 423000001, serials, ...shared } = options;
+        const serialNumbers = serials && serials.length > 0
+            ? serials
+            : Array.from({ length: count }, (_, i) => baseSerial + i);
+
+        return serialNumbers.map(serialNumber => ({
+            firmwareVersion: shared.firmwareVersion,
+            doorCount: shared.doorCount,
+            latency: shared.latency,
+            packetLoss: shared.packetLoss,
+            typeByte: shared.typeByte,
+            ip: shared.ip,
+            serialNumber: parseInt(serialNumber)
+        }));
+    }
+
+    addController(definition) {
+        const controller = new SimulatedController(definition);
+        controller.onRecord = record => this.pushRecord(controller, record);
+        this.controllers.set(controller.serialNumber, controller);
+        return controller;
+    }
+
+    getController(serialNumber) {
+        return this.controllers.get(parseInt(serialNumber));
+    }
+
+    /**
+     * Start answering requests
+     */
+    async start() {
+        await new Promise((resolve, reject) => {
+            const socket = dgram.createSocket('udp4');
+
+            socket.once('error', reject);
+            socket.on('message', (msg, rinfo) => this.handleMessage(msg, rinfo));
+
+            socket.bind(this.port, this.host, () => {
+                socket.removeListener('error', reject);
+                socket.on('error', error => this.emit('error', error));
+                socket.setBroadcast(true);
+                this.socket = socket;
+                resolve();
+            });
+        });
+
+        this.controllers.forEach(controller => this.startTimers(controller));
+    }
+
+    async stop() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+
+        if (this.socket) {
+            await new Promise(resolve => this.socket.close(resolve));
+            this.socket = null;
+        }
+    }
+
+    /**
+     * Periodic status uploads and random swipes for a controller
+     */
+    startTimers(controller) {
+        // The upload interval is re-read every second so changes made with 0x90 apply immediately
+        let elapsed = 0;
+        this.timers.push(setInterval(() => {
+            const interval = controller.receivingServer.uploadInterval;
+            elapsed++;
+
+            if (interval !== 0 && interval !== 0xFF && elapsed >= interval) {
+                elapsed = 0;
+                this.pushStatus(controller);
+            }
+        }, 1000));
+
+        if (this.swipeInterval > 0) {
+            this.timers.push(setInterval(() => this.randomSwipe(controller), this.swipeInterval * 1000));
+        }
+    }
+
+    /**
+     * Swipe a random card: mostly known cards, sometimes an unknown one
+     */
+    randomSwipe(controller) {
+        const known = controller.privileges
+            .map(entry => this.packetHandler.bytesToUInt32(entry.slice(0, 4)))
+            .filter(card => card !== controller.DELETED_CARD_NUMBER);
+
+        const cardNumber = known.length > 0 && Math.random() < 0.8
+            ? known[Math.floor(Math.random() * known.length)]
+            : 100000 + Math.floor(Math.random() * 900000);
+        const doorNumber = 1 + Math.floor(Math.random() * controller.doorCount);
+
+        controller.swipe(cardNumber, doorNumber);
+    }
+
+    handleMessage(msg, rinfo) {
+        let request;
+        try {
+            request = this.packetHandler.parsePacket(msg);
+        } catch (error) {
+            return;
+        }
+
+        // Discovery is addressed to serial 0 and answered by every controller;
+        // a controller ignores packets with another type byte than its own
+        const targets = (request.deviceSerialNumber === 0 && request.functionId === 0x94
+            ? Array.from(this.controllers.values())
+            : [this.controllers.get(request.deviceSerialNumber)].filter(Boolean))
+            .filter(controller => controller.typeByte === request.type);
+
+        targets.forEach(controller => this.respond(controller, request, rinfo));
+    }
+
+    respond(controller, request, rinfo) {
+        if (controller.packetLoss > 0 && Math.random() < controller.packetLoss) {
+            this.emit('request', { serialNumber: controller.serialNumber, functionId: request.functionId, dropped: true });
+            return;
+        }
+
+        const result = controller.handleRequest(request.functionId, request.data);
+        this.emit('request', { serialNumber: controller.serialNumber, functionId: request.functionId, dropped: false });
+
+        if (result === null) {
+            return;
+        }
+
+        const packet = this.buildPacket(controller, request.functionId, result, request.sequenceId);
+        const send = () => {
+            if (this.socket) {
+                this.socket.send(packet, rinfo.port, rinfo.address);
+            }
+        };
+
+        if (controller.latency > 0) {
+            setTimeout(send, controller.latency);
+        } else {
+            send();
+        }
+    }
+
+    /**
+     * Build a response packet; status responses also fill the extended section (bytes 44-63)
+     */
+    buildPacket(controller, functionId, result, sequenceId = 0) {
+        const data = Array.isArray(result) ? result : result.data;
+        const packet = this.packetHandler.createPacket(functionId, controller.serialNumber, data, sequenceId, controller.typeByte);
+
+        if (result.extended) {
+            result.extended.forEach((value, i) => {
+                packet[44 + i] = value;
+            });
+        }
+
+        return packet;
+    }
+
+    /**
+     * Push a status packet to the configured receiving server
+     */
+    pushStatus(controller) {
+        if (!this.socket || !controller.hasReceivingServer()) {
+            return;
+        }
+
+        const packet = this.buildPacket(controller, 0x20, controller.getStatusData());
+        this.socket.send(packet, controller.receivingServer.port, controller.receivingServer.ip);
+    }
+
+    pushRecord(controller, record) {
+        this.emit('record', { serialNumber: controller.serialNumber, record });
+        this.pushStatus(controller);
+    }
+
+    getSummary() {
+        return Array.from(this.controllers.values()).map(controller => ({
+            serialNumber: controller.serialNumber,
+            ip: controller.network.ip,
+            firmwareVersion: controller.firmwareVersion,
+            typeByte: controller.typeByte,
+            doorCount: controller.doorCount,
+            latency: controller.latency,
+            packetLoss: controller.packetLoss
+        }));
+    }
+}
+
+module.exports = ControllerSimulator;
@@ -0,0 +1,448 @@
+const PacketHandler = require('../core/packet-handler');
+
+/**
+ * Simulated Controller
+ * Keeps the in-memory state of one controller and builds the response data
+ * for every function of the short packet protocol
+ */
+class SimulatedController {
+    constructor(options = {}) {
+        this.packetHandler = new PacketHandler();
+
+        this.serialNumber = options.serialNumber;
+        this.firmwareVersion = options.firmwareVersion || '6.56';
+        this.releaseDate = options.releaseDate || '2021-09-15';
+        this.doorCount = options.doorCount || 4;
+        this.latency = options.latency || 0;           // Milliseconds added before each response
+        this.packetLoss = options.packetLoss || 0;     // Probability (0-1) a request is dropped
+        this.recordCapacity = options.recordCapacity || 1000;
+        this.typeByte = Number(options.typeByte) || this.packetHandler.TYPE_BYTE;   // Legacy firmware answers another type byte
+
+        this.network = {
+            ip: options.ip || '127.0.0.1',
+            subnetMask: options.subnetMask || '255.255.255.0',
+            gateway: options.gateway || '0.0.0.0',
+            macAddress: options.macAddress || this.generateMacAddress()
+        };
+
+        // Controller clock as an offset from the host clock
+        this.timeOffset = 0;
+
+        this.receivingServer = {
+            ip: '0.0.0.0',
+            port: 0,
+            uploadInterval: 0
+        };
+
+        this.doors = {};
+        for (let door = 1; door <= 4; door++) {
+            this.doors[door] = {
+                controlMode: 3,      // online
+                openDelay: 3,
+                sensorOpen: false,
+                buttonPressed: false
+            };
+        }
+
+        // Privilege entries in index order; deleted entries keep their slot
+        this.privileges = [];
+        this.batch = null;
+
+        this.records = [];
+        this.nextRecordIndex = 1;
+        this.readRecordIndex = 0;
+
+        this.errorNumber = 0;
+        this.relayStatus = 0;
+        this.fireAlarm = false;
+        this.forcedLock = false;
+
+        // Called with a record whenever one is generated (used for upload pushes)
+        this.onRecord = null;
+
+        this.IDENTIFICATION = [0x55, 0xAA, 0xAA, 0x55];
+        this.DELETED_CARD_NUMBER = 0xFFFFFFFF;
+    }
+
+    generateMacAddress() {
+        const serialBytes = this.packetHandler.uInt32ToBytes(this.serialNumber).reverse();
+        return [0x00, 0x57, ...serialBytes].map(b => b.toString(16).padStart(2, '0')).join(':');
+    }
+
+    getTime() {
+        return new Date(Date.now() + this.timeOffset);
+    }
+
+    hasIdentification(data, offset) {
+        return this.IDENTIFICATION.every((b, i) => data[offset + i] === b);
+    }
+
+    /**
+     * Handle a request and return the response data bytes
+     * Returns null when the controller does not answer (unknown function or restart)
+     */
+    handleRequest(functionId, data) {
+        switch (functionId) {
+            case 0x94: return this.discover();
+            case 0x96: return this.setNetwork(data);
+            case 0x20: return this.getStatusData();
+            case 0x30: return this.setTime(data);
+            case 0x32: return this.getTimeData();
+            case 0x40: return this.openDoor(data[0]);
+            case 0x50: return this.addPrivilege(data);
+            case 0x52: return this.deletePrivilege(this.packetHandler.bytesToUInt32(data.slice(0, 4)));
+            case 0x54: return this.clearPrivileges(data);
+            case 0x56: return this.addPrivilegeBatch(data);
+            case 0x58: return this.packetHandler.uInt32ToBytes(this.getPrivilegeCount());
+            case 0x5A: return this.queryPrivilege(this.packetHandler.bytesToUInt32(data.slice(0, 4)));
+            case 0x5C: return this.getPrivilegeByIndex(this.packetHandler.bytesToUInt32(data.slice(0, 4)));
+            case 0x80: return this.setDoorParams(data);
+            case 0x82: return this.getDoorParams(data[0]);
+            case 0x90: return this.setReceivingServer(data);
+            case 0x92: return this.getReceivingServer();
+            case 0xB0: return this.getRecordData(this.packetHandler.bytesToUInt32(data.slice(0, 4)));
+            case 0xB2: return this.setReadRecordIndex(data);
+            case 0xB4: return this.packetHandler.uInt32ToBytes(this.readRecordIndex);
+            default: return null;
+        }
+    }
+
+    /**
+     * Discovery response (0x94)
+     */
+    discover() {
+        const [major, minor] = this.firmwareVersion.split('.').map(part => parseInt(part, 10));
+
+        return [
+            ...this.packetHandler.ipToBytes(this.network.ip),                     // bytes 0-3: IP
+            ...this.packetHandler.ipToBytes(this.network.subnetMask),             // bytes 4-7: mask
+            ...this.packetHandler.ipToBytes(this.network.gateway),                // bytes 8-11: gateway
+            ...this.network.macAddress.split(':').map(b => parseInt(b, 16)),      // bytes 12-17: MAC
+            this.packetHandler.decimalToBCD(major),                               // byte 18: version major
+            this.packetHandler.decimalToBCD(minor || 0),                          // byte 19: version minor
+            ...this.packetHandler.dateStringToBCDBytes(this.releaseDate)          // bytes 20-23: release date
+        ];
+    }
+
+    /**
+     * Set IP (0x96) - the controller restarts and does not answer
+     */
+    setNetwork(data) {
+        if (this.hasIdentification(data, 12)) {
+            this.network.ip = this.packetHandler.bytesToIp(data.slice(0, 4));
+            this.network.subnetMask = this.packetHandler.bytesToIp(data.slice(4, 8));
+            this.network.gateway = this.packetHandler.bytesToIp(data.slice(8, 12));
+        }
+        return null;
+    }
+
+    timeToBCDBytes(date) {
+        const bcd = this.packetHandler.dateToBCD(date);
+        return [bcd.yearHigh, bcd.yearLow, bcd.month, bcd.day, bcd.hour, bcd.minute, bcd.second];
+    }
+
+    getTimeData() {
+        return this.timeToBCDBytes(this.getTime());
+    }
+
+    setTime(data) {
+        const newTime = this.packetHandler.bcdBytesToDate(data.slice(0, 7));
+        if (newTime) {
+            this.timeOffset = newTime.getTime() - Date.now();
+        }
+        return this.getTimeData();
+    }
+
+    /**
+     * Status data (0x20) - bytes 0-31 go in the data section, the rest in the extended section
+     */
+    getStatusData() {
+        const latest = this.records[this.records.length - 1];
+        const time = this.timeToBCDBytes(this.getTime());
+        const doorNumbers = [1, 2, 3, 4];
+
+        const data = [
+            ...(latest ? this.encodeRecord(latest) : new Array(20).fill(0)),        // bytes 0-19: last record
+            ...doorNumbers.map(door => this.doors[door].sensorOpen ? 1 : 0),        // bytes 20-23: door sensors
+            ...doorNumbers.map(door => this.doors[door].buttonPressed ? 1 : 0),     // bytes 24-27: buttons
+            this.errorNumber,                                                       // byte 28: error number
+            time[4], time[5], time[6]                                               // bytes 29-31: hh mm ss
+        ];
+
+        const extended = new Array(20).fill(0);
+        extended[5] = this.relayStatus;                                             // byte 49: relays
+        extended[6] = (this.forcedLock ? 0x01 : 0) | (this.fireAlarm ? 0x02 : 0);   // byte 50: flags
+        extended[7] = time[1];                                                      // bytes 51-53: yy mm dd
+        extended[8] = time[2];
+        extended[9] = time[3];
+
+        return { data, extended };
+    }
+
+    encodeRecord(record) {
+        return [
+            ...this.packetHandler.uInt32ToBytes(record.index),
+            record.type,
+            record.valid ? 1 : 0,
+            record.doorNumber,
+            record.direction,
+            ...this.packetHandler.uInt32ToBytes(record.cardNumber),
+            ...this.timeToBCDBytes(record.time),
+            record.reasonCode
+        ];
+    }
+
+    /**
+     * Append a record, dropping the oldest one when the store is full
+     */
+    addRecord(record) {
+        const entry = {
+            index: this.nextRecordIndex++,
+            time: this.getTime(),
+            direction: 1,
+            reasonCode: 0,
+            ...record
+        };
+
+        this.records.push(entry);
+        if (this.records.length > this.recordCapacity) {
+            this.records.shift();
+        }
+
+        if (this.onRecord) {
+            this.onRecord(entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Simulate a card swipe; access is granted when the card has a valid privilege for the door
+     */
+    swipe(cardNumber, doorNumber = 1) {
+        const entry = this.findPrivilege(cardNumber);
+        const now = this.getTime();
+        const today = [
+            now.getFullYear(),
+            String(now.getMonth() + 1).padStart(2, '0'),
+            String(now.getDate()).padStart(2, '0')
+        ].join('-');
+        let valid = false;
+
+        if (entry) {
+            const privilege = this.decodePrivilege(entry);
+            valid = privilege.doors.includes(doorNumber) &&
+                privilege.startDate <= today && privilege.endDate >= today &&
+                this.doors[doorNumber].controlMode !== 2;
+        }
+
+        return this.addRecord({
+            type: 0x01,
+            valid,
+            doorNumber,
+            cardNumber,
+            reasonCode: valid ? 1 : 6
+        });
+    }
+
+    /**
+     * Get record (0xB0) - index 0 is the oldest record, 0xFFFFFFFF the latest
+     */
+    getRecordData(index) {
+        if (this.records.length === 0) {
+            return new Array(20).fill(0);
+        }
+
+        const oldest = this.records[0];
+        const latest = this.records[this.records.length - 1];
+
+        if (index === 0) {
+            return this.encodeRecord(oldest);
+        }
+
+        if (index === 0xFFFFFFFF) {
+            return this.encodeRecord(latest);
+        }
+
+        if (index > latest.index) {
+            return new Array(20).fill(0);
+        }
+
+        if (index < oldest.index) {
+            return [...this.packetHandler.uInt32ToBytes(index), 0xFF, ...new Array(15).fill(0)];
+        }
+
+        return this.encodeRecord(this.records[index - oldest.index]);
+    }
+
+    setReadRecordIndex(data) {
+        if (!this.hasIdentification(data, 4)) {
+            return [0];
+        }
+
+        this.readRecordIndex = this.packetHandler.bytesToUInt32(data.slice(0, 4));
+        return [1];
+    }
+
+    openDoor(doorNumber) {
+        if (doorNumber < 1 || doorNumber > this.doorCount) {
+            return [0];
+        }
+
+        this.addRecord({
+            type: 0x02,
+            valid: true,
+            doorNumber,
+            cardNumber: 0,
+            reasonCode: 44          // Remote open door
+        });
+
+        return [1];
+    }
+
+    findPrivilege(cardNumber) {
+        return this.privileges.find(entry => this.packetHandler.bytesToUInt32(entry.slice(0, 4)) === cardNumber);
+    }
+
+    decodePrivilege(entry) {
+        return {
+            startDate: this.packetHandler.bcdBytesToDateString(entry.slice(4, 8)),
+            endDate: this.packetHandler.bcdBytesToDateString(entry.slice(8, 12)),
+            doors: [1, 2, 3, 4].filter((door, i) => entry[12 + i] === 1)
+        };
+    }
+
+    /**
+     * Add or modify privilege (0x50), kept in ascending card order
+     */
+    addPrivilege(data) {
+        const entry = data.slice(0, 19);
+        const cardNumber = this.packetHandler.bytesToUInt32(entry.slice(0, 4));
+
+        if (cardNumber === 0 || cardNumber === this.DELETED_CARD_NUMBER) {
+            return [0];
+        }
+
+        const existing = this.privileges.findIndex(e => this.packetHandler.bytesToUInt32(e.slice(0, 4)) === cardNumber);
+        if (existing !== -1) {
+            this.privileges[existing] = entry;
+        } else {
+            const position = this.privileges.findIndex(e => {
+                const card = this.packetHandler.bytesToUInt32(e.slice(0, 4));
+                return card !== this.DELETED_CARD_NUMBER && card > cardNumber;
+            });
+            this.privileges.splice(position === -1 ? this.privileges.length : position, 0, entry);
+        }
+
+        return [1];
+    }
+
+    deletePrivilege(cardNumber) {
+        const entry = this.findPrivilege(cardNumber);
+        if (!entry || cardNumber === this.DELETED_CARD_NUMBER) {
+            return [0];
+        }
+
+        entry.splice(0, 4, ...this.packetHandler.uInt32ToBytes(this.DELETED_CARD_NUMBER));
+        return [1];
+    }
+
+    clearPrivileges(data) {
+        if (!this.hasIdentification(data, 0)) {
+            return [0];
+        }
+
+        this.privileges = [];
+        return [1];
+    }
+
+    /**
+     * Bulk add privileges (0x56) - cards must arrive in ascending order;
+     * the list replaces the existing privileges when the last index is received
+     */
+    addPrivilegeBatch(data) {
+        const entry = data.slice(0, 19);
+        const cardNumber = this.packetHandler.bytesToUInt32(entry.slice(0, 4));
+        const total = this.packetHandler.bytesToUInt32([data[24], data[25], data[26], 0]);
+        const index = this.packetHandler.bytesToUInt32([data[27], data[28], data[29], 0]);
+
+        if (index === 1 || !this.batch || this.batch.total !== total) {
+            this.batch = { total, entries: [] };
+        }
+
+        // Retransmission of an index that was already accepted
+        if (index <= this.batch.entries.length) {
+            return [1];
+        }
+
+        const previous = this.batch.entries[this.batch.entries.length - 1];
+        if (index !== this.batch.entries.length + 1 ||
+            (previous && this.packetHandler.bytesToUInt32(previous.slice(0, 4)) >= cardNumber)) {
+            return [0xE1];
+        }
+
+        this.batch.entries.push(entry);
+
+        if (index === total) {
+            this.privileges = this.batch.entries;
+            this.batch = null;
+        }
+
+        return [1];
+    }
+
+    getPrivilegeCount() {
+        return this.privileges.filter(e => this.packetHandler.bytesToUInt32(e.slice(0, 4)) !== this.DELETED_CARD_NUMBER).length;
+    }
+
+    queryPrivilege(cardNumber) {
+        const entry = cardNumber === this.DELETED_CARD_NUMBER ? null : this.findPrivilege(cardNumber);
+        return entry ? [...entry] : new Array(19).fill(0);
+    }
+
+    getPrivilegeByIndex(index) {
+        const entry = this.privileges[index - 1];
+        return entry ? [...entry] : new Array(19).fill(0);
+    }
+
+    setDoorParams(data) {
+        const [doorNumber, controlMode, openDelay] = data;
+
+        if (doorNumber < 1 || doorNumber > this.doorCount || controlMode < 1 || controlMode > 3) {
+            return [0, 0, 0];
+        }
+
+        this.doors[doorNumber].controlMode = controlMode;
+        this.doors[doorNumber].openDelay = openDelay;
+        return [doorNumber, controlMode, openDelay];
+    }
+
+    getDoorParams(doorNumber) {
+        if (doorNumber < 1 || doorNumber > this.doorCount) {
+            return [0, 0, 0];
+        }
+
+        const door = this.doors[doorNumber];
+        return [doorNumber, door.controlMode, door.openDelay];
+    }
+
+    setReceivingServer(data) {
+        this.receivingServer = {
+            ip: this.packetHandler.bytesToIp(data.slice(0, 4)),
+            port: data[4] | (data[5] << 8),
+            uploadInterval: data[6]
+        };
+        return [1];
+    }
+
+    getReceivingServer() {
+        const { ip, port, uploadInterval } = this.receivingServer;
+        return [...this.packetHandler.ipToBytes(ip), port & 0xFF, (port >> 8) & 0xFF, uploadInterval];
+    }
+
+    hasReceivingServer() {
+        return this.receivingServer.ip !== '0.0.0.0' && this.receivingServer.port !== 0;
+    }
+}
+
+module.exports = SimulatedController;
@@ -0,0 +1,27 @@
+const dgram = require('dgram');
+const ControllerSimulator = require('../../src/simulator');
+
+/**
+ * Ask the OS for a UDP port nobody is bound to
+ */
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket('udp4');
+        socket.once('error', reject);
+        socket.bind(0, () => {
+            const { port } = socket.address();
+            socket.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start simulated controllers on a free port of the loopback interface
+ */
+async function startSimulator(options = {}) {
+    const simulator = new ControllerSimulator({ ...options, host: '127.0.0.1', port: await findFreePort() });
+    await simulator.start();
+    return simulator;
+}
+
+module.exports = { findFreePort, startSimulator };
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ControllerAPI = require('../../src/core/controller-api');
+const ConfigManager = require('../../src/core/config-manager');
+const BulkUploader = require('../../src/core/bulk-uploader');
+const SocketManager = require('../../src/core/socket-manager');
+const { ControllerRejectedError, ControllerTimeoutError, UploadInProgressError } = require('../../src/core/errors');
+const { startSimulator } = require('../helpers/simulator');
+
+const ADD_PRIVILEGE_BATCH = 0x56;
+const SERIAL = 423000001;
+
+describe('BulkUploader', () => {
+    let simulator;
+    let tempDir;
+    let api;
+    let uploader;
+    let requests;
+
+    const controllerInfo = () => ({ serialNumber: SERIAL, ip: '127.0.0.1', port: simulator.port });
+    const controller = () => simulator.getController(SERIAL);
+
+    const cardList = (count, first = 1001) => Array.from({ length: count }, (_, i) => ({
+        cardNumber: first + i,
+        startDate: '2026-01-01',
+        endDate: '2029-12-31',
+        doors: [1]
+    }));
+
+    // Drop every request after the given number of answered batch entries
+    const loseRequestsAfter = answered => {
+        const onRequest = ({ functionId, dropped }) => {
+            if (functionId === ADD_PRIVILEGE_BATCH && !dropped && --answered === 0) {
+                controller().packetLoss = 1;
+                simulator.off('request', onRequest);
+            }
+        };
+        simulator.on('request', onRequest);
+    };
+
+    beforeAll(async () => {
+        simulator = await startSimulator({ controllers: [{ serialNumber: SERIAL }] });
+        simulator.on('request', ({ functionId, dropped }) => {
+            if (functionId === ADD_PRIVILEGE_BATCH && !dropped) {
+                requests++;
+            }
+        });
+    });
+
+    afterAll(async () => {
+        SocketManager.getDefault().close();
+        await simulator.stop();
+    });
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-upload-'));
+        api = new ControllerAPI();
+        api.configManager = new ConfigManager(path.join(tempDir, 'controllers.json'));
+        uploader = new BulkUploader(api, path.join(tempDir, 'uploads'));
+
+        // A lost entry fails the upload after one short attempt instead of three 3s timeouts
+        uploader.uploadConfig = { maxRetries: 1, retryDelay: 10, timeout: 200 };
+
+        requests = 0;
+        controller().packetLoss = 0;
+        controller().privileges = [];
+        controller().batch = null;
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('uploads every card in ascending order', async () => {
+        const result = await uploader.upload(controllerInfo(), cardList(5).reverse());
+
+        expect(result).toEqual({ success: true, serialNumber: SERIAL, total: 5, uploaded: 5, resumedFrom: null });
+        expect(controller().getPrivilegeCount()).toBe(5);
+        expect(await uploader.loadState(SERIAL)).toEqual(expect.objectContaining({ status: 'complete', lastAckIndex: 5 }));
+    });
+
+    test('resumes after a timeout from the last acknowledged index', async () => {
+        const cards = cardList(6);
+        loseRequestsAfter(3);
+
+        const error = await uploader.upload(controllerInfo(), cards).catch(thrown => thrown);
+
+        expect(error).toBeInstanceOf(ControllerTimeoutError);
+        expect(error.message).toMatch(/interrupted at card 4\/6.*Run the upload again to resume/);
+        expect(await uploader.loadState(SERIAL)).toEqual(expect.objectContaining({ status: 'interrupted', lastAckIndex: 3 }));
+
+        controller().packetLoss = 0;
+        requests = 0;
+        const result = await uploader.upload(controllerInfo(), cards);
+
+        expect(result).toEqual(expect.objectContaining({ total: 6, uploaded: 3, resumedFrom: 4 }));
+        expect(requests).toBe(3);
+        expect(controller().getPrivilegeCount()).toBe(6);
+    });
+
+    test('restarts from index 1 when the card list changed since the interruption', async () => {
+        loseRequestsAfter(2);
+        await uploader.upload(controllerInfo(), cardList(4)).catch(() => {});
+        const interrupted = await uploader.loadState(SERIAL);
+
+        controller().packetLoss = 0;
+        requests = 0;
+        const result = await uploader.upload(controllerInfo(), cardList(4, 2001));
+
+        expect(result).toEqual(expect.objectContaining({ total: 4, uploaded: 4, resumedFrom: null }));
+        expect(requests).toBe(4);
+        expect((await uploader.loadState(SERIAL)).uploadId).not.toBe(interrupted.uploadId);
+    });
+
+    test('refuses a second upload to a controller while one is running', async () => {
+        const running = uploader.upload(controllerInfo(), cardList(3));
+
+        const error = await uploader.upload(controllerInfo(), cardList(3, 2001)).catch(thrown => thrown);
+
+        expect(error).toBeInstanceOf(UploadInProgressError);
+        expect(error.httpStatus).toBe(409);
+        expect(error.code).toBe('UPLOAD_IN_PROGRESS');
+        expect(await running).toEqual(expect.objectContaining({ uploaded: 3 }));
+    });
+
+    test('fails when the controller reports the cards out of order', async () => {
+        const cards = cardList(4);
+        loseRequestsAfter(2);
+        await uploader.upload(controllerInfo(), cards).catch(() => {});
+
+        // A controller that restarted meanwhile has lost the entries before the resume point
+        controller().packetLoss = 0;
+        controller().batch = null;
+        const error = await uploader.upload(controllerInfo(), cards).catch(thrown => thrown);
+
+        expect(error).toBeInstanceOf(ControllerRejectedError);
+        expect(error.message).toBe('Bulk upload failed at card 3/4: Controller reported cards not in ascending order');
+        expect(error.context).toEqual(expect.objectContaining({ cardNumber: 1003, result: 0xE1 }));
+        expect(await uploader.loadState(SERIAL)).toEqual(expect.objectContaining({ status: 'failed', lastAckIndex: 2 }));
+    });
+});
@@ -0,0 +1,120 @@
+const CommandQueue = require('../../src/core/command-queue');
+const PacketHandler = require('../../src/core/packet-handler');
+const SocketManager = require('../../src/core/socket-manager');
+const { ControllerTimeoutError } = require('../../src/core/errors');
+const { startSimulator } = require('../helpers/simulator');
+
+const GET_TIME = 0x32;
+const OPEN_DOOR = 0x40;
+const FIRST = 423000001;
+const SECOND = 423000002;
+
+describe('CommandQueue', () => {
+    const packetHandler = new PacketHandler();
+    let simulator;
+    let queue;
+    let log;
+
+    const controllerInfo = serialNumber => ({ serialNumber, ip: '127.0.0.1', port: simulator.port });
+
+    // Short retry delay so dropped requests do not slow the tests down
+    const execute = (serialNumber, functionId = GET_TIME, options = {}) => {
+        const packet = packetHandler.createPacket(functionId, serialNumber, functionId === OPEN_DOOR ? [1] : null);
+        return queue.execute(packetHandler, controllerInfo(serialNumber), packet, { timeout: 500, retryDelay: 10, ...options })
+            .then(result => {
+                log.push(['reply', serialNumber]);
+                return result;
+            });
+    };
+
+    beforeAll(async () => {
+        simulator = await startSimulator({ count: 2, latency: 50 });
+        simulator.on('request', ({ serialNumber, dropped }) => log.push([dropped ? 'dropped' : 'request', serialNumber]));
+    });
+
+    afterAll(async () => {
+        SocketManager.getDefault().close();
+        await simulator.stop();
+    });
+
+    beforeEach(() => {
+        queue = new CommandQueue();
+        log = [];
+        simulator.controllers.forEach(controller => {
+            controller.packetLoss = 0;
+        });
+    });
+
+    test('sends one command at a time to a controller', async () => {
+        await Promise.all([execute(FIRST), execute(FIRST), execute(FIRST)]);
+
+        expect(log).toEqual([
+            ['request', FIRST], ['reply', FIRST],
+            ['request', FIRST], ['reply', FIRST],
+            ['request', FIRST], ['reply', FIRST]
+        ]);
+        expect(queue.getStats()).toEqual({ executed: 3, retried: 0, failed: 0, queued: {} });
+    });
+
+    test('runs commands to different controllers side by side', async () => {
+        await Promise.all([execute(FIRST), execute(SECOND)]);
+
+        expect(log.slice(0, 2).map(([type]) => type)).toEqual(['request', 'request']);
+    });
+
+    test('reports the commands waiting per controller', async () => {
+        const running = Promise.all([execute(FIRST), execute(FIRST), execute(SECOND)]);
+
+        expect(queue.getStats().queued).toEqual({ [FIRST]: 2, [SECOND]: 1 });
+        await running;
+        expect(queue.getStats().queued).toEqual({});
+    });
+
+    test('retries a read after a dropped request', async () => {
+        const controller = simulator.getController(FIRST);
+        controller.packetLoss = 1;
+        simulator.once('request', () => {
+            controller.packetLoss = 0;
+        });
+
+        const { response } = await execute(FIRST);
+
+        expect(response.deviceSerialNumber).toBe(FIRST);
+        expect(log.map(([type]) => type)).toEqual(['dropped', 'request', 'reply']);
+        expect(queue.getStats()).toEqual(expect.objectContaining({ executed: 1, retried: 1, failed: 0 }));
+    });
+
+    test('gives up on a read after the maximum attempts', async () => {
+        simulator.getController(FIRST).packetLoss = 1;
+
+        const error = await execute(FIRST, GET_TIME, { maxRetries: 3 }).catch(thrown => thrown);
+
+        expect(error).toBeInstanceOf(ControllerTimeoutError);
+        expect(error.context.attempts).toBe(3);
+        expect(log).toEqual([['dropped', FIRST], ['dropped', FIRST], ['dropped', FIRST]]);
+        expect(queue.getStats()).toEqual(expect.objectContaining({ retried: 2, failed: 1 }));
+    });
+
+    test('does not retry a write that must not be repeated', async () => {
+        simulator.getController(FIRST).packetLoss = 1;
+
+        const error = await execute(FIRST, OPEN_DOOR, { maxRetries: 3 }).catch(thrown => thrown);
+
+        expect(error).toBeInstanceOf(ControllerTimeoutError);
+        expect(error.context.attempts).toBe(1);
+        expect(log).toEqual([['dropped', FIRST]]);
+    });
+
+    test('runs the next command after a failed one', async () => {
+        simulator.getController(FIRST).packetLoss = 1;
+        const failing = execute(FIRST, OPEN_DOOR).catch(thrown => thrown);
+        simulator.once('request', () => {
+            simulator.getController(FIRST).packetLoss = 0;
+        });
+
+        const [error, { response }] = await Promise.all([failing, execute(FIRST)]);
+
+        expect(error).toBeInstanceOf(ControllerTimeoutError);
+        expect(response.functionId).toBe(GET_TIME);
+    });
+});
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ControllerAPI = require('../../src/core/controller-api');
+const ConfigManager = require('../../src/core/config-manager');
+const RecordStore = require('../../src/core/record-store');
+const RecordSync = require('../../src/core/record-sync');
+const SocketManager = require('../../src/core/socket-manager');
+const { startSimulator } = require('../helpers/simulator');
+
+const SERIAL = 423000001;
+
+describe('RecordSync', () => {
+    let simulator;
+    let tempDir;
+    let api;
+    let recordStore;
+    let recordSync;
+
+    const controllerInfo = () => ({ serialNumber: SERIAL, ip: '127.0.0.1', port: simulator.port });
+    const controller = () => simulator.getController(SERIAL);
+
+    // Swipes of unknown cards, numbered from 1001
+    const addRecords = count => {
+        for (let i = 0; i < count; i++) {
+            controller().swipe(1001 + i);
+        }
+    };
+
+    const storedIndexes = async () => (await recordStore.getRecords(SERIAL, { limit: 0 })).records.map(r => r.index);
+
+    beforeAll(async () => {
+        simulator = await startSimulator({ controllers: [{ serialNumber: SERIAL }] });
+    });
+
+    afterAll(async () => {
+        SocketManager.getDefault().close();
+        await simulator.stop();
+    });
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'record-sync-'));
+        api = new ControllerAPI();
+        api.configManager = new ConfigManager(path.join(tempDir, 'controllers.json'));
+        recordStore = new RecordStore(path.join(tempDir, 'records'));
+        recordSync = new RecordSync(api, recordStore);
+
+        Object.assign(controller(), { records: [], nextRecordIndex: 1, readRecordIndex: 0, recordCapacity: 1000 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('fetches the records after the read pointer and advances it', async () => {
+        addRecords(5);
+        controller().readRecordIndex = 2;
+
+        const result = await recordSync.syncController(controllerInfo());
+
+        expect(result).toEqual(expect.objectContaining({ previousIndex: 2, lastIndex: 5, fetched: 3, stored: 3, complete: true }));
+        expect(await storedIndexes()).toEqual([3, 4, 5]);
+        expect(controller().readRecordIndex).toBe(5);
+    });
+
+    test('continues from the oldest kept record after old records were overwritten', async () => {
+        controller().recordCapacity = 4;
+        addRecords(10);
+
+        const result = await recordSync.syncController(controllerInfo());
+
+        expect(result).toEqual(expect.objectContaining({ previousIndex: 0, lastIndex: 10, fetched: 4, complete: true }));
+        expect(await storedIndexes()).toEqual([7, 8, 9, 10]);
+        expect(controller().readRecordIndex).toBe(10);
+    });
+
+    test('advances the pointer only after each batch is stored', async () => {
+        addRecords(5);
+        const calls = [];
+        const addToStore = recordStore.addRecords.bind(recordStore);
+        jest.spyOn(recordStore, 'addRecords').mockImplementation(async (serialNumber, records) => {
+            calls.push(['store', records.map(r => r.index)]);
+            return addToStore(serialNumber, records);
+        });
+        const setIndex = api.setReadRecordIndex.bind(api);
+        jest.spyOn(api, 'setReadRecordIndex').mockImplementation(async (info, recordIndex) => {
+            calls.push(['pointer', recordIndex]);
+            return setIndex(info, recordIndex);
+        });
+
+        await recordSync.syncController(controllerInfo(), { batchSize: 2 });
+
+        expect(calls).toEqual([
+            ['store', [1, 2]], ['pointer', 2],
+            ['store', [3, 4]], ['pointer', 4],
+            ['store', [5]], ['pointer', 5]
+        ]);
+    });
+
+    test('leaves the pointer at the last stored batch when storing fails', async () => {
+        addRecords(5);
+        const addToStore = recordStore.addRecords.bind(recordStore);
+        jest.spyOn(recordStore, 'addRecords')
+            .mockImplementationOnce(addToStore)
+            .mockRejectedValueOnce(new Error('disk full'));
+
+        await expect(recordSync.syncController(controllerInfo(), { batchSize: 2 })).rejects.toThrow('disk full');
+
+        expect(await storedIndexes()).toEqual([1, 2]);
+        expect(controller().readRecordIndex).toBe(2);
+    });
+
+    test('is not complete when exactly the maximum number of records was fetched', async () => {
+        addRecords(3);
+
+        const result = await recordSync.syncController(controllerInfo(), { maxRecords: 3 });
+
+        expect(result).toEqual(expect.objectContaining({ fetched: 3, lastIndex: 3, complete: false }));
+
+        const next = await recordSync.syncController(controllerInfo(), { maxRecords: 3 });
+        expect(next).toEqual(expect.objectContaining({ previousIndex: 3, fetched: 0, complete: true }));
+    });
+
+    test('finds nothing new on an empty controller', async () => {
+        const result = await recordSync.syncController(controllerInfo());
+
+        expect(result).toEqual(expect.objectContaining({ previousIndex: 0, lastIndex: 0, fetched: 0, stored: 0, complete: true }));
+        expect(controller().readRecordIndex).toBe(0);
+    });
+});
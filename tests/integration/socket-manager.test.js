@@ -0,0 +1,117 @@
+const dgram = require('dgram');
+const SocketManager = require('../../src/core/socket-manager');
+const PacketHandler = require('../../src/core/packet-handler');
+const { ControllerTimeoutError } = require('../../src/core/errors');
+const { startSimulator } = require('../helpers/simulator');
+
+const GET_TIME = 0x32;
+const GET_STATUS = 0x20;
+const FAST = 423000001;
+const SLOW = 423000002;
+
+describe('SocketManager', () => {
+    const packetHandler = new PacketHandler();
+    let simulator;
+    let manager;
+
+    const request = (serialNumber, functionId = GET_TIME, timeout = 2000) =>
+        manager.request(packetHandler.createPacket(functionId, serialNumber), '127.0.0.1', simulator.port, timeout);
+
+    beforeAll(async () => {
+        simulator = await startSimulator({
+            controllers: [
+                { serialNumber: FAST },
+                { serialNumber: SLOW, latency: 150 }
+            ]
+        });
+    });
+
+    afterAll(async () => {
+        await simulator.stop();
+    });
+
+    beforeEach(() => {
+        manager = new SocketManager();
+    });
+
+    afterEach(() => {
+        manager.close();
+    });
+
+    test('matches concurrent replies to their requests, whatever order they arrive in', async () => {
+        const requests = [];
+        for (let i = 0; i < 10; i++) {
+            requests.push([SLOW, GET_STATUS], [FAST, GET_TIME]);
+        }
+
+        const replies = await Promise.all(requests.map(([serialNumber, functionId]) => request(serialNumber, functionId)));
+
+        replies.forEach(({ message }, i) => {
+            expect(message.readUInt32LE(4)).toBe(requests[i][0]);
+            expect(message[1]).toBe(requests[i][1]);
+        });
+        expect(new Set(replies.map(({ message }) => message.readUInt32LE(40))).size).toBe(20);
+        expect(manager.getStats()).toEqual(expect.objectContaining({ sent: 20, matched: 20, inFlight: 0 }));
+    });
+
+    test('stamps a new sequence ID on every send of the same packet', async () => {
+        const packet = packetHandler.createPacket(GET_TIME, FAST);
+        const [first, second] = await Promise.all([
+            manager.request(packet, '127.0.0.1', simulator.port),
+            manager.request(packet, '127.0.0.1', simulator.port)
+        ]);
+
+        expect(first.message.readUInt32LE(40)).not.toBe(second.message.readUInt32LE(40));
+        expect(packet.readUInt32LE(40)).toBe(0);
+    });
+
+    test('times out and discards the late reply', async () => {
+        await expect(request(SLOW, GET_TIME, 50)).rejects.toThrow(ControllerTimeoutError);
+
+        await packetHandler.sleep(200);
+        expect(manager.getStats()).toEqual(expect.objectContaining({ timeouts: 1, unmatched: 1, matched: 0 }));
+
+        const { message } = await request(FAST);
+        expect(message.readUInt32LE(4)).toBe(FAST);
+    });
+
+    describe('with a controller answering for the wrong function or serial', () => {
+        let rogue;
+
+        beforeAll(async () => {
+            // Answers every request three times: with another function ID, another serial, and correctly
+            rogue = dgram.createSocket('udp4');
+            rogue.on('message', (msg, rinfo) => {
+                const wrongFunction = Buffer.from(msg);
+                wrongFunction[1] = GET_STATUS;
+                const wrongSerial = Buffer.from(msg);
+                wrongSerial.writeUInt32LE(FAST + 100, 4);
+
+                [wrongFunction, wrongSerial, msg].forEach(reply => rogue.send(reply, rinfo.port, rinfo.address));
+            });
+            await new Promise(resolve => rogue.bind(0, '127.0.0.1', resolve));
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => rogue.close(resolve));
+        });
+
+        test('rejects the mismatched replies and resolves with the matching one', async () => {
+            const packet = packetHandler.createPacket(GET_TIME, FAST);
+            const { message } = await manager.request(packet, '127.0.0.1', rogue.address().port, 2000);
+
+            expect(message[1]).toBe(GET_TIME);
+            expect(message.readUInt32LE(4)).toBe(FAST);
+            expect(manager.getStats()).toEqual(expect.objectContaining({ mismatched: 2, matched: 1 }));
+        });
+
+        test('accepts a reply from any serial number to discovery', async () => {
+            const packet = packetHandler.createPacket(0x94, 0);
+            const { message } = await manager.request(packet, '127.0.0.1', rogue.address().port, 2000);
+
+            // The reply with another function ID is still rejected
+            expect(message[1]).toBe(0x94);
+            expect(manager.getStats()).toEqual(expect.objectContaining({ mismatched: 1, matched: 1 }));
+        });
+    });
+});
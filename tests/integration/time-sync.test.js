@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ControllerAPI = require('../../src/core/controller-api');
+const ConfigManager = require('../../src/core/config-manager');
+const SocketManager = require('../../src/core/socket-manager');
+const TimeSync = require('../../src/core/time-sync');
+const { ControllerTimeoutError } = require('../../src/core/errors');
+const { startSimulator } = require('../helpers/simulator');
+
+const OPEN_DOOR = 0x40;
+const SERIAL = 423000001;
+
+describe('TimeSync', () => {
+    let simulator;
+    let tempDir;
+    let api;
+
+    const controllerInfo = () => ({ serialNumber: SERIAL, ip: '127.0.0.1', port: simulator.port });
+
+    // A door opening whose request is lost holds the controller's queue until it times out
+    const queueSlowCommand = timeout => {
+        const controller = simulator.getController(SERIAL);
+        controller.packetLoss = 1;
+        simulator.once('request', () => {
+            controller.packetLoss = 0;
+        });
+        return api.sendCommand(controllerInfo(), OPEN_DOOR, [1], { timeout }).catch(error => error);
+    };
+
+    beforeAll(async () => {
+        simulator = await startSimulator({ controllers: [{ serialNumber: SERIAL, latency: 10 }] });
+    });
+
+    afterAll(async () => {
+        SocketManager.getDefault().close();
+        await simulator.stop();
+    });
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'time-sync-'));
+        api = new ControllerAPI();
+        api.configManager = new ConfigManager(path.join(tempDir, 'controllers.json'));
+        api.timeSync = new TimeSync(api, { storeDir: path.join(tempDir, 'time-sync') });
+
+        const controller = simulator.getController(SERIAL);
+        controller.packetLoss = 0;
+        controller.timeOffset = 0;
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('does not count the wait behind a slow command in the round trip', async () => {
+        simulator.getController(SERIAL).timeOffset = 3000;
+
+        const slow = queueSlowCommand(800);
+        const measurement = await api.timeSync.measureDrift(controllerInfo());
+
+        expect(await slow).toBeInstanceOf(ControllerTimeoutError);
+        expect(measurement.roundTrip).toBeLessThan(200);
+        expect(Math.abs(measurement.drift - 3000)).toBeLessThanOrEqual(600);
+    });
+
+    test('corrects a drifting clock measured behind a slow command', async () => {
+        simulator.getController(SERIAL).timeOffset = -4000;
+
+        const slow = queueSlowCommand(800);
+        const result = await api.timeSync.syncController(controllerInfo());
+        await slow;
+
+        expect(result).toEqual(expect.objectContaining({ corrected: true, reason: null }));
+        expect(Math.abs(result.drift + 4000)).toBeLessThanOrEqual(600);
+        expect(Math.abs(result.driftAfter)).toBeLessThan(result.threshold);
+    });
+});
@@ -0,0 +1,143 @@
+const CapabilityRegistry = require('../../src/core/capabilities');
+const PacketHandler = require('../../src/core/packet-handler');
+const { FUNCTION_IDS } = require('../../src/core/protocol-schema');
+const { UnsupportedByFirmwareError } = require('../../src/core/errors');
+
+const LEGACY_TYPE_BYTE = 0x19;
+
+describe('CapabilityRegistry', () => {
+    const capabilities = new CapabilityRegistry(new PacketHandler());
+
+    const controller = (driverVersion, attributes = {}) => ({ serialNumber: 223000123, ip: '192.168.1.10', driverVersion, ...attributes });
+
+    describe('parseVersion', () => {
+        test.each([
+            ['6.56', 656],
+            ['5.38', 538],
+            ['6.5', 605],
+            ['6.05', 605],
+            ['10.2', 1002],
+            [' 6.62 ', 662]
+        ])('reads %s as %s', (version, value) => {
+            expect(capabilities.parseVersion(version)).toBe(value);
+        });
+
+        test.each([undefined, null, '', 'v6.56', '6', '6.100', '6.56.1'])('returns null for %p', version => {
+            expect(capabilities.parseVersion(version)).toBeNull();
+        });
+
+        test('compares versions numerically, not as text', () => {
+            expect(capabilities.parseVersion('6.9')).toBeLessThan(capabilities.parseVersion('6.56'));
+            expect(capabilities.parseVersion('10.00')).toBeGreaterThan(capabilities.parseVersion('9.99'));
+        });
+    });
+
+    describe('checkFunction', () => {
+        test('supports every function from 6.56 on', () => {
+            Object.values(FUNCTION_IDS).forEach(functionId => {
+                expect(capabilities.checkFunction(controller('6.56'), functionId).supported).toBe(true);
+                expect(capabilities.checkFunction(controller('6.62'), functionId).supported).toBe(true);
+            });
+        });
+
+        test('requires 6.56 for packets with type byte 0x17', () => {
+            expect(capabilities.checkFunction(controller('6.55'), FUNCTION_IDS.GET_TIME)).toEqual({
+                supported: false,
+                firmware: '6.55',
+                requiredFirmware: '6.56',
+                reason: 'SDK V3 2015-05-06: Packet type byte 0x17 for brand products'
+            });
+        });
+
+        test('allows older firmware with the legacy type byte', () => {
+            expect(capabilities.checkFunction(controller('6.26'), FUNCTION_IDS.GET_TIME, LEGACY_TYPE_BYTE).supported).toBe(true);
+        });
+
+        test('requires 5.38 for the record index functions', () => {
+            const older = capabilities.checkFunction(controller('5.30'), FUNCTION_IDS.GET_RECORD_INDEX, LEGACY_TYPE_BYTE);
+            const newer = capabilities.checkFunction(controller('5.38'), FUNCTION_IDS.GET_RECORD_INDEX, LEGACY_TYPE_BYTE);
+
+            expect(older.supported).toBe(false);
+            expect(older.requiredFirmware).toBe('5.38');
+            expect(newer.supported).toBe(true);
+        });
+
+        test('does not restrict controllers without a known version', () => {
+            expect(capabilities.checkFunction(controller(undefined), FUNCTION_IDS.GET_TIME).supported).toBe(true);
+            expect(capabilities.checkFunction(controller('unknown'), FUNCTION_IDS.GET_TIME).supported).toBe(true);
+        });
+    });
+
+    describe('assertSupported', () => {
+        test('passes supported functions', () => {
+            expect(() => capabilities.assertSupported(controller('6.56'), FUNCTION_IDS.SET_TIME)).not.toThrow();
+        });
+
+        test('refuses unsupported functions with the required firmware', () => {
+            let error;
+            try {
+                capabilities.assertSupported(controller('6.26'), FUNCTION_IDS.SET_TIME);
+            } catch (thrown) {
+                error = thrown;
+            }
+
+            expect(error).toBeInstanceOf(UnsupportedByFirmwareError);
+            expect(error.httpStatus).toBe(501);
+            expect(error.message).toMatch(/^Set date and time \(0x30\) requires firmware 6\.56 or later; controller 223000123 runs 6\.26/);
+            expect(error.context).toEqual({
+                serialNumber: 223000123,
+                ip: '192.168.1.10',
+                functionId: '0x30',
+                firmware: '6.26',
+                requiredFirmware: '6.56'
+            });
+        });
+    });
+
+    describe('getCapabilities', () => {
+        test('reports a current controller as compatible without warnings', () => {
+            const report = capabilities.getCapabilities(controller('6.56'));
+
+            expect(report.known).toBe(true);
+            expect(report.compatible).toBe(true);
+            expect(report.typeByte).toBe('0x17');
+            expect(report.unsupportedFields).toEqual([]);
+            expect(report.warnings).toEqual([]);
+        });
+
+        test('reports older firmware addressed with 0x17 as incompatible', () => {
+            const report = capabilities.getCapabilities(controller('6.26'));
+
+            expect(report.compatible).toBe(false);
+            expect(report.functions.every(f => !f.supported)).toBe(true);
+            expect(report.warnings).toEqual([
+                'Firmware 6.26 is older than 6.56: Packet type byte 0x17 for brand products (SDK V3 2015-05-06) ' +
+                'is not supported, so commands sent with type 0x17 go unanswered'
+            ]);
+        });
+
+        test('reports older firmware addressed with its legacy type byte as compatible', () => {
+            const report = capabilities.getCapabilities(controller('6.26', { typeByte: LEGACY_TYPE_BYTE }));
+
+            expect(report.typeByte).toBe('0x19');
+            expect(report.compatible).toBe(true);
+            expect(report.warnings).toEqual([]);
+        });
+
+        test('lists extended response fields that firmware before 5.38 does not send', () => {
+            const report = capabilities.getCapabilities(controller('5.20', { typeByte: LEGACY_TYPE_BYTE }));
+            const status = report.unsupportedFields.find(entry => entry.functionId === '0x20');
+
+            expect(status.requiredFirmware).toBe('5.38');
+            expect(status.fields).toEqual(expect.arrayContaining(['specialInfo', 'relayStatus', 'alarmFlags', 'controllerDate']));
+        });
+
+        test('warns when the firmware version is unknown', () => {
+            const report = capabilities.getCapabilities(controller(undefined));
+
+            expect(report.known).toBe(false);
+            expect(report.compatible).toBe(true);
+            expect(report.warnings).toEqual(['Firmware version unknown; run discover to read it']);
+        });
+    });
+});
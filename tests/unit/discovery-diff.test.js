@@ -0,0 +1,87 @@
+const ControllerAPI = require('../../src/core/controller-api');
+
+describe('ControllerAPI.buildDiscoveryDiff', () => {
+    const api = new ControllerAPI();
+
+    const controller = (serialNumber, attributes = {}) => ({
+        serialNumber,
+        ip: '192.168.1.10',
+        subnetMask: '255.255.255.0',
+        gateway: '192.168.1.1',
+        macAddress: '00:57:19:36:77:c1',
+        driverVersion: '6.56',
+        typeByte: 0x17,
+        port: 60000,
+        ...attributes
+    });
+
+    test('reports controllers that are not saved as new', () => {
+        const found = [controller(1), controller(2)];
+        const diff = api.buildDiscoveryDiff([controller(1)], found, 'broadcast');
+
+        expect(diff.scope).toBe('broadcast');
+        expect(diff.new).toEqual([found[1]]);
+        expect(diff.unchanged).toBe(1);
+        expect(diff.missing).toEqual([]);
+        expect(diff.changed).toEqual([]);
+    });
+
+    test('reports saved controllers that did not answer as missing, with their last seen time and tags', () => {
+        const saved = [
+            controller(1),
+            controller(2, { ip: '192.168.1.11', lastSeen: '2026-10-01T08:00:00.000Z', tags: ['lobby'] })
+        ];
+        const diff = api.buildDiscoveryDiff(saved, [controller(1)], 'broadcast');
+
+        expect(diff.missing).toEqual([
+            { serialNumber: 2, ip: '192.168.1.11', lastSeen: '2026-10-01T08:00:00.000Z', tags: ['lobby'] }
+        ]);
+    });
+
+    test('reports every changed field with its old and new value', () => {
+        const saved = [controller(1)];
+        const found = [controller(1, { ip: '192.168.1.20', driverVersion: '6.62', port: 60001 })];
+        const diff = api.buildDiscoveryDiff(saved, found, 'broadcast');
+
+        expect(diff.changed).toEqual([{
+            serialNumber: 1,
+            ip: '192.168.1.20',
+            changes: [
+                { field: 'ip', from: '192.168.1.10', to: '192.168.1.20' },
+                { field: 'driverVersion', from: '6.56', to: '6.62' },
+                { field: 'port', from: 60000, to: 60001 }
+            ]
+        }]);
+        expect(diff.unchanged).toBe(0);
+    });
+
+    test('does not count fields missing from the saved controller as changes', () => {
+        const saved = [{ serialNumber: 1, ip: '192.168.1.10' }];
+        const diff = api.buildDiscoveryDiff(saved, [controller(1)], 'broadcast');
+
+        expect(diff.changed).toEqual([]);
+        expect(diff.unchanged).toBe(1);
+    });
+
+    test('ignores attributes that are not discovery fields', () => {
+        const saved = [controller(1, { tags: ['lobby'], timeZone: 'Europe/Berlin', lastSeen: '2026-10-01T08:00:00.000Z' })];
+        const diff = api.buildDiscoveryDiff(saved, [controller(1)], 'broadcast');
+
+        expect(diff.changed).toEqual([]);
+    });
+
+    test('only reports saved controllers the run could reach as missing', () => {
+        const saved = [controller(1), controller(2, { ip: '10.0.0.5' }), controller(3, { ip: '10.0.0.6' })];
+        const diff = api.buildDiscoveryDiff(saved, [], 'targets', saved => saved.ip === '10.0.0.5');
+
+        expect(diff.missing.map(missing => missing.serialNumber)).toEqual([2]);
+    });
+
+    test('reports an empty inventory as all new', () => {
+        const diff = api.buildDiscoveryDiff([], [controller(1), controller(2)], 'scan');
+
+        expect(diff.new).toHaveLength(2);
+        expect(diff.missing).toEqual([]);
+        expect(diff.unchanged).toBe(0);
+    });
+});
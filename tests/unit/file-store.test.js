@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { withFileLock, writeFileAtomic } = require('../../src/core/file-store');
+const TimeSync = require('../../src/core/time-sync');
+
+describe('file store', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const readCount = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8')).count;
+
+    const increment = filePath => withFileLock(filePath, async () => {
+        const count = fs.existsSync(filePath) ? readCount(filePath) : 0;
+        await new Promise(resolve => setImmediate(resolve));
+        await writeFileAtomic(filePath, JSON.stringify({ count: count + 1 }));
+    });
+
+    test('runs load-modify-save cycles on one file one at a time', async () => {
+        const filePath = path.join(tempDir, 'counter.json');
+
+        await Promise.all(Array.from({ length: 10 }, () => increment(filePath)));
+
+        expect(readCount(filePath)).toBe(10);
+    });
+
+    test('treats relative and absolute paths to one file as the same lock', async () => {
+        const filePath = path.join(tempDir, 'counter.json');
+        const relativePath = path.relative(process.cwd(), filePath);
+
+        await Promise.all([increment(filePath), increment(relativePath), increment(filePath)]);
+
+        expect(readCount(filePath)).toBe(3);
+    });
+
+    test('runs the next write after a failed one', async () => {
+        const filePath = path.join(tempDir, 'counter.json');
+        const failing = withFileLock(filePath, async () => {
+            throw new Error('disk full');
+        });
+
+        await expect(failing).rejects.toThrow('disk full');
+        await increment(filePath);
+        expect(readCount(filePath)).toBe(1);
+    });
+
+    test('creates the directory and leaves no temporary file behind', async () => {
+        const filePath = path.join(tempDir, 'nested', 'data.json');
+
+        await writeFileAtomic(filePath, '{}');
+
+        expect(fs.readdirSync(path.dirname(filePath))).toEqual(['data.json']);
+    });
+
+    test('keeps every drift measurement written side by side', async () => {
+        const timeSync = new TimeSync({}, { storeDir: tempDir });
+
+        await Promise.all(Array.from({ length: 5 }, (_, drift) => timeSync.addHistory(1, { drift })));
+
+        const { history } = await timeSync.loadHistory(1);
+        expect(history.map(entry => entry.drift).sort()).toEqual([0, 1, 2, 3, 4]);
+    });
+});
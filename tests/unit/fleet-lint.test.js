@@ -0,0 +1,156 @@
+const ControllerAPI = require('../../src/core/controller-api');
+
+describe('FleetLint', () => {
+    const api = new ControllerAPI();
+    const fleetLint = api.fleetLint;
+
+    const interfaces = [{ name: 'eth0', address: '192.168.1.5', netmask: '255.255.255.0' }];
+
+    const controller = (serialNumber, attributes = {}) => ({
+        serialNumber,
+        ip: '192.168.1.10',
+        subnetMask: '255.255.255.0',
+        gateway: '192.168.1.1',
+        ...attributes
+    });
+
+    const checksOf = issues => issues.map(issue => issue.check);
+
+    describe('checkDuplicateIPs', () => {
+        test('reports an IP used by several controllers once', () => {
+            const issues = fleetLint.checkDuplicateIPs([controller(1), controller(2), controller(3, { ip: '192.168.1.11' })], interfaces);
+
+            expect(issues).toEqual([expect.objectContaining({
+                check: 'duplicate-ip',
+                severity: 'error',
+                serialNumbers: [1, 2],
+                ip: '192.168.1.10',
+                message: 'IP address 192.168.1.10 is used by controllers 1, 2'
+            })]);
+        });
+
+        test('reports a controller using the address of this host', () => {
+            const issues = fleetLint.checkDuplicateIPs([controller(1, { ip: '192.168.1.5' })], interfaces);
+
+            expect(issues).toHaveLength(1);
+            expect(issues[0].message).toBe('IP address 192.168.1.5 is used by controller 1 and this host (eth0)');
+        });
+
+        test('ignores controllers without an IP', () => {
+            expect(fleetLint.checkDuplicateIPs([controller(1, { ip: null }), controller(2, { ip: null })], interfaces)).toEqual([]);
+        });
+    });
+
+    describe('checkController', () => {
+        test('finds nothing wrong with a well configured controller', () => {
+            expect(fleetLint.checkController(controller(1), interfaces)).toEqual([]);
+        });
+
+        test('warns when the controller answers from another address', () => {
+            const issues = fleetLint.checkController(controller(1, { remoteAddress: '10.0.0.7' }), interfaces);
+
+            expect(checksOf(issues)).toEqual(['address-mismatch']);
+            expect(issues[0].severity).toBe('warning');
+        });
+
+        test.each(['255.0.255.0', '0.0.0.0', 'garbage'])('reports the invalid subnet mask %s', subnetMask => {
+            const issues = fleetLint.checkController(controller(1, { subnetMask }), interfaces);
+
+            expect(checksOf(issues)).toEqual(['invalid-subnet-mask']);
+        });
+
+        test('reports a gateway outside the controller\'s subnet', () => {
+            const issues = fleetLint.checkController(controller(1, { gateway: '192.168.2.1' }), interfaces);
+
+            expect(checksOf(issues)).toEqual(['gateway-outside-subnet']);
+            expect(issues[0].message).toBe('Gateway 192.168.2.1 of controller 1 is outside its subnet 192.168.1.0/24');
+        });
+
+        test('reports a controller using its own address as gateway', () => {
+            const issues = fleetLint.checkController(controller(1, { gateway: '192.168.1.10' }), interfaces);
+
+            expect(issues[0].message).toBe('Controller 1 uses its own address 192.168.1.10 as gateway');
+        });
+
+        test('accepts gateway 0.0.0.0 as no gateway', () => {
+            expect(fleetLint.checkController(controller(1, { gateway: '0.0.0.0' }), interfaces)).toEqual([]);
+        });
+
+        test('warns about a controller on a subnet no local interface is on', () => {
+            const issues = fleetLint.checkController(controller(1, { ip: '10.20.0.7', gateway: '10.20.0.1' }), interfaces);
+
+            expect(checksOf(issues)).toEqual(['foreign-subnet']);
+        });
+
+        test('does not report foreign subnets when there are no local interfaces', () => {
+            expect(fleetLint.checkController(controller(1, { ip: '10.20.0.7', gateway: '10.20.0.1' }), [])).toEqual([]);
+        });
+
+        test.each(['192.168.0.0', '192.168.168.101', '0.0.0.0'])('warns about the factory-default address %s', ip => {
+            const issues = fleetLint.checkController(controller(1, { ip, subnetMask: null, gateway: null }), []);
+
+            expect(checksOf(issues)).toEqual(['factory-default']);
+        });
+
+        test('skips controllers without an IP', () => {
+            expect(fleetLint.checkController(controller(1, { ip: undefined }), interfaces)).toEqual([]);
+        });
+    });
+
+    describe('lint', () => {
+        beforeEach(() => {
+            jest.spyOn(api, 'loadInterfaceConfig').mockResolvedValue();
+            jest.spyOn(api.packetHandler, 'getNetworkInterfaces').mockReturnValue(interfaces);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('reports issues in check order with a summary', async () => {
+            const report = await fleetLint.lint({
+                controllers: [
+                    controller(1, { ip: '192.168.168.101', gateway: '192.168.168.1' }),
+                    controller(2, { gateway: '10.0.0.1' }),
+                    controller(3, { gateway: '10.0.0.1' })
+                ]
+            });
+
+            expect(checksOf(report.issues)).toEqual([
+                'duplicate-ip',
+                'gateway-outside-subnet',
+                'gateway-outside-subnet',
+                'foreign-subnet',
+                'factory-default'
+            ]);
+            expect(report.summary).toEqual({
+                errors: 3,
+                warnings: 2,
+                byCheck: {
+                    'duplicate-ip': 1,
+                    'address-mismatch': 0,
+                    'invalid-subnet-mask': 0,
+                    'gateway-outside-subnet': 2,
+                    'foreign-subnet': 1,
+                    'factory-default': 1
+                }
+            });
+            expect(report.controllers).toBe(3);
+            expect(report.interfaces).toEqual(interfaces);
+            expect(report.clean).toBe(false);
+        });
+
+        test('reports a clean fleet', async () => {
+            const report = await fleetLint.lint({ controllers: [controller(1), controller(2, { ip: '192.168.1.11' })] });
+
+            expect(report.issues).toEqual([]);
+            expect(report.clean).toBe(true);
+        });
+
+        test('checks every local interface, including ones left out of discovery', async () => {
+            await fleetLint.lint({ controllers: [] });
+
+            expect(api.packetHandler.getNetworkInterfaces).toHaveBeenCalledWith({ all: true });
+        });
+    });
+});
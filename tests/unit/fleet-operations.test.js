@@ -0,0 +1,137 @@
+const ControllerAPI = require('../../src/core/controller-api');
+const { ControllerNotFoundError, ControllerTimeoutError, ValidationError } = require('../../src/core/errors');
+
+describe('FleetOperations', () => {
+    let api;
+    let fleet;
+
+    const controllers = [
+        { serialNumber: 1, ip: '192.168.1.10', tags: ['lobby', 'north'] },
+        { serialNumber: 2, ip: '192.168.1.11', tags: ['lobby'] },
+        { serialNumber: 3, ip: '192.168.2.10', tags: ['lobby', 'north'] },
+        { serialNumber: 4, ip: '192.168.1.12' }
+    ];
+
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    const serials = list => list.map(controller => controller.serialNumber);
+
+    beforeEach(() => {
+        api = new ControllerAPI();
+        fleet = api.fleetOperations;
+        jest.spyOn(api, 'getSavedControllers').mockResolvedValue(controllers);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('selectControllers', () => {
+        test('requires a selector', async () => {
+            await expect(fleet.selectControllers({})).rejects.toThrow(ValidationError);
+        });
+
+        test('selects every saved controller', async () => {
+            expect(serials(await fleet.selectControllers({ all: true }))).toEqual([1, 2, 3, 4]);
+        });
+
+        test('selects controllers carrying every listed tag', async () => {
+            expect(serials(await fleet.selectControllers({ tags: ['lobby', 'north'] }))).toEqual([1, 3]);
+        });
+
+        test('combines subnet and tags: a controller must match both', async () => {
+            expect(serials(await fleet.selectControllers({ subnet: '192.168.1.0/24', tags: ['north'] }))).toEqual([1]);
+        });
+
+        test('combines serials with the other criteria', async () => {
+            expect(serials(await fleet.selectControllers({ serials: [1, 2, 3], subnet: '192.168.1.0/24', tags: ['lobby'] })))
+                .toEqual([1, 2]);
+        });
+
+        test('rejects a listed serial number that is not saved', async () => {
+            await expect(fleet.selectControllers({ serials: [1, 99] })).rejects.toThrow(ControllerNotFoundError);
+        });
+
+        test('rejects an invalid subnet', async () => {
+            await expect(fleet.selectControllers({ subnet: '192.168.1.0/40' })).rejects.toThrow(/Invalid subnet/);
+        });
+    });
+
+    describe('run', () => {
+        test('runs no more controllers at once than the concurrency', async () => {
+            let running = 0;
+            let maxRunning = 0;
+            jest.spyOn(api, 'getControllerStatus').mockImplementation(async () => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await flush();
+                running--;
+                return { success: true };
+            });
+
+            const report = await fleet.run('getStatus', { all: true }, { concurrency: 2 });
+
+            expect(maxRunning).toBe(2);
+            expect(report).toEqual(expect.objectContaining({ concurrency: 2, total: 4, succeeded: 4, failed: 0, skipped: 0 }));
+        });
+
+        test('stops starting controllers at the failure threshold and reports the rest as skipped', async () => {
+            jest.spyOn(api, 'getControllerStatus').mockRejectedValue(new ControllerTimeoutError('Timeout waiting for response'));
+
+            const report = await fleet.run('getStatus', { all: true }, { concurrency: 1, failureThreshold: 2 });
+
+            expect(report).toEqual(expect.objectContaining({
+                total: 4,
+                succeeded: 0,
+                failed: 2,
+                skipped: 2,
+                stopped: true,
+                stopReason: 'Failure threshold reached (2 of 4 failed)'
+            }));
+            expect(report.results.map(result => result.status)).toEqual(['failed', 'failed', 'skipped', 'skipped']);
+            expect(report.results[0]).toEqual(expect.objectContaining({ serialNumber: 1, code: 'CONTROLLER_TIMEOUT' }));
+        });
+
+        test('lets controllers already started finish after the threshold is reached', async () => {
+            jest.spyOn(api, 'getControllerStatus').mockImplementation(controller => (controller.serialNumber === 1
+                ? Promise.reject(new ControllerTimeoutError('Timeout waiting for response'))
+                : Promise.resolve({ success: true })));
+
+            const report = await fleet.run('getStatus', { all: true }, { concurrency: 2, failureThreshold: 1 });
+
+            expect(report.results.map(result => result.status)).toEqual(['failed', 'success', 'skipped', 'skipped']);
+            expect(report).toEqual(expect.objectContaining({ succeeded: 1, failed: 1, skipped: 2, stopped: true }));
+        });
+
+        test('does not stop when the last controller reaches the threshold', async () => {
+            jest.spyOn(api, 'getControllerStatus').mockImplementation(controller => (controller.serialNumber === 4
+                ? Promise.reject(new ControllerTimeoutError('Timeout waiting for response'))
+                : Promise.resolve({ success: true })));
+
+            const report = await fleet.run('getStatus', { all: true }, { concurrency: 1, failureThreshold: 1 });
+
+            expect(report).toEqual(expect.objectContaining({ succeeded: 3, failed: 1, skipped: 0, stopped: false }));
+        });
+
+        test('reports each result as it finishes', async () => {
+            jest.spyOn(api, 'getControllerStatus').mockResolvedValue({ success: true });
+            const onResult = jest.fn();
+
+            await fleet.run('getStatus', { tags: ['north'] }, { onResult });
+
+            expect(onResult.mock.calls.map(([result]) => result.serialNumber)).toEqual([1, 3]);
+        });
+
+        test('validates the params before contacting any controller', async () => {
+            const setDoorParams = jest.spyOn(api, 'setDoorParams');
+
+            await expect(fleet.run('setDoorParams', { all: true }, { params: { doorNumber: 1, controlMode: 3, openDelay: 300 } }))
+                .rejects.toThrow(/Invalid open delay: 300/);
+            expect(setDoorParams).not.toHaveBeenCalled();
+        });
+
+        test('rejects an unknown operation and a concurrency out of range', async () => {
+            await expect(fleet.run('reboot', { all: true })).rejects.toThrow(/Unknown fleet operation: reboot/);
+            await expect(fleet.run('getStatus', { all: true }, { concurrency: 51 })).rejects.toThrow(/Invalid concurrency/);
+        });
+    });
+});
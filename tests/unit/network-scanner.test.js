@@ -0,0 +1,82 @@
+const ControllerAPI = require('../../src/core/controller-api');
+const { ValidationError } = require('../../src/core/errors');
+
+describe('NetworkScanner', () => {
+    const api = new ControllerAPI();
+    const scanner = api.networkScanner;
+    const ip = address => api.packetHandler.ipToNumber(address);
+
+    describe('parseRange', () => {
+        test.each([
+            ['10.20.0.0/22', '10.20.0.0/22', '10.20.0.1', '10.20.3.254', 1022],
+            ['192.168.1.77/24', '192.168.1.0/24', '192.168.1.1', '192.168.1.254', 254],
+            ['10.0.0.0/30', '10.0.0.0/30', '10.0.0.1', '10.0.0.2', 2],
+            ['10.0.0.4/31', '10.0.0.4/31', '10.0.0.4', '10.0.0.5', 2],
+            ['10.0.0.9/32', '10.0.0.9', '10.0.0.9', '10.0.0.9', 1],
+            ['10.0.0.9', '10.0.0.9', '10.0.0.9', '10.0.0.9', 1]
+        ])('parses %s as the host addresses of %s', (spec, name, first, last, count) => {
+            expect(scanner.parseRange(spec)).toEqual({ spec: name, first: ip(first), last: ip(last), count });
+        });
+
+        test('parses an address range', () => {
+            expect(scanner.parseRange('10.30.5.10-10.30.5.80'))
+                .toEqual({ spec: '10.30.5.10-10.30.5.80', first: ip('10.30.5.10'), last: ip('10.30.5.80'), count: 71 });
+        });
+
+        test('parses a range ending in a bare last octet within the same /24', () => {
+            expect(scanner.parseRange('10.30.5.10-80'))
+                .toEqual({ spec: '10.30.5.10-80', first: ip('10.30.5.10'), last: ip('10.30.5.80'), count: 71 });
+        });
+
+        test('parses a range across octets', () => {
+            expect(scanner.parseRange('10.30.5.250-10.30.6.4').count).toBe(11);
+        });
+
+        test.each([
+            ['a reversed range', '10.30.5.80-10.30.5.10'],
+            ['an invalid range end', '10.30.5.10-10.30.5'],
+            ['an octet over 255', '10.30.5.256'],
+            ['a prefix over 32', '10.0.0.0/33'],
+            ['a non-numeric prefix', '10.0.0.0/abc'],
+            ['a second slash', '10.0.0.0/24/8'],
+            ['a host name', 'controllers.local']
+        ])('rejects %s', (name, spec) => {
+            expect(() => scanner.parseRange(spec)).toThrow(ValidationError);
+        });
+    });
+
+    describe('parseTargets', () => {
+        test('parses a comma-separated list and an array the same way', () => {
+            const fromString = scanner.parseTargets('10.20.0.0/24, 10.30.5.10-20,10.40.0.1');
+            const fromArray = scanner.parseTargets(['10.20.0.0/24', '10.30.5.10-20', '10.40.0.1']);
+
+            expect(fromString).toEqual(fromArray);
+            expect(fromString.map(range => range.count)).toEqual([254, 11, 1]);
+        });
+
+        test('rejects an empty target list', () => {
+            expect(() => scanner.parseTargets(' , ')).toThrow(/No scan targets given/);
+            expect(() => scanner.parseTargets([])).toThrow(ValidationError);
+        });
+
+        test('accepts a /16 and rejects scans over the address limit', () => {
+            // A /16 is 65534 hosts
+            expect(scanner.parseTargets('10.20.0.0/16')[0].count).toBe(65534);
+            expect(() => scanner.parseTargets('10.20.0.0/15')).toThrow(/exceeds the limit of 65536/);
+            expect(() => scanner.parseTargets('10.20.0.0/16,10.21.0.0/24')).toThrow(/exceeds the limit/);
+        });
+    });
+
+    describe('validateLimit', () => {
+        test('uses the default when no value is given', () => {
+            expect(scanner.validateLimit(undefined, 'rate', 200, 10000)).toBe(200);
+            expect(scanner.validateLimit('', 'rate', 200, 10000)).toBe(200);
+        });
+
+        test('accepts values from 1 to the maximum', () => {
+            expect(scanner.validateLimit('64', 'concurrency', 32, 256)).toBe(64);
+            expect(() => scanner.validateLimit(0, 'concurrency', 32, 256)).toThrow(ValidationError);
+            expect(() => scanner.validateLimit(257, 'concurrency', 32, 256)).toThrow(/Must be between 1 and 256/);
+        });
+    });
+});
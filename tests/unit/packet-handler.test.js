@@ -0,0 +1,172 @@
+const PacketHandler = require('../../src/core/packet-handler');
+
+describe('PacketHandler', () => {
+    const packetHandler = new PacketHandler();
+
+    describe('BCD conversion', () => {
+        test('converts every two-digit value both ways', () => {
+            for (let value = 0; value <= 99; value++) {
+                const bcd = packetHandler.decimalToBCD(value);
+                expect(bcd).toBe(parseInt(value.toString(), 16));
+                expect(packetHandler.bcdToDecimal(bcd)).toBe(value);
+            }
+        });
+
+        test('converts a date to BCD bytes and back', () => {
+            expect(packetHandler.dateStringToBCDBytes('2026-03-29')).toEqual([0x20, 0x26, 0x03, 0x29]);
+            expect(packetHandler.bcdBytesToDateString([0x20, 0x26, 0x03, 0x29])).toBe('2026-03-29');
+        });
+
+        test('reads all-zero bytes as no date', () => {
+            expect(packetHandler.bcdBytesToDateString([0, 0, 0, 0])).toBeNull();
+            expect(packetHandler.bcdBytesToDate([0, 0, 0, 0, 0, 0, 0], 'UTC')).toBeNull();
+        });
+    });
+
+    describe('time zones', () => {
+        const bytesOf = (date, timeZone) => {
+            const bcd = packetHandler.dateToBCD(date, timeZone);
+            return [bcd.yearHigh, bcd.yearLow, bcd.month, bcd.day, bcd.hour, bcd.minute, bcd.second];
+        };
+
+        test('writes the wall-clock time of the controller\'s zone', () => {
+            const date = new Date('2026-07-01T10:15:30Z');
+
+            expect(bytesOf(date, 'Europe/Berlin')).toEqual([0x20, 0x26, 0x07, 0x01, 0x12, 0x15, 0x30]);
+            expect(bytesOf(date, 'America/New_York')).toEqual([0x20, 0x26, 0x07, 0x01, 0x06, 0x15, 0x30]);
+            expect(bytesOf(date, 'UTC')).toEqual([0x20, 0x26, 0x07, 0x01, 0x10, 0x15, 0x30]);
+        });
+
+        test('writes a date on the other side of midnight in the controller\'s zone', () => {
+            expect(bytesOf(new Date('2026-12-31T23:30:00Z'), 'Asia/Tokyo'))
+                .toEqual([0x20, 0x27, 0x01, 0x01, 0x08, 0x30, 0x00]);
+        });
+
+        test.each([
+            ['before the spring change', '2026-03-29T00:59:59Z', [0x20, 0x26, 0x03, 0x29, 0x01, 0x59, 0x59]],
+            ['after the spring change', '2026-03-29T01:00:00Z', [0x20, 0x26, 0x03, 0x29, 0x03, 0x00, 0x00]],
+            ['the first 02:30 in autumn', '2026-10-25T00:30:00Z', [0x20, 0x26, 0x10, 0x25, 0x02, 0x30, 0x00]],
+            ['the second 02:30 in autumn', '2026-10-25T01:30:00Z', [0x20, 0x26, 0x10, 0x25, 0x02, 0x30, 0x00]],
+            ['after the autumn change', '2026-10-25T02:00:00Z', [0x20, 0x26, 0x10, 0x25, 0x03, 0x00, 0x00]]
+        ])('writes Europe/Berlin time %s', (name, time, bytes) => {
+            expect(bytesOf(new Date(time), 'Europe/Berlin')).toEqual(bytes);
+        });
+
+        test.each([
+            ['Europe/Berlin', '2026-03-29T00:59:59Z'],
+            ['Europe/Berlin', '2026-03-29T01:00:00Z'],
+            ['Europe/Berlin', '2026-10-25T00:59:59Z'],
+            ['Europe/Berlin', '2026-10-25T02:00:00Z'],
+            ['America/New_York', '2026-03-08T06:59:59Z'],
+            ['America/New_York', '2026-03-08T07:00:00Z'],
+            ['America/New_York', '2026-11-01T07:00:00Z'],
+            ['Australia/Sydney', '2026-04-04T17:00:00Z'],
+            ['Australia/Sydney', '2026-10-03T16:00:00Z']
+        ])('reads back %s %s unchanged around the DST change', (timeZone, time) => {
+            const date = new Date(time);
+
+            expect(packetHandler.bcdBytesToDate(bytesOf(date, timeZone), timeZone)).toEqual(date);
+        });
+
+        test('reads a time skipped in spring as moved forward by the shift', () => {
+            // 02:30 does not exist in Berlin on 2026-03-29; it is 03:30 CEST
+            expect(packetHandler.bcdBytesToDate([0x20, 0x26, 0x03, 0x29, 0x02, 0x30, 0x00], 'Europe/Berlin'))
+                .toEqual(new Date('2026-03-29T01:30:00Z'));
+        });
+
+        test('reads a time repeated in autumn as its first occurrence', () => {
+            // 02:30 happens twice in Berlin on 2026-10-25; the first one is 02:30 CEST
+            expect(packetHandler.bcdBytesToDate([0x20, 0x26, 0x10, 0x25, 0x02, 0x30, 0x00], 'Europe/Berlin'))
+                .toEqual(new Date('2026-10-25T00:30:00Z'));
+        });
+
+        test('reports the offset in effect at a date', () => {
+            const hour = 60 * 60 * 1000;
+
+            expect(packetHandler.getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), 'Europe/Berlin')).toBe(hour);
+            expect(packetHandler.getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'Europe/Berlin')).toBe(2 * hour);
+            expect(packetHandler.getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'America/New_York')).toBe(-4 * hour);
+        });
+
+        test('formats the wall-clock time of a zone', () => {
+            expect(packetHandler.formatDateTime(new Date('2026-10-25T01:30:00Z'), 'Europe/Berlin')).toBe('2026-10-25 02:30:00');
+        });
+
+        test('accepts IANA zone names only', () => {
+            expect(packetHandler.isValidTimeZone('Europe/Berlin')).toBe(true);
+            expect(packetHandler.isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+        });
+    });
+
+    describe('subnets', () => {
+        test('parses a subnet to its network and broadcast addresses', () => {
+            expect(packetHandler.parseSubnet('192.168.1.77/24')).toEqual({
+                cidr: '192.168.1.0/24',
+                network: '192.168.1.0',
+                broadcast: '192.168.1.255',
+                prefix: 24,
+                first: packetHandler.ipToNumber('192.168.1.0'),
+                last: packetHandler.ipToNumber('192.168.1.255')
+            });
+            expect(packetHandler.parseSubnet('0.0.0.0/0').broadcast).toBe('255.255.255.255');
+        });
+
+        test('checks addresses against a subnet', () => {
+            const subnet = packetHandler.parseSubnet('10.20.0.0/22');
+
+            expect(packetHandler.isInSubnet('10.20.3.255', subnet)).toBe(true);
+            expect(packetHandler.isInSubnet('10.20.4.0', subnet)).toBe(false);
+            expect(packetHandler.isInSubnet('not-an-ip', subnet)).toBe(false);
+        });
+
+        test.each([
+            ['255.255.255.0', 24],
+            ['255.255.252.0', 22],
+            ['255.255.255.255', 32],
+            ['0.0.0.0', 0],
+            ['255.0.255.0', null],
+            ['255.255.255.1', null],
+            ['255.255.256.0', null]
+        ])('converts the mask %s to prefix %s', (mask, prefix) => {
+            expect(packetHandler.maskToPrefix(mask)).toBe(prefix);
+        });
+    });
+
+    describe('protocol variants', () => {
+        test('combines every type byte with every port, in order', () => {
+            expect(packetHandler.getProtocolVariants({ typeBytes: '0x17,0x19', ports: '60000, 60001' })).toEqual([
+                { typeByte: 0x17, port: 60000 },
+                { typeByte: 0x17, port: 60001 },
+                { typeByte: 0x19, port: 60000 },
+                { typeByte: 0x19, port: 60001 }
+            ]);
+        });
+
+        test('uses the configured candidates when none are given', () => {
+            expect(packetHandler.getProtocolVariants()).toEqual(packetHandler.TYPE_BYTES.flatMap(typeByte =>
+                packetHandler.CONTROLLER_PORTS.map(port => ({ typeByte, port }))));
+        });
+
+        test.each([
+            ['256', 'Invalid type byte: 256. Must be between 0 and 255'],
+            ['-1', 'Invalid type byte: -1. Must be between 0 and 255'],
+            ['0x17,abc', 'Invalid type byte: abc. Must be between 0 and 255'],
+            [',', 'Invalid type byte list: ,']
+        ])('rejects the type bytes %s', (typeBytes, message) => {
+            expect(() => packetHandler.getProtocolVariants({ typeBytes })).toThrow(message);
+        });
+
+        test.each([
+            ['0', 'Invalid port: 0. Must be between 1 and 65535'],
+            ['65536', 'Invalid port: 65536. Must be between 1 and 65535'],
+            ['60000.5', 'Invalid port: 60000.5. Must be between 1 and 65535']
+        ])('rejects the ports %s', (ports, message) => {
+            expect(() => packetHandler.getProtocolVariants({ ports })).toThrow(message);
+        });
+
+        test('accepts a port above 255 and a type byte of 0', () => {
+            expect(packetHandler.parsePorts('1,65535', [])).toEqual([1, 65535]);
+            expect(packetHandler.parseTypeBytes([0, '0xFF'], [])).toEqual([0, 255]);
+        });
+    });
+});
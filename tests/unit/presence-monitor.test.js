@@ -0,0 +1,209 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PresenceMonitor = require('../../src/core/presence-monitor');
+const { ControllerTimeoutError } = require('../../src/core/errors');
+
+describe('PresenceMonitor', () => {
+    const controller = { serialNumber: 423000001, ip: '192.168.1.10' };
+    let storeDir;
+    let api;
+    let monitor;
+    let events;
+
+    // Answers (true) or misses (false) the next checks, returning the state after each
+    const check = async (...answers) => {
+        const states = [];
+        for (const answered of answers) {
+            api.pingController.mockImplementationOnce(answered
+                ? () => Promise.resolve({ success: true })
+                : () => Promise.reject(new ControllerTimeoutError()));
+            states.push((await monitor.checkController(controller)).state);
+        }
+        return states;
+    };
+
+    beforeEach(() => {
+        storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'presence-'));
+        api = {
+            getSavedControllers: jest.fn().mockResolvedValue([controller]),
+            pingController: jest.fn(),
+            getControllerStatus: jest.fn().mockResolvedValue({ success: true })
+        };
+        monitor = new PresenceMonitor(api, { storeDir, failureThreshold: 3, recoveryThreshold: 2 });
+
+        events = [];
+        monitor.on('controller_online', event => events.push(['online', event]));
+        monitor.on('controller_offline', event => events.push(['offline', event]));
+    });
+
+    afterEach(() => {
+        fs.rmSync(storeDir, { recursive: true, force: true });
+    });
+
+    describe('hysteresis', () => {
+        test('a first answer sets online without announcing it', async () => {
+            expect(await check(true)).toEqual(['online']);
+            expect(events).toEqual([]);
+        });
+
+        test('a first miss leaves the state unknown until the failure threshold', async () => {
+            expect(await check(false, false, false)).toEqual(['unknown', 'unknown', 'offline']);
+        });
+
+        test('goes degraded on the first miss and offline after the failure threshold', async () => {
+            expect(await check(true, false, false, false)).toEqual(['online', 'degraded', 'degraded', 'offline']);
+
+            expect(events).toHaveLength(1);
+            expect(events[0][0]).toBe('offline');
+            expect(events[0][1]).toEqual(expect.objectContaining({
+                serialNumber: 423000001,
+                ip: '192.168.1.10',
+                from: 'degraded',
+                reason: '3 missed checks'
+            }));
+        });
+
+        test('goes degraded on the first answer after offline and online after the recovery threshold', async () => {
+            await check(true, false, false, false);
+            events = [];
+
+            expect(await check(true, true)).toEqual(['degraded', 'online']);
+            expect(events.map(([type, event]) => [type, event.from])).toEqual([['online', 'degraded']]);
+        });
+
+        test('a flapping controller stays degraded, neither offline nor back online', async () => {
+            expect(await check(true, false, true, false, true, false)).toEqual(
+                ['online', 'degraded', 'degraded', 'degraded', 'degraded', 'degraded']);
+            expect(events).toEqual([]);
+        });
+
+        test('a miss resets the answered count needed for recovery', async () => {
+            await check(true, false, false, false);
+
+            expect(await check(true, false, true, true)).toEqual(['degraded', 'degraded', 'degraded', 'online']);
+        });
+
+        test('uses the configured thresholds', async () => {
+            monitor = new PresenceMonitor(api, { storeDir, failureThreshold: 1, recoveryThreshold: 1 });
+
+            expect(await check(true, false, true)).toEqual(['online', 'offline', 'online']);
+        });
+    });
+
+    describe('checks', () => {
+        test('probes with a single attempt and the monitor timeout', async () => {
+            await check(true);
+
+            expect(api.pingController).toHaveBeenCalledWith(controller, { timeout: 2000, maxRetries: 1 });
+        });
+
+        test('probes with a status query when configured', async () => {
+            monitor = new PresenceMonitor(api, { storeDir, probe: 'status' });
+            await monitor.checkController(controller);
+
+            expect(api.getControllerStatus).toHaveBeenCalledWith(controller, { timeout: 2000, maxRetries: 1 });
+            expect(api.pingController).not.toHaveBeenCalled();
+        });
+
+        test('rejects an unknown probe', () => {
+            expect(() => new PresenceMonitor(api, { probe: 'ping' })).toThrow(/Invalid presence probe: ping/);
+        });
+
+        test('keeps the last error and counts failed checks', async () => {
+            await check(true, false);
+
+            expect(monitor.getState(423000001).lastError).toBe('Timeout waiting for response');
+            expect(monitor.getStats()).toEqual(expect.objectContaining({ checks: 2, failedChecks: 1 }));
+        });
+
+        test('checks every saved controller in a round', async () => {
+            api.pingController.mockResolvedValue({ success: true });
+            await monitor.runRound();
+
+            expect(api.getSavedControllers).toHaveBeenCalled();
+            expect(monitor.getStats()).toEqual(expect.objectContaining({ rounds: 1, controllers: { online: 1, degraded: 0, offline: 0, unknown: 0 } }));
+        });
+    });
+
+    describe('history', () => {
+        test('saves transitions and closes an open state after a restart', async () => {
+            await check(true, false);
+
+            const saved = JSON.parse(fs.readFileSync(path.join(storeDir, '423000001.json'), 'utf8'));
+            expect(saved.transitions.map(change => change.to)).toEqual(['online', 'degraded']);
+
+            const restarted = new PresenceMonitor(api, { storeDir });
+            const entry = await restarted.getEntry(423000001);
+            expect(entry.state).toBe('unknown');
+            expect(entry.transitions.map(change => change.to)).toEqual(['online', 'degraded', 'unknown']);
+            expect(entry.transitions[2].reason).toBe('monitor restarted');
+        });
+
+        test('persists the transition that closes an open state after a restart', async () => {
+            await check(true);
+
+            await new PresenceMonitor(api, { storeDir }).getEntry(423000001);
+
+            const saved = JSON.parse(fs.readFileSync(path.join(storeDir, '423000001.json'), 'utf8'));
+            expect(saved.transitions.map(change => [change.to, change.reason])).toEqual(
+                [['online', 'answered'], ['unknown', 'monitor restarted']]);
+        });
+
+        test('announces a controller that was offline before a restart when it answers', async () => {
+            await check(true, false, false, false);
+
+            monitor = new PresenceMonitor(api, { storeDir });
+            monitor.on('controller_online', event => events.push(['online', event]));
+            events = [];
+
+            expect(await check(true)).toEqual(['online']);
+            expect(events.map(([type, event]) => [type, event.from])).toEqual([['online', 'unknown']]);
+        });
+
+        test('announces a controller that was degraded when the monitor stopped', async () => {
+            monitor.timer = setInterval(() => {}, 60000);
+            await check(true, false);
+            await monitor.stop();
+            events = [];
+
+            expect(await check(true)).toEqual(['online']);
+            expect(events.map(([type]) => type)).toEqual(['online']);
+        });
+
+        test('does not announce a controller that was online before a restart', async () => {
+            await check(true);
+
+            monitor = new PresenceMonitor(api, { storeDir });
+            monitor.on('controller_online', event => events.push(['online', event]));
+
+            expect(await check(true)).toEqual(['online']);
+            expect(events).toEqual([]);
+        });
+
+        test('summarizes time per state within a window, leaving out unmonitored time', () => {
+            const at = minutes => new Date(Date.UTC(2026, 9, 1, 0, minutes)).toISOString();
+            const transitions = [
+                { to: 'online', at: at(0) },
+                { to: 'degraded', at: at(60) },
+                { to: 'offline', at: at(70) },
+                { to: 'unknown', at: at(80) },
+                { to: 'online', at: at(100) }
+            ];
+
+            expect(monitor.summarize(transitions, Date.parse(at(0)), Date.parse(at(120)))).toEqual({
+                monitoredSeconds: 100 * 60,
+                uptime: 90,
+                online: 80,
+                degraded: 10,
+                offline: 10
+            });
+        });
+
+        test('reports no percentages without monitored time', () => {
+            expect(monitor.summarize([], 0, Date.now())).toEqual({
+                monitoredSeconds: 0, uptime: null, online: null, degraded: null, offline: null
+            });
+        });
+    });
+});
@@ -0,0 +1,127 @@
+const ProtocolCodec = require('../../src/core/protocol-codec');
+const PacketHandler = require('../../src/core/packet-handler');
+const { PACKET_LAYOUTS, FUNCTION_IDS, IDENTIFICATION } = require('../../src/core/protocol-schema');
+const { ValidationError } = require('../../src/core/errors');
+
+// A value of each field type, in the form decode returns it
+const SAMPLE_VALUES = {
+    uint8: 0x7B,
+    uint16le: 0x1F90,
+    uint16be: 0x1F90,
+    uint24le: 0x0F4240,
+    uint32le: 0x12345678,
+    uint32be: 0x12345678,
+    ip: '192.168.2.66',
+    mac: '00:57:19:36:77:c1',
+    bcdVersion: '6.56',
+    bcdDate: '2026-03-29',
+    bcdDateTime: new Date('2026-03-29T01:30:45Z'),
+    bcdShortDate: '2026-03-29',
+    bcdTime: '23:59:58'
+};
+
+const sampleValue = field => (field.type === 'hex' ? 'ab'.repeat(field.length) : SAMPLE_VALUES[field.type]);
+
+// Every function and direction that has a packet, e.g. ['0x94 response', 0x94, 'response']
+const packets = Object.keys(PACKET_LAYOUTS).flatMap(functionId => ['request', 'response']
+    .filter(direction => PACKET_LAYOUTS[functionId][direction])
+    .map(direction => [`0x${parseInt(functionId).toString(16).toUpperCase()} ${direction}`, parseInt(functionId), direction]));
+
+describe('ProtocolCodec', () => {
+    const codec = new ProtocolCodec();
+    const packetHandler = new PacketHandler();
+
+    describe('round trips', () => {
+        test.each(packets)('%s decodes to the values it was encoded from', (name, functionId, direction) => {
+            const fields = PACKET_LAYOUTS[functionId][direction].filter(field => !field.fixed);
+            const values = fields.reduce((all, field) => ({ ...all, [field.name]: sampleValue(field) }), {});
+
+            const packet = codec.encodePacket(functionId, 423000001, values, { direction, timeZone: 'UTC' });
+            const decoded = codec.decode(functionId, packet, direction, { timeZone: 'UTC' });
+
+            fields.forEach(field => expect(decoded[field.name]).toEqual(values[field.name]));
+        });
+
+        test('a packet parsed by PacketHandler decodes like the raw buffer', () => {
+            const values = { cardNumber: 1234567, startDate: '2026-01-01', endDate: '2099-12-31', door1: 1, door3: 1, pin: 999999 };
+            const packet = codec.encodePacket(FUNCTION_IDS.QUERY_PRIVILEGE, 423000001, values, { direction: 'response' });
+
+            expect(codec.decode(FUNCTION_IDS.QUERY_PRIVILEGE, packetHandler.parsePacket(packet)))
+                .toEqual(codec.decode(FUNCTION_IDS.QUERY_PRIVILEGE, packet));
+        });
+
+        test('a text date-time is written as given, whatever the time zone', () => {
+            const packet = codec.encodePacket(FUNCTION_IDS.SET_TIME, 1, { time: '2026-10-25 02:30:00' },
+                { timeZone: 'Europe/Berlin' });
+
+            expect(Array.from(packet.slice(8, 15))).toEqual([0x20, 0x26, 0x10, 0x25, 0x02, 0x30, 0x00]);
+        });
+    });
+
+    describe('encodePacket', () => {
+        test('writes the header: type byte, function ID, serial number and sequence ID', () => {
+            const packet = codec.encodePacket(FUNCTION_IDS.GET_RECORD, 423000001, { recordIndex: 5 }, { sequenceId: 77 });
+
+            expect(packet.length).toBe(64);
+            expect(packet[0]).toBe(0x17);
+            expect(packet[1]).toBe(0xB0);
+            expect(packet.readUInt32LE(4)).toBe(423000001);
+            expect(packet.readUInt32LE(40)).toBe(77);
+            expect(packet.readUInt32LE(8)).toBe(5);
+        });
+
+        test('fills in fixed identification bytes', () => {
+            const packet = codec.encodePacket(FUNCTION_IDS.SET_RECORD_INDEX, 1, { recordIndex: 10 });
+
+            expect(Array.from(packet.slice(12, 16))).toEqual(IDENTIFICATION);
+        });
+
+        test('accepts enum labels and numbers as text', () => {
+            const packet = codec.encodePacket(FUNCTION_IDS.SET_DOOR_PARAMS, 1,
+                { doorNumber: '2', controlMode: 'online', openDelay: '5' });
+
+            expect(codec.decode(FUNCTION_IDS.SET_DOOR_PARAMS, packet, 'request'))
+                .toEqual({ doorNumber: 2, controlMode: 3, openDelay: 5 });
+        });
+
+        test('rejects unknown fields, naming the available ones', () => {
+            expect(() => codec.encodePacket(FUNCTION_IDS.REMOTE_OPEN_DOOR, 1, { door: 1 }))
+                .toThrow(/Unknown field\(s\) for REMOTE_OPEN_DOOR: door\. Available: doorNumber/);
+        });
+
+        test.each([
+            ['an integer out of range', FUNCTION_IDS.REMOTE_OPEN_DOOR, { doorNumber: 256 }],
+            ['an invalid IP address', FUNCTION_IDS.SET_RECEIVING_SERVER, { serverIp: '192.168.1.300' }],
+            ['a malformed date', FUNCTION_IDS.ADD_PRIVILEGE, { startDate: '2026/01/01' }],
+            ['hex bytes of the wrong length', FUNCTION_IDS.CLEAR_PRIVILEGES, { identification: '55aa' }]
+        ])('rejects %s with a ValidationError', (name, functionId, values) => {
+            expect(() => codec.encodePacket(functionId, 1, values)).toThrow(ValidationError);
+        });
+
+        test('rejects an invalid serial number', () => {
+            expect(() => codec.encodePacket(FUNCTION_IDS.DISCOVER, 'abc')).toThrow(ValidationError);
+        });
+    });
+
+    describe('encode', () => {
+        test('returns the 32-byte data section', () => {
+            const data = codec.encode(FUNCTION_IDS.SET_RECEIVING_SERVER, { serverIp: '192.168.1.100', port: 9001, uploadInterval: 10 });
+
+            expect(data).toHaveLength(32);
+            expect(data.slice(0, 7)).toEqual([192, 168, 1, 100, 0x29, 0x23, 10]);
+        });
+    });
+
+    describe('decode', () => {
+        test('returns null for an all-zero short date', () => {
+            const packet = codec.encodePacket(FUNCTION_IDS.QUERY_STATUS, 1, {}, { direction: 'response' });
+
+            expect(codec.decode(FUNCTION_IDS.QUERY_STATUS, packet).controllerDate).toBeNull();
+        });
+
+        test('throws for an unknown function ID or a missing packet', () => {
+            expect(() => codec.decode(0x01, Buffer.alloc(64))).toThrow(/Unknown function ID: 0x01/);
+            expect(() => codec.decode(FUNCTION_IDS.SET_IP, Buffer.alloc(64))).toThrow(/SET_IP has no response packet/);
+        });
+    });
+});
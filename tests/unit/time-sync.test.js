@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TimeSync = require('../../src/core/time-sync');
+
+describe('TimeSync', () => {
+    const start = Date.UTC(2026, 9, 19, 12, 0, 0);
+    let now;
+    let offset;
+    let roundTrip;
+    let storeDir;
+    let timeSync;
+
+    // A controller that reads its clock, truncated to whole seconds, halfway through the round trip
+    const api = {
+        getControllerTime: jest.fn(async () => ({
+            time: new Date(Math.floor((now + roundTrip / 2 + offset) / 1000) * 1000),
+            sentAt: now,
+            receivedAt: now + roundTrip
+        })),
+        setControllerTime: jest.fn(async () => ({ success: true }))
+    };
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        roundTrip = 0;
+        storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'time-sync-'));
+        timeSync = new TimeSync(api, { storeDir });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        api.getControllerTime.mockClear();
+        api.setControllerTime.mockClear();
+        fs.rmSync(storeDir, { recursive: true, force: true });
+    });
+
+    const measureOverOneSecond = async () => {
+        const drifts = [];
+        for (let ms = 0; ms < 1000; ms += 50) {
+            now = start + ms;
+            drifts.push((await timeSync.measureDrift({ serialNumber: 1 })).drift);
+        }
+        return drifts;
+    };
+
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    test('measures an accurate clock within half a second, without bias', async () => {
+        offset = 0;
+        const drifts = await measureOverOneSecond();
+
+        drifts.forEach(drift => expect(Math.abs(drift)).toBeLessThanOrEqual(500));
+        expect(Math.abs(mean(drifts))).toBeLessThan(50);
+    });
+
+    test('measures a clock running ahead by its offset on average', async () => {
+        offset = 3000;
+        expect(mean(await measureOverOneSecond())).toBeCloseTo(3000, -2);
+
+        offset = -1500;
+        expect(mean(await measureOverOneSecond())).toBeCloseTo(-1500, -2);
+    });
+
+    test('reports the uncertainty as half the round trip plus half a second', async () => {
+        now = start;
+        offset = 0;
+
+        expect(await timeSync.measureDrift({ serialNumber: 1 })).toEqual(expect.objectContaining({
+            controllerTime: new Date(start).toISOString(),
+            hostTime: new Date(start).toISOString(),
+            drift: 500,
+            roundTrip: 0,
+            uncertainty: 500
+        }));
+    });
+
+    test('reads the controller clock in a single attempt', async () => {
+        now = start;
+        offset = 0;
+        await timeSync.measureDrift({ serialNumber: 1 });
+
+        expect(api.getControllerTime).toHaveBeenCalledWith({ serialNumber: 1 }, { maxRetries: 1 });
+    });
+
+    test('times the round trip from the answered request', async () => {
+        now = start;
+        offset = 3000;
+        roundTrip = 200;
+
+        expect(await timeSync.measureDrift({ serialNumber: 1 })).toEqual(expect.objectContaining({
+            hostTime: new Date(start + 100).toISOString(),
+            roundTrip: 200,
+            uncertainty: 600
+        }));
+    });
+
+    test('corrects a drifting clock when the round trip is short', async () => {
+        now = start;
+        offset = 5000;
+        roundTrip = 200;
+
+        const result = await timeSync.syncController({ serialNumber: 1 });
+
+        expect(api.setControllerTime).toHaveBeenCalledTimes(1);
+        expect(result).toEqual(expect.objectContaining({ corrected: true, reason: null }));
+    });
+
+    test('refuses to correct from a measurement with a slow round trip', async () => {
+        now = start;
+        offset = 5000;
+        roundTrip = 1500;
+
+        const result = await timeSync.syncController({ serialNumber: 1 }, { force: true });
+
+        expect(api.setControllerTime).not.toHaveBeenCalled();
+        expect(result).toEqual(expect.objectContaining({ corrected: false, roundTrip: 1500 }));
+        expect(result.reason).toMatch(/exceeds 1000ms/);
+    });
+});